@@ -14,11 +14,18 @@ import {
   FaTrash,
   FaEdit,
   FaSearch,
+  FaChartBar,
+  FaFileImport,
   FaPlus,
   FaSave,
   FaTimes,
   FaFileExport,
   FaDownload,
+  FaHistory,
+  FaCopy,
+  FaFolderOpen,
+  FaPen,
+  FaEyeSlash,
 } from 'react-icons/fa';
 
 import Handsontable from 'handsontable';
@@ -29,6 +36,9 @@ import './dashboard.css';
 /* =======================================================
    Utilities
 ======================================================= */
+// Sheets longer than one page are opened lazily, a page of rows at a time
+const RANGE_PAGE_ROWS = 200;
+
 function dedupeNames(list) {
   const seen = new Set();
   const out = [];
@@ -50,6 +60,567 @@ function formatTS(ts) {
   }
 }
 
+// Zero-based grid coordinates -> A1 address (e.g. 0,27 -> AB1)
+function toA1(rowIndex, colIndex) {
+  let col = '';
+  let n = colIndex + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    col = String.fromCharCode(65 + rem) + col;
+    n = Math.floor((n - 1) / 26);
+  }
+  return `${col}${rowIndex + 1}`;
+}
+
+// Defined-name target rewritten for the grid's own engine sheet, or null if
+// it points at any other sheet (those are only evaluated server-side)
+function localNameExpression(refersTo, sheet, gridSheet) {
+  if (!refersTo) return null;
+  let foreign = false;
+  const quotedGrid = /^[A-Za-z_][\w.]*$/.test(gridSheet) ? gridSheet : `'${gridSheet.replace(/'/g, "''")}'`;
+  const expression = refersTo.replace(/('(?:[^']|'')+'|[A-Za-z_][\w.]*)!/g, (_m, prefix) => {
+    const name = prefix.startsWith("'") ? prefix.slice(1, -1).replace(/''/g, "'") : prefix;
+    if (!sheet || name.toLowerCase() !== sheet.toLowerCase()) foreign = true;
+    return `${quotedGrid}!`;
+  });
+  return foreign ? null : `=${expression}`;
+}
+
+// Excel ARGB ("FFRRGGBB") -> CSS hex
+function argbToCss(argb) {
+  if (typeof argb !== 'string' || argb.length < 6) return null;
+  return `#${argb.slice(-6)}`;
+}
+
+// Renders Excel-authored fonts, fills and hyperlinks carried in cell meta
+function excelMetaRenderer(instance, td, row, col, prop, value, cellProperties) {
+  Handsontable.renderers.TextRenderer(instance, td, row, col, prop, value, cellProperties);
+  td.style.fontWeight = '';
+  td.style.fontStyle = '';
+  td.style.textDecoration = '';
+  td.style.color = '';
+  td.style.background = '';
+  td.style.textAlign = '';
+
+  const column = cellProperties.schemaColumn;
+  if (column) {
+    const shown = formatSchemaValue(column, value);
+    if (shown !== null) td.textContent = shown;
+    if (['number', 'integer', 'currency'].includes(column.type)) td.style.textAlign = 'right';
+  }
+
+  const meta = cellProperties.excelMeta;
+  if (meta) applyExcelMeta(td, meta, value);
+  if (cellProperties.conditionalStyle) applyConditionalStyle(td, cellProperties.conditionalStyle);
+}
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Absolute http(s) or mailto URL of a cell link, or null
+function safeLinkUrl(link) {
+  if (typeof link !== 'string' || !link) return null;
+  try {
+    const url = new URL(link);
+    return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function applyExcelMeta(td, meta, value) {
+  const { font, fill, alignment, hyperlink } = meta;
+  if (font?.bold) td.style.fontWeight = 'bold';
+  if (font?.italic) td.style.fontStyle = 'italic';
+  if (font?.underline || font?.strike) {
+    td.style.textDecoration = [font.underline && 'underline', font.strike && 'line-through'].filter(Boolean).join(' ');
+  }
+  const color = argbToCss(font?.color?.argb);
+  if (color) td.style.color = color;
+  const bg = argbToCss(fill?.fgColor?.argb);
+  if (bg) td.style.background = bg;
+  if (['left', 'center', 'right'].includes(alignment?.horizontal)) td.style.textAlign = alignment.horizontal;
+
+  // Links come from uploaded files: anything but web and mail links
+  // (e.g. javascript:) stays plain text
+  const href = safeLinkUrl(hyperlink);
+  if (href) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    a.textContent = value ?? hyperlink;
+    td.textContent = '';
+    td.appendChild(a);
+  }
+}
+
+// "B2:C10" -> zero-based { top, left, bottom, right }, or null
+function parseA1Range(range) {
+  const m = /^\$?([A-Z]{1,3})\$?(\d+)(?::\$?([A-Z]{1,3})\$?(\d+))?$/i.exec(String(range || ''));
+  if (!m) return null;
+  const col = (letters) => letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  const [c1, r1] = [col(m[1]), Number(m[2]) - 1];
+  const [c2, r2] = m[3] ? [col(m[3]), Number(m[4]) - 1] : [c1, r1];
+  return { top: Math.min(r1, r2), left: Math.min(c1, c2), bottom: Math.max(r1, r2), right: Math.max(c1, c2) };
+}
+
+// Client-side check for a data validation rule (GET /excel/validations).
+// Custom formula rules are only checked by the server on save.
+function validationAccepts(rule, value) {
+  if (value === null || value === undefined || value === '') return rule.allowBlank !== false;
+  if (typeof value === 'string' && value.startsWith('=')) return true;
+  const text = String(value);
+  const within = (x, bound) => {
+    const [a, b] = [bound(rule.min ?? rule.value), bound(rule.max)];
+    switch (rule.operator) {
+      case 'between': return x >= Math.min(a, b) && x <= Math.max(a, b);
+      case 'notBetween': return x < Math.min(a, b) || x > Math.max(a, b);
+      case 'equal': return x === a;
+      case 'notEqual': return x !== a;
+      case 'greaterThan': return x > a;
+      case 'lessThan': return x < a;
+      case 'greaterThanOrEqual': return x >= a;
+      case 'lessThanOrEqual': return x <= a;
+      default: return true;
+    }
+  };
+  switch (rule.type) {
+    case 'list':
+      return (rule.options || []).some((o) => String(o).toLowerCase() === text.toLowerCase());
+    case 'pattern':
+      try {
+        return new RegExp(rule.pattern, rule.ignoreCase ? 'i' : '').test(text);
+      } catch {
+        return true;
+      }
+    case 'whole':
+    case 'decimal': {
+      const x = Number(text);
+      if (text.trim() === '' || !Number.isFinite(x) || (rule.type === 'whole' && !Number.isInteger(x))) return false;
+      return within(x, Number);
+    }
+    case 'textLength':
+      return within(text.length, Number);
+    case 'date': {
+      const x = Date.parse(text);
+      return Number.isFinite(x) && within(x, (b) => Date.parse(b));
+    }
+    default:
+      return true;
+  }
+}
+
+// Handsontable cell settings for the rule covering a cell (or none). Lists
+// become dropdowns; "stop" rules refuse invalid input, others only mark it.
+function validationCellProps(rule) {
+  if (!rule) return { editor: 'text', source: undefined, validator: null, allowInvalid: true };
+  return {
+    editor: rule.type === 'list' ? 'dropdown' : 'text',
+    source: rule.type === 'list' ? rule.options || [] : undefined,
+    validator: rule.type === 'custom' ? null : (value, callback) => callback(validationAccepts(rule, value)),
+    allowInvalid: rule.errorStyle !== 'stop',
+  };
+}
+
+// Conditional formatting wins over the cell's own style, as in Excel
+function applyConditionalStyle(td, style) {
+  if (style.bold) td.style.fontWeight = 'bold';
+  if (style.italic) td.style.fontStyle = 'italic';
+  if (style.color) td.style.color = style.color;
+  const layers = [];
+  if (style.bar) {
+    const pct = Math.round(style.bar.ratio * 100);
+    layers.push(`linear-gradient(to right, ${style.bar.color}99 ${pct}%, transparent ${pct}%)`);
+  }
+  const base = style.fill || td.style.backgroundColor;
+  if (layers.length > 0) td.style.background = base ? `${layers.join(', ')}, ${base}` : layers.join(', ');
+  else if (style.fill) td.style.background = style.fill;
+}
+
+// Move relative A1 references by (dr, dc) outside string literals
+function shiftA1Formula(formula, dr, dc) {
+  const colNum = (letters) => letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+  return String(formula)
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, i) =>
+      i % 2 === 1
+        ? part
+        : part.replace(/(?<![A-Za-z0-9_.])(\$?)([A-Za-z]{1,3})(\$?)(\d+)(?![A-Za-z0-9_(])/g, (_m, ca, col, ra, row) => {
+            const c = ca ? col : toA1(0, colNum(col) + dc - 1).replace(/\d+$/, '');
+            const r = ra ? row : String(Number(row) + dr);
+            return `${ca}${c}${ra}${r}`;
+          })
+    )
+    .join('');
+}
+
+// Grid value as Excel compares it: numbers (ISO dates as serials), text, booleans
+function conditionalValue(v) {
+  if (v === null || v === undefined || v === '') return null;
+  if (typeof v === 'number' || typeof v === 'boolean') return v;
+  const text = String(v);
+  if (text.trim() !== '' && Number.isFinite(Number(text))) return Number(text);
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text) && Number.isFinite(Date.parse(text))) {
+    return (Date.parse(text) - Date.UTC(1899, 11, 30)) / 86400000;
+  }
+  return text;
+}
+
+function compareExcel(a, b) {
+  const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (typeof a === 'string') return a.toLowerCase().localeCompare(b.toLowerCase());
+  return Number(a) - Number(b);
+}
+
+/**
+ * Styles from conditional formatting rules (GET /excel/conditional-formats)
+ * over the loaded grid: Map of A1 address -> { fill, color, bold, italic, bar }.
+ * `valueAt(row, col)` gives computed values, `calculate(formula)` evaluates
+ * formula rules on the grid's engine. Mirrors server/lib/conditional-formats.js.
+ */
+function conditionalFormatMap(rules, valueAt, calculate, rows, cols) {
+  const styles = new Map();
+  const stopped = new Set();
+  const apply = (a1, props) => {
+    const style = styles.get(a1) || {};
+    Object.entries(props).forEach(([k, v]) => {
+      if (v !== undefined && v !== null && style[k] === undefined) style[k] = v;
+    });
+    styles.set(a1, style);
+  };
+  const cellsOf = (range) =>
+    String(range)
+      .split(/\s+/)
+      .map(parseA1Range)
+      .filter(Boolean)
+      .flatMap((b) => {
+        const out = [];
+        for (let r = b.top; r <= Math.min(b.bottom, rows - 1); r++) {
+          for (let c = b.left; c <= Math.min(b.right, cols - 1); c++) out.push({ r, c, origin: b });
+        }
+        return out;
+      });
+  const single = (v) => (Array.isArray(v) ? v[0]?.[0] : v);
+  const isError = (v) => v !== null && typeof v === 'object';
+  const point = (p, sorted) => {
+    const [min, max] = [sorted[0], sorted[sorted.length - 1]];
+    if (p.type === 'min') return min;
+    if (p.type === 'max') return max;
+    if (p.type === 'num') return Number(p.value);
+    if (p.type === 'percent') return min + ((max - min) * Number(p.value)) / 100;
+    if (p.type === 'percentile') {
+      const idx = (sorted.length - 1) * (Number(p.value) / 100);
+      const lo = Math.floor(idx);
+      return sorted[lo] + (sorted[Math.ceil(idx)] - sorted[lo]) * (idx - lo);
+    }
+    return NaN;
+  };
+  const mix = (from, to, t) =>
+    `#${[1, 3, 5]
+      .map((i) => {
+        const a = parseInt(from.slice(i, i + 2), 16);
+        const b = parseInt(to.slice(i, i + 2), 16);
+        return Math.round(a + (b - a) * t).toString(16).padStart(2, '0');
+      })
+      .join('')}`;
+
+  [...(rules || [])]
+    .sort((a, b) => a.priority - b.priority)
+    .forEach((rule) => {
+      const cells = cellsOf(rule.range);
+      if (rule.type === 'colorScale' || rule.type === 'dataBar') {
+        const numeric = cells
+          .map((x) => ({ ...x, v: conditionalValue(valueAt(x.r, x.c)) }))
+          .filter((x) => typeof x.v === 'number');
+        if (numeric.length === 0) return;
+        const sorted = numeric.map((x) => x.v).sort((a, b) => a - b);
+        if (rule.type === 'colorScale') {
+          const stops = (rule.points || []).map((p, i) => ({ at: point(p, sorted), color: rule.colors?.[i] }));
+          if (stops.length < 2 || stops.some((st) => !Number.isFinite(st.at) || !st.color)) return;
+          numeric.forEach(({ r, c, v }) => {
+            const a1 = toA1(r, c);
+            if (stopped.has(a1)) return;
+            let fill = stops[stops.length - 1].color;
+            if (v <= stops[0].at) fill = stops[0].color;
+            else {
+              const i = stops.findIndex((st) => v <= st.at);
+              if (i > 0) {
+                const span = stops[i].at - stops[i - 1].at;
+                fill = mix(stops[i - 1].color, stops[i].color, span > 0 ? (v - stops[i - 1].at) / span : 1);
+              }
+            }
+            apply(a1, { fill });
+          });
+        } else {
+          const [lo, hi] = [point(rule.min || { type: 'min' }, sorted), point(rule.max || { type: 'max' }, sorted)];
+          if (!Number.isFinite(lo) || !Number.isFinite(hi)) return;
+          numeric.forEach(({ r, c, v }) => {
+            const a1 = toA1(r, c);
+            if (stopped.has(a1)) return;
+            const ratio = hi > lo ? Math.min(Math.max((v - lo) / (hi - lo), 0), 1) : 1;
+            apply(a1, { bar: { color: rule.color || '#638ec6', ratio } });
+          });
+        }
+        return;
+      }
+
+      cells.forEach(({ r, c, origin }) => {
+        const a1 = toA1(r, c);
+        if (stopped.has(a1)) return;
+        const [dr, dc] = [r - origin.top, c - origin.left];
+        let match = false;
+        if (rule.type === 'expression') {
+          const v = single(calculate(shiftA1Formula(rule.formula, dr, dc)));
+          match = v === true || (typeof v === 'number' && v !== 0);
+        } else if (rule.type === 'cellIs') {
+          const between = rule.operator === 'between' || rule.operator === 'notBetween';
+          const bounds = (between ? [rule.min, rule.max] : [rule.value]).map((b) =>
+            typeof b === 'string' && b.startsWith('=') ? single(calculate(shiftA1Formula(b.slice(1), dr, dc))) : b
+          );
+          if (bounds.some((b) => b === null || b === undefined || isError(b))) return;
+          const raw = conditionalValue(valueAt(r, c));
+          const x = raw === null ? (typeof bounds[0] === 'string' ? '' : 0) : raw;
+          const [ca, cb] = [compareExcel(x, bounds[0]), between ? compareExcel(x, bounds[1]) : 0];
+          match = {
+            between: ca * cb <= 0,
+            notBetween: ca * cb > 0,
+            equal: ca === 0,
+            notEqual: ca !== 0,
+            greaterThan: ca > 0,
+            lessThan: ca < 0,
+            greaterThanOrEqual: ca >= 0,
+            lessThanOrEqual: ca <= 0,
+          }[rule.operator];
+        }
+        if (!match) return;
+        apply(a1, rule.style || {});
+        if (rule.stopIfTrue) stopped.add(a1);
+      });
+    });
+  return styles;
+}
+
+const CF_OPERATORS = {
+  greaterThan: '>',
+  lessThan: '<',
+  greaterThanOrEqual: '>=',
+  lessThanOrEqual: '<=',
+  equal: '=',
+  notEqual: '<>',
+  between: 'between',
+  notBetween: 'not between',
+};
+
+const EMPTY_CF_DRAFT = {
+  range: '',
+  type: 'cellIs',
+  operator: 'greaterThan',
+  value: '',
+  min: '',
+  max: '',
+  formula: '',
+  fill: '#ffc7ce',
+  color: '#9c0006',
+  bold: false,
+  colors: ['#f8696b', '#ffeb84', '#63be7b'],
+  threeColor: true,
+  barColor: '#638ec6',
+};
+
+// Popup draft -> API rule for POST /excel/conditional-formats/add
+function conditionalDraftToRule(d) {
+  const style = { fill: d.fill, color: d.color, bold: d.bold };
+  switch (d.type) {
+    case 'cellIs':
+      return d.operator === 'between' || d.operator === 'notBetween'
+        ? { range: d.range, type: 'cellIs', operator: d.operator, min: d.min, max: d.max, style }
+        : { range: d.range, type: 'cellIs', operator: d.operator, value: d.value, style };
+    case 'expression':
+      return { range: d.range, type: 'expression', formula: d.formula, style };
+    case 'colorScale':
+      return { range: d.range, type: 'colorScale', colors: d.threeColor ? d.colors : [d.colors[0], d.colors[2]] };
+    default:
+      return { range: d.range, type: 'dataBar', color: d.barColor };
+  }
+}
+
+function describeConditionalRule(rule) {
+  switch (rule.type) {
+    case 'cellIs': {
+      const op = CF_OPERATORS[rule.operator] || rule.operator;
+      return rule.operator === 'between' || rule.operator === 'notBetween'
+        ? `Cell value ${op} ${rule.min} and ${rule.max}`
+        : `Cell value ${op} ${rule.value}`;
+    }
+    case 'expression':
+      return `Formula: =${rule.formula}`;
+    case 'colorScale':
+      return `${(rule.colors || []).length}-color scale`;
+    case 'dataBar':
+      return 'Data bar';
+    default:
+      return `${rule.type} (kept, not shown in the grid)`;
+  }
+}
+
+// Column schema types (GET /excel/schema); the server converts and checks on save
+const SCHEMA_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  integer: 'Whole number',
+  currency: 'Currency',
+  date: 'Date',
+  email: 'Email',
+  boolean: 'TRUE/FALSE',
+  enum: 'One of a list',
+};
+
+// /excel/export/:format
+const EXPORT_FORMATS = {
+  csv: 'CSV',
+  json: 'JSON',
+  tsv: 'TSV',
+  html: 'HTML',
+  markdown: 'Markdown',
+  xlsx: 'XLSX (this sheet)',
+  ods: 'ODS',
+};
+
+const schemaNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const plain = String(value).trim().replace(/[,\s]/g, '').replace(/^([+-]?)[$€£¥]/, '$1');
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(plain) ? Number(plain) : NaN;
+};
+
+function schemaAccepts(column, value) {
+  if (value === null || value === undefined || String(value).trim() === '') return !column.required;
+  if (typeof value === 'string' && value.startsWith('=')) return true;
+  const text = String(value).trim();
+  switch (column.type) {
+    case 'number':
+    case 'currency':
+      return Number.isFinite(schemaNumber(value));
+    case 'integer':
+      return Number.isInteger(schemaNumber(value));
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}/.test(text);
+    case 'boolean':
+      return /^(true|false)$/i.test(text);
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text);
+    case 'enum':
+      return column.values.some((v) => v.toLowerCase() === text.toLowerCase());
+    default:
+      return true;
+  }
+}
+
+// Editor and client-side check for a cell under a schema column (or none)
+function schemaCellProps(column) {
+  const base = { ...validationCellProps(null), schemaColumn: column || null, dateFormat: undefined, correctFormat: false };
+  if (!column) return base;
+  const validator = (value, callback) => callback(schemaAccepts(column, value));
+  switch (column.type) {
+    case 'number':
+    case 'integer':
+    case 'currency':
+      return { ...base, editor: 'numeric', validator };
+    case 'date':
+      return { ...base, editor: 'date', dateFormat: 'YYYY-MM-DD', validator };
+    case 'boolean':
+      return { ...base, editor: 'dropdown', source: ['TRUE', 'FALSE'], validator };
+    case 'enum':
+      return { ...base, editor: 'dropdown', source: column.values, validator };
+    default:
+      return { ...base, validator };
+  }
+}
+
+// Display text for a typed value, or null to show it as is
+function formatSchemaValue(column, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && value.startsWith('=')) return null;
+  switch (column.type) {
+    case 'currency': {
+      const n = schemaNumber(value);
+      return Number.isFinite(n) ? n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : null;
+    }
+    case 'date':
+      // Stored dates arrive as ISO timestamps
+      return /^\d{4}-\d{2}-\d{2}T/.test(String(value)) ? String(value).slice(0, 10) : null;
+    case 'boolean':
+      return typeof value === 'boolean' ? String(value).toUpperCase() : null;
+    default:
+      return null;
+  }
+}
+
+// Schema dialog rows: one per header cell, prefilled from the current schema
+function schemaDraftFor(schema, headers) {
+  const byName = new Map((schema?.columns || []).map((c) => [c.name.toLowerCase(), c]));
+  const names = headers.map((h) => String(h ?? '').trim()).filter(Boolean);
+  // Schema columns missing from the header row stay listed so they are not dropped silently
+  const missing = (schema?.columns || []).filter((c) => !names.some((n) => n.toLowerCase() === c.name.toLowerCase()));
+  return [...names.map((name) => ({ name })), ...missing].map(({ name }) => {
+    const column = byName.get(name.toLowerCase());
+    return {
+      name,
+      type: column?.type || '',
+      required: !!column?.required,
+      unique: !!column?.unique,
+      values: (column?.values || []).join(', '),
+    };
+  });
+}
+
+function schemaFromDraft(headerRow, draft) {
+  const columns = draft
+    .filter((d) => d.type)
+    .map((d) => ({
+      name: d.name,
+      type: d.type,
+      ...(d.required ? { required: true } : {}),
+      ...(d.unique ? { unique: true } : {}),
+      ...(d.type === 'enum' ? { values: d.values.split(',').map((v) => v.trim()).filter(Boolean) } : {}),
+    }));
+  return columns.length ? { headerRow, columns } : null;
+}
+
+// Sheet layout units: column widths are Excel characters, row heights points
+const excelWidthToPx = (width) => Math.round(width * 7 + 5);
+const pxToExcelWidth = (px) => Math.round(Math.max(px - 5, 0) / 7 * 100) / 100;
+const pointsToPx = (points) => Math.round(points * 4 / 3);
+const pxToPoints = (px) => Math.round(px * 0.75 * 100) / 100;
+
+// Grid settings for a server layout (null: the sheet's layout is unknown)
+function layoutSettings(layout, rowCount, colCount) {
+  const columns = layout?.columns || [];
+  const rows = layout?.rows || [];
+  const sizes = (entries, key, count, toPx) => {
+    const out = [];
+    entries.forEach((e) => {
+      if (e[key] !== undefined && e.index <= count) out[e.index - 1] = toPx(e[key]);
+    });
+    return out.length ? Array.from(out, (v) => v ?? null) : true;
+  };
+  const merges = (layout?.merges || [])
+    .map(parseA1Range)
+    .filter((b) => b && b.bottom < rowCount && b.right < colCount)
+    .map((b) => ({ row: b.top, col: b.left, rowspan: b.bottom - b.top + 1, colspan: b.right - b.left + 1 }));
+  const hidden = (entries, count) => entries.filter((e) => e.hidden && e.index <= count).map((e) => e.index - 1);
+
+  return {
+    mergeCells: merges,
+    manualColumnResize: sizes(columns, 'width', colCount, excelWidthToPx),
+    manualRowResize: sizes(rows, 'height', rowCount, pointsToPx),
+    hiddenColumns: { columns: hidden(columns, colCount), indicators: true },
+    hiddenRows: { rows: hidden(rows, rowCount), indicators: true },
+    fixedRowsTop: Math.min(layout?.frozen?.rows || 0, rowCount),
+    fixedColumnsStart: Math.min(layout?.frozen?.cols || 0, colCount),
+  };
+}
+
 // Stable sort helper (keeps insertion order, pins latest at top without shuffle)
 function pinLatestStable(allSheets, latest) {
   if (!Array.isArray(allSheets) || allSheets.length === 0) return [];
@@ -69,8 +640,36 @@ export default function Dashboard() {
   const [appName, setAppName] = useState('vsbil Excel');
 
   const [sheets, setSheets] = useState([]);
+  const [sheetStates, setSheetStates] = useState({});
+  const [draggedSheet, setDraggedSheet] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [sheetMenu, setSheetMenu] = useState(null);
+  // Defined names of the active workbook (GET /excel/names)
+  const [definedNames, setDefinedNames] = useState([]);
+  // Data validation rules of the open sheet, and cells the server rejected on save
+  const [validationRules, setValidationRules] = useState([]);
+  const [validationIssues, setValidationIssues] = useState({});
+  // Conditional formatting rules of the open sheet
+  const [conditionalFormats, setConditionalFormats] = useState([]);
+  // Workbooks in the user's storage folder; `activeFile` is the storage key
+  const [files, setFiles] = useState([]);
+  const [activeFile, setActiveFile] = useState(null);
   const [selectedSheet, setSelectedSheet] = useState(null);
   const [stagedGrid, setStagedGrid] = useState([]);
+  // Per-address Excel metadata (formulas, styles, links, notes) from preview
+  const [stagedCells, setStagedCells] = useState({});
+  // { sheet, rows, cols } while the open sheet is only partially loaded
+  const [lazyRange, setLazyRange] = useState(null);
+  const lazyRangeRef = useRef(null);
+  lazyRangeRef.current = lazyRange;
+  // Base version of the open sheet + cells edited since it was loaded
+  const [sheetEtag, setSheetEtag] = useState(null);
+  const dirtyCellsRef = useRef(new Map());
+  const structureChangedRef = useRef(false);
+  // Sheet layout from the server (null for large streamed sheets) + unsaved edits to it
+  const [stagedLayout, setStagedLayout] = useState(null);
+  const [sheetSchema, setSheetSchema] = useState(null);
+  const layoutChangeRef = useRef(null);
   const [loading, setLoading] = useState(false);
   const containerRef = useRef(null);
   const hotRef = useRef(null);
@@ -83,6 +682,17 @@ export default function Dashboard() {
   const [showAudit, setShowAudit] = useState(false);
   const [auditEntries, setAuditEntries] = useState([]);
 
+  // Version history (snapshots taken before every write)
+  const [showVersions, setShowVersions] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [viewingVersion, setViewingVersion] = useState(null);
+
+  const [showFindReplace, setShowFindReplace] = useState(false);
+  const [showCharts, setShowCharts] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
+  const [pdfTablePick, setPdfTablePick] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+
   const [theme, setTheme] = useState('system');
   const [searchQuery, setSearchQuery] = useState('');
 
@@ -249,21 +859,100 @@ export default function Dashboard() {
     }
   }
 
-  // Sheets list (initial load)
-  useEffect(() => {
-    (async () => {
-      const j = await apiGet('/excel/sheets');
-      if (!j.error) {
-        const names = dedupeNames(j.sheets || []);
-        setSheets(names);
-        if (originalOrder.length === 0) {
-          setOriginalOrder(names.slice());
-        }
-        await loadLatestSheet();
+  async function loadSheets({ resetOrder = false } = {}) {
+    const j = await apiGet('/excel/sheets');
+    if (!j.error) {
+      const names = dedupeNames(j.sheets || []);
+      setSheets(names);
+      setSheetStates(j.states || {});
+      if (resetOrder || originalOrder.length === 0) {
+        setOriginalOrder(names.slice());
       }
-    })();
+      await loadLatestSheet();
+      await loadNames();
+    }
+  }
+
+  async function loadNames() {
+    const j = await apiGet('/excel/names');
+    setDefinedNames(!j.error && Array.isArray(j.names) ? j.names : []);
+  }
+
+  async function loadFiles() {
+    const j = await apiGet('/excel/files');
+    if (!j.error) {
+      setFiles(Array.isArray(j.files) ? j.files : []);
+      setActiveFile(j.active || null);
+    }
+  }
+
+  // Sheet context menu: close on any outside click or Escape
+  useEffect(() => {
+    if (!sheetMenu) return undefined;
+    const close = () => setSheetMenu(null);
+    const onKey = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', onKey);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', onKey);
+    };
+  }, [sheetMenu]);
+
+  // Sheets + files list (initial load)
+  useEffect(() => {
+    loadSheets();
+    loadFiles();
   }, []);
 
+  /* -------------------------------------------------------
+     Workspace files
+  ------------------------------------------------------- */
+  async function switchFile(name) {
+    const j = await apiPost('/excel/files/open', { file: name });
+    if (j.error) return;
+    setSelectedSheet(null);
+    setForceReadOnly(false);
+    setViewingVersion(null);
+    setActiveFile(j.fileKey);
+    await loadSheets({ resetOrder: true });
+    await loadFiles();
+    Toast.success(`Opened ${j.fileName}`);
+  }
+
+  async function renameFile(name) {
+    const next = (prompt('Rename file to:', name) || '').trim();
+    if (!next || next === name) return;
+    const j = await apiPost('/excel/files/rename', { file: name, name: next });
+    if (!j.error) {
+      Toast.success(`Renamed to ${j.fileName}`);
+      await loadFiles();
+    }
+  }
+
+  async function duplicateFile(name) {
+    const j = await apiPost('/excel/files/duplicate', { file: name });
+    if (!j.error) {
+      Toast.success(`Saved copy as ${j.fileName}`);
+      await loadFiles();
+    }
+  }
+
+  async function deleteFile(name) {
+    if (!window.confirm(`Delete file "${name}" and its version history?`)) return;
+    const j = await apiPost('/excel/files/delete', { file: name });
+    if (j.error) return;
+    Toast.success(`Deleted ${name}`);
+    const wasActive = files.some((f) => f.name === name && f.active);
+    await loadFiles();
+    if (wasActive) {
+      setSelectedSheet(null);
+      await loadSheets({ resetOrder: true });
+    }
+  }
+
   // Audit entries list when opened
   useEffect(() => {
     (async () => {
@@ -273,6 +962,15 @@ export default function Dashboard() {
     })();
   }, [showAudit]);
 
+  // Version list when opened
+  useEffect(() => {
+    (async () => {
+      if (!showVersions) return;
+      const j = await apiGet('/excel/versions');
+      if (!j.error) setVersions(Array.isArray(j.versions) ? j.versions : []);
+    })();
+  }, [showVersions]);
+
   // Theme
   useEffect(() => {
     const saved = localStorage.getItem('app-theme');
@@ -298,6 +996,12 @@ export default function Dashboard() {
     });
 
     socket.on('cell-edit', (op) => {
+      // Partially loaded sheets: patch the grid in place rather than reloading every row
+      const hot = window.__hotInstance;
+      if (lazyRangeRef.current && hot) {
+        hot.setSourceDataAtCell(op.rowIndex, op.colIndex, op.value, 'remoteEdit');
+        return;
+      }
       setStagedGrid((prev) => {
         if (!prev?.length) return prev;
         const next = prev.map((row) => row.slice());
@@ -335,17 +1039,256 @@ export default function Dashboard() {
     return pinLatestStable(stabilized, lastEditedSheet);
   }, [sheets, searchQuery, lastEditedSheet, originalOrder]);
 
+  function resetDirtyState(etag = null) {
+    dirtyCellsRef.current = new Map();
+    structureChangedRef.current = false;
+    layoutChangeRef.current = null;
+    setSheetEtag(etag);
+  }
+
+  function loadRange(name, offset, limit = RANGE_PAGE_ROWS) {
+    return apiGet(`/excel/range?sheet=${encodeURIComponent(name)}&offset=${offset}&limit=${limit}`);
+  }
+
+  // First page only; SheetEditor pulls the remaining pages as they scroll into view
   async function previewSheet(name, opts = { readOnly: false }) {
-    const j = await apiGet(`/excel/preview?sheet=${encodeURIComponent(name)}`);
+    const j = await loadRange(name, 0);
     if (!j.error) {
+      const grid = j.grid && j.grid.length ? j.grid : [[null]];
+      const partial = j.rows > grid.length;
+      const width = Math.max(j.cols, 1);
       setSelectedSheet(name);
-      setStagedGrid(j.preview || []);
+      setStagedGrid(
+        partial
+          ? grid.concat(Array.from({ length: j.rows - grid.length }, () => Array(width).fill(null)))
+          : grid
+      );
+      setStagedCells(j.cells || {});
+      setStagedLayout(j.layout || null);
+      setLazyRange(partial ? { sheet: name, rows: j.rows, cols: j.cols } : null);
       setForceReadOnly(Boolean(opts.readOnly));
+      setViewingVersion(null);
+      resetDirtyState(j.etag || null);
+      setValidationIssues({});
+      await loadValidations(name);
+      await loadConditionalFormats(name);
+      await loadSchema(name);
     } else {
       Toast.error(j.error || 'Failed to open sheet');
     }
   }
 
+  async function loadValidations(name) {
+    const j = await apiGet(`/excel/validations?sheet=${encodeURIComponent(name)}`);
+    setValidationRules(!j.error && Array.isArray(j.rules) ? j.rules : []);
+  }
+
+  async function loadConditionalFormats(name) {
+    const j = await apiGet(`/excel/conditional-formats?sheet=${encodeURIComponent(name)}`);
+    setConditionalFormats(!j.error && Array.isArray(j.rules) ? j.rules : []);
+  }
+
+  async function addConditionalFormat(rule) {
+    const j = await apiPost('/excel/conditional-formats/add', { sheet: selectedSheet, rule });
+    if (j.error) return false;
+    setConditionalFormats(j.rules || []);
+    Toast.success('Formatting rule added');
+    return true;
+  }
+
+  async function deleteConditionalFormat(priority) {
+    const j = await apiPost('/excel/conditional-formats/delete', { sheet: selectedSheet, priority });
+    if (!j.error) setConditionalFormats(j.rules || []);
+  }
+
+  async function loadSchema(name) {
+    const j = await apiGet(`/excel/schema?sheet=${encodeURIComponent(name)}`);
+    setSheetSchema(!j.error ? j.schema || null : null);
+  }
+
+  // Existing data is not converted; cells that do not fit are marked
+  async function updateSheetSchema(schema) {
+    const j = await apiPost('/excel/schema/set', { sheet: selectedSheet, schema });
+    if (j.error) return false;
+    setSheetSchema(j.schema || null);
+    showCellIssues(j.errors || []);
+    if (j.total > 0) Toast.warn(`${j.total} existing cell(s) do not match the schema`);
+    else Toast.success(schema ? 'Schema saved' : 'Schema removed');
+    return true;
+  }
+
+  // Schema and validation problems of the open sheet: cells get marked, the rest is toasted
+  function showCellIssues(problems) {
+    const mine = problems.filter((p) => !p.sheet || p.sheet === selectedSheet);
+    mine.filter((p) => !p.cell).forEach((p) => Toast.warn(p.message));
+    setValidationIssues(Object.fromEntries(mine.filter((p) => p.cell).map((p) => [p.cell, p.message])));
+  }
+
+  /* -------------------------------------------------------
+     Find and replace (server side, whole workbook or one sheet)
+  ------------------------------------------------------- */
+  function searchParams(search) {
+    const { query, sheet, matchCase, wholeCell, regex, formulas } = search;
+    const qs = new URLSearchParams({ q: query });
+    if (sheet) qs.set('sheet', sheet);
+    Object.entries({ matchCase, wholeCell, regex, formulas }).forEach(([k, v]) => v && qs.set(k, 'true'));
+    return qs.toString();
+  }
+
+  async function findCells(search) {
+    const j = await apiGet(`/excel/find?${searchParams(search)}`);
+    return j.error ? null : j;
+  }
+
+  async function replaceCells(search) {
+    if (dirtyCellsRef.current.size > 0 || structureChangedRef.current || layoutChangeRef.current) {
+      if (!window.confirm('Replacing reloads the sheet and discards your unsaved changes. Continue?')) return null;
+    }
+    const j = await apiPost('/excel/replace', search);
+    if (j.error) {
+      if (Array.isArray(j.invalid)) showCellIssues(j.invalid);
+      return null;
+    }
+    if (j.replaced === 0) Toast.warn('Nothing to replace');
+    else Toast.success(`Replaced in ${j.replaced} cell(s)`);
+    if (j.skipped?.length) Toast.warn(`${j.skipped.length} formula(s) skipped: ${j.skipped[0].reason}`);
+    if (j.flagged?.length) Toast.warn(`${j.flagged.length} replaced cell(s) break validation warnings`);
+    if (j.replaced > 0 && selectedSheet) await previewSheet(selectedSheet);
+    return j;
+  }
+
+  async function goToMatch(match) {
+    if (match.sheet !== selectedSheet) await previewSheet(match.sheet);
+    const pos = parseA1Range(match.cell);
+    // The grid may be recreated for a newly opened sheet; select after it renders
+    setTimeout(() => window.__hotInstance?.selectCell(pos.top, pos.left), 0);
+  }
+
+  /* -------------------------------------------------------
+     Charts (stored per sheet, rendered by the server)
+  ------------------------------------------------------- */
+  async function loadCharts() {
+    const j = await apiGet(`/excel/charts?sheet=${encodeURIComponent(selectedSheet)}`);
+    return j.error ? null : j.charts || [];
+  }
+
+  // Rendered chart as an object URL; the caller revokes it
+  async function chartImageUrl(id) {
+    const headers = await authHeader();
+    const qs = new URLSearchParams({ sheet: selectedSheet, id, format: 'svg' });
+    const res = await fetch(`${API_BASE}/excel/charts/render?${qs}`, { headers });
+    if (!res.ok) return null;
+    return URL.createObjectURL(await res.blob());
+  }
+
+  async function saveChart(chart) {
+    const j = await apiPost('/excel/charts/save', { sheet: selectedSheet, chart });
+    if (j.error) return null;
+    Toast.success('Chart saved');
+    return j.charts || [];
+  }
+
+  async function deleteChart(id) {
+    const j = await apiPost('/excel/charts/delete', { sheet: selectedSheet, id });
+    return j.error ? null : j.charts || [];
+  }
+
+  /* -------------------------------------------------------
+     CSV import into an existing sheet (preview first, then commit)
+  ------------------------------------------------------- */
+  async function importCsv(file, fields, commit) {
+    if (commit && (dirtyCellsRef.current.size > 0 || structureChangedRef.current || layoutChangeRef.current)) {
+      if (!window.confirm('Importing reloads the sheet and discards your unsaved changes. Continue?')) return null;
+    }
+    setLoading(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      Object.entries(fields).forEach(([k, v]) => v !== '' && v !== undefined && formData.append(k, v));
+      if (commit) formData.append('commit', 'true');
+      const headers = await authHeader();
+      const res = await fetch(`${API_BASE}/excel/import/csv`, { method: 'POST', headers, body: formData });
+      const j = await parseResponse(res);
+      if (j.error) {
+        const where = (j.invalid || []).slice(0, 5).map((p) => `${p.cell}: ${p.message}`);
+        Toast.error([j.error, ...where].join('\n'));
+        return null;
+      }
+      if (commit) {
+        const { appended, updated } = j.counts;
+        Toast.success(`Imported into ${j.sheet}: ${appended} row(s) added${updated ? `, ${updated} updated` : ''}`);
+        if (j.flagged?.length) Toast.warn(`${j.flagged.length} imported cell(s) break validation warnings`);
+        await previewSheet(j.sheet);
+      }
+      return j;
+    } catch (e) {
+      Toast.error(e.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Grid selection as "A1:C12", used to prefill a new chart
+  function selectedRangeA1() {
+    const range = window.__hotInstance?.getSelectedRangeLast();
+    if (!range) return '';
+    const from = range.getTopStartCorner();
+    const to = range.getBottomEndCorner();
+    return `${toA1(from.row, from.col)}:${toA1(to.row, to.col)}`;
+  }
+
+  async function loadSheetPage(offset, limit) {
+    if (!lazyRange) return null;
+    const j = await loadRange(lazyRange.sheet, offset, limit);
+    if (j.error) return null;
+    if (sheetEtag && j.etag && j.etag !== sheetEtag) {
+      Toast.warn('This sheet changed on the server since you opened it; reopen it to see the latest data');
+    }
+    return j;
+  }
+
+  async function previewVersion(version) {
+    const sheetParam = selectedSheet || lastEditedSheet;
+    const qs = `version=${encodeURIComponent(version)}${sheetParam ? `&sheet=${encodeURIComponent(sheetParam)}` : ''}`;
+    const j = await apiGet(`/excel/versions/preview?${qs}`);
+    if (!j.error) {
+      setShowVersions(false);
+      setSelectedSheet(j.sheet);
+      setStagedGrid(j.preview || []);
+      setStagedCells(j.cells || {});
+      setStagedLayout(j.layout || null);
+      setLazyRange(null);
+      setForceReadOnly(true);
+      setViewingVersion(version);
+      resetDirtyState();
+      setValidationRules([]);
+      setValidationIssues({});
+      setConditionalFormats([]);
+      setSheetSchema(null);
+    }
+  }
+
+  async function restoreVersion(version) {
+    const confirmRestore = window.confirm(
+      'Restore this version? The current workbook is kept in history and can be restored later.'
+    );
+    if (!confirmRestore) return;
+    const j = await apiPost('/excel/versions/restore', { version });
+    if (j.error) return;
+
+    Toast.success('Version restored');
+    const names = dedupeNames(j.sheets || []);
+    setSheets(names);
+    setOriginalOrder(names.slice());
+    setShowVersions(false);
+    setViewingVersion(null);
+
+    const reopen = selectedSheet && names.includes(selectedSheet) ? selectedSheet : names[0];
+    if (reopen) await previewSheet(reopen);
+    else setSelectedSheet(null);
+  }
+
   async function saveAllChanges() {
     if (!selectedSheet) {
       Toast.error('No sheet selected');
@@ -360,28 +1303,72 @@ export default function Dashboard() {
 
     try {
       const safeGrid = safeGridSource.map((row) => Array.isArray(row) ? row : [row]);
-      const response = await apiPost('/excel/save-all', { sheet: selectedSheet, data: safeGrid });
+      const dirty = dirtyCellsRef.current;
 
-      if (response.error) {
-        Toast.error(response.error);
+      // A partially loaded grid can only be saved cell by cell
+      if (lazyRange && (!sheetEtag || structureChangedRef.current)) {
+        Toast.error('Row and column changes are not supported on large sheets; reopen the sheet and edit cells instead');
         return;
       }
 
-      Toast.success(`Saved changes to ${selectedSheet}`);
-      setLastEditedSheet(selectedSheet);
-      localStorage.setItem('latestSheet', selectedSheet);
+      // Send only dirty cells when the grid shape is unchanged; fall back to the full grid otherwise
+      let response;
+      if (sheetEtag && !structureChangedRef.current) {
+        if (dirty.size === 0 && !layoutChangeRef.current) {
+          Toast.warn('No changes to save');
+          return;
+        }
+        const changes = [...dirty.entries()].map(([pos, value]) => {
+          const [r, c] = pos.split(':').map(Number);
+          const cell = toA1(r, c);
+          return typeof value === 'string' && value.startsWith('=')
+            ? { cell, formula: value.slice(1) }
+            : { cell, value: value === '' ? null : value };
+        });
+        response = await apiPost('/excel/patch', {
+          sheet: selectedSheet,
+          etag: sheetEtag,
+          changes,
+          layout: layoutChangeRef.current || undefined,
+        });
+      } else {
+        response = await apiPost('/excel/save-all', {
+          sheet: selectedSheet,
+          etag: sheetEtag || undefined,
+          data: safeGrid,
+          layout: layoutChangeRef.current || undefined,
+        });
+      }
 
-      setStagedGrid(safeGrid);
+      if (response.conflict) {
+        const who = response.lastChange?.email ? ` by ${response.lastChange.email}` : '';
+        const reload = window.confirm(
+          `This sheet was changed${who} after you opened it. Reload the latest version? Your unsaved edits will be lost.`
+        );
+        if (reload) await previewSheet(selectedSheet);
+        return;
+      }
 
-      const previewResponse = await apiGet(`/excel/preview?sheet=${encodeURIComponent(selectedSheet)}`);
-      if (previewResponse.error) {
-        Toast.error(previewResponse.error);
+      if (response.invalid) {
+        showCellIssues(response.invalid);
+        return;
+      }
+      if (response.error) {
+        Toast.error(response.error);
         return;
       }
+      resetDirtyState(response.etag || null);
+      if (response.flagged?.length) {
+        Toast.warn(`${response.flagged.length} cell(s) do not match their validation rules`);
+      }
 
-      setStagedGrid(previewResponse.preview || safeGrid);
+      Toast.success(`Saved changes to ${selectedSheet}`);
+      setLastEditedSheet(selectedSheet);
+      localStorage.setItem('latestSheet', selectedSheet);
 
       // Close the editor after successful save (UX choice)
+      setStagedGrid(safeGrid);
+      setLazyRange(null);
       setForceReadOnly(false);
       setSelectedSheet(null);
     } catch (error) {
@@ -406,13 +1393,71 @@ export default function Dashboard() {
       if (selectedSheet === name) {
         setSelectedSheet(null);
         setStagedGrid([]);
+        setLazyRange(null);
         setForceReadOnly(false);
       }
       // Update original order cache if needed
       setOriginalOrder((prev) => prev.filter((s) => s !== name));
+      setSheetStates((prev) => {
+        const { [name]: _removed, ...rest } = prev;
+        return rest;
+      });
     }
   }
 
+  function pinSheet(name) {
+    setLastEditedSheet(name);
+    localStorage.setItem('latestSheet', name);
+  }
+
+  async function renameSheet(name) {
+    const next = (prompt('Rename sheet to:', name) || '').trim();
+    if (!next || next === name) return;
+    const j = await apiPost('/excel/rename-sheet', { name, newName: next });
+    if (j.error) return;
+    const swap = (list) => list.map((s) => (s === name ? j.sheet : s));
+    setSheets(swap);
+    setOriginalOrder(swap);
+    setSheetStates((prev) => {
+      if (!prev[name]) return prev;
+      const { [name]: state, ...rest } = prev;
+      return { ...rest, [j.sheet]: state };
+    });
+    if (selectedSheet === name) setSelectedSheet(j.sheet);
+    pinSheet(j.sheet);
+    Toast.success(
+      j.formulas
+        ? `Renamed to "${j.sheet}" (${j.formulas} formula${j.formulas === 1 ? '' : 's'} updated)`
+        : `Renamed to "${j.sheet}"`
+    );
+  }
+
+  async function duplicateSheet(name) {
+    const j = await apiPost('/excel/duplicate-sheet', { name });
+    if (j.error) return;
+    const names = dedupeNames(j.sheets || [...sheets, j.sheet]);
+    setSheets(names);
+    setOriginalOrder(names.slice());
+    pinSheet(j.sheet);
+    Toast.success(`Duplicated as "${j.sheet}"`);
+  }
+
+  async function setSheetVisibility(name, state) {
+    const j = await apiPost('/excel/sheet-visibility', { name, state });
+    if (j.error) return;
+    setSheetStates(j.states || {});
+    Toast.success(state === 'visible' ? `"${name}" is visible` : `"${name}" hidden`);
+  }
+
+  // Drop `name` onto `target`: take the target's slot in workbook order.
+  // Sent by name, since our copy of the order may be out of date.
+  async function moveSheet(name, target) {
+    if (!name || !target || name === target) return;
+    const j = await apiPost('/excel/move-sheet', { name, target });
+    if (j.error) return;
+    if (Array.isArray(j.sheets)) setOriginalOrder(dedupeNames(j.sheets));
+  }
+
   function uniqueName(base, existingList) {
     if (!existingList.includes(base)) return base;
     let i = 1;
@@ -452,10 +1497,12 @@ export default function Dashboard() {
     }
   }
 
-  async function handleUpload(file) {
+  // `fields.tables` picks the PDF tables to convert; without it a PDF upload only lists them
+  async function handleUpload(file, fields = {}) {
     try {
       const formData = new FormData();
       formData.append('file', file);
+      Object.entries(fields).forEach(([k, v]) => formData.append(k, v));
       const headers = await authHeader();
       const res = await fetch(`${API_BASE}/excel/upload`, {
         method: 'POST',
@@ -464,7 +1511,15 @@ export default function Dashboard() {
       });
       const j = await parseResponse(res);
       if (j.error) {
-        Toast.error(j.error);
+        // Column schema mismatches: name the first few cells
+        const where = (j.invalid || [])
+          .slice(0, 5)
+          .map((p) => (p.cell ? `${p.sheet}!${p.cell}: ${p.message}` : p.message));
+        Toast.error([j.error, ...where].join('\n'));
+        return;
+      }
+      if (j.preview && Array.isArray(j.tables)) {
+        setPdfTablePick({ file, fileName: j.fileName, pages: j.pages, tables: j.tables });
         return;
       }
 
@@ -503,21 +1558,28 @@ export default function Dashboard() {
 
       const first = finalNames[0];
       if (first) {
-        setSelectedSheet(first);
-        setStagedGrid(j.preview || []);
+        // The upload response only previews the first page; open the sheet properly
+        await previewSheet(first);
         setLastEditedSheet(first);
         localStorage.setItem('latestSheet', first);
       }
 
       Toast.success(`Uploaded ${j.fileName || finalNames.join(', ')}`);
+      await loadFiles();
     } catch (err) {
       Toast.error(err.message || 'Upload failed');
     }
   }
 
+  function blockStructuralEdit() {
+    if (!lazyRange) return false;
+    Toast.warn('Inserting rows or columns is not available while a large sheet is partially loaded');
+    return true;
+  }
+
   const addRowAbove = () => {
     const hot = window.__hotInstance;
-    if (!canEdit) return;
+    if (!canEdit || blockStructuralEdit()) return;
     if (!hot) {
       setStagedGrid((prev) => (prev && prev.length ? prev : [[]]));
       return;
@@ -529,7 +1591,7 @@ export default function Dashboard() {
 
   const addRowBelow = () => {
     const hot = window.__hotInstance;
-    if (!canEdit) return;
+    if (!canEdit || blockStructuralEdit()) return;
     if (!hot) {
       setStagedGrid((prev) => (prev && prev.length ? prev : [[]]));
       return;
@@ -541,7 +1603,7 @@ export default function Dashboard() {
 
   const addColLeft = () => {
     const hot = window.__hotInstance;
-    if (!canEdit) return;
+    if (!canEdit || blockStructuralEdit()) return;
     if (!hot) {
       setStagedGrid((prev) => (prev && prev.length ? prev : [[]]));
       return;
@@ -553,7 +1615,7 @@ export default function Dashboard() {
 
   const addColRight = () => {
     const hot = window.__hotInstance;
-    if (!canEdit) return;
+    if (!canEdit || blockStructuralEdit()) return;
     if (!hot) {
       setStagedGrid((prev) => (prev && prev.length ? prev : [[]]));
       return;
@@ -597,7 +1659,7 @@ export default function Dashboard() {
     try {
       setLoading(true);
       const headers = await authHeader();
-      const res = await fetch(`${API_BASE}/excel/export/csv?sheet=${encodeURIComponent(selectedSheet)}`, {
+      const res = await fetch(`${API_BASE}/excel/export/${exportFormat}?sheet=${encodeURIComponent(selectedSheet)}`, {
         method: 'GET',
         headers,
       });
@@ -612,7 +1674,7 @@ export default function Dashboard() {
       a.href = url;
       const cd = res.headers.get('content-disposition') || '';
       const m = cd.match(/filename="?([^"]+)"?/i);
-      const filename = m ? m[1] : `${selectedSheet}.csv`;
+      const filename = m ? m[1] : `${selectedSheet}.${exportFormat === 'markdown' ? 'md' : exportFormat}`;
       a.download = filename;
       document.body.appendChild(a);
       a.click();
@@ -848,15 +1910,51 @@ export default function Dashboard() {
 
                 {user && (
                   <button
-                    className="secondary small"
-                    onClick={async () => {
-                      await supabase.auth.signOut();
-                      clearBrowserState();
-                      window.location.reload();
+                    className="secondary"
+                    onClick={() => {
+                      setShowVersions(true);
+                      setActionsOpen(false);
                     }}
-                    style={{ background: 'var(--danger, #fff)' }}
                   >
-                    Logout
+                    <FaHistory /> Version History
+                  </button>
+                )}
+
+                {user && (
+                  <button
+                    className="secondary"
+                    onClick={() => {
+                      setShowFindReplace(true);
+                      setActionsOpen(false);
+                    }}
+                  >
+                    <FaSearch /> Find &amp; Replace
+                  </button>
+                )}
+
+                {user && canEdit && (
+                  <button
+                    className="secondary"
+                    onClick={() => {
+                      setShowCsvImport(true);
+                      setActionsOpen(false);
+                    }}
+                  >
+                    <FaFileImport /> Import CSV
+                  </button>
+                )}
+
+                {user && (
+                  <button
+                    className="secondary small"
+                    onClick={async () => {
+                      await supabase.auth.signOut();
+                      clearBrowserState();
+                      window.location.reload();
+                    }}
+                    style={{ background: 'var(--danger, #fff)' }}
+                  >
+                    Logout
                   </button>
                 )}
 
@@ -945,10 +2043,21 @@ export default function Dashboard() {
                   borderColor: isDragOver ? '#2563eb' : '#e5e7eb',
                 }}
               >
-                <p>Drag & drop Excel/CSV/PDF to add a sheet</p>
+                <p>Drag & drop Excel/ODS/CSV/JSON/PDF to add a sheet</p>
               </div>
             </div>
 
+            {user && files.length > 0 && (
+              <FilePicker
+                files={files}
+                active={activeFile}
+                onOpen={switchFile}
+                onRename={renameFile}
+                onDuplicate={duplicateFile}
+                onDelete={deleteFile}
+              />
+            )}
+
             <ul
               className="sheet-list"
               style={{
@@ -967,8 +2076,36 @@ export default function Dashboard() {
                   <li
                     key={s}
                     className={`sheet-item lis ${selectedSheet === s ? 'active' : ''}`}
-                    title={s}
+                    title={sheetStates[s] ? `${s} (${sheetStates[s]})` : s}
                     onClick={() => previewSheet(s)}
+                    draggable={!!user && !isMobile}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      e.dataTransfer.setData('text/plain', s);
+                      setDraggedSheet(s);
+                    }}
+                    onDragOver={(e) => {
+                      if (!draggedSheet) return;
+                      e.preventDefault();
+                      if (dropTarget !== s) setDropTarget(s);
+                    }}
+                    onDragEnd={() => {
+                      setDraggedSheet(null);
+                      setDropTarget(null);
+                    }}
+                    onDrop={async (e) => {
+                      if (!draggedSheet) return;
+                      e.preventDefault();
+                      const moving = draggedSheet;
+                      setDraggedSheet(null);
+                      setDropTarget(null);
+                      await moveSheet(moving, s);
+                    }}
+                    onContextMenu={(e) => {
+                      if (!user) return;
+                      e.preventDefault();
+                      setSheetMenu({ sheet: s, x: e.clientX, y: e.clientY });
+                    }}
                     onMouseEnter={() => setHoveredItem(s)}
                     onMouseLeave={() => setHoveredItem(null)}
                     onTouchStart={(e) => onTouchStart(s, e)}
@@ -986,6 +2123,8 @@ export default function Dashboard() {
                       position: 'relative',
                       transform: `translateX(${translate}px)`,
                       transition: isSwiped ? 'transform 0.08s ease' : 'transform 0.18s ease',
+                      opacity: sheetStates[s] || draggedSheet === s ? 0.55 : 1,
+                      boxShadow: dropTarget === s && draggedSheet !== s ? 'inset 0 2px 0 #2563eb' : 'none',
                     }}
                   >
                     <div
@@ -1009,6 +2148,7 @@ export default function Dashboard() {
                       >
                         {s}
                       </span>
+                      {sheetStates[s] && <FaEyeSlash title="Hidden in Excel" style={{ color: '#9ca3af' }} />}
                     </div>
 
                     { (role === 'admin' || role === 'superadmin' || plan === 'paid') && !isMobile && hoveredItem === s && (
@@ -1087,6 +2227,20 @@ export default function Dashboard() {
               })}
             </ul>
 
+            {sheetMenu && (
+              <SheetContextMenu
+                menu={sheetMenu}
+                state={sheetStates[sheetMenu.sheet] || 'visible'}
+                canDelete={role === 'admin' || role === 'superadmin' || plan === 'paid'}
+                onOpen={previewSheet}
+                onRename={renameSheet}
+                onDuplicate={duplicateSheet}
+                onVisibility={setSheetVisibility}
+                onDelete={deleteSheet}
+                onClose={() => setSheetMenu(null)}
+              />
+            )}
+
             {/* Ads disabled */}
             {false && (
               <div
@@ -1107,7 +2261,7 @@ export default function Dashboard() {
         )}
 
         {/* Right: Editor or Audit */}
-        {(!isMobile || selectedSheet || showAudit) && (
+        {(!isMobile || selectedSheet || showAudit || showVersions) && (
           <main
             className="editor-area"
             style={{
@@ -1118,7 +2272,43 @@ export default function Dashboard() {
               flexDirection: 'column',
             }}
           >
-            {selectedSheet ? (
+            {showVersions ? (
+              <div
+                className="card editor-card"
+                style={{
+                  flex: 1,
+                  borderRadius: 12,
+                  border: '1px solid #e5e7eb',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  minHeight: 0,
+                }}
+              >
+                <div
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    borderBottom: '1px solid #e5e7eb',
+                    padding: '10px 16px',
+                    flexShrink: 0,
+                  }}
+                >
+                  <h2 style={{ margin: 0, fontSize: 18 }}>Version History</h2>
+                  <button className="secondary" onClick={() => setShowVersions(false)}>
+                    <FaTimes /> Close
+                  </button>
+                </div>
+                <div style={{ flex: 1, overflowY: 'auto', minHeight: 0 }}>
+                  <VersionHistory
+                    versions={versions}
+                    canRestore={canEdit}
+                    onPreview={previewVersion}
+                    onRestore={restoreVersion}
+                  />
+                </div>
+              </div>
+            ) : selectedSheet ? (
               <div
                 className="card editor-card"
                 style={{
@@ -1146,11 +2336,21 @@ export default function Dashboard() {
                     {selectedSheet}
                     {forceReadOnly && (
                       <span style={{ marginLeft: 8, fontSize: 12, color: '#6b7280' }}>
-                        (read-only)
+                        {viewingVersion ? `(version ${viewingVersion})` : '(read-only)'}
                       </span>
                     )}
                   </h2>
                   <div className="editor-actions" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                    {viewingVersion && canEdit && (
+                      <button
+                        className="primary small"
+                        onClick={() => restoreVersion(viewingVersion)}
+                        disabled={loading}
+                        style={{ padding: '4px 8px' }}
+                      >
+                        Restore
+                      </button>
+                    )}
                     {canEdit && !forceReadOnly && (
                       <button
                         className="primary small"
@@ -1161,7 +2361,42 @@ export default function Dashboard() {
                         <FaSave />
                       </button>
                     )}
-                    <button className="secondary small" onClick={exportSheet} style={{ padding: '4px 8px' }}>
+                    <button
+                      className="secondary small"
+                      onClick={() => setShowFindReplace(true)}
+                      title="Find & Replace"
+                      style={{ padding: '4px 8px' }}
+                    >
+                      <FaSearch />
+                    </button>
+                    {!viewingVersion && (
+                      <button
+                        className="secondary small"
+                        onClick={() => setShowCharts(true)}
+                        title="Charts"
+                        style={{ padding: '4px 8px' }}
+                      >
+                        <FaChartBar />
+                      </button>
+                    )}
+                    <select
+                      value={exportFormat}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                      aria-label="Export format"
+                      title="Export format"
+                    >
+                      {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      className="secondary small"
+                      onClick={exportSheet}
+                      title={`Export as ${EXPORT_FORMATS[exportFormat]}`}
+                      style={{ padding: '4px 8px' }}
+                    >
                       <FaFileExport />
                     </button>
                     <button className="secondary small" onClick={downloadSheet} style={{ padding: '4px 8px' }}>
@@ -1172,6 +2407,7 @@ export default function Dashboard() {
                       onClick={() => {
                         setSelectedSheet(null);
                         setForceReadOnly(false);
+                        setViewingVersion(null);
                       }}
                     >
                       <FaTimes />
@@ -1195,9 +2431,35 @@ export default function Dashboard() {
                   <div className="editor">
                     <SheetEditor
                       data={stagedGrid}
+                      cellMeta={stagedCells}
+                      lazy={lazyRange}
+                      loadPage={loadSheetPage}
+                      names={definedNames}
+                      sheetName={selectedSheet}
+                      validations={validationRules}
+                      validationIssues={validationIssues}
+                      conditionalFormats={conditionalFormats}
+                      onAddConditionalFormat={addConditionalFormat}
+                      onDeleteConditionalFormat={deleteConditionalFormat}
+                      schema={sheetSchema}
+                      onSetSchema={updateSheetSchema}
+                      layout={stagedLayout}
+                      onLayoutChange={(next) => {
+                        layoutChangeRef.current = next;
+                      }}
                       canEdit={canEdit && !forceReadOnly}
                       onChange={(next) => setStagedGrid(next)}
+                      onStructureChange={() => {
+                        structureChangedRef.current = true;
+                      }}
                       onCellEdit={(op) => {
+                        dirtyCellsRef.current.set(`${op.rowIndex}:${op.colIndex}`, op.value);
+                        const a1 = toA1(op.rowIndex, op.colIndex);
+                        setValidationIssues((prev) => {
+                          if (!prev[a1]) return prev;
+                          const { [a1]: _fixed, ...rest } = prev;
+                          return rest;
+                        });
                         if (socketRef.current && selectedSheet && !forceReadOnly) {
                           socketRef.current.emit('cell-edit', {
                             room: `sheet:${selectedSheet}`,
@@ -1275,6 +2537,47 @@ export default function Dashboard() {
       <LoadingOverlay show={loading} />
 
       {/* Modals */}
+      {showFindReplace && (
+        <FindReplaceDialog
+          sheet={selectedSheet}
+          canReplace={canEdit && !forceReadOnly}
+          onFind={findCells}
+          onReplace={replaceCells}
+          onGoTo={goToMatch}
+          onClose={() => setShowFindReplace(false)}
+        />
+      )}
+      {pdfTablePick && (
+        <PdfTablesDialog
+          {...pdfTablePick}
+          onConvert={async (ids) => {
+            const { file } = pdfTablePick;
+            setPdfTablePick(null);
+            await handleUpload(file, { tables: ids.join(',') });
+          }}
+          onClose={() => setPdfTablePick(null)}
+        />
+      )}
+      {showCsvImport && (
+        <CsvImportDialog
+          sheets={sheets}
+          sheet={selectedSheet}
+          onImport={importCsv}
+          onClose={() => setShowCsvImport(false)}
+        />
+      )}
+      {showCharts && selectedSheet && (
+        <ChartsDialog
+          sheet={selectedSheet}
+          canEdit={canEdit && !forceReadOnly}
+          initialRange={selectedRangeA1()}
+          onLoad={loadCharts}
+          onImage={chartImageUrl}
+          onSave={saveChart}
+          onDelete={deleteChart}
+          onClose={() => setShowCharts(false)}
+        />
+      )}
       <Login
         show={showLogin}
         onClose={() => setShowLogin(false)}
@@ -1298,10 +2601,219 @@ export default function Dashboard() {
 /* =======================================================
    SheetEditor with HyperFormula + real-time hooks
 ======================================================= */
-function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
+function SheetEditor({
+  data,
+  cellMeta,
+  lazy,
+  loadPage,
+  names,
+  sheetName,
+  validations,
+  validationIssues,
+  conditionalFormats,
+  onAddConditionalFormat,
+  onDeleteConditionalFormat,
+  layout,
+  onLayoutChange,
+  schema,
+  onSetSchema,
+  onChange,
+  canEdit,
+  onCellEdit,
+  onStructureChange,
+}) {
   const containerRef = useRef(null);
   const hotRef = useRef(null);
   const hfRef = useRef(null);
+  const cellMetaRef = useRef(cellMeta || {});
+  cellMetaRef.current = cellMeta || {};
+  const validationsRef = useRef([]);
+  validationsRef.current = useMemo(
+    () => (validations || []).map((rule) => ({ rule, bounds: parseA1Range(rule.range) })).filter((v) => v.bounds),
+    [validations]
+  );
+  const issuesRef = useRef(validationIssues || {});
+  issuesRef.current = validationIssues || {};
+  const cfRulesRef = useRef([]);
+  cfRulesRef.current = conditionalFormats || [];
+  const cfStylesRef = useRef(new Map());
+  const schemaRef = useRef(schema);
+  schemaRef.current = schema;
+  // Grid column -> schema column, bound by the header row's text
+  const schemaColsRef = useRef(new Map());
+
+  const refreshSchemaColumns = () => {
+    const hot = hotRef.current;
+    const current = schemaRef.current;
+    const bound = new Map();
+    if (hot && current) {
+      const byName = new Map(current.columns.map((c) => [c.name.toLowerCase(), c]));
+      (hot.getDataAtRow(current.headerRow - 1) || []).forEach((header, col) => {
+        const column = byName.get(String(header ?? '').trim().toLowerCase());
+        if (column && ![...bound.values()].includes(column)) bound.set(col, column);
+      });
+    }
+    schemaColsRef.current = bound;
+  };
+
+  // Re-evaluate conditional formatting over the loaded grid (computed values)
+  const refreshConditionalStyles = () => {
+    const hot = hotRef.current;
+    const hf = hfRef.current;
+    if (!hot) return;
+    if (cfRulesRef.current.length === 0) {
+      cfStylesRef.current = new Map();
+      return;
+    }
+    const gridSheet = hot.getPlugin('formulas')?.sheetName;
+    const sheetId = gridSheet && hf ? hf.getSheetId(gridSheet) : undefined;
+    cfStylesRef.current = conditionalFormatMap(
+      cfRulesRef.current,
+      (r, c) => hot.getDataAtCell(r, c),
+      (formula) => {
+        if (sheetId === undefined) return null;
+        try {
+          return hf.calculateFormula(`=${formula}`, sheetId);
+        } catch {
+          return null;
+        }
+      },
+      hot.countRows(),
+      hot.countCols()
+    );
+  };
+
+  // Lazy paging: page 0 arrives with `data`; other pages are fetched on scroll
+  const lazyRef = useRef(lazy);
+  lazyRef.current = lazy;
+  const loadPageRef = useRef(loadPage);
+  loadPageRef.current = loadPage;
+  const pagesRef = useRef(new Set([0]));
+  const pageMetaRef = useRef({});
+
+  const loadVisiblePages = () => {
+    const hot = hotRef.current;
+    if (!hot || !lazyRef.current) return;
+    const first = hot.getFirstRenderedVisibleRow();
+    const last = hot.getLastRenderedVisibleRow();
+    if (first === null || last === null) return;
+
+    for (let page = Math.floor(first / RANGE_PAGE_ROWS); page <= Math.floor(last / RANGE_PAGE_ROWS); page++) {
+      if (pagesRef.current.has(page)) continue;
+      pagesRef.current.add(page);
+      const requestedFor = lazyRef.current;
+      loadPageRef.current?.(page * RANGE_PAGE_ROWS, RANGE_PAGE_ROWS).then((j) => {
+        // Dropped if the user switched sheets meanwhile; retried on the next scroll if it failed
+        if (lazyRef.current !== requestedFor || !hotRef.current) return;
+        if (!j) {
+          pagesRef.current.delete(page);
+          return;
+        }
+        Object.assign(pageMetaRef.current, j.cells || {});
+        const changes = [];
+        (j.grid || []).forEach((row, r) => {
+          row.forEach((value, c) => {
+            if (value !== null) changes.push([j.offset + r, j.column + c, value]);
+          });
+        });
+        if (changes.length > 0) hotRef.current.setSourceDataAtCell(changes, 'loadPage');
+        hotRef.current.render();
+      });
+    }
+  };
+
+  // Sheet layout: sizes are kept in Excel units in index maps registered on
+  // the grid, so they follow rows and columns through inserts and moves.
+  // layoutRef holds the latest layout (the server's until the user changes
+  // it) so reloading the grid after an edit keeps unsaved layout changes.
+  const layoutPropRef = useRef(layout);
+  const layoutRef = useRef(layout);
+  if (layoutPropRef.current !== layout) {
+    layoutPropRef.current = layout;
+    layoutRef.current = layout;
+  }
+  const onLayoutChangeRef = useRef(onLayoutChange);
+  onLayoutChangeRef.current = onLayoutChange;
+  const widthsMapRef = useRef(null);
+  const heightsMapRef = useRef(null);
+  const [frozen, setFrozen] = useState({ rows: 0, cols: 0 });
+
+  const seedLayoutSizes = () => {
+    const hot = hotRef.current;
+    if (!hot || !widthsMapRef.current) return;
+    const seed = (map, entries, key, count) => {
+      map.setValues(Array(count).fill(null));
+      (entries || []).forEach((e) => {
+        if (e[key] !== undefined && e.index <= count) map.setValueAtIndex(e.index - 1, e[key]);
+      });
+    };
+    seed(widthsMapRef.current, layoutRef.current?.columns, 'width', hot.countSourceCols());
+    seed(heightsMapRef.current, layoutRef.current?.rows, 'height', hot.countSourceRows());
+  };
+
+  // Layout in the server's shape (1-based visual indexes, Excel units)
+  const currentLayout = () => {
+    const hot = hotRef.current;
+    const entries = (count, toVisual, sizes, sizeKey, hiddenIndexes) => {
+      const byIndex = new Map();
+      const entry = (visual) => {
+        if (!byIndex.has(visual)) byIndex.set(visual, { index: visual + 1 });
+        return byIndex.get(visual);
+      };
+      sizes.forEach((size, physical) => {
+        const visual = physical < count ? toVisual(physical) : null;
+        if (size !== null && size !== undefined && visual !== null) entry(visual)[sizeKey] = size;
+      });
+      hiddenIndexes.forEach((visual) => {
+        entry(visual).hidden = true;
+      });
+      return [...byIndex.values()].sort((a, b) => a.index - b.index);
+    };
+    const merges = (hot.getPlugin('mergeCells').mergedCellsCollection?.mergedCells || []).map(
+      (m) => `${toA1(m.row, m.col)}:${toA1(m.row + m.rowspan - 1, m.col + m.colspan - 1)}`
+    );
+    const settings = hot.getSettings();
+    return {
+      merges,
+      columns: entries(
+        hot.countSourceCols(),
+        (c) => hot.toVisualColumn(c),
+        widthsMapRef.current.getValues(),
+        'width',
+        hot.getPlugin('hiddenColumns').getHiddenColumns()
+      ),
+      rows: entries(
+        hot.countSourceRows(),
+        (r) => hot.toVisualRow(r),
+        heightsMapRef.current.getValues(),
+        'height',
+        hot.getPlugin('hiddenRows').getHiddenRows()
+      ),
+      frozen: { rows: settings.fixedRowsTop || 0, cols: settings.fixedColumnsStart || 0 },
+    };
+  };
+
+  // Sheets without a server layout (large streamed files) never send one back
+  const layoutChanged = () => {
+    if (!layoutRef.current || !hotRef.current) return;
+    layoutRef.current = currentLayout();
+    onLayoutChangeRef.current?.(layoutRef.current);
+  };
+
+  // Excel's "Freeze Panes": rows above and columns left of the selected cell
+  const toggleFreeze = () => {
+    const hot = hotRef.current;
+    if (!hot) return;
+    let next = { rows: 0, cols: 0 };
+    if (frozen.rows === 0 && frozen.cols === 0) {
+      const from = hot.getSelectedRangeLast()?.getTopStartCorner();
+      next = from ? { rows: Math.max(from.row, 0), cols: Math.max(from.col, 0) } : { rows: 1, cols: 0 };
+      if (next.rows === 0 && next.cols === 0) next = { rows: 1, cols: 0 };
+    }
+    hot.updateSettings({ fixedRowsTop: next.rows, fixedColumnsStart: next.cols });
+    setFrozen(next);
+    layoutChanged();
+  };
 
   // UI state for modals
   const [showFormulaPopup, setShowFormulaPopup] = useState(false);
@@ -1319,6 +2831,56 @@ function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
   // Row adding state
   const [rowsToAdd, setRowsToAdd] = useState(1);
 
+  // Conditional formatting popup
+  const [showFormatPopup, setShowFormatPopup] = useState(false);
+  const [cfDraft, setCfDraft] = useState(EMPTY_CF_DRAFT);
+  const updateCfDraft = (patch) => setCfDraft((prev) => ({ ...prev, ...patch }));
+
+  const openFormatPopup = () => {
+    const sel = hotRef.current?.getSelectedRangeLast();
+    if (sel) {
+      const from = sel.getTopStartCorner();
+      const to = sel.getBottomEndCorner();
+      const start = toA1(Math.max(from.row, 0), Math.max(from.col, 0));
+      const end = toA1(Math.max(to.row, 0), Math.max(to.col, 0));
+      updateCfDraft({ range: start === end ? start : `${start}:${end}` });
+    }
+    setShowFormatPopup(true);
+  };
+
+  const addConditionalFormat = async () => {
+    if (!cfDraft.range.trim()) {
+      Toast.warn('Enter a range such as B2:B100');
+      return;
+    }
+    const ok = await onAddConditionalFormat?.(conditionalDraftToRule(cfDraft));
+    if (ok) setCfDraft((prev) => ({ ...EMPTY_CF_DRAFT, range: prev.range }));
+  };
+
+  // Column schema popup: one row per header cell
+  const [showSchemaPopup, setShowSchemaPopup] = useState(false);
+  const [schemaHeaderRow, setSchemaHeaderRow] = useState(1);
+  const [schemaDraft, setSchemaDraft] = useState([]);
+  const updateSchemaDraft = (index, patch) =>
+    setSchemaDraft((prev) => prev.map((d, i) => (i === index ? { ...d, ...patch } : d)));
+
+  const openSchemaPopup = (headerRow = schema?.headerRow || 1) => {
+    const headers = hotRef.current?.getDataAtRow(headerRow - 1) || [];
+    setSchemaHeaderRow(headerRow);
+    setSchemaDraft(schemaDraftFor(schema, headers));
+    setShowSchemaPopup(true);
+  };
+
+  const saveSchema = async () => {
+    const next = schemaFromDraft(schemaHeaderRow, schemaDraft);
+    if (next?.columns.some((c) => c.type === 'enum' && c.values.length === 0)) {
+      Toast.warn('List the allowed values of every "One of a list" column');
+      return;
+    }
+    const ok = await onSetSchema?.(next);
+    if (ok) setShowSchemaPopup(false);
+  };
+
   // Formula descriptions
   const formulaDescriptions = {
     SUM: 'Adds up all selected numbers.',
@@ -1328,6 +2890,14 @@ function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
     SUBTRACT: 'Subtracts one cell or range from another.',
   };
 
+  // Shifted addresses invalidate evaluated conditional styles too
+  const structureChanged = () => {
+    refreshSchemaColumns();
+    refreshConditionalStyles();
+    layoutChanged();
+    onStructureChange?.();
+  };
+
   // Initialize Handsontable
   useEffect(() => {
     hfRef.current = HyperFormula.buildEmpty({ licenseKey: 'gpl-v3' });
@@ -1361,19 +2931,82 @@ function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
       manualRowMove: true,
       manualColumnMove: true,
       manualColumnResize: true,
+      manualRowResize: true,
+      comments: true,
       stretchH: 'none',
       width: '100%',
       height: initialHeight,
+      // Always set every key so meta from a previously loaded sheet never lingers
+      cells: (row, col) => {
+        const a1 = toA1(row, col);
+        const meta = cellMetaRef.current[a1] || pageMetaRef.current[a1] || null;
+        const match = validationsRef.current.find(
+          ({ bounds: b }) => row >= b.top && row <= b.bottom && col >= b.left && col <= b.right
+        );
+        const issue = issuesRef.current[a1];
+        const note = [meta?.note, issue].filter(Boolean).join('\n');
+        const schemaColumn = row >= (schemaRef.current?.headerRow || 1) ? schemaColsRef.current.get(col) : null;
+        return {
+          renderer: excelMetaRenderer,
+          excelMeta: meta,
+          conditionalStyle: cfStylesRef.current.get(a1) || null,
+          comment: note ? { value: note, readOnly: true } : undefined,
+          // An explicit validation rule wins over the column schema's editor
+          ...schemaCellProps(schemaColumn),
+          ...(match ? validationCellProps(match.rule) : {}),
+          ...(issue ? { valid: false } : {}),
+        };
+      },
       afterChange: (changes, source) => {
         if (!changes || source === 'loadData') return;
-        const next = hotRef.current.getData();
-        onChange(next);
+        refreshSchemaColumns();
+        refreshConditionalStyles();
+        // Lazily loaded pages and collaborators' edits are not edits of ours:
+        // nothing to mark dirty or send back to the room
+        if (source === 'loadPage' || source === 'remoteEdit') return;
+        // Re-staging a partially loaded grid would reload every row on each keystroke
+        if (!lazyRef.current) onChange(hotRef.current.getData());
         changes.forEach(([row, col, _oldVal, newVal]) => {
           onCellEdit?.({ rowIndex: row, colIndex: col, value: newVal });
         });
       },
+      // Row/column inserts, removals and moves shift cell addresses
+      // Rows appended past a partially loaded sheet's end keep every address intact
+      afterCreateRow: (index) => {
+        refreshSchemaColumns();
+        refreshConditionalStyles();
+        layoutChanged();
+        if (!lazyRef.current || index < lazyRef.current.rows) onStructureChange?.();
+      },
+      afterRemoveRow: () => structureChanged(),
+      afterCreateCol: () => structureChanged(),
+      afterRemoveCol: () => structureChanged(),
+      afterRowMove: () => structureChanged(),
+      afterColumnMove: () => structureChanged(),
+      afterScrollVertically: loadVisiblePages,
+      afterColumnResize: (size, column) => {
+        widthsMapRef.current?.setValueAtIndex(hotRef.current.toPhysicalColumn(column), pxToExcelWidth(size));
+        layoutChanged();
+      },
+      afterRowResize: (size, row) => {
+        heightsMapRef.current?.setValueAtIndex(hotRef.current.toPhysicalRow(row), pxToPoints(size));
+        layoutChanged();
+      },
+      // `auto` merges come from loading the layout, not from the user
+      afterMergeCells: (_range, _parent, auto) => {
+        if (!auto) layoutChanged();
+      },
+      afterUnmergeCells: (_range, auto) => {
+        if (!auto) layoutChanged();
+      },
+      afterHideRows: () => layoutChanged(),
+      afterUnhideRows: () => layoutChanged(),
+      afterHideColumns: () => layoutChanged(),
+      afterUnhideColumns: () => layoutChanged(),
     });
 
+    widthsMapRef.current = hotRef.current.columnIndexMapper.createAndRegisterIndexMap('excelColumnWidths', 'physicalIndexToValue', null);
+    heightsMapRef.current = hotRef.current.rowIndexMapper.createAndRegisterIndexMap('excelRowHeights', 'physicalIndexToValue', null);
     window.__hotInstance = hotRef.current;
 
     return () => {
@@ -1387,20 +3020,71 @@ function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
   // Update data when props change
   useEffect(() => {
     if (!hotRef.current) return;
+    pagesRef.current = new Set([0]);
+    pageMetaRef.current = {};
+    const gridData = Array.isArray(data) ? data : [[]];
+    const settings = layoutSettings(layoutRef.current, gridData.length, gridData.reduce((n, row) => Math.max(n, row?.length || 0), 1));
     hotRef.current.updateSettings({
-      data: Array.isArray(data) ? data : [[]],
+      data: gridData,
       readOnly: !canEdit,
+      // Structural edits need the whole grid, which a lazy sheet never holds
+      contextMenu: canEdit ? (lazy ? ['undo', 'redo', '---------', 'copy', 'cut'] : true) : false,
+      manualRowMove: !lazy,
+      manualColumnMove: !lazy,
+      ...settings,
+    });
+    seedLayoutSizes();
+    setFrozen({ rows: settings.fixedRowsTop, cols: settings.fixedColumnsStart });
+    refreshSchemaColumns();
+    refreshConditionalStyles();
+    hotRef.current.render();
+    loadVisiblePages();
+  }, [data, canEdit, lazy, layout]);
+
+  useEffect(() => {
+    refreshSchemaColumns();
+    refreshConditionalStyles();
+    hotRef.current?.render();
+  }, [cellMeta, validations, validationIssues, conditionalFormats, schema]);
+
+  // Defined names usable on this sheet: workbook-level ones plus its own
+  const sheetNames = (names || []).filter(
+    (n) => !n.scope || (sheetName && n.scope.toLowerCase() === sheetName.toLowerCase())
+  );
+
+  // Mirror names that only point at this sheet (or are constants) into the
+  // grid's engine so wizard formulas show values before saving; the server
+  // evaluates the rest on save
+  useEffect(() => {
+    const hot = hotRef.current;
+    const hf = hfRef.current;
+    if (!hot || !hf) return;
+    const gridSheet = hot.getPlugin('formulas')?.sheetName;
+    if (!gridSheet) return;
+
+    hf.listNamedExpressions().forEach((name) => hf.removeNamedExpression(name));
+    sheetNames.forEach((n) => {
+      const expression = localNameExpression(n.refersTo, sheetName, gridSheet);
+      if (!expression) return;
+      try {
+        hf.addNamedExpression(n.name, expression);
+      } catch {}
     });
-  }, [data, canEdit]);
+    hot.render();
+  }, [names, sheetName]);
 
   // Apply formula logic
   const applyFormula = () => {
     const hot = hotRef.current;
     if (!hot) return;
 
+    // Inputs are column letters or defined names (matched case-insensitively)
+    const findName = (input) => sheetNames.find((n) => n.name.toLowerCase() === input.toLowerCase());
     const inputs = inputCols.split(',')
-      .map((c) => c.trim().toUpperCase())
-      .filter(Boolean);
+      .map((c) => c.trim())
+      .filter(Boolean)
+      .map((c) => findName(c)?.name || c.toUpperCase());
+    const named = inputs.some((i) => findName(i));
 
     const out = (outputCol || '').trim().toUpperCase();
     const stop = parseInt(stopRow, 10) || hot.countRows();
@@ -1415,7 +3099,21 @@ function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
       return letter ? letter.charCodeAt(0) - A : 0;
     };
 
-    if (selectedFormula === 'SUM' && inputs.length === 1) {
+    if (named) {
+      // Names refer to whole ranges, so the result is one aggregate in the stop row
+      const args = inputs.map((i) => (findName(i) ? i : `${i}1:${i}${stop - 1}`));
+      let formula = '';
+      if (selectedFormula === 'SUM') formula = `=SUM(${args.join(',')})`;
+      else if (selectedFormula === 'AVERAGE') formula = `=AVERAGE(${args.join(',')})`;
+      else if (selectedFormula === 'MULTIPLY') formula = `=PRODUCT(${args.join(',')})`;
+      else if (args.length < 2) {
+        Toast.warn(`${selectedFormula} needs two inputs`);
+        return;
+      } else if (selectedFormula === 'DIVIDE') formula = `=SUM(${args[0]})/PRODUCT(${args.slice(1).join(',')})`;
+      else if (selectedFormula === 'SUBTRACT') formula = `=SUM(${args[0]})-SUM(${args.slice(1).join(',')})`;
+      hot.setDataAtCell(stop - 1, colIndex(out), formula);
+
+    } else if (selectedFormula === 'SUM' && inputs.length === 1) {
       const startRow = 1;
       const endRow = stop - 1;
       const targetRow = stop;
@@ -1517,8 +3215,290 @@ function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
         <button className="secondary small" onClick={() => setShowRowPopup(true)}>
           +Row
         </button>
+        <button className="secondary small" onClick={openFormatPopup}>
+          Formatting
+        </button>
+        <button className="secondary small" onClick={() => openSchemaPopup()}>
+          Schema
+        </button>
+        {layout && canEdit && (
+          <button className="secondary small" onClick={toggleFreeze} title="Freeze rows above and columns left of the selected cell">
+            {frozen.rows || frozen.cols ? 'Unfreeze' : 'Freeze'}
+          </button>
+        )}
       </div>
 
+      {/* Conditional formatting modal */}
+      {showFormatPopup && (
+        <div
+          style={{
+            position: 'fixed',
+            top: '15%',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            background: 'var(--bg, --text)',
+            border: '1px solid #e5e7eb',
+            borderRadius: 8,
+            padding: 16,
+            zIndex: 1000,
+            boxShadow: '0 8px 20px rgba(0,0,0,0.25)',
+            width: 380,
+            maxHeight: '70vh',
+            overflowY: 'auto',
+          }}
+        >
+          <h3 style={{ marginTop: 0 }}>Conditional Formatting</h3>
+          {(conditionalFormats || []).length === 0 ? (
+            <p style={{ fontSize: 13, color: '#6b7280' }}>No rules on this sheet.</p>
+          ) : (
+            <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 12px' }}>
+              {conditionalFormats.map((rule) => (
+                <li
+                  key={rule.priority}
+                  style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, padding: '4px 0' }}
+                >
+                  <span
+                    style={{
+                      width: 14,
+                      height: 14,
+                      borderRadius: 3,
+                      flexShrink: 0,
+                      background: rule.style?.fill || rule.color || rule.colors?.[0] || '#e5e7eb',
+                    }}
+                  />
+                  <span style={{ flex: 1 }}>
+                    <strong>{rule.range}</strong> {describeConditionalRule(rule)}
+                  </span>
+                  {canEdit && (
+                    <button
+                      className="secondary small"
+                      onClick={() => onDeleteConditionalFormat?.(rule.priority)}
+                      title="Remove rule"
+                    >
+                      <FaTrash />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canEdit && (
+            <>
+              <label style={{ display: 'block', marginBottom: 8 }}>
+                Range:
+                <input
+                  value={cfDraft.range}
+                  onChange={(e) => updateCfDraft({ range: e.target.value })}
+                  placeholder="B2:B100"
+                  style={{ marginLeft: 8, width: 140 }}
+                />
+              </label>
+              <label style={{ display: 'block', marginBottom: 8 }}>
+                Rule:
+                <select
+                  value={cfDraft.type}
+                  onChange={(e) => updateCfDraft({ type: e.target.value })}
+                  style={{ marginLeft: 8 }}
+                >
+                  <option value="cellIs">Cell value</option>
+                  <option value="expression">Formula</option>
+                  <option value="colorScale">Color scale</option>
+                  <option value="dataBar">Data bar</option>
+                </select>
+              </label>
+
+              {cfDraft.type === 'cellIs' && (
+                <div style={{ marginBottom: 8, display: 'flex', gap: 6, alignItems: 'center' }}>
+                  <select value={cfDraft.operator} onChange={(e) => updateCfDraft({ operator: e.target.value })}>
+                    {Object.entries(CF_OPERATORS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {cfDraft.operator === 'between' || cfDraft.operator === 'notBetween' ? (
+                    <>
+                      <input value={cfDraft.min} onChange={(e) => updateCfDraft({ min: e.target.value })} style={{ width: 70 }} />
+                      and
+                      <input value={cfDraft.max} onChange={(e) => updateCfDraft({ max: e.target.value })} style={{ width: 70 }} />
+                    </>
+                  ) : (
+                    <input
+                      value={cfDraft.value}
+                      onChange={(e) => updateCfDraft({ value: e.target.value })}
+                      placeholder="10, text or =$F$1"
+                      style={{ width: 140 }}
+                    />
+                  )}
+                </div>
+              )}
+              {cfDraft.type === 'expression' && (
+                <label style={{ display: 'block', marginBottom: 8 }}>
+                  Formula (for the range's first cell):
+                  <input
+                    value={cfDraft.formula}
+                    onChange={(e) => updateCfDraft({ formula: e.target.value })}
+                    placeholder="=$C2>100"
+                    style={{ display: 'block', width: '100%', marginTop: 4 }}
+                  />
+                </label>
+              )}
+              {(cfDraft.type === 'cellIs' || cfDraft.type === 'expression') && (
+                <div style={{ marginBottom: 8, display: 'flex', gap: 10, alignItems: 'center', fontSize: 13 }}>
+                  <label>
+                    Fill <input type="color" value={cfDraft.fill} onChange={(e) => updateCfDraft({ fill: e.target.value })} />
+                  </label>
+                  <label>
+                    Text <input type="color" value={cfDraft.color} onChange={(e) => updateCfDraft({ color: e.target.value })} />
+                  </label>
+                  <label>
+                    <input type="checkbox" checked={cfDraft.bold} onChange={(e) => updateCfDraft({ bold: e.target.checked })} /> Bold
+                  </label>
+                </div>
+              )}
+              {cfDraft.type === 'colorScale' && (
+                <div style={{ marginBottom: 8, display: 'flex', gap: 10, alignItems: 'center', fontSize: 13 }}>
+                  {[0, 1, 2].map((i) =>
+                    i === 1 && !cfDraft.threeColor ? null : (
+                      <input
+                        key={i}
+                        type="color"
+                        value={cfDraft.colors[i]}
+                        onChange={(e) =>
+                          updateCfDraft({ colors: cfDraft.colors.map((c, j) => (j === i ? e.target.value : c)) })
+                        }
+                      />
+                    )
+                  )}
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={cfDraft.threeColor}
+                      onChange={(e) => updateCfDraft({ threeColor: e.target.checked })}
+                    />{' '}
+                    Midpoint
+                  </label>
+                </div>
+              )}
+              {cfDraft.type === 'dataBar' && (
+                <label style={{ display: 'block', marginBottom: 8, fontSize: 13 }}>
+                  Bar color{' '}
+                  <input type="color" value={cfDraft.barColor} onChange={(e) => updateCfDraft({ barColor: e.target.value })} />
+                </label>
+              )}
+            </>
+          )}
+
+          <div style={{ marginTop: 12, display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+            <button className="secondary small" onClick={() => setShowFormatPopup(false)}>Close</button>
+            {canEdit && (
+              <button className="primary small" onClick={addConditionalFormat}>Add rule</button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Column schema modal */}
+      {showSchemaPopup && (
+        <div
+          style={{
+            position: 'fixed',
+            top: '15%',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            background: 'var(--bg, --text)',
+            border: '1px solid #e5e7eb',
+            borderRadius: 8,
+            padding: 16,
+            zIndex: 1000,
+            boxShadow: '0 8px 20px rgba(0,0,0,0.25)',
+            width: 460,
+            maxHeight: '70vh',
+            overflowY: 'auto',
+          }}
+        >
+          <h3 style={{ marginTop: 0 }}>Column Schema</h3>
+          <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0 }}>
+            Typed columns are checked on every save; untyped columns are free text.
+          </p>
+          <label style={{ display: 'block', marginBottom: 8 }}>
+            Header row:
+            <input
+              type="number"
+              min="1"
+              value={schemaHeaderRow}
+              disabled={!canEdit}
+              onChange={(e) => openSchemaPopup(Math.max(parseInt(e.target.value, 10) || 1, 1))}
+              style={{ marginLeft: 8, width: 70 }}
+            />
+          </label>
+          {schemaDraft.length === 0 ? (
+            <p style={{ fontSize: 13, color: '#6b7280' }}>Row {schemaHeaderRow} has no column names.</p>
+          ) : (
+            <table style={{ width: '100%', fontSize: 13, borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ textAlign: 'left' }}>
+                  <th>Column</th>
+                  <th>Type</th>
+                  <th title="A value is required">Req.</th>
+                  <th title="No duplicates">Unique</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schemaDraft.map((d, i) => (
+                  <tr key={d.name}>
+                    <td style={{ padding: '4px 4px 4px 0' }}>{d.name}</td>
+                    <td style={{ padding: 4 }}>
+                      <select value={d.type} disabled={!canEdit} onChange={(e) => updateSchemaDraft(i, { type: e.target.value })}>
+                        <option value="">(any)</option>
+                        {Object.entries(SCHEMA_TYPES).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      {d.type === 'enum' && (
+                        <input
+                          value={d.values}
+                          disabled={!canEdit}
+                          onChange={(e) => updateSchemaDraft(i, { values: e.target.value })}
+                          placeholder="open, closed"
+                          style={{ display: 'block', marginTop: 4, width: 160 }}
+                        />
+                      )}
+                    </td>
+                    <td style={{ padding: 4 }}>
+                      <input
+                        type="checkbox"
+                        checked={d.required}
+                        disabled={!canEdit || !d.type}
+                        onChange={(e) => updateSchemaDraft(i, { required: e.target.checked })}
+                      />
+                    </td>
+                    <td style={{ padding: 4 }}>
+                      <input
+                        type="checkbox"
+                        checked={d.unique}
+                        disabled={!canEdit || !d.type}
+                        onChange={(e) => updateSchemaDraft(i, { unique: e.target.checked })}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div style={{ marginTop: 12, display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+            <button className="secondary small" onClick={() => setShowSchemaPopup(false)}>Close</button>
+            {canEdit && (
+              <button className="primary small" onClick={saveSchema}>Save schema</button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Formula modal */}
       {showFormulaPopup && (
         <div
@@ -1575,6 +3555,27 @@ function SheetEditor({ data, onChange, canEdit, onCellEdit }) {
               placeholder="B,C"
             />
           </label>
+          {sheetNames.length > 0 && (
+            <label style={{ display: 'block' }}>
+              Named range:
+              <select
+                value=""
+                onChange={(e) => {
+                  const picked = e.target.value;
+                  if (!picked) return;
+                  setInputCols((prev) => (prev.trim() ? `${prev.trim()},${picked}` : picked));
+                }}
+                style={{ marginLeft: 8 }}
+              >
+                <option value="">-- Add name --</option>
+                {sheetNames.map((n) => (
+                  <option key={`${n.scope || ''}!${n.name}`} value={n.name} title={n.comment || undefined}>
+                    {n.name} ({n.refersTo}){n.scope ? ' · this sheet' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
           <label>
             Output col:
             <input
@@ -1814,3 +3815,769 @@ function AuditTable({ entries, onOpen }) {
     </div>
   );
 }
+
+/* =======================================================
+   Version history list (preview read-only or restore)
+======================================================= */
+function VersionHistory({ versions, canRestore, onPreview, onRestore }) {
+  return (
+    <div
+      className="version-history"
+      style={{
+        display: 'grid',
+        gap: 8,
+        padding: 12,
+      }}
+    >
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: '160px 1fr 1fr 80px 160px',
+          fontWeight: 600,
+          borderBottom: '1px solid #e5e7eb',
+          paddingBottom: 8,
+        }}
+      >
+        <span>Saved</span>
+        <span>Replaced by</span>
+        <span>Action</span>
+        <span>Size</span>
+        <span />
+      </div>
+
+      {versions && versions.length > 0 ? (
+        versions.map((v) => (
+          <div
+            key={v.id}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: '160px 1fr 1fr 80px 160px',
+              padding: '8px 0',
+              borderBottom: '1px dashed #eee',
+              alignItems: 'center',
+            }}
+          >
+            <span style={{ color: '#6b7280' }}>{formatTS(v.created_at)}</span>
+            <span>{v.replaced_by?.email || '—'}</span>
+            <span>
+              {v.replaced_by?.action || '—'}
+              {v.replaced_by?.sheet ? ` (${v.replaced_by.sheet})` : ''}
+            </span>
+            <span>{v.size != null ? `${Math.ceil(v.size / 1024)} KB` : '—'}</span>
+            <div style={{ display: 'flex', gap: 6 }}>
+              <button className="secondary small" onClick={() => onPreview?.(v.id)}>
+                Preview
+              </button>
+              {canRestore && (
+                <button className="primary small" onClick={() => onRestore?.(v.id)}>
+                  Restore
+                </button>
+              )}
+            </div>
+          </div>
+        ))
+      ) : (
+        <p className="muted" style={{ color: '#6b7280' }}>No versions yet. A snapshot is kept before every save.</p>
+      )}
+    </div>
+  );
+}
+
+/* =======================================================
+   Find & replace across the workbook (or the open sheet)
+======================================================= */
+function FindReplaceDialog({ sheet, canReplace, onFind, onReplace, onGoTo, onClose }) {
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [options, setOptions] = useState({ matchCase: false, wholeCell: false, regex: false, formulas: false });
+  const [scope, setScope] = useState(sheet ? 'sheet' : 'all');
+  const [result, setResult] = useState(null);
+
+  const search = () => ({ query, ...options, sheet: scope === 'sheet' && sheet ? sheet : undefined });
+  const toggle = (name) => setOptions((prev) => ({ ...prev, [name]: !prev[name] }));
+
+  async function find() {
+    if (!query) return;
+    setResult(await onFind(search()));
+  }
+
+  async function replaceAll() {
+    if (!query) return;
+    const j = await onReplace({ ...search(), replacement });
+    if (j) setResult(null);
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: '15%',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: 'var(--bg, --text)',
+        border: '1px solid #e5e7eb',
+        borderRadius: 8,
+        padding: 16,
+        zIndex: 1000,
+        boxShadow: '0 8px 20px rgba(0,0,0,0.25)',
+        width: 460,
+        maxHeight: '70vh',
+        overflowY: 'auto',
+      }}
+    >
+      <h3 style={{ marginTop: 0 }}>Find &amp; Replace</h3>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          find();
+        }}
+        style={{ display: 'grid', gap: 8 }}
+      >
+        <input autoFocus placeholder="Find" value={query} onChange={(e) => setQuery(e.target.value)} />
+        {canReplace && (
+          <input
+            placeholder={options.regex ? 'Replace with ($1 for groups)' : 'Replace with'}
+            value={replacement}
+            onChange={(e) => setReplacement(e.target.value)}
+          />
+        )}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10, fontSize: 13 }}>
+          {[
+            ['matchCase', 'Match case'],
+            ['wholeCell', 'Whole cell'],
+            ['regex', 'Regular expression'],
+            ['formulas', 'Search formulas'],
+          ].map(([name, label]) => (
+            <label key={name}>
+              <input type="checkbox" checked={options[name]} onChange={() => toggle(name)} /> {label}
+            </label>
+          ))}
+        </div>
+        <label style={{ fontSize: 13 }}>
+          Search in:
+          <select value={scope} onChange={(e) => setScope(e.target.value)} style={{ marginLeft: 8 }}>
+            {sheet && <option value="sheet">{sheet}</option>}
+            <option value="all">All sheets</option>
+          </select>
+        </label>
+        <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+          <button type="button" className="secondary small" onClick={onClose}>
+            Close
+          </button>
+          {canReplace && (
+            <button type="button" className="secondary small" onClick={replaceAll} disabled={!query}>
+              Replace All
+            </button>
+          )}
+          <button type="submit" className="primary small" disabled={!query}>
+            Find
+          </button>
+        </div>
+      </form>
+
+      {result && (
+        <div style={{ marginTop: 12 }}>
+          <p style={{ fontSize: 13, color: '#6b7280', margin: '0 0 6px' }}>
+            {result.total === 0
+              ? 'No matches.'
+              : `${result.total} match(es)${result.truncated ? `, showing the first ${result.matches.length}` : ''}`}
+          </p>
+          <div style={{ display: 'grid', gap: 2, fontSize: 13 }}>
+            {result.matches.map((m) => (
+              <button
+                key={`${m.sheet}!${m.cell}`}
+                type="button"
+                className="secondary small"
+                onClick={() => onGoTo(m)}
+                style={{ display: 'flex', gap: 8, textAlign: 'left' }}
+              >
+                <strong style={{ whiteSpace: 'nowrap' }}>
+                  {m.sheet}!{m.cell}
+                </strong>
+                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {m.in === 'formula' ? m.formula : String(m.value ?? '')}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =======================================================
+   Tables found in an uploaded PDF: pick the ones to convert
+======================================================= */
+function PdfTablesDialog({ fileName, pages, tables, onConvert, onClose }) {
+  const [picked, setPicked] = useState(() => new Set(tables.map((t) => t.id)));
+  const toggle = (id) =>
+    setPicked((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: '15%',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: 'var(--bg, --text)',
+        border: '1px solid #e5e7eb',
+        borderRadius: 8,
+        padding: 16,
+        zIndex: 1000,
+        boxShadow: '0 8px 20px rgba(0,0,0,0.25)',
+        width: 560,
+        maxHeight: '70vh',
+        overflowY: 'auto',
+      }}
+    >
+      <h3 style={{ marginTop: 0 }}>Tables in {fileName}</h3>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0 }}>
+        {tables.length} table(s) found in {pages} page(s). Each one you keep becomes a sheet.
+      </p>
+      <div style={{ display: 'grid', gap: 12 }}>
+        {tables.map((t) => (
+          <div key={t.id} style={{ border: '1px solid #e5e7eb', borderRadius: 6, padding: 8, fontSize: 13 }}>
+            <label style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 6 }}>
+              <input type="checkbox" checked={picked.has(t.id)} onChange={() => toggle(t.id)} />
+              <strong>
+                Page {t.page}, table {t.id.split('-t')[1]}
+              </strong>
+              <span style={{ color: '#6b7280' }}>
+                {t.rows} row(s) × {t.columns} column(s)
+              </span>
+            </label>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', fontSize: 12, borderCollapse: 'collapse' }}>
+                <tbody>
+                  {t.sample.map((row, i) => (
+                    <tr key={i} style={t.header && i === 0 ? { fontWeight: 'bold' } : undefined}>
+                      {row.map((cell, c) => (
+                        <td key={c} style={{ borderBottom: '1px solid #e5e7eb', padding: '2px 4px' }}>
+                          {cell}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 12 }}>
+        <button type="button" className="secondary small" onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          className="primary small"
+          disabled={picked.size === 0}
+          onClick={() => onConvert(tables.filter((t) => picked.has(t.id)).map((t) => t.id))}
+        >
+          Convert {picked.size} table(s)
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* =======================================================
+   CSV import into an existing sheet: options, preview, commit
+======================================================= */
+const CSV_IMPORT_MODE_LABELS = {
+  append: 'Append rows',
+  replace: 'Replace the sheet',
+  upsert: 'Update by key, add the rest',
+};
+const CSV_DELIMITER_LABELS = { comma: 'Comma', semicolon: 'Semicolon', tab: 'Tab', pipe: 'Pipe' };
+const CSV_DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+function CsvImportDialog({ sheets, sheet, onImport, onClose }) {
+  const [file, setFile] = useState(null);
+  const [fields, setFields] = useState({
+    sheet: sheet || sheets[0] || '',
+    mode: 'append',
+    keyColumn: '',
+    headerRow: 1,
+    header: 'auto',
+    delimiter: '',
+    encoding: '',
+    quote: '',
+  });
+  const [preview, setPreview] = useState(null);
+
+  // Any change invalidates the preview
+  const update = (patch) => {
+    setFields((prev) => ({ ...prev, ...patch }));
+    setPreview(null);
+  };
+
+  async function runPreview() {
+    if (!file) return;
+    const j = await onImport(file, fields, false);
+    if (!j) return;
+    setPreview(j);
+    if (fields.mode === 'upsert' && !fields.keyColumn && j.header?.length) setFields((prev) => ({ ...prev, keyColumn: j.header[0] }));
+  }
+
+  async function commit() {
+    const j = await onImport(file, fields, true);
+    if (j) onClose();
+  }
+
+  const sampleColumns = preview ? [...new Set(preview.sample.flatMap((r) => Object.keys(r.cells)))] : [];
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: '15%',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: 'var(--bg, --text)',
+        border: '1px solid #e5e7eb',
+        borderRadius: 8,
+        padding: 16,
+        zIndex: 1000,
+        boxShadow: '0 8px 20px rgba(0,0,0,0.25)',
+        width: 560,
+        maxHeight: '70vh',
+        overflowY: 'auto',
+      }}
+    >
+      <h3 style={{ marginTop: 0 }}>Import CSV</h3>
+      <div style={{ display: 'grid', gap: 8, fontSize: 13 }}>
+        <input
+          type="file"
+          accept=".csv,.txt,text/csv"
+          onChange={(e) => {
+            setFile(e.target.files?.[0] || null);
+            setPreview(null);
+          }}
+        />
+        <label>
+          Into sheet:
+          <select value={fields.sheet} onChange={(e) => update({ sheet: e.target.value })} style={{ marginLeft: 8 }}>
+            {sheets.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Mode:
+          <select value={fields.mode} onChange={(e) => update({ mode: e.target.value })} style={{ marginLeft: 8 }}>
+            {Object.entries(CSV_IMPORT_MODE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {fields.mode !== 'replace' && (
+          <label>
+            Sheet header row:
+            <input
+              type="number"
+              min={1}
+              value={fields.headerRow}
+              onChange={(e) => update({ headerRow: Number(e.target.value) || 1 })}
+              style={{ width: 70, marginLeft: 8 }}
+            />
+          </label>
+        )}
+        {fields.mode === 'upsert' && (
+          <label>
+            Key column:
+            {preview?.header?.length ? (
+              <select value={fields.keyColumn} onChange={(e) => update({ keyColumn: e.target.value })} style={{ marginLeft: 8 }}>
+                {preview.header.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                placeholder="Column name, e.g. ID"
+                value={fields.keyColumn}
+                onChange={(e) => update({ keyColumn: e.target.value })}
+                style={{ marginLeft: 8 }}
+              />
+            )}
+          </label>
+        )}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10 }}>
+          <label>
+            Header:
+            <select value={fields.header} onChange={(e) => update({ header: e.target.value })} style={{ marginLeft: 4 }}>
+              <option value="auto">Detect</option>
+              <option value="true">First row</option>
+              <option value="false">None</option>
+            </select>
+          </label>
+          <label>
+            Delimiter:
+            <select value={fields.delimiter} onChange={(e) => update({ delimiter: e.target.value })} style={{ marginLeft: 4 }}>
+              <option value="">Detect</option>
+              {Object.entries(CSV_DELIMITER_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Encoding:
+            <select value={fields.encoding} onChange={(e) => update({ encoding: e.target.value })} style={{ marginLeft: 4 }}>
+              <option value="">Detect</option>
+              <option value="utf-8">UTF-8</option>
+              <option value="utf-16le">UTF-16 LE</option>
+              <option value="utf-16be">UTF-16 BE</option>
+              <option value="windows-1252">Windows-1252</option>
+            </select>
+          </label>
+          <label>
+            Quote:
+            <select value={fields.quote} onChange={(e) => update({ quote: e.target.value })} style={{ marginLeft: 4 }}>
+              <option value="">Detect</option>
+              <option value={'"'}>"</option>
+              <option value="'">'</option>
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {preview && (
+        <div style={{ marginTop: 12, fontSize: 13 }}>
+          <p style={{ color: '#6b7280', margin: '0 0 6px' }}>
+            {preview.dialect.encoding.toUpperCase()}, {CSV_DELIMITER_LABELS[CSV_DELIMITER_NAMES[preview.dialect.delimiter]] || `"${preview.dialect.delimiter}"`}{' '}
+            delimited, {preview.dialect.header ? 'with' : 'without'} a header; {preview.rows} row(s).{' '}
+            {preview.counts.appended} to add
+            {preview.mode === 'upsert' ? `, ${preview.counts.updated} to update, ${preview.counts.skipped} without a key` : ''}.
+          </p>
+          {preview.unmatched.length > 0 && (
+            <p style={{ color: '#b45309', margin: '0 0 6px' }}>Not in the sheet header, skipped: {preview.unmatched.join(', ')}</p>
+          )}
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', fontSize: 12, borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  {sampleColumns.map((c) => (
+                    <th key={c}>{c}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.sample.map((r) => (
+                  <tr key={r.row}>
+                    <td>{r.row}</td>
+                    {sampleColumns.map((c) => (
+                      <td key={c}>{r.cells[c] === null || r.cells[c] === undefined ? '' : String(r.cells[c])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 12 }}>
+        <button type="button" className="secondary small" onClick={onClose}>
+          Close
+        </button>
+        <button type="button" className="secondary small" onClick={runPreview} disabled={!file || !fields.sheet}>
+          Preview
+        </button>
+        <button type="button" className="primary small" onClick={commit} disabled={!preview}>
+          Import
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* =======================================================
+   Charts of the open sheet: server-rendered previews, add/edit/delete
+======================================================= */
+const CHART_TYPE_LABELS = { bar: 'Bar', line: 'Line', pie: 'Pie', scatter: 'Scatter' };
+
+function ChartsDialog({ sheet, canEdit, initialRange, onLoad, onImage, onSave, onDelete, onClose }) {
+  const [charts, setCharts] = useState(null);
+  const [images, setImages] = useState({});
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    onLoad().then((list) => setCharts(list || []));
+  }, [sheet]);
+
+  // Re-render every preview whenever the list changes
+  useEffect(() => {
+    if (!charts) return undefined;
+    let cancelled = false;
+    const urls = {};
+    Promise.all(
+      charts.map(async (c) => {
+        urls[c.id] = await onImage(c.id);
+      })
+    ).then(() => {
+      if (!cancelled) setImages({ ...urls });
+    });
+    return () => {
+      cancelled = true;
+      Object.values(urls).forEach((u) => u && URL.revokeObjectURL(u));
+    };
+  }, [charts]);
+
+  const newChart = () => setDraft({ type: 'bar', range: initialRange, title: '' });
+
+  async function save() {
+    if (!draft.range) {
+      Toast.warn('Enter a range such as A1:C12');
+      return;
+    }
+    const next = await onSave({ ...draft, title: draft.title || undefined });
+    if (next) {
+      setCharts(next);
+      setDraft(null);
+    }
+  }
+
+  async function remove(chart) {
+    if (!window.confirm(`Delete chart "${chart.title || chart.range}"?`)) return;
+    const next = await onDelete(chart.id);
+    if (next) setCharts(next);
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: '15%',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: 'var(--bg, --text)',
+        border: '1px solid #e5e7eb',
+        borderRadius: 8,
+        padding: 16,
+        zIndex: 1000,
+        boxShadow: '0 8px 20px rgba(0,0,0,0.25)',
+        width: 560,
+        maxHeight: '70vh',
+        overflowY: 'auto',
+      }}
+    >
+      <h3 style={{ marginTop: 0 }}>Charts: {sheet}</h3>
+      <p style={{ fontSize: 13, color: '#6b7280', marginTop: 0 }}>
+        The first row of the range names the series, the first column holds the categories (x values for scatter).
+        Pie charts use the first series.
+      </p>
+
+      {charts === null && <p style={{ fontSize: 13 }}>Loading…</p>}
+      {charts?.length === 0 && !draft && <p style={{ fontSize: 13 }}>No charts on this sheet yet.</p>}
+      <div style={{ display: 'grid', gap: 12 }}>
+        {charts?.map((c) => (
+          <div key={c.id} style={{ border: '1px solid #e5e7eb', borderRadius: 6, padding: 8 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6, fontSize: 13 }}>
+              <strong style={{ flex: 1 }}>
+                {c.title || CHART_TYPE_LABELS[c.type]} <span style={{ color: '#6b7280' }}>({c.range})</span>
+              </strong>
+              {canEdit && (
+                <>
+                  <button className="secondary small" onClick={() => setDraft({ ...c, title: c.title || '' })}>
+                    <FaEdit />
+                  </button>
+                  <button className="secondary small" onClick={() => remove(c)}>
+                    <FaTrash />
+                  </button>
+                </>
+              )}
+            </div>
+            {images[c.id] ? (
+              <img src={images[c.id]} alt={c.title || c.type} style={{ width: '100%', background: '#fff' }} />
+            ) : (
+              <p style={{ fontSize: 13, color: '#6b7280' }}>Rendering…</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {draft && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            save();
+          }}
+          style={{ display: 'grid', gap: 8, marginTop: 12 }}
+        >
+          <strong style={{ fontSize: 13 }}>{draft.id ? 'Edit chart' : 'New chart'}</strong>
+          <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+            {Object.entries(CHART_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="Range, e.g. A1:C12"
+            value={draft.range}
+            onChange={(e) => setDraft({ ...draft, range: e.target.value.toUpperCase() })}
+          />
+          <input placeholder="Title (optional)" value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} />
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+            <button type="button" className="secondary small" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="primary small">
+              Save chart
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 12 }}>
+        <button type="button" className="secondary small" onClick={onClose}>
+          Close
+        </button>
+        {canEdit && !draft && (
+          <button type="button" className="primary small" onClick={newChart}>
+            <FaPlus /> Add chart
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* =======================================================
+   Workspace file picker (switch, rename, save as, delete)
+======================================================= */
+function FilePicker({ files, active, onOpen, onRename, onDuplicate, onDelete }) {
+  const activeName = files.find((f) => f.key === active)?.name || '';
+  return (
+    <div
+      className="file-picker"
+      style={{
+        display: 'grid',
+        gap: 6,
+        padding: 12,
+        borderBottom: '1px solid #e5e7eb',
+      }}
+    >
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13 }}>
+        <FaFolderOpen />
+        <select
+          value={activeName}
+          onChange={(e) => e.target.value && onOpen?.(e.target.value)}
+          aria-label="Active file"
+          style={{ flex: 1, minWidth: 0 }}
+        >
+          {!activeName && <option value="">Select file</option>}
+          {files.map((f) => (
+            <option key={f.key} value={f.name}>
+              {f.name}
+              {f.size != null ? ` (${Math.ceil(f.size / 1024)} KB)` : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      {activeName && (
+        <div style={{ display: 'flex', gap: 6 }}>
+          <button className="secondary small" onClick={() => onRename?.(activeName)} title="Rename file">
+            <FaPen /> Rename
+          </button>
+          <button className="secondary small" onClick={() => onDuplicate?.(activeName)} title="Save a copy">
+            <FaCopy /> Save as
+          </button>
+          <button
+            className="icon-btn caution"
+            onClick={() => onDelete?.(activeName)}
+            aria-label={`Delete ${activeName}`}
+            title="Delete file"
+            style={{
+              background: '#fff',
+              border: '1px solid #fca5a5',
+              color: '#dc2626',
+              borderRadius: 6,
+              padding: '4px 6px',
+            }}
+          >
+            <FaTrash />
+          </button>
+        </div>
+      )}
+      {activeName && (
+        <span className="muted" style={{ fontSize: 12, color: '#6b7280' }}>
+          Last modified {formatTS(files.find((f) => f.name === activeName)?.updated_at)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+function SheetContextMenu({ menu, state, canDelete, onOpen, onRename, onDuplicate, onVisibility, onDelete, onClose }) {
+  const { sheet, x, y } = menu;
+  const item = (label, icon, action, danger = false) => (
+    <button
+      type="button"
+      className={`menu-item ${danger ? 'caution' : ''}`}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClose?.();
+        action(sheet);
+      }}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 8,
+        width: '100%',
+        padding: '6px 12px',
+        border: 'none',
+        background: 'transparent',
+        color: danger ? '#dc2626' : 'var(--text)',
+        textAlign: 'left',
+        cursor: 'pointer',
+      }}
+    >
+      {icon} {label}
+    </button>
+  );
+
+  return (
+    <div
+      className="sheet-context-menu"
+      role="menu"
+      onClick={(e) => e.stopPropagation()}
+      style={{
+        position: 'fixed',
+        top: Math.min(y, window.innerHeight - 220),
+        left: Math.min(x, window.innerWidth - 180),
+        minWidth: 160,
+        padding: '4px 0',
+        background: 'var(--bg, #fff)',
+        border: '1px solid #e5e7eb',
+        borderRadius: 8,
+        boxShadow: '0 8px 24px rgba(0,0,0,0.12)',
+        zIndex: 50,
+      }}
+    >
+      {item('Open', <FaEdit />, onOpen)}
+      {item('Rename', <FaPen />, onRename)}
+      {item('Duplicate', <FaCopy />, onDuplicate)}
+      {state === 'visible'
+        ? item('Hide', <FaEyeSlash />, (s) => onVisibility(s, 'hidden'))
+        : item('Unhide', <FaEyeSlash />, (s) => onVisibility(s, 'visible'))}
+      {canDelete && item('Delete', <FaTrash />, onDelete, true)}
+    </div>
+  );
+}
@@ -12,10 +12,140 @@ import rateLimit from 'express-rate-limit';
 import { createClient } from '@supabase/supabase-js';
 import ExcelJS from 'exceljs';
 import multer from 'multer';
-import { parse as csvParse } from 'csv-parse/sync';
 import crypto from 'crypto';
+import fs from 'fs';
+import { finished } from 'stream/promises';
+import os from 'os';
 import fetch from 'node-fetch';
 import { createRequire } from 'module';
+import JSZip from 'jszip';
+import {
+  cellDisplayValue,
+  serializeCellMeta,
+  applyGridValue,
+  applyCellMeta,
+  columnLetter,
+  parseRangeRef,
+} from './lib/cells.js';
+import {
+  SHEET_STATES,
+  validateSheetName,
+  renameWorksheet,
+  moveWorksheet,
+  duplicateWorksheet,
+  removeWorksheet,
+} from './lib/sheets.js';
+import {
+  downloadToTempFile,
+  forEachSheetRow,
+  streamSheetNames,
+  streamSheetGrid,
+  streamCellValue,
+  csvFileToXlsxFile,
+  forEachSheetValues,
+} from './lib/workbook-stream.js';
+import { createWorkbookCache } from './lib/workbook-cache.js';
+import { evaluateWorkbook, recalculateWorkbook, cellOutputValue, isValidFormula } from './lib/formulas.js';
+import {
+  readDefinedNames,
+  attachDefinedNames,
+  getDefinedNames,
+  setDefinedNames,
+  validateDefinedName,
+  findDefinedName,
+  resolveDefinedName,
+  writeWorkbookBuffer,
+} from './lib/names.js';
+import {
+  ruleToValidation,
+  validationToRule,
+  clearValidations,
+  setValidation,
+  createValidationChecker,
+  checkWorksheetValidations,
+  checkWorksheetCells,
+} from './lib/validation.js';
+import {
+  toExcelRule,
+  fromExcelRule,
+  worksheetConditionalRules,
+  addConditionalRule,
+  removeConditionalRule,
+  conditionalFormatStyles,
+} from './lib/conditional-formats.js';
+import { worksheetLayout, validateLayout, applyWorksheetLayout } from './lib/layout.js';
+import { createMatcher, findInWorksheets, replaceInWorksheets } from './lib/search.js';
+import {
+  validateSchema,
+  parseWorksheetSchemas,
+  attachWorksheetSchemas,
+  getWorksheetSchema,
+  setWorksheetSchema,
+  worksheetSchemasPart,
+  createSchemaChecker,
+  checkWorksheetSchema,
+  coerceWorksheetSchema,
+} from './lib/schemas.js';
+import {
+  validateQuery,
+  validateSavedQuery,
+  createQueryRunner,
+  queryWorksheet,
+  rowOutputValues,
+  parseSavedQueries,
+  readSavedQueriesFromFile,
+  attachSavedQueries,
+  getSavedQueries,
+  getSavedQuery,
+  setSavedQuery,
+  deleteSavedQuery,
+  savedQueriesPart,
+} from './lib/query.js';
+import { readCustomXmlParts, readCustomXmlPartsFromFile, embedCustomXmlParts } from './lib/custom-xml.js';
+import { validatePivot, computePivot, writePivotSheet } from './lib/pivot.js';
+import { readPdfTextItems, extractPdfTables, pdfTablesPreview, pdfTablesWorkbook } from './lib/pdf-tables.js';
+import { IMPORT_FORMATS, convertToXlsxFile, convertBufferToXlsx } from './lib/importers.js';
+import {
+  EXPORT_FORMATS,
+  TABLE_FORMATS,
+  WORKBOOK_FORMATS,
+  createTableWriter,
+  tableWorkbook,
+  xlsxToOds,
+} from './lib/exporters.js';
+import { createJobQueue } from './lib/export-jobs.js';
+import { parseCron, nextCronTime, validateCronSchedule } from './lib/cron.js';
+import {
+  validatePdfLayout,
+  createPdfDocument,
+  pdfColumns,
+  pdfSheetArea,
+  drawPdfTable,
+  drawPageText,
+  currentPageIndex,
+} from './lib/pdf-layout.js';
+import {
+  CSV_IMPORT_MODES,
+  validateCsvOptions,
+  readCsv,
+  planCsvImport,
+  csvImportPreview,
+  applyCsvImport,
+} from './lib/csv-import.js';
+import {
+  validateChart,
+  parseWorksheetCharts,
+  attachWorksheetCharts,
+  getWorksheetCharts,
+  saveWorksheetChart,
+  deleteWorksheetChart,
+  worksheetChartsPart,
+  chartData,
+  chartScene,
+  sceneToSvg,
+  svgToPng,
+  drawSceneToPdf,
+} from './lib/charts.js';
 const require = createRequire(import.meta.url);
 const pdfParse = require('pdf-parse'); // CommonJS import fix
 
@@ -101,11 +231,42 @@ export const CONFIG = {
   USER_FILES_PREFIX: process.env.USER_FILES_PREFIX || 'users',
   LOGS_BUCKET: process.env.LOGS_BUCKET || 'logs',
   LOGS_PREFIX: process.env.LOGS_PREFIX || 'excel_access',
+  VERSIONS_PREFIX: process.env.VERSIONS_PREFIX || 'versions',
+  MAX_VERSIONS_PER_FILE: parseInt(process.env.MAX_VERSIONS_PER_FILE || '50', 10),
+  TMP_DIR: process.env.TMP_DIR || os.tmpdir(),
+  // Export jobs: results under <EXPORTS_PREFIX>/<user id>/<job id>/
+  EXPORTS_PREFIX: process.env.EXPORTS_PREFIX || 'exports',
+  // Unfinished export jobs per user, by plan (exports are premium-only)
+  EXPORT_JOB_LIMITS: { paid: 3 },
+  EXPORT_JOBS_MAX_RUNNING: parseInt(process.env.EXPORT_JOBS_MAX_RUNNING || '2', 10),
+  EXPORT_JOB_TTL_MIN: parseInt(process.env.EXPORT_JOB_TTL_MIN || '60', 10),
+  EXPORT_URL_TTL_SEC: parseInt(process.env.EXPORT_URL_TTL_SEC || '300', 10),
+  EXPORT_SWEEP_INTERVAL_MS: 5 * 60 * 1000,
+  // Export schedules: <SCHEDULES_PREFIX>/<user id>.json, checked every SCHEDULE_TICK_MS
+  SCHEDULES_PREFIX: process.env.SCHEDULES_PREFIX || 'schedules',
+  MAX_EXPORT_SCHEDULES: 10,
+  MAX_SCHEDULE_RUNS: 50,
+  EXPORT_SCHEDULES_MAX_RUNNING: parseInt(process.env.EXPORT_SCHEDULES_MAX_RUNNING || '1', 10),
+  SCHEDULE_TICK_MS: 30 * 1000,
+  // Grids of workbooks up to this size come from the full model (notes, links, merges);
+  // larger ones are streamed row by row
+  FULL_MODEL_MAX_BYTES: parseInt(process.env.FULL_MODEL_MAX_BYTES || String(1024 * 1024), 10),
+  WORKBOOK_CACHE_MAX_BYTES: parseInt(process.env.WORKBOOK_CACHE_MAX_BYTES || String(256 * 1024 * 1024), 10),
   ADS_REQUIRED: 2,
   FREE_LIMITS: {
     maxSheetsInMultiPDF: 1,
     maxRowsSaveAll: 5000,
   },
+  MAX_CELLS_PER_PATCH: 50000,
+  RANGE_DEFAULT_ROWS: 200,
+  MAX_CELLS_PER_RANGE: 100000,
+  MAX_FIND_RESULTS: 1000,
+  QUERY_DEFAULT_ROWS: 100,
+  MAX_QUERY_ROWS: 1000,
+  // CSV imports into an existing sheet are parsed in memory
+  MAX_IMPORT_BYTES: parseInt(process.env.MAX_IMPORT_BYTES || String(20 * 1024 * 1024), 10),
+  // Installed font used for text in PNG charts
+  CHART_FONT: process.env.CHART_FONT || 'DejaVu Sans',
   DAILY_EXPORT_LIMIT_FREE: 3,
   OWNER_EMAIL: process.env.OWNER_EMAIL,
   SUPPORT_SESSION_TTL_MIN: parseInt(process.env.SUPPORT_SESSION_TTL_MIN || '60', 10),
@@ -113,9 +274,29 @@ export const CONFIG = {
   MAX_SSE_CLIENTS: 500,
 };
 
+const workbookCache = createWorkbookCache({ maxBytes: CONFIG.WORKBOOK_CACHE_MAX_BYTES });
+const storageId = (bucket, key) => `${bucket}/${key}`;
+
 /* -------------------------------------------------------
    Helpers
 ------------------------------------------------------- */
+// One check-then-write sequence per stored file at a time (this process only).
+// Resolves a function that releases the lock.
+const fileLocks = new Map(); // key -> promise that settles when the last holder releases
+const lockFile = async (key) => {
+  const previous = fileLocks.get(key) || Promise.resolve();
+  let release;
+  const held = new Promise((resolve) => {
+    release = resolve;
+  });
+  fileLocks.set(key, held);
+  await previous;
+  return () => {
+    if (fileLocks.get(key) === held) fileLocks.delete(key);
+    release();
+  };
+};
+
 const getBufferFromStorage = async (supabaseClient, bucket, key) => {
   try {
     const { data, error } = await supabaseClient.storage.from(bucket).download(key);
@@ -130,6 +311,7 @@ const getBufferFromStorage = async (supabaseClient, bucket, key) => {
 };
 
 const putBufferToStorage = async (supabaseClient, bucket, key, buffer, contentType) => {
+  workbookCache.invalidate(storageId(bucket, key));
   try {
     const { error } = await supabaseClient.storage.from(bucket).upload(key, buffer, {
       upsert: true,
@@ -142,6 +324,7 @@ const putBufferToStorage = async (supabaseClient, bucket, key, buffer, contentTy
 };
 
 const updateBufferToStorage = async (supabaseClient, bucket, key, buffer, contentType) => {
+  workbookCache.invalidate(storageId(bucket, key));
   try {
     const { error } = await supabaseClient.storage.from(bucket).update(key, buffer, {
       contentType,
@@ -153,6 +336,7 @@ const updateBufferToStorage = async (supabaseClient, bucket, key, buffer, conten
 };
 
 const removeFromStorage = async (supabaseClient, bucket, key) => {
+  workbookCache.invalidate(storageId(bucket, key));
   try {
     const { error } = await supabaseClient.storage.from(bucket).remove([key]);
     return { error };
@@ -165,17 +349,565 @@ const loadWorkbook = async (buffer) => {
   try {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.load(buffer);
+    // ExcelJS drops sheet scope and non-range names; keep the raw list alongside
+    attachDefinedNames(workbook, await readDefinedNames(buffer));
+    // Column schemas, saved queries and charts live in custom XML parts ExcelJS does not read
+    const customParts = await readCustomXmlParts(buffer);
+    attachWorksheetSchemas(workbook, parseWorksheetSchemas(customParts));
+    attachSavedQueries(workbook, parseSavedQueries(customParts));
+    attachWorksheetCharts(workbook, parseWorksheetCharts(customParts));
     return workbook;
   } catch (e) {
     throw e;
   }
 };
 
+// xlsx bytes for a loaded workbook: lossless defined names plus the app's custom XML parts
+const writeWorkbook = async (workbook) =>
+  embedCustomXmlParts(await writeWorkbookBuffer(workbook), [
+    worksheetSchemasPart(workbook),
+    savedQueriesPart(workbook),
+    worksheetChartsPart(workbook),
+  ]);
+
+/* -------------------------------------------------------
+   Workbook cache: parsed models keyed by storage object version
+------------------------------------------------------- */
+// A parsed ExcelJS model takes roughly this many times the xlsx size in memory
+const MODEL_WEIGHT_FACTOR = 10;
+
+// Changes on every rewrite of the object, including writes by other processes
+const storageVersion = async (supabaseClient, bucket, key) => {
+  try {
+    const { data, error } = await supabaseClient.storage.from(bucket).info(key);
+    if (error || !data) return { error: error || new Error('Object not found') };
+    return { version: [data.version, data.updatedAt, data.etag].join('|'), size: data.size ?? null };
+  } catch (e) {
+    return { error: e };
+  }
+};
+
+/**
+ * Stored workbook as { buffer, etag, workbook() }, served from the cache while the
+ * storage version is unchanged. `workbook()` resolves a shared, read-only model:
+ * callers that modify it must parse their own copy from `buffer`.
+ * With `streamLarge`, files above FULL_MODEL_MAX_BYTES are not downloaded here;
+ * the result is { stream: true, version } and the caller streams them instead.
+ */
+const getStoredWorkbook = async (supabaseClient, key, { streamLarge = false, bucket = CONFIG.EXCEL_BUCKET } = {}) => {
+  const id = storageId(bucket, key);
+  // If the version lookup fails the object is simply read uncached
+  const { version, size } = await storageVersion(supabaseClient, bucket, key);
+  if (version) {
+    // Large files are never cached, so there is nothing to look up
+    if (streamLarge && size > CONFIG.FULL_MODEL_MAX_BYTES) return { stream: true, version };
+    const hit = workbookCache.get(id, version);
+    if (hit) return { entry: hit };
+  }
+
+  const { buffer, error } = await getBufferFromStorage(supabaseClient, bucket, key);
+  if (error || !buffer) return { error: error || new Error('Workbook not found') };
+
+  let model = null;
+  let evaluation = null;
+  const entry = {
+    buffer,
+    etag: workbookEtag(buffer),
+    workbook: () => {
+      if (!model) {
+        model = loadWorkbook(buffer);
+        // A failed parse is not remembered: the next caller reads the object again
+        model.catch(() => {
+          model = null;
+          workbookCache.remove(id, entry);
+        });
+      }
+      return model;
+    },
+    // Computed formula results for the model above (see lib/formulas.js)
+    evaluation: async () => {
+      evaluation = evaluation || evaluateWorkbook(await entry.workbook());
+      return evaluation;
+    },
+    definedNames: async () => getDefinedNames(await entry.workbook()) || [],
+  };
+  if (version && buffer.length <= CONFIG.FULL_MODEL_MAX_BYTES) {
+    workbookCache.set(id, version, entry, buffer.length * MODEL_WEIGHT_FACTOR);
+  }
+  return { entry };
+};
+
 const sanitizeString = (s) => {
   if (s === null || s === undefined) return '';
   return String(s);
 };
 
+/* -------------------------------------------------------
+   Workbook versions (snapshot of the prior buffer per write)
+   - Stored at <VERSIONS_PREFIX>/<fileKey>/<versionId>.xlsx
+   - Uses the service client: version keys are only ever derived
+     from the caller's resolved file key, never from user input
+------------------------------------------------------- */
+const VERSION_ID_RE = /^[\w-]+$/;
+const CELL_ADDRESS_RE = /^[A-Z]{1,3}[1-9]\d*$/i;
+
+const versionsDir = (key) => `${CONFIG.VERSIONS_PREFIX}/${key}`;
+const versionObjectKey = (key, versionId) => `${versionsDir(key)}/${versionId}.xlsx`;
+
+// Sortable by name: ISO timestamp first, random suffix to avoid collisions
+const newVersionId = () =>
+  `${new Date().toISOString().replace(/[:.]/g, '-')}_${crypto.randomBytes(3).toString('hex')}`;
+
+const listVersions = async (key) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from(CONFIG.EXCEL_BUCKET)
+      .list(versionsDir(key), { limit: 1000, sortBy: { column: 'name', order: 'desc' } });
+    if (error) return { error };
+    const versions = (data || [])
+      .filter((f) => f.name.endsWith('.xlsx'))
+      .map((f) => ({
+        id: f.name.replace(/\.xlsx$/, ''),
+        size: f.metadata?.size ?? null,
+        created_at: f.created_at || f.updated_at || null,
+      }));
+    return { versions };
+  } catch (e) {
+    return { error: e };
+  }
+};
+
+const pruneVersions = async (key) => {
+  const { versions } = await listVersions(key);
+  if (!versions || versions.length <= CONFIG.MAX_VERSIONS_PER_FILE) return;
+  const stale = versions.slice(CONFIG.MAX_VERSIONS_PER_FILE).map((v) => versionObjectKey(key, v.id));
+  await supabase.storage.from(CONFIG.EXCEL_BUCKET).remove(stale);
+};
+
+// Copy the buffer that is about to be replaced into the versions area.
+// Returns { versionId: null } when there is nothing to snapshot (new file).
+const snapshotVersion = async (key, prevBuffer) => {
+  if (!prevBuffer) return { versionId: null };
+  const versionId = newVersionId();
+  const { error } = await putBufferToStorage(
+    supabase,
+    CONFIG.EXCEL_BUCKET,
+    versionObjectKey(key, versionId),
+    prevBuffer,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
+  if (error) return { error };
+  try {
+    await pruneVersions(key);
+  } catch (e) {
+    // retention is best-effort; the snapshot itself succeeded
+  }
+  return { versionId };
+};
+
+// Remove a snapshot whose write then failed, so the history does not list a
+// version that was never replaced. Best-effort, like pruning.
+const discardVersion = async (key, versionId) => {
+  if (!versionId) return;
+  try {
+    await supabase.storage.from(CONFIG.EXCEL_BUCKET).remove([versionObjectKey(key, versionId)]);
+  } catch (e) {
+    // left for pruneVersions to age out
+  }
+};
+
+/* -------------------------------------------------------
+   User workspace files (<USER_FILES_PREFIX>/<userId>/<name>)
+------------------------------------------------------- */
+const userFilesDir = (userId) => `${CONFIG.USER_FILES_PREFIX}/${userId}`;
+
+// Accepts a bare file name or the user's own full key; rejects folders and traversal
+const resolveUserFileKey = (userId, name) => {
+  const dir = userFilesDir(userId);
+  let clean = String(name || '').trim();
+  if (clean.startsWith(`${dir}/`)) clean = clean.slice(dir.length + 1);
+  if (!clean || clean.length > 200 || /[\\/]/.test(clean) || /^\.+$/.test(clean)) return null;
+  return `${dir}/${clean}`;
+};
+
+// "Report.xlsx" -> "Report 1.xlsx", "Report 2.xlsx", ... until free
+const uniqueFileName = (names, filename) => {
+  if (!names.has(filename)) return filename;
+  const base = filename.replace(/\.[^/.]+$/, '');
+  const ext = filename.split('.').pop();
+  let i = 1;
+  let candidate = `${base} ${i}.${ext}`;
+  while (names.has(candidate)) {
+    i++;
+    candidate = `${base} ${i}.${ext}`;
+  }
+  return candidate;
+};
+
+const listUserFiles = async (supabaseClient, userId) => {
+  try {
+    const { data, error } = await supabaseClient.storage
+      .from(CONFIG.EXCEL_BUCKET)
+      .list(userFilesDir(userId), { limit: 1000, sortBy: { column: 'updated_at', order: 'desc' } });
+    if (error) return { error };
+    // Folder placeholders come back without an id
+    const files = (data || []).filter((f) => f.id && f.name !== '.emptyFolderPlaceholder');
+    return { files };
+  } catch (e) {
+    return { error: e };
+  }
+};
+
+// Keep a file's version history attached when the file is renamed
+const moveVersions = async (fromKey, toKey) => {
+  const { versions } = await listVersions(fromKey);
+  for (const v of versions || []) {
+    await supabase.storage.from(CONFIG.EXCEL_BUCKET).move(versionObjectKey(fromKey, v.id), versionObjectKey(toKey, v.id));
+  }
+};
+
+const removeVersions = async (key) => {
+  const { versions } = await listVersions(key);
+  if (!versions || versions.length === 0) return;
+  await supabase.storage.from(CONFIG.EXCEL_BUCKET).remove(versions.map((v) => versionObjectKey(key, v.id)));
+};
+
+// Content hash of the stored workbook; clients echo it back as their base version
+const workbookEtag = (buffer) => crypto.createHash('sha1').update(buffer).digest('hex');
+
+// Last row / column holding a value (matches the streaming reader's view)
+const worksheetDimensions = (ws) => {
+  let rows = 0;
+  let cols = 0;
+  ws.eachRow((row, rowNumber) => {
+    row.eachCell((_cell, colNumber) => {
+      rows = rowNumber;
+      if (colNumber > cols) cols = colNumber;
+    });
+  });
+  return { rows, cols };
+};
+
+// Printable value at (r, c) without creating rows on a shared (cached) model
+const worksheetOutputValue = (ws, r, c, evaluation) => {
+  const cell = ws.findRow(r)?.findCell(c);
+  return cell ? cellOutputValue(cell, evaluation) : null;
+};
+
+// Display grid plus sparse per-address metadata (formulas, styles, links, notes).
+// `bounds` limits the walk to 1-based inclusive { top, left, bottom, right }.
+const worksheetToGrid = (ws, bounds = null) => {
+  const grid = [];
+  const cells = {};
+  const { rows: maxRow, cols: maxCol } = worksheetDimensions(ws);
+
+  // Whole sheet: always return at least a 1x1 grid
+  const { top, left, bottom, right } = bounds || {
+    top: 1,
+    left: 1,
+    bottom: Math.max(maxRow, 1),
+    right: Math.max(maxCol, 1),
+  };
+
+  for (let r = top; r <= bottom; r++) {
+    const row = [];
+    for (let c = left; c <= right; c++) {
+      const cell = ws.getRow(r).getCell(c);
+      row.push(cellDisplayValue(cell));
+      const meta = serializeCellMeta(cell);
+      if (meta) cells[cell.address] = meta;
+    }
+    grid.push(row);
+  }
+  return { grid, cells, rows: maxRow, cols: maxCol };
+};
+
+/* -------------------------------------------------------
+   Read-only workbook access: spooled to a temp file, never held whole
+------------------------------------------------------- */
+const openStoredWorkbook = (supabaseClient, key) =>
+  downloadToTempFile(supabaseClient, CONFIG.EXCEL_BUCKET, key, CONFIG.TMP_DIR);
+
+// [{ name, state }] in tab order; null if the workbook cannot be read
+const readStoredSheetNames = async (supabaseClient, key) => {
+  const { entry, version, error } = await getStoredWorkbook(supabaseClient, key, { streamLarge: true });
+  if (error) return null;
+  if (entry) {
+    const workbook = await entry.workbook();
+    return workbook.worksheets.map((ws) => ({ name: ws.name, state: ws.state || 'visible' }));
+  }
+
+  // Large workbooks: only the name list is cached
+  const id = `${storageId(CONFIG.EXCEL_BUCKET, key)}#sheets`;
+  const hit = workbookCache.get(id, version);
+  if (hit) return hit;
+
+  const { file, error: downloadErr } = await openStoredWorkbook(supabaseClient, key);
+  if (downloadErr || !file) return null;
+  try {
+    const names = await streamSheetNames(file.path);
+    workbookCache.set(id, version, names, JSON.stringify(names).length);
+    return names;
+  } finally {
+    await file.cleanup();
+  }
+};
+
+// Same contract as streamSheetGrid, from a parsed model
+const modelSheetGrid = (workbook, sheet, bounds = null) => {
+  const ws = workbook.getWorksheet(sheet);
+  if (!ws) return null;
+
+  const { rows, cols } = worksheetDimensions(ws);
+  const top = bounds?.top || 1;
+  const left = bounds?.left || 1;
+  const bottom = Math.min(bounds?.bottom ?? Infinity, bounds ? rows : Math.max(rows, 1));
+  const right = Math.min(bounds?.right ?? Infinity, bounds ? Math.max(cols, left) : Math.max(cols, 1));
+  const layout = worksheetLayout(ws);
+  if (bottom < top) return { grid: [], cells: {}, rows, cols, bounds: null, layout };
+
+  const window = { top, left, bottom, right };
+  return { ...worksheetToGrid(ws, window), bounds: window, layout };
+};
+
+// Grid window from a local xlsx file (e.g. a fresh upload)
+const fileSheetGrid = async (file, sheet, bounds = null) => {
+  if (file.size > CONFIG.FULL_MODEL_MAX_BYTES) return streamSheetGrid(file.path, sheet, bounds);
+  return modelSheetGrid(await loadWorkbook(await fs.promises.readFile(file.path)), sheet, bounds);
+};
+
+/**
+ * Grid window of one stored sheet: { result, etag } or { error }. `result` is null
+ * if the sheet is missing. Small files come from the cached model (notes, links,
+ * merges); large ones are streamed.
+ */
+const readSheetGrid = async (supabaseClient, key, sheet, bounds = null) => {
+  const { entry, error } = await getStoredWorkbook(supabaseClient, key, { streamLarge: true });
+  if (error) return { error };
+  if (entry) return { result: modelSheetGrid(await entry.workbook(), sheet, bounds), etag: entry.etag };
+
+  const { file, error: downloadErr } = await openStoredWorkbook(supabaseClient, key);
+  if (downloadErr || !file) return { error: downloadErr || new Error('Workbook not found') };
+  try {
+    return { result: await streamSheetGrid(file.path, sheet, bounds), etag: file.etag };
+  } finally {
+    await file.cleanup();
+  }
+};
+
+/**
+ * Value of one stored cell: { found, value, formula } or { error }. Formula cells
+ * yield their computed result; large (streamed) files fall back to the result
+ * cached in the file, which save-all keeps current.
+ */
+const readCellValue = async (supabaseClient, key, sheet, address) => {
+  const { entry, error } = await getStoredWorkbook(supabaseClient, key, { streamLarge: true });
+  if (error) return { error };
+  if (entry) {
+    const ws = (await entry.workbook()).getWorksheet(sheet);
+    if (!ws) return { found: false };
+    const cell = ws.getCell(address);
+    if (cell.type !== ExcelJS.ValueType.Formula) return { found: true, value: cell.value ?? null, formula: null };
+    return { found: true, value: cellOutputValue(cell, await entry.evaluation()), formula: cell.formula };
+  }
+
+  const { file, error: downloadErr } = await openStoredWorkbook(supabaseClient, key);
+  if (downloadErr || !file) return { error: downloadErr || new Error('Workbook not found') };
+  try {
+    const { found, value } = await streamCellValue(file.path, sheet, address);
+    if (!value || typeof value !== 'object' || !('formula' in value || 'sharedFormula' in value)) {
+      return { found, value, formula: null };
+    }
+    const { result } = value;
+    return {
+      found,
+      value: result && typeof result === 'object' && 'error' in result ? result.error : result ?? null,
+      formula: value.formula ?? null,
+    };
+  } finally {
+    await file.cleanup();
+  }
+};
+
+/**
+ * Computed value of a defined name as a formula on `sheet` would see it:
+ * { definedName, value } or { error }; `definedName` is null if there is no
+ * such name. Ranges come back as rows of values, error codes as text.
+ */
+const readNamedValue = async (supabaseClient, key, name, sheet = null) => {
+  const { entry, error } = await getStoredWorkbook(supabaseClient, key);
+  if (error) return { error };
+
+  const definedName = resolveDefinedName(await entry.definedNames(), name, sheet);
+  if (!definedName || definedName.name.startsWith('_xlnm.')) return { definedName: null };
+
+  const computed = (await entry.evaluation()).name(definedName.name, definedName.scope);
+  const plain = (v) => (v && typeof v === 'object' && 'error' in v ? v.error : v ?? null);
+  const value = !computed
+    ? null
+    : Array.isArray(computed.value)
+      ? computed.value.map((row) => row.map(plain))
+      : plain(computed.value);
+  return { definedName, value };
+};
+
+// Free plan: max 3 structural edits/saves per day (shared counter)
+const FREE_EDIT_ACTIONS = [
+  'save_all',
+  'patch_cells',
+  'delete_sheet',
+  'edit_sheet',
+  'add_sheet',
+  'restore_version',
+  'rename_sheet',
+  'move_sheet',
+  'duplicate_sheet',
+  'sheet_visibility',
+  'add_name',
+  'update_name',
+  'delete_name',
+  'set_validation',
+  'clear_validation',
+  'add_conditional_format',
+  'delete_conditional_format',
+  'set_schema',
+  'replace_cells',
+  'save_query',
+  'delete_query',
+  'save_chart',
+  'delete_chart',
+];
+const exceedsFreeEditLimit = async (req) => {
+  if (req.userPlan !== 'free') return false;
+  const { count } = await req.supabase
+    .from('excel_audit')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', req.user.id)
+    .in('action', FREE_EDIT_ACTIONS)
+    .gte('created_at', new Date().toISOString().split('T')[0]);
+  return count >= 3;
+};
+
+// Replace the stored workbook with `outBuffer`, snapshotting `prevBuffer`
+// first. The read, check and write run under the file's lock: if the stored
+// object is no longer `prevBuffer` (null: no object yet), another write got
+// there first and nothing is written. Returns { versionId } or
+// { error, conflict? }.
+const replaceStoredWorkbook = async (supabaseClient, key, prevBuffer, outBuffer) => {
+  const release = await lockFile(key);
+  try {
+    const { entry, error: readError } = await getStoredWorkbook(supabaseClient, key);
+    if (prevBuffer && readError) return { error: readError };
+    if ((entry?.etag ?? null) !== (prevBuffer ? workbookEtag(prevBuffer) : null)) {
+      return { error: new Error('Workbook was changed since it was read; reload and try again'), conflict: true };
+    }
+
+    const { versionId, error: versionError } = await snapshotVersion(key, prevBuffer);
+    if (versionError) return { error: new Error(`Version snapshot failed: ${versionError.message}`) };
+
+    const { error } = await (prevBuffer ? updateBufferToStorage : putBufferToStorage)(
+      supabaseClient,
+      CONFIG.EXCEL_BUCKET,
+      key,
+      outBuffer,
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    if (error) {
+      await discardVersion(key, versionId);
+      return { error };
+    }
+    return { versionId };
+  } finally {
+    release();
+  }
+};
+
+// Write the edited workbook over the stored `prevBuffer` (see above)
+const saveWorkbook = async (supabaseClient, key, workbook, prevBuffer) => {
+  let outBuffer;
+  try {
+    outBuffer = await writeWorkbook(workbook);
+  } catch (e) {
+    return { error: e };
+  }
+  const { versionId, error, conflict } = await replaceStoredWorkbook(supabaseClient, key, prevBuffer, outBuffer);
+  if (error) return { error, conflict };
+  return { versionId, outBuffer };
+};
+
+// Shared preamble for in-place workbook edits; responds and returns null on failure
+const loadWorkbookForEdit = async (req, res) => {
+  if (await exceedsFreeEditLimit(req)) {
+    res.status(403).json({ error: 'Free plan limit: max 3 edits/saves per day' });
+    return null;
+  }
+
+  const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+  if (!key) {
+    res.status(404).json({ error: 'Workbook key not found' });
+    return null;
+  }
+
+  const { entry, error } = await getStoredWorkbook(req.supabase, key);
+  const buffer = entry?.buffer;
+  if (error || !buffer) {
+    res.status(404).json({ error: 'Workbook not found' });
+    return null;
+  }
+
+  return { key, buffer, workbook: await loadWorkbook(buffer) };
+};
+
+const findWorksheet = (workbook, name) =>
+  workbook.worksheets.find((ws) => ws.name.toLowerCase() === String(name).toLowerCase());
+
+const sheetStates = (workbook) =>
+  Object.fromEntries(
+    workbook.worksheets.filter((ws) => ws.state && ws.state !== 'visible').map((ws) => [ws.name, ws.state])
+  );
+
+// Column schemas, then data validation, limited to `edited` ([{ sheet, cell }]).
+// Schema coercion rewrites those cells in place. Returns { rejected } with the
+// 422 body when the edit must not be saved, otherwise { flagged } (non-stop rules).
+const checkEditedCells = (workbook, edited) => {
+  const sheetNames = [...new Set(edited.map((e) => e.sheet))];
+  const addressesOf = (name) => edited.filter((e) => e.sheet === name).map((e) => e.cell);
+
+  const schemaErrors = [];
+  let schemaTotal = 0;
+  for (const sheetName of sheetNames) {
+    const schema = getWorksheetSchema(workbook, sheetName);
+    if (!schema) continue;
+    const ws = workbook.getWorksheet(sheetName);
+    coerceWorksheetSchema(ws, schema, addressesOf(sheetName));
+    const { errors, total } = checkWorksheetSchema(ws, schema, addressesOf(sheetName));
+    schemaErrors.push(...errors.map((e) => ({ sheet: sheetName, ...e })));
+    schemaTotal += total;
+  }
+  if (schemaTotal > 0) {
+    return {
+      rejected: {
+        error: `${schemaTotal} cell(s) do not match the column schema`,
+        invalid: schemaErrors,
+        total: schemaTotal,
+      },
+    };
+  }
+
+  const failures = [];
+  for (const sheetName of sheetNames) {
+    for (const f of checkWorksheetCells(workbook, workbook.getWorksheet(sheetName), addressesOf(sheetName))) {
+      failures.push({ sheet: sheetName, ...f });
+    }
+  }
+  const invalid = failures.filter((f) => f.errorStyle === 'stop');
+  const flagged = failures.filter((f) => f.errorStyle !== 'stop');
+  if (invalid.length > 0) {
+    return { rejected: { error: `${invalid.length} cell(s) break data validation rules`, invalid, flagged } };
+  }
+  return { flagged };
+};
+
 /* -------------------------------------------------------
    Audit helper (NDJSON logs in storage)
 ------------------------------------------------------- */
@@ -269,15 +1001,23 @@ const attachUserPlanAndFile = async (req, res, next) => {
       req.userRole = 'user';
       req.userEmail = req.user.email || '';
       req.fileKey = CONFIG.EXCEL_FILE_KEY;
-      return next();
+    } else {
+      req.userPlan = data?.plan || 'free';
+      req.userRole = data?.role || 'user';
+      req.userEmail = data?.email || req.user.email || '';
+      req.userStatus = data?.status || 'active';
+      req.fileKey =
+        data?.user_file_key ||
+        `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/uploaded.xlsx`;
+    }
+
+    // Per-request file switch (?file=, body.file or x-excel-file), limited to the user's own folder
+    const requestedFile = req.query?.file || req.body?.file || req.headers['x-excel-file'];
+    if (requestedFile) {
+      const override = resolveUserFileKey(req.user.id, requestedFile);
+      if (!override) return res.status(400).json({ error: 'Invalid file name' });
+      req.fileKey = override;
     }
-    req.userPlan = data?.plan || 'free';
-    req.userRole = data?.role || 'user';
-    req.userEmail = data?.email || req.user.email || '';
-    req.userStatus = data?.status || 'active';
-    req.fileKey =
-      data?.user_file_key ||
-      `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/uploaded.xlsx`;
     next();
   } catch (e) {
     req.userPlan = 'free';
@@ -423,7 +1163,8 @@ app.get('/excel/download', requireAuth, attachUserContext, attachUserPlanAndFile
 
     // Faster: cache buffer in memory for this request cycle
     if (!req._bufferCache) {
-      const { buffer, error } = await getBufferFromStorage(baseSupabase, CONFIG.EXCEL_BUCKET, key);
+      const { entry, error } = await getStoredWorkbook(baseSupabase, key);
+      const buffer = entry?.buffer;
       if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
       req._bufferCache = buffer;
     }
@@ -464,7 +1205,8 @@ app.post('/excel/add-sheet', requireAuth, attachUserContext, attachUserPlanAndFi
     if (!key) return res.status(404).json({ error: 'Workbook key not found' });
 
     let workbook;
-    const { buffer, error } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    const buffer = entry?.buffer;
     if (error || !buffer) {
       workbook = new ExcelJS.Workbook();
       workbook.addWorksheet('Sheet1');
@@ -475,46 +1217,31 @@ app.post('/excel/add-sheet', requireAuth, attachUserContext, attachUserPlanAndFi
     const existing = workbook.getWorksheet(name);
     if (existing) {
       if (!overwrite) return res.status(400).json({ error: 'Sheet already exists' });
-      workbook.removeWorksheet(existing.id);
+      removeWorksheet(workbook, existing);
     }
 
     const ws = workbook.addWorksheet(name);
     ws.getCell('A1').value = 'New sheet created';
 
-    const outBuffer = await workbook.xlsx.writeBuffer();
-    const { error: uploadError } = await updateBufferToStorage(
-      req.supabase,
-      CONFIG.EXCEL_BUCKET,
-      key,
-      outBuffer,
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    );
-
-    if (uploadError) {
-      return res.status(500).json({ error: uploadError.message });
-    }
+    const outBuffer = await writeWorkbook(workbook);
+    const { versionId, error: saveError, conflict } = await replaceStoredWorkbook(req.supabase, key, buffer, outBuffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
 
     const reloaded = await loadWorkbook(outBuffer);
-    let sheetNames = reloaded.worksheets.map(ws => ws.name);
+    const sheetNames = reloaded.worksheets.map(ws => ws.name);
 
     await req.supabase.from('excel_audit').insert({
       user_id: req.user.id,
       email: req.userEmail,
       action: 'add_sheet',
       sheet_name: name,
-      metadata: { role: req.userRole, plan: req.userPlan }
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { key, version: versionId }
     });
 
     broadcastSSE('excel:add_sheet', { by: req.userEmail, sheet: name, key });
 
-    // Reorder sheets: new sheet at top, rest shuffled
-    const rest = sheetNames.filter(s => s !== name);
-    for (let i = rest.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [rest[i], rest[j]] = [rest[j], rest[i]];
-    }
-    sheetNames = [name, ...rest];
-
+    // Persisted workbook order; the client pins the new sheet itself
     res.json({ success: true, sheet: name, sheets: sheetNames });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
@@ -536,39 +1263,26 @@ app.post(
 
     try {
       // Free plan limit: max 3 edits/saves/deletes per day
-      if (req.userPlan === 'free') {
-        const { count } = await req.supabase
-          .from('excel_audit')
-          .select('*', { count: 'exact', head: true })
-          .eq('user_id', req.user.id)
-          .in('action', ['save_all', 'delete_sheet', 'edit_sheet', 'add_sheet'])
-          .gte('created_at', new Date().toISOString().split('T')[0]);
-        if (count >= 3) {
-          return res.status(403).json({ error: 'Free plan limit: max 3 edits/saves per day' });
-        }
+      if (await exceedsFreeEditLimit(req)) {
+        return res.status(403).json({ error: 'Free plan limit: max 3 edits/saves per day' });
       }
 
       const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
       if (!key) return res.status(404).json({ error: 'Workbook key not found' });
 
-      const { buffer, error } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
+      const { entry, error } = await getStoredWorkbook(req.supabase, key);
+      const buffer = entry?.buffer;
       if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
 
       const workbook = await loadWorkbook(buffer);
       const ws = workbook.getWorksheet(name);
       if (!ws) return res.status(400).json({ error: 'Sheet not found' });
 
-      workbook.removeWorksheet(ws.id);
+      removeWorksheet(workbook, ws);
 
-      const outBuffer = await workbook.xlsx.writeBuffer();
-      const { error: uploadError } = await updateBufferToStorage(
-        req.supabase,
-        CONFIG.EXCEL_BUCKET,
-        key,
-        outBuffer,
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-      );
-      if (uploadError) return res.status(500).json({ error: uploadError.message });
+      const outBuffer = await writeWorkbook(workbook);
+      const { versionId, error: saveError, conflict } = await replaceStoredWorkbook(req.supabase, key, buffer, outBuffer);
+      if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
 
       const reloaded = await loadWorkbook(outBuffer);
       const remainingSheets = reloaded.worksheets.map(ws => ws.name);
@@ -579,7 +1293,7 @@ app.post(
         action: 'delete_sheet',
         sheet_name: name,
         metadata: { role: req.userRole, plan: req.userPlan },
-        details: { remainingSheets }
+        details: { remainingSheets, key, version: versionId }
       });
 
       broadcastSSE('excel:delete_sheet', { by: req.userEmail, sheet: name, key });
@@ -593,678 +1307,3073 @@ app.post(
 );
 
 /* -------------------------------------------------------
-   Get cell value (free users limited, no ads gate)
+   Sheet operations: rename, move, duplicate, visibility
+   (count against the free plan's daily edit limit)
 ------------------------------------------------------- */
-app.get(
-  '/excel/get',
-  requireAuth,
-  attachUserContext,
-  attachUserPlanAndFile,
-  async (req, res) => {
-    const { sheet, cell, scope } = req.query;
-    if (!sheet || !cell) return res.status(400).json({ error: 'Sheet and cell are required' });
+app.post('/excel/rename-sheet', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name, newName } = req.body;
+  if (!name) return res.status(400).json({ error: 'Sheet name required' });
+  const nameError = validateSheetName(newName);
+  if (nameError) return res.status(400).json({ error: nameError });
 
-    try {
-      // Free plan limit: max 3 get/save/edit per day
-      if (req.userPlan === 'free') {
-        const { count } = await req.supabase
-          .from('excel_audit')
-          .select('*', { count: 'exact', head: true })
-          .eq('user_id', req.user.id)
-          .in('action', ['get_cell', 'save_all', 'delete_sheet', 'add_sheet'])
-          .gte('created_at', new Date().toISOString().split('T')[0]);
-        if (count >= 3) {
-          return res.status(403).json({ error: 'Free plan limit: max 3 queries/saves per day' });
-        }
-      }
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
 
-      const key = req.userRole === 'superadmin' && scope === 'master' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
-      if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+    const ws = workbook.getWorksheet(name);
+    if (!ws) return res.status(400).json({ error: 'Sheet not found' });
+    if (ws.name === newName) return res.json({ success: true, sheet: newName, formulas: 0 });
+    const clash = findWorksheet(workbook, newName);
+    if (clash && clash !== ws) return res.status(409).json({ error: 'Sheet already exists' });
 
-      // Load buffer using authenticated client
-      const { buffer, error } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
-      if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
+    const formulas = renameWorksheet(workbook, ws, newName);
 
-      const workbook = await loadWorkbook(buffer);
-      const ws = workbook.getWorksheet(sheet);
-      if (!ws) return res.status(400).json({ error: `Sheet "${sheet}" not found` });
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
 
-      const value = ws.getCell(cell).value ?? null;
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'rename_sheet',
+      sheet_name: newName,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { from: name, to: newName, formulas, key, version: versionId }
+    });
 
-      await req.supabase.from('excel_audit').insert({
-        user_id: req.user.id,
-        email: req.userEmail,
-        action: 'get_cell',
-        sheet_name: sheet,
-        metadata: { cell, value },
-        details: { scope, source: key }
-      });
+    broadcastSSE('excel:rename_sheet', { by: req.userEmail, sheet: newName, from: name, key });
 
-      res.json({ sheet, cell, value, source: key });
-    } catch (e) {
-      res.status(500).json({ error: `Unexpected server error: ${e.message}` });
-    }
+    res.json({
+      success: true,
+      sheet: newName,
+      formulas,
+      sheets: workbook.worksheets.map((w) => w.name),
+    });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
-);
+});
 
-/* -------------------------------------------------------
-   List sheet names (premium logic: pin latest, preserve order)
-------------------------------------------------------- */
-app.get('/excel/sheets', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
-  try {
-    const key = req.fileKey;
-    if (!key) return res.status(404).json({ error: 'Workbook not found' });
+// Body: { name, target } takes the slot of the sheet named `target`, as a
+// drop on its tab does; { name, index } moves to a 0-based position
+app.post('/excel/move-sheet', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name, target } = req.body;
+  const index = Number(req.body.index);
+  if (!name) return res.status(400).json({ error: 'Sheet name required' });
+  if (!target && (!Number.isInteger(index) || index < 0)) {
+    return res.status(400).json({ error: 'target sheet or a non-negative integer index required' });
+  }
 
-    // Load user workbook
-    const { buffer, error } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
-    if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
 
-    const workbook = await loadWorkbook(buffer);
-    let sheets = workbook.worksheets.map(ws => ws.name);
+    const ws = workbook.getWorksheet(name);
+    if (!ws) return res.status(400).json({ error: 'Sheet not found' });
 
-    // If superadmin, merge master workbook
-    if (req.userRole === 'superadmin' && CONFIG.EXCEL_FILE_KEY) {
-      const { buffer: masterBuffer, error: masterErr } = await getBufferFromStorage(
-        req.supabase,
-        CONFIG.EXCEL_BUCKET,
-        CONFIG.EXCEL_FILE_KEY
-      );
-      if (!masterErr && masterBuffer) {
-        const masterWorkbook = await loadWorkbook(masterBuffer);
-        const masterSheets = masterWorkbook.worksheets.map(ws => ws.name);
-        sheets = [...new Set([...sheets, ...masterSheets])];
-      }
+    // Positions are checked against the stored order, which may have changed
+    // since the client last read it; a name always means the same sheet
+    let position = index;
+    if (target) {
+      const targetWs = workbook.getWorksheet(target);
+      if (!targetWs) return res.status(400).json({ error: 'Target sheet not found' });
+      position = workbook.worksheets.indexOf(targetWs);
+    } else if (index >= workbook.worksheets.length) {
+      return res.status(400).json({ error: `index must be below ${workbook.worksheets.length}` });
     }
 
-    // Determine latest edited/saved sheet from audit
-    let latestSheet = null;
-    const { data: auditRows, error: auditErr } = await req.supabase
-      .from('excel_audit')
-      .select('sheet_name, created_at')
-      .eq('user_id', req.user.id)
-      .in('action', ['save_all', 'add_sheet', 'delete_sheet'])
-      .order('created_at', { ascending: false })
-      .limit(1);
+    const from = workbook.worksheets.indexOf(ws);
+    const sheets = moveWorksheet(workbook, ws, position);
+    const to = sheets.indexOf(ws.name);
+    if (from === to) return res.json({ success: true, sheets });
 
-    if (!auditErr && Array.isArray(auditRows) && auditRows.length > 0) {
-      latestSheet = auditRows[0].sheet_name || null;
-    }
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
 
-    // Pin latest at top, preserve original order for the rest
-    if (sheets.length > 0 && latestSheet) {
-      const latestIndex = sheets.indexOf(latestSheet);
-      if (latestIndex !== -1) {
-        sheets.splice(latestIndex, 1); // remove from current position
-        sheets.unshift(latestSheet);   // insert at top
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'move_sheet',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { from, to, key, version: versionId }
+    });
+
+    broadcastSSE('excel:move_sheet', { by: req.userEmail, sheet: ws.name, index: to, key });
+
+    res.json({ success: true, sheets });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+app.post('/excel/duplicate-sheet', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name } = req.body;
+  if (!name) return res.status(400).json({ error: 'Sheet name required' });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const source = workbook.getWorksheet(name);
+    if (!source) return res.status(400).json({ error: 'Sheet not found' });
+
+    let newName = req.body.newName;
+    if (newName) {
+      const nameError = validateSheetName(newName);
+      if (nameError) return res.status(400).json({ error: nameError });
+      if (findWorksheet(workbook, newName)) return res.status(409).json({ error: 'Sheet already exists' });
+    } else {
+      // "Sales" -> "Sales (2)", "Sales (3)", ... trimmed to Excel's 31-char limit
+      for (let n = 2; !newName || findWorksheet(workbook, newName); n++) {
+        const suffix = ` (${n})`;
+        newName = `${source.name.slice(0, 31 - suffix.length)}${suffix}`;
+      }
+    }
+
+    duplicateWorksheet(workbook, source, newName);
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'duplicate_sheet',
+      sheet_name: newName,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { source: source.name, key, version: versionId }
+    });
+
+    broadcastSSE('excel:duplicate_sheet', { by: req.userEmail, sheet: newName, source: source.name, key });
+
+    res.json({ success: true, sheet: newName, sheets: workbook.worksheets.map((w) => w.name) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+app.post('/excel/sheet-visibility', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name, state } = req.body;
+  if (!name) return res.status(400).json({ error: 'Sheet name required' });
+  if (!SHEET_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of: ${SHEET_STATES.join(', ')}` });
+  }
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = workbook.getWorksheet(name);
+    if (!ws) return res.status(400).json({ error: 'Sheet not found' });
+
+    const previous = ws.state || 'visible';
+    if (previous === state) return res.json({ success: true, sheet: ws.name, state, states: sheetStates(workbook) });
+
+    // Excel refuses to open a workbook with no visible sheet
+    if (state !== 'visible') {
+      const visible = workbook.worksheets.filter((w) => w !== ws && (w.state || 'visible') === 'visible');
+      if (visible.length === 0) {
+        return res.status(400).json({ error: 'A workbook must keep at least one visible sheet' });
       }
     }
 
-    res.json({ sheets });
+    ws.state = state;
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'sheet_visibility',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { from: previous, to: state, key, version: versionId }
+    });
+
+    broadcastSSE('excel:sheet_visibility', { by: req.userEmail, sheet: ws.name, state, key });
+
+    res.json({ success: true, sheet: ws.name, state, states: sheetStates(workbook) });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
 });
 
 /* -------------------------------------------------------
-   Get latest edited/saved sheet + index in list
+   Defined names (named ranges)
+   - Workbook-scoped (scope null) or sheet-scoped (scope = sheet name)
+   - Stored losslessly via lib/names.js; built-in _xlnm.* names are hidden
 ------------------------------------------------------- */
-app.get('/excel/latest', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+const publicDefinedNames = (names) =>
+  names
+    .filter((n) => !n.name.startsWith('_xlnm.'))
+    .map((n) => ({
+      name: n.name,
+      scope: n.scope,
+      refersTo: n.refersTo,
+      comment: n.comment || null,
+      hidden: !!n.hidden,
+    }));
+
+// Validates { refersTo, scope } for add/update; returns an error message or null
+const definedNameTargetError = (workbook, refersTo, scope) => {
+  if (typeof refersTo !== 'string' || !refersTo.replace(/^=/, '').trim()) return 'refersTo is required';
+  if (!isValidFormula(refersTo)) return 'refersTo is not a valid reference or formula';
+  if (scope && !findWorksheet(workbook, scope)) return `Sheet "${scope}" not found`;
+  return null;
+};
+
+app.get('/excel/names', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
   try {
-    // Find latest sheet from audit
-    const { data: auditRows, error: auditErr } = await req.supabase
-      .from('excel_audit')
-      .select('sheet_name, created_at')
-      .eq('user_id', req.user.id)
-      .in('action', ['save_all', 'add_sheet', 'delete_sheet'])
-      .order('created_at', { ascending: false })
-      .limit(1);
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
 
-    if (auditErr || !Array.isArray(auditRows) || auditRows.length === 0) {
-      return res.json({ sheet: null, index: null });
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+    res.json({ names: publicDefinedNames(await entry.definedNames()) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+app.post('/excel/names/add', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name, refersTo, comment } = req.body;
+  const nameError = validateDefinedName(name);
+  if (nameError) return res.status(400).json({ error: nameError });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const scope = req.body.scope ? findWorksheet(workbook, req.body.scope)?.name ?? req.body.scope : null;
+    const targetError = definedNameTargetError(workbook, refersTo, scope);
+    if (targetError) return res.status(400).json({ error: targetError });
+
+    const names = getDefinedNames(workbook) || [];
+    if (findDefinedName(names, name, scope)) {
+      return res.status(409).json({ error: `Name "${name}" already exists in this scope` });
     }
 
-    const latestSheet = auditRows[0].sheet_name || null;
+    const added = { name, scope, refersTo: refersTo.replace(/^=/, '') };
+    if (comment) added.comment = String(comment);
+    setDefinedNames(workbook, [...names, added]);
 
-    // Load workbook sheets in original order
-    const key = req.fileKey;
-    if (!key) return res.json({ sheet: latestSheet, index: null });
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
 
-    const { buffer, error } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
-    if (error || !buffer) return res.json({ sheet: latestSheet, index: null });
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'add_name',
+      sheet_name: scope,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { name, scope, refersTo: added.refersTo, key, version: versionId }
+    });
 
-    const workbook = await loadWorkbook(buffer);
-    let sheets = workbook.worksheets.map(ws => ws.name);
+    broadcastSSE('excel:names', { by: req.userEmail, action: 'add', name, scope, key });
 
-    // If superadmin, merge master workbook
-    if (req.userRole === 'superadmin' && CONFIG.EXCEL_FILE_KEY) {
-      const { buffer: masterBuffer, error: masterErr } = await getBufferFromStorage(
-        req.supabase,
-        CONFIG.EXCEL_BUCKET,
-        CONFIG.EXCEL_FILE_KEY
-      );
-      if (!masterErr && masterBuffer) {
-        const masterWorkbook = await loadWorkbook(masterBuffer);
-        const masterSheets = masterWorkbook.worksheets.map(ws => ws.name);
-        sheets = [...new Set([...sheets, ...masterSheets])];
+    res.json({ success: true, names: publicDefinedNames(getDefinedNames(workbook)) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+app.post('/excel/names/update', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name, newName, refersTo, comment } = req.body;
+  if (!name) return res.status(400).json({ error: 'Name required' });
+  if (newName !== undefined) {
+    const nameError = validateDefinedName(newName);
+    if (nameError) return res.status(400).json({ error: nameError });
+  }
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const scope = req.body.scope || null;
+    const names = getDefinedNames(workbook) || [];
+    const current = findDefinedName(names, name, scope);
+    if (!current || current.name.startsWith('_xlnm.')) return res.status(404).json({ error: 'Name not found' });
+
+    if (refersTo !== undefined) {
+      const targetError = definedNameTargetError(workbook, refersTo, null);
+      if (targetError) return res.status(400).json({ error: targetError });
+    }
+    if (newName !== undefined) {
+      const clash = findDefinedName(names, newName, current.scope);
+      if (clash && clash !== current) {
+        return res.status(409).json({ error: `Name "${newName}" already exists in this scope` });
       }
     }
 
-    // Pin latest at top
-    let index = null;
-    if (sheets.length > 0 && latestSheet) {
-      const latestIndex = sheets.indexOf(latestSheet);
-      if (latestIndex !== -1) {
-        sheets.splice(latestIndex, 1);
-        sheets.unshift(latestSheet);
-        index = 0; // always pinned at top
-      }
+    const updated = { ...current };
+    if (newName !== undefined) updated.name = newName;
+    if (refersTo !== undefined) updated.refersTo = refersTo.replace(/^=/, '');
+    if (comment !== undefined) {
+      if (comment) updated.comment = String(comment);
+      else delete updated.comment;
     }
+    setDefinedNames(workbook, names.map((n) => (n === current ? updated : n)));
 
-    res.json({ sheet: latestSheet, index });
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'update_name',
+      sheet_name: current.scope,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: {
+        name: current.name,
+        scope: current.scope,
+        from: current.refersTo,
+        to: updated.refersTo,
+        newName: updated.name !== current.name ? updated.name : undefined,
+        key,
+        version: versionId,
+      }
+    });
+
+    broadcastSSE('excel:names', { by: req.userEmail, action: 'update', name: updated.name, scope: current.scope, key });
+
+    res.json({ success: true, names: publicDefinedNames(getDefinedNames(workbook)) });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
 });
 
-/* -------------------------------------------------------
-   Save entire grid (free users limited, no ads gate)
-   - Persists all provided rows/cols
-   - Clears trailing cells if grid shrinks
-------------------------------------------------------- */
+app.post('/excel/names/delete', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name } = req.body;
+  if (!name) return res.status(400).json({ error: 'Name required' });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const scope = req.body.scope || null;
+    const names = getDefinedNames(workbook) || [];
+    const current = findDefinedName(names, name, scope);
+    if (!current || current.name.startsWith('_xlnm.')) return res.status(404).json({ error: 'Name not found' });
+
+    setDefinedNames(workbook, names.filter((n) => n !== current));
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'delete_name',
+      sheet_name: current.scope,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { name: current.name, scope: current.scope, refersTo: current.refersTo, key, version: versionId }
+    });
+
+    broadcastSSE('excel:names', { by: req.userEmail, action: 'delete', name: current.name, scope: current.scope, key });
+
+    res.json({ success: true, names: publicDefinedNames(getDefinedNames(workbook)) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
 
 /* -------------------------------------------------------
-Save entire grid (free users limited, no ads gate)
-- Persists all provided rows/cols
-- Clears trailing cells if grid shrinks
+   Data validation rules
+   - Rules: { range, type: list|whole|decimal|date|textLength|custom|pattern, ... }
+   - Stored as ExcelJS data validations, so they round-trip in the xlsx
 ------------------------------------------------------- */
-app.post('/excel/save-all', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
-  const { sheet, data } = req.body;
-  if (!sheet || !data) {
-    return res.status(400).json({ error: 'Sheet and data are required' });
+const worksheetRules = (workbook, ws) => {
+  const checker = createValidationChecker(workbook, ws);
+  try {
+    return checker.rules.map(({ bounds, validation }) => {
+      const rule = validationToRule(bounds, validation);
+      if (validation.type === 'list') rule.options = checker.listOptions(validation);
+      return rule;
+    });
+  } finally {
+    checker.destroy();
   }
+};
+
+app.get('/excel/validations', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.query;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
 
   try {
-    // Check free plan limits
-    if (req.userPlan === 'free') {
-      const { count } = await req.supabase
-        .from('excel_audit')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', req.user.id)
-        .eq('action', 'save_all')
-        .gte('created_at', new Date().toISOString().split('T')[0]);
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
 
-      if (count >= 3) {
-        return res.status(403).json({ error: 'Free plan limit: max 3 saves per day' });
-      }
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
 
-      const rowsCount = Array.isArray(data) ? data.length : 0;
-      if (rowsCount > CONFIG.FREE_LIMITS.maxRowsSaveAll) {
-        return res.status(403).json({
-          error: `Free plan limit: max ${CONFIG.FREE_LIMITS.maxRowsSaveAll} rows per save`,
-        });
-      }
-    }
+    // Shared cached model: read only
+    const workbook = await entry.workbook();
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
 
-    const key = req.fileKey;
-    if (!key) {
-      return res.status(404).json({ error: 'Workbook key not found' });
-    }
+    res.json({ sheet: ws.name, rules: worksheetRules(workbook, ws) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
 
-    const { buffer, error } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
-    let workbook;
-    let ws;
+app.post('/excel/validations/set', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, rule } = req.body;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+  const { bounds, validation, error: ruleError } = ruleToValidation(rule);
+  if (ruleError) return res.status(400).json({ error: ruleError });
 
-    if (error || !buffer) {
-      workbook = new ExcelJS.Workbook();
-      ws = workbook.addWorksheet(sheet);
-    } else {
-      workbook = await loadWorkbook(buffer);
-      ws = workbook.getWorksheet(sheet) || workbook.addWorksheet(sheet);
-    }
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
 
-    // Normalize incoming grid and determine bounds
-    const grid = Array.isArray(data) ? data.map((r) => (Array.isArray(r) ? r : [r])) : [[]];
-    const maxRowIn = grid.length;
-    const maxColIn = grid.reduce((m, r) => Math.max(m, r.length), 0);
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
 
-    // Apply edits to provided bounds
-    for (let r = 0; r < maxRowIn; r++) {
-      const excelRow = ws.getRow(r + 1);
-      const row = grid[r] || [];
-      for (let c = 0; c < maxColIn; c++) {
-        const cell = excelRow.getCell(c + 1);
-        const newVal = row[c] ?? null;
-        const oldVal = cell.value ?? null;
-        if (oldVal !== newVal) {
-          cell.value = newVal;
-        }
-      }
-      excelRow.commit();
-    }
+    setValidation(ws, bounds, validation);
 
-    // Clear any trailing cells if the grid shrank compared to existing sheet dimensions
-    const existingMaxRow = ws.actualRowCount || ws.rowCount;
-    const existingMaxCol = ws.actualColumnCount || (ws.columns ? ws.columns.length : 0);
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
 
-    // Clear rows beyond new maxRowIn
-    for (let r = maxRowIn + 1; r <= existingMaxRow; r++) {
-      const excelRow = ws.getRow(r);
-      for (let c = 1; c <= existingMaxCol; c++) {
-        const cell = excelRow.getCell(c);
-        if (cell.value != null) cell.value = null;
-      }
-      excelRow.commit();
-    }
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'set_validation',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { rule: validationToRule(bounds, validation), key, version: versionId }
+    });
 
-    // Clear cols beyond new maxColIn for existing rows
-    for (let r = 1; r <= Math.max(existingMaxRow, maxRowIn); r++) {
-      const excelRow = ws.getRow(r);
-      for (let c = maxColIn + 1; c <= existingMaxCol; c++) {
-        const cell = excelRow.getCell(c);
-        if (cell.value != null) cell.value = null;
-      }
-      excelRow.commit();
-    }
+    broadcastSSE('excel:validations', { by: req.userEmail, action: 'set', sheet: ws.name, range: rule.range, key });
 
-    // Write buffer and upload
-    const outBuffer = await workbook.xlsx.writeBuffer();
-    const { error: uploadError } = await updateBufferToStorage(
-      req.supabase,
-      CONFIG.EXCEL_BUCKET,
-      key,
-      outBuffer,
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    );
+    res.json({ success: true, sheet: ws.name, rules: worksheetRules(workbook, ws) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
 
-    if (uploadError) {
-      return res.status(500).json({ error: uploadError.message });
-    }
+app.post('/excel/validations/clear', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, range } = req.body;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+  const bounds = parseRangeRef(range);
+  if (!bounds) return res.status(400).json({ error: 'Invalid range (expected e.g. "B2:B100")' });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    if (!clearValidations(ws, bounds)) return res.status(404).json({ error: 'No validation rules in that range' });
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
 
     await req.supabase.from('excel_audit').insert({
       user_id: req.user.id,
       email: req.userEmail,
-      action: 'save_all',
-      sheet_name: sheet,
-      metadata: {
-        rows: maxRowIn,
-        cols: maxColIn,
-        role: req.userRole,
-        plan: req.userPlan,
-      },
-      details: { updated: true, key },
+      action: 'clear_validation',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { range, key, version: versionId }
     });
 
-    broadcastSSE('excel:save_all', {
-      by: req.userEmail,
-      sheet,
-      rows: maxRowIn,
-      cols: maxColIn,
-      key,
-    });
+    broadcastSSE('excel:validations', { by: req.userEmail, action: 'clear', sheet: ws.name, range, key });
+
+    res.json({ success: true, sheet: ws.name, rules: worksheetRules(workbook, ws) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Conditional formatting
+   - Rules: { priority, range, type: cellIs|expression|colorScale|dataBar, ... }
+   - Stored as ExcelJS conditional formattings; priority identifies a rule
+------------------------------------------------------- */
+const publicConditionalRules = (ws) => worksheetConditionalRules(ws).map(({ ref, rule }) => fromExcelRule(ref, rule));
+
+app.get('/excel/conditional-formats', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.query;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+
+  try {
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+    // Shared cached model: read only
+    const workbook = await entry.workbook();
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    res.json({ sheet: ws.name, rules: publicConditionalRules(ws) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+app.post('/excel/conditional-formats/add', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.body;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+  const { ref, rule, error: ruleError } = toExcelRule(req.body.rule);
+  if (ruleError) return res.status(400).json({ error: ruleError });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    const stored = addConditionalRule(ws, ref, rule);
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'add_conditional_format',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { rule: fromExcelRule(ref, stored), key, version: versionId }
+    });
+
+    broadcastSSE('excel:conditional_formats', { by: req.userEmail, action: 'add', sheet: ws.name, range: ref, key });
+
+    res.json({ success: true, sheet: ws.name, rules: publicConditionalRules(ws) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+app.post('/excel/conditional-formats/delete', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.body;
+  const priority = Number(req.body.priority);
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+  if (!Number.isInteger(priority)) return res.status(400).json({ error: 'Rule priority required' });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    const removed = removeConditionalRule(ws, priority);
+    if (!removed) return res.status(404).json({ error: 'Rule not found' });
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'delete_conditional_format',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { rule: fromExcelRule(removed.ref, removed.rule), key, version: versionId }
+    });
+
+    broadcastSSE('excel:conditional_formats', { by: req.userEmail, action: 'delete', sheet: ws.name, range: removed.ref, key });
+
+    res.json({ success: true, sheet: ws.name, rules: publicConditionalRules(ws) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Column schemas
+   - Schema: { headerRow, columns: [{ name, type, required?, unique?, values?, format? }] }
+   - Stored in the xlsx (lib/schemas.js); save-all, patch and upload check against it
+------------------------------------------------------- */
+app.get('/excel/schema', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.query;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+
+  try {
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+    // Shared cached model: read only
+    const workbook = await entry.workbook();
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    res.json({ sheet: ws.name, schema: getWorksheetSchema(workbook, ws.name) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+// Body: { sheet, schema } — schema null removes it. Existing data is not
+// converted; its problems are returned so the client can show them.
+app.post('/excel/schema/set', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.body;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+  let schema = null;
+  if (req.body.schema !== null && req.body.schema !== undefined) {
+    const result = validateSchema(req.body.schema);
+    if (result.error) return res.status(400).json({ error: result.error });
+    schema = result.schema;
+  }
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    setWorksheetSchema(workbook, ws.name, schema);
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'set_schema',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { schema, key, version: versionId }
+    });
+
+    broadcastSSE('excel:schema', { by: req.userEmail, sheet: ws.name, cleared: !schema, key });
+
+    const { errors, total } = schema ? checkWorksheetSchema(ws, schema) : { errors: [], total: 0 };
+    res.json({ success: true, sheet: ws.name, schema, errors, total });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Find and replace
+   - Options: matchCase, wholeCell, regex, formulas (also match formula text)
+   - Without `sheet` every sheet of the workbook is searched
+------------------------------------------------------- */
+const searchOptions = (src) => {
+  const flag = (v) => v === true || v === 'true' || v === '1';
+  return {
+    matchCase: flag(src.matchCase),
+    wholeCell: flag(src.wholeCell),
+    regex: flag(src.regex),
+    formulas: flag(src.formulas),
+  };
+};
+
+app.get('/excel/find', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { q, sheet } = req.query;
+  const options = searchOptions(req.query);
+  const matcher = createMatcher({ query: q, ...options });
+  if (matcher.error) return res.status(400).json({ error: matcher.error });
+
+  try {
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+    // Shared cached model: read only
+    const workbook = await entry.workbook();
+    const ws = sheet ? findWorksheet(workbook, sheet) : null;
+    if (sheet && !ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    const { matches, total } = findInWorksheets(ws ? [ws] : workbook.worksheets, matcher, {
+      formulas: options.formulas,
+      evaluation: await entry.evaluation(),
+      limit: CONFIG.MAX_FIND_RESULTS,
+    });
+    res.json({ matches, total, truncated: total > matches.length });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+// Body: { query, replacement, sheet?, matchCase, wholeCell, regex, formulas }.
+// All replacements go in one write; the same schema and validation gates as patch apply.
+app.post('/excel/replace', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { query, sheet } = req.body;
+  const replacement = req.body.replacement ?? '';
+  if (typeof replacement !== 'string') return res.status(400).json({ error: 'Replacement must be text' });
+  const options = searchOptions(req.body);
+  const matcher = createMatcher({ query, ...options });
+  if (matcher.error) return res.status(400).json({ error: matcher.error });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = sheet ? findWorksheet(workbook, sheet) : null;
+    if (sheet && !ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    const { replaced, skipped } = replaceInWorksheets(ws ? [ws] : workbook.worksheets, matcher, replacement, {
+      formulas: options.formulas,
+    });
+    if (replaced.length === 0) return res.json({ success: true, replaced: 0, cells: [], skipped });
+
+    const { rejected, flagged } = checkEditedCells(workbook, replaced);
+    if (rejected) return res.status(422).json(rejected);
+    for (const r of replaced) r.after = workbook.getWorksheet(r.sheet).getCell(r.cell).value ?? null;
+
+    // Replaced values and formulas change what dependent formulas return
+    recalculateWorkbook(workbook);
+
+    const { versionId, error: saveError, outBuffer, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    const sheetsTouched = [...new Set(replaced.map((r) => r.sheet))];
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'replace_cells',
+      sheet_name: sheetsTouched.length === 1 ? sheetsTouched[0] : null,
+      metadata: { cells: replaced.length, skipped: skipped.length, flagged: flagged.length, role: req.userRole, plan: req.userPlan },
+      details: {
+        query,
+        replacement,
+        options,
+        sheet: ws?.name || null,
+        key,
+        version: versionId,
+        sheets: sheetsTouched,
+        changes: replaced.slice(0, 100),
+      },
+    });
+
+    broadcastSSE('excel:replace', {
+      by: req.userEmail,
+      key,
+      sheets: sheetsTouched,
+      cells: replaced.slice(0, 500).map(({ sheet: s, cell, after }) => ({ sheet: s, cell, value: after })),
+      etag: workbookEtag(outBuffer),
+    });
+
+    res.json({
+      success: true,
+      replaced: replaced.length,
+      cells: replaced.slice(0, CONFIG.MAX_FIND_RESULTS).map(({ sheet: s, cell }) => ({ sheet: s, cell })),
+      skipped,
+      flagged,
+      etag: workbookEtag(outBuffer),
+    });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Sheet queries
+   - A sheet's header row names the columns; see lib/query.js for the shape
+   - Saved queries ({ name, sheet, query }) are stored in the xlsx and can be
+     exported with /excel/export/:format and /excel/export/pdf (?query=name)
+------------------------------------------------------- */
+
+// Run `query` (validated) on `sheet`, or the saved query `name`, of a stored
+// workbook. Large workbooks are streamed instead of loaded. Resolves to
+// { sheet, query, columns, rows, total } or { status, error }.
+const queryStoredSheet = async (supabaseClient, key, { sheet, query, name }, page = {}) => {
+  const resolve = (savedQueries) => {
+    if (!name) return { sheet, query };
+    const saved = savedQueries.find((q) => q.name.toLowerCase() === String(name).toLowerCase());
+    return saved ? { sheet: saved.sheet, query: saved.query } : { status: 404, error: `Saved query "${name}" not found` };
+  };
+
+  const { entry, error } = await getStoredWorkbook(supabaseClient, key, { streamLarge: true });
+  if (error) return { status: 404, error: 'Workbook not found' };
+
+  if (entry) {
+    // Shared cached model: read only
+    const workbook = await entry.workbook();
+    const target = resolve(getSavedQueries(workbook));
+    if (target.error) return target;
+    const ws = findWorksheet(workbook, target.sheet);
+    if (!ws) return { status: 404, error: 'Sheet not found' };
+    const result = queryWorksheet(ws, target.query, { evaluation: await entry.evaluation(), ...page });
+    if (result.error) return { status: 400, error: result.error };
+    return { sheet: ws.name, query: target.query, ...result };
+  }
+
+  const { file, error: downloadErr } = await openStoredWorkbook(supabaseClient, key);
+  if (downloadErr || !file) return { status: 404, error: 'Workbook not found' };
+  try {
+    const target = resolve(name ? await readSavedQueriesFromFile(file.path) : []);
+    if (target.error) return target;
+    // Streamed cells carry cached formula results only
+    const runner = createQueryRunner(target.query, page);
+    const found = await forEachSheetRow(file.path, target.sheet, (row) => runner.row(row.number, rowOutputValues(row)));
+    if (!found) return { status: 404, error: 'Sheet not found' };
+    const result = runner.finish();
+    if (result.error) return { status: 400, error: result.error };
+    return { sheet: target.sheet, query: target.query, ...result };
+  } finally {
+    await file.cleanup();
+  }
+};
+
+// Body: { sheet, query } or { name } of a saved query, plus offset/limit.
+// Rows come back with their original row numbers.
+app.post('/excel/query', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, name } = req.body;
+  let query = null;
+  if (!name) {
+    if (!sheet) return res.status(400).json({ error: 'Sheet (or a saved query name) required' });
+    const result = validateQuery(req.body.query || {});
+    if (result.error) return res.status(400).json({ error: result.error });
+    query = result.query;
+  }
+  const offset = req.body.offset ?? 0;
+  const limit = req.body.limit ?? CONFIG.QUERY_DEFAULT_ROWS;
+  if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  if (!Number.isInteger(limit) || limit < 1 || limit > CONFIG.MAX_QUERY_ROWS) {
+    return res.status(400).json({ error: `limit must be between 1 and ${CONFIG.MAX_QUERY_ROWS}` });
+  }
+
+  try {
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const result = await queryStoredSheet(req.supabase, key, { sheet, query, name }, { offset, limit });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      sheet: result.sheet,
+      query: result.query,
+      columns: result.columns.map((c) => c.name),
+      rows: result.rows,
+      total: result.total,
+      offset,
+      limit,
+    });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+app.get('/excel/queries', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  try {
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+    res.json({ queries: getSavedQueries(await entry.workbook()) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+// Body: { name, sheet, query } — replaces a saved query of the same name
+app.post('/excel/queries/save', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { saved, error: invalid } = validateSavedQuery(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = findWorksheet(workbook, saved.sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+    saved.sheet = ws.name;
+
+    // Unknown columns are caught now rather than at export time
+    const check = queryWorksheet(ws, saved.query, { limit: 0 });
+    if (check.error) return res.status(400).json({ error: check.error });
+
+    const limitError = setSavedQuery(workbook, saved);
+    if (limitError) return res.status(400).json({ error: limitError });
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'save_query',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { name: saved.name, query: saved.query, key, version: versionId }
+    });
+
+    broadcastSSE('excel:queries', { by: req.userEmail, name: saved.name, sheet: ws.name, key });
+
+    res.json({ success: true, saved, queries: getSavedQueries(workbook) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+// Body: { name }
+app.post('/excel/queries/delete', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { name } = req.body;
+  if (!name) return res.status(400).json({ error: 'Query name is required' });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const saved = getSavedQuery(workbook, name);
+    if (!saved) return res.status(404).json({ error: `Saved query "${name}" not found` });
+    deleteSavedQuery(workbook, name);
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'delete_query',
+      sheet_name: saved.sheet,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { name: saved.name, query: saved.query, key, version: versionId }
+    });
+
+    broadcastSSE('excel:queries', { by: req.userEmail, name: saved.name, sheet: saved.sheet, deleted: true, key });
+
+    res.json({ success: true, queries: getSavedQueries(workbook) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Pivot summaries
+   - Groups a sheet table by `rows` (and optionally `columns`) with sum, count,
+     avg, min, max or distinctCount per value; see lib/pivot.js
+   - output 'json' (default) returns the table, 'sheet' writes it as a new sheet
+------------------------------------------------------- */
+// Body: { sheet, pivot: { headerRow, rows, columns, values, filters }, output, name, overwrite }
+app.post('/excel/pivot', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, output = 'json', name, overwrite } = req.body;
+  if (!sheet) return res.status(400).json({ error: 'Source sheet required' });
+  if (output !== 'json' && output !== 'sheet') return res.status(400).json({ error: 'output must be json or sheet' });
+  const { pivot, query, error: invalid } = validatePivot(req.body.pivot);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (output === 'sheet') {
+    const nameError = validateSheetName(name);
+    if (nameError) return res.status(400).json({ error: nameError });
+  }
+
+  try {
+    if (output === 'json') {
+      const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+      if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+      const result = await queryStoredSheet(req.supabase, key, { sheet, query });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      const summary = computePivot(pivot, result);
+      if (summary.error) return res.status(400).json({ error: summary.error });
+
+      return res.json({ sheet: result.sheet, pivot, sourceRows: result.total, ...summary });
+    }
+
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const source = findWorksheet(workbook, sheet);
+    if (!source) return res.status(404).json({ error: 'Sheet not found' });
+
+    const result = queryWorksheet(source, query, { evaluation: evaluateWorkbook(workbook) });
+    if (result.error) return res.status(400).json({ error: result.error });
+    const summary = computePivot(pivot, result);
+    if (summary.error) return res.status(400).json({ error: summary.error });
+
+    const existing = findWorksheet(workbook, name);
+    if (existing) {
+      if (existing === source) return res.status(400).json({ error: 'The summary cannot replace its source sheet' });
+      if (!overwrite) return res.status(400).json({ error: 'Sheet already exists' });
+      // The old sheet's schema, charts and saved queries would not fit the summary
+      removeWorksheet(workbook, existing);
+    }
+    const range = writePivotSheet(workbook.addWorksheet(name), summary);
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'add_sheet',
+      sheet_name: name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { key, version: versionId, pivot: { source: source.name, ...pivot }, range, overwrite: !!existing }
+    });
+
+    broadcastSSE('excel:add_sheet', { by: req.userEmail, sheet: name, source: source.name, pivot: true, key });
+
+    res.json({
+      success: true,
+      sheet: name,
+      range,
+      sourceRows: result.total,
+      sheets: workbook.worksheets.map((w) => w.name),
+    });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Charts
+   - Bar, line, pie and scatter charts over a sheet range, stored per sheet
+     in the workbook; rendered on the server as SVG or PNG (lib/charts.js)
+   - PDF exports take ?charts=true to add a page per chart
+------------------------------------------------------- */
+// Renderable scene of a chart on a loaded workbook, or { error, status }
+const sheetChartScene = (workbook, evaluation, sheet, id) => {
+  const ws = findWorksheet(workbook, sheet);
+  if (!ws) return { status: 404, error: 'Sheet not found' };
+  const chart = getWorksheetCharts(workbook, ws.name).find((c) => c.id === id);
+  if (!chart) return { status: 404, error: `Chart "${id}" not found` };
+  return { chart, scene: chartScene(chart, chartData(ws, chart, evaluation)) };
+};
+
+// One page per chart of `ws`, scaled to the page width, after what is already in `doc`
+const drawChartPages = (doc, workbook, ws, evaluation) => {
+  for (const chart of getWorksheetCharts(workbook, ws.name)) {
+    const scene = chartScene(chart, chartData(ws, chart, evaluation));
+    doc.addPage();
+    const { left, top, right, bottom } = doc.page.margins;
+    doc.fontSize(16).fillColor('#111111').text(`Chart: ${chart.title || `${ws.name}!${chart.range}`}`, left, top);
+    const y = top + 28;
+    const scale = Math.min((doc.page.width - left - right) / scene.width, (doc.page.height - y - bottom) / scene.height);
+    drawSceneToPdf(doc, scene, left, y, scale);
+  }
+};
+
+app.get('/excel/charts', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.query;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+
+  try {
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+    const workbook = await entry.workbook();
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    res.json({ sheet: ws.name, charts: getWorksheetCharts(workbook, ws.name) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+// Query: sheet, id, format=svg|png
+app.get('/excel/charts/render', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, id, format = 'svg' } = req.query;
+  if (!sheet || !id) return res.status(400).json({ error: 'Sheet and chart id required' });
+  if (format !== 'svg' && format !== 'png') return res.status(400).json({ error: 'format must be svg or png' });
+
+  try {
+    const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+    const { scene, error: sceneError, status } = sheetChartScene(
+      await entry.workbook(),
+      await entry.evaluation(),
+      sheet,
+      id
+    );
+    if (sceneError) return res.status(status).json({ error: sceneError });
+
+    const svg = sceneToSvg(scene);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    if (format === 'svg') {
+      res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+      return res.send(svg);
+    }
+    res.setHeader('Content-Type', 'image/png');
+    res.send(await svgToPng(svg, { fontFamily: CONFIG.CHART_FONT }));
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+// Body: { sheet, chart: { id?, type, range, title?, width?, height? } } — an existing id is replaced
+app.post('/excel/charts/save', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet } = req.body;
+  if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+  const { chart, error: invalid } = validateChart(req.body.chart);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    const replaced = getWorksheetCharts(workbook, ws.name).some((c) => c.id === chart.id);
+    const limitError = saveWorksheetChart(workbook, ws.name, chart);
+    if (limitError) return res.status(400).json({ error: limitError });
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'save_chart',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { chart, replaced, key, version: versionId }
+    });
+
+    broadcastSSE('excel:charts', { by: req.userEmail, sheet: ws.name, id: chart.id, key });
+
+    res.json({ success: true, chart, charts: getWorksheetCharts(workbook, ws.name) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+// Body: { sheet, id }
+app.post('/excel/charts/delete', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, id } = req.body;
+  if (!sheet || !id) return res.status(400).json({ error: 'Sheet and chart id required' });
+
+  try {
+    const ctx = await loadWorkbookForEdit(req, res);
+    if (!ctx) return;
+    const { key, buffer, workbook } = ctx;
+
+    const ws = findWorksheet(workbook, sheet);
+    if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+
+    const chart = getWorksheetCharts(workbook, ws.name).find((c) => c.id === id);
+    if (!chart) return res.status(404).json({ error: `Chart "${id}" not found` });
+    deleteWorksheetChart(workbook, ws.name, id);
+
+    const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'delete_chart',
+      sheet_name: ws.name,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { chart, key, version: versionId }
+    });
+
+    broadcastSSE('excel:charts', { by: req.userEmail, sheet: ws.name, id, deleted: true, key });
+
+    res.json({ success: true, charts: getWorksheetCharts(workbook, ws.name) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Get cell value (free users limited, no ads gate)
+------------------------------------------------------- */
+app.get(
+  '/excel/get',
+  requireAuth,
+  attachUserContext,
+  attachUserPlanAndFile,
+  async (req, res) => {
+    const { sheet, cell, name, scope } = req.query;
+    if (!name && (!sheet || !cell)) return res.status(400).json({ error: 'Sheet and cell (or a name) are required' });
+
+    try {
+      // Free plan limit: max 3 get/save/edit per day
+      if (req.userPlan === 'free') {
+        const { count } = await req.supabase
+          .from('excel_audit')
+          .select('*', { count: 'exact', head: true })
+          .eq('user_id', req.user.id)
+          .in('action', ['get_cell', 'save_all', 'patch_cells', 'delete_sheet', 'add_sheet'])
+          .gte('created_at', new Date().toISOString().split('T')[0]);
+        if (count >= 3) {
+          return res.status(403).json({ error: 'Free plan limit: max 3 queries/saves per day' });
+        }
+      }
+
+      const key = req.userRole === 'superadmin' && scope === 'master' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+      if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+      if (name) {
+        // `sheet` is optional here and only picks sheet-scoped names first
+        const { definedName, value, error } = await readNamedValue(req.supabase, key, name, sheet || null);
+        if (error) return res.status(404).json({ error: 'Workbook not found' });
+        if (!definedName) return res.status(404).json({ error: `Name "${name}" not found` });
+
+        await req.supabase.from('excel_audit').insert({
+          user_id: req.user.id,
+          email: req.userEmail,
+          action: 'get_cell',
+          sheet_name: definedName.scope,
+          metadata: { name: definedName.name, refersTo: definedName.refersTo, value },
+          details: { scope, source: key }
+        });
+
+        return res.json({
+          name: definedName.name,
+          scope: definedName.scope,
+          refersTo: definedName.refersTo,
+          value,
+          source: key,
+        });
+      }
+
+      if (!CELL_ADDRESS_RE.test(cell)) return res.status(400).json({ error: 'Invalid cell address' });
+
+      // Read using authenticated client
+      const { found, value, formula, error } = await readCellValue(req.supabase, key, sheet, cell);
+      if (error) return res.status(404).json({ error: 'Workbook not found' });
+      if (!found) return res.status(400).json({ error: `Sheet "${sheet}" not found` });
+
+      await req.supabase.from('excel_audit').insert({
+        user_id: req.user.id,
+        email: req.userEmail,
+        action: 'get_cell',
+        sheet_name: sheet,
+        metadata: { cell, value, formula },
+        details: { scope, source: key }
+      });
+
+      res.json({ sheet, cell, value, formula, source: key });
+    } catch (e) {
+      res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+    }
+  }
+);
+
+/* -------------------------------------------------------
+   List sheet names (premium logic: pin latest, preserve order)
+------------------------------------------------------- */
+app.get('/excel/sheets', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  try {
+    const key = req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook not found' });
+
+    // Load user workbook
+    const entries = await readStoredSheetNames(req.supabase, key);
+    if (!entries) return res.status(404).json({ error: 'Workbook not found' });
+
+    let sheets = entries.map((s) => s.name);
+    // Only non-visible sheets are listed: { name: 'hidden' | 'veryHidden' }
+    const states = Object.fromEntries(entries.filter((s) => s.state !== 'visible').map((s) => [s.name, s.state]));
+
+    // If superadmin, merge master workbook
+    if (req.userRole === 'superadmin' && CONFIG.EXCEL_FILE_KEY) {
+      const masterEntries = await readStoredSheetNames(req.supabase, CONFIG.EXCEL_FILE_KEY);
+      if (masterEntries) {
+        sheets = [...new Set([...sheets, ...masterEntries.map((s) => s.name)])];
+      }
+    }
+
+    // Determine latest edited/saved sheet from audit
+    let latestSheet = null;
+    const { data: auditRows, error: auditErr } = await req.supabase
+      .from('excel_audit')
+      .select('sheet_name, created_at')
+      .eq('user_id', req.user.id)
+      .in('action', ['save_all', 'patch_cells', 'add_sheet', 'delete_sheet', 'rename_sheet', 'duplicate_sheet'])
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (!auditErr && Array.isArray(auditRows) && auditRows.length > 0) {
+      latestSheet = auditRows[0].sheet_name || null;
+    }
+
+    // Pin latest at top, preserve original order for the rest
+    if (sheets.length > 0 && latestSheet) {
+      const latestIndex = sheets.indexOf(latestSheet);
+      if (latestIndex !== -1) {
+        sheets.splice(latestIndex, 1); // remove from current position
+        sheets.unshift(latestSheet);   // insert at top
+      }
+    }
+
+    res.json({ sheets, states });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Get latest edited/saved sheet + index in list
+------------------------------------------------------- */
+app.get('/excel/latest', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  try {
+    // Find latest sheet from audit
+    const { data: auditRows, error: auditErr } = await req.supabase
+      .from('excel_audit')
+      .select('sheet_name, created_at')
+      .eq('user_id', req.user.id)
+      .in('action', ['save_all', 'patch_cells', 'add_sheet', 'delete_sheet', 'rename_sheet', 'duplicate_sheet'])
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (auditErr || !Array.isArray(auditRows) || auditRows.length === 0) {
+      return res.json({ sheet: null, index: null });
+    }
+
+    const latestSheet = auditRows[0].sheet_name || null;
+
+    // Load workbook sheets in original order
+    const key = req.fileKey;
+    if (!key) return res.json({ sheet: latestSheet, index: null });
+
+    const entries = await readStoredSheetNames(req.supabase, key);
+    if (!entries) return res.json({ sheet: latestSheet, index: null });
+
+    let sheets = entries.map((s) => s.name);
+
+    // If superadmin, merge master workbook
+    if (req.userRole === 'superadmin' && CONFIG.EXCEL_FILE_KEY) {
+      const masterEntries = await readStoredSheetNames(req.supabase, CONFIG.EXCEL_FILE_KEY);
+      if (masterEntries) {
+        sheets = [...new Set([...sheets, ...masterEntries.map((s) => s.name)])];
+      }
+    }
+
+    // Pin latest at top
+    let index = null;
+    if (sheets.length > 0 && latestSheet) {
+      const latestIndex = sheets.indexOf(latestSheet);
+      if (latestIndex !== -1) {
+        sheets.splice(latestIndex, 1);
+        sheets.unshift(latestSheet);
+        index = 0; // always pinned at top
+      }
+    }
+
+    res.json({ sheet: latestSheet, index });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Save entire grid (free users limited, no ads gate)
+   - Persists all provided rows/cols
+   - Clears trailing cells if grid shrinks
+------------------------------------------------------- */
+
+/* -------------------------------------------------------
+Save entire grid (free users limited, no ads gate)
+- Persists all provided rows/cols
+- Clears trailing cells if grid shrinks
+- Optional base version via body.etag or If-Match; 409 when stale
+------------------------------------------------------- */
+app.post('/excel/save-all', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, data, cells, layout } = req.body;
+  const baseEtag = req.body.etag || (req.headers['if-match'] || '').replace(/^W\//, '').replace(/"/g, '');
+  if (!sheet || !data) {
+    return res.status(400).json({ error: 'Sheet and data are required' });
+  }
+  const layoutError = layout === undefined ? null : validateLayout(layout);
+  if (layoutError) return res.status(400).json({ error: layoutError });
+
+  try {
+    // Check free plan limits
+    if (req.userPlan === 'free') {
+      const { count } = await req.supabase
+        .from('excel_audit')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', req.user.id)
+        .in('action', ['save_all', 'patch_cells'])
+        .gte('created_at', new Date().toISOString().split('T')[0]);
+
+      if (count >= 3) {
+        return res.status(403).json({ error: 'Free plan limit: max 3 saves per day' });
+      }
+
+      const rowsCount = Array.isArray(data) ? data.length : 0;
+      if (rowsCount > CONFIG.FREE_LIMITS.maxRowsSaveAll) {
+        return res.status(403).json({
+          error: `Free plan limit: max ${CONFIG.FREE_LIMITS.maxRowsSaveAll} rows per save`,
+        });
+      }
+    }
+
+    const key = req.fileKey;
+    if (!key) {
+      return res.status(404).json({ error: 'Workbook key not found' });
+    }
+
+    const { entry, error } = await getStoredWorkbook(req.supabase, key);
+    const buffer = entry?.buffer;
+    if (baseEtag && entry?.etag !== baseEtag) {
+      return res.status(409).json({
+        error: 'Workbook was changed since your version; reload before saving',
+        conflict: true,
+        etag: entry?.etag ?? null,
+      });
+    }
+    let workbook;
+    let ws;
+
+    if (error || !buffer) {
+      workbook = new ExcelJS.Workbook();
+      ws = workbook.addWorksheet(sheet);
+    } else {
+      workbook = await loadWorkbook(buffer);
+      ws = workbook.getWorksheet(sheet) || workbook.addWorksheet(sheet);
+    }
+
+    // Normalize incoming grid and determine bounds
+    const grid = Array.isArray(data) ? data.map((r) => (Array.isArray(r) ? r : [r])) : [[]];
+    const maxRowIn = grid.length;
+    const maxColIn = grid.reduce((m, r) => Math.max(m, r.length), 0);
+
+    // Apply edits to provided bounds; unchanged display values keep formulas/rich values intact
+    for (let r = 0; r < maxRowIn; r++) {
+      const excelRow = ws.getRow(r + 1);
+      const row = grid[r] || [];
+      for (let c = 0; c < maxColIn; c++) {
+        applyGridValue(excelRow.getCell(c + 1), row[c] ?? null);
+      }
+      excelRow.commit();
+    }
+
+    // Optional client-authored formatting/links/notes keyed by A1 address
+    if (cells && typeof cells === 'object') {
+      for (const [address, meta] of Object.entries(cells)) {
+        if (CELL_ADDRESS_RE.test(address)) applyCellMeta(ws.getCell(address), meta);
+      }
+    }
+
+    // Clear any trailing cells if the grid shrank compared to existing sheet dimensions
+    const existingMaxRow = ws.actualRowCount || ws.rowCount;
+    const existingMaxCol = ws.actualColumnCount || (ws.columns ? ws.columns.length : 0);
+
+    // Clear rows beyond new maxRowIn
+    for (let r = maxRowIn + 1; r <= existingMaxRow; r++) {
+      const excelRow = ws.getRow(r);
+      for (let c = 1; c <= existingMaxCol; c++) {
+        applyGridValue(excelRow.getCell(c), null);
+      }
+      excelRow.commit();
+    }
+
+    // Clear cols beyond new maxColIn for existing rows
+    for (let r = 1; r <= Math.max(existingMaxRow, maxRowIn); r++) {
+      const excelRow = ws.getRow(r);
+      for (let c = maxColIn + 1; c <= existingMaxCol; c++) {
+        applyGridValue(excelRow.getCell(c), null);
+      }
+      excelRow.commit();
+    }
+
+    // Merges, sizes, hidden rows/columns and frozen panes as the grid shows them
+    if (layout) applyWorksheetLayout(ws, layout);
+
+    // Column schema: typed text is converted first, then any mismatch rejects the save
+    const schema = getWorksheetSchema(workbook, ws.name);
+    if (schema) {
+      coerceWorksheetSchema(ws, schema);
+      const { errors, total } = checkWorksheetSchema(ws, schema);
+      if (total > 0) {
+        return res.status(422).json({ error: `${total} cell(s) do not match the column schema`, invalid: errors, total });
+      }
+    }
+
+    // Data validation: "stop" rules reject the save, warnings are flagged back
+    const failures = checkWorksheetValidations(workbook, ws);
+    const invalid = failures.filter((f) => f.errorStyle === 'stop');
+    const flagged = failures.filter((f) => f.errorStyle !== 'stop');
+    if (invalid.length > 0) {
+      return res.status(422).json({
+        error: `${invalid.length} cell(s) break data validation rules`,
+        invalid,
+        flagged,
+      });
+    }
+
+    // Persist fresh formula results so readers of the file (and streamed
+    // exports of large workbooks) see current values
+    const recalculated = recalculateWorkbook(workbook);
+
+    // Write buffer and upload
+    const outBuffer = await writeWorkbook(workbook);
+    const { versionId, error: saveError, conflict } = await replaceStoredWorkbook(req.supabase, key, buffer, outBuffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'save_all',
+      sheet_name: sheet,
+      metadata: {
+        rows: maxRowIn,
+        cols: maxColIn,
+        recalculated,
+        flagged: flagged.length,
+        layout: !!layout,
+        role: req.userRole,
+        plan: req.userPlan,
+      },
+      details: { updated: true, key, version: versionId },
+    });
+
+    broadcastSSE('excel:save_all', {
+      by: req.userEmail,
+      sheet,
+      rows: maxRowIn,
+      cols: maxColIn,
+      key,
+    });
+
+    res.json({ success: true, etag: workbookEtag(outBuffer), flagged });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Patch cells (optimistic concurrency)
+   - Body: { sheet, etag, changes: [{ cell, value, formula?, style?, sheet? }], layout? }
+   - Base version via body.etag or If-Match; 409 when stale
+------------------------------------------------------- */
+app.post('/excel/patch', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, layout } = req.body;
+  const changes = req.body.changes ?? [];
+  const baseEtag = req.body.etag || (req.headers['if-match'] || '').replace(/^W\//, '').replace(/"/g, '');
+  if (!Array.isArray(changes) || (changes.length === 0 && !layout)) {
+    return res.status(400).json({ error: 'No changes provided' });
+  }
+  if (layout !== undefined) {
+    if (!sheet) return res.status(400).json({ error: 'A layout change needs the sheet' });
+    const layoutError = validateLayout(layout);
+    if (layoutError) return res.status(400).json({ error: layoutError });
+  }
+  if (!baseEtag) return res.status(428).json({ error: 'Base version (etag) is required' });
+  if (changes.length > CONFIG.MAX_CELLS_PER_PATCH) {
+    return res.status(413).json({ error: `Too many changes: max ${CONFIG.MAX_CELLS_PER_PATCH} cells per patch` });
+  }
+
+  for (const c of changes) {
+    if (!c || !(c.sheet || sheet) || !CELL_ADDRESS_RE.test(String(c.cell || ''))) {
+      return res.status(400).json({ error: 'Invalid change payload: each change needs a sheet and an A1 cell address' });
+    }
+  }
+
+  try {
+    // Free plan limit: patches count as saves
+    if (req.userPlan === 'free') {
+      const { count } = await req.supabase
+        .from('excel_audit')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', req.user.id)
+        .in('action', ['save_all', 'patch_cells'])
+        .gte('created_at', new Date().toISOString().split('T')[0]);
+
+      if (count >= 3) {
+        return res.status(403).json({ error: 'Free plan limit: max 3 saves per day' });
+      }
+    }
+
+    const key = req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    // The etag check and the write below must not interleave with another patch
+    const release = await lockFile(key);
+    try {
+      const { entry, error } = await getStoredWorkbook(req.supabase, key);
+      const buffer = entry?.buffer;
+      if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
+
+      const workbook = await loadWorkbook(buffer);
+      const currentEtag = entry.etag;
+
+      if (currentEtag !== baseEtag) {
+        // Describe what the client would overwrite and who changed it last
+        const conflicts = changes.map((c) => {
+          const sheetName = c.sheet || sheet;
+          const ws = workbook.getWorksheet(sheetName);
+          return {
+            sheet: sheetName,
+            cell: c.cell.toUpperCase(),
+            current: ws ? ws.getCell(c.cell).value ?? null : null,
+            sheetMissing: !ws,
+          };
+        });
+
+        let lastChange = null;
+        const { data: auditRows } = await req.supabase
+          .from('excel_audit')
+          .select('created_at, email, action, sheet_name')
+          .eq('details->>key', key)
+          .order('created_at', { ascending: false })
+          .limit(1);
+        if (Array.isArray(auditRows) && auditRows.length > 0) {
+          const row = auditRows[0];
+          lastChange = { action: row.action, email: row.email || null, sheet: row.sheet_name || null, at: row.created_at };
+        }
+
+        return res.status(409).json({
+          error: 'Workbook was changed since your version; reload before saving',
+          conflict: true,
+          etag: currentEtag,
+          conflicts,
+          lastChange,
+        });
+      }
+
+      const applied = [];
+      for (const c of changes) {
+        const sheetName = c.sheet || sheet;
+        const ws = workbook.getWorksheet(sheetName);
+        if (!ws) return res.status(400).json({ error: `Sheet "${sheetName}" not found` });
+
+        const cell = ws.getCell(c.cell);
+        const before = cell.value ?? null;
+
+        if (c.formula) {
+          cell.value = { formula: String(c.formula).replace(/^=/, ''), result: c.value ?? undefined };
+        } else {
+          applyGridValue(cell, c.value ?? null);
+        }
+
+        if (c.style && typeof c.style === 'object') {
+          // Style objects are shared between cells: replace, never mutate
+          cell.style = { ...cell.style, ...c.style };
+        }
+        if (c.meta) applyCellMeta(cell, c.meta);
+
+        applied.push({ sheet: sheetName, cell: c.cell.toUpperCase(), before, after: cell.value ?? null });
+      }
+
+      if (layout) {
+        const ws = workbook.getWorksheet(sheet);
+        if (!ws) return res.status(400).json({ error: `Sheet "${sheet}" not found` });
+        applyWorksheetLayout(ws, layout);
+      }
+
+      // Same schema and data validation gates as save-all, limited to the patched cells
+      const { rejected, flagged } = checkEditedCells(workbook, applied);
+      if (rejected) return res.status(422).json(rejected);
+      // Schema coercion may have converted typed text
+      for (const a of applied) a.after = workbook.getWorksheet(a.sheet).getCell(a.cell).value ?? null;
+
+      const { versionId, error: versionError } = await snapshotVersion(key, buffer);
+      if (versionError) {
+        return res.status(500).json({ error: `Version snapshot failed: ${versionError.message}` });
+      }
+
+      const outBuffer = await writeWorkbook(workbook);
+      const { error: uploadError } = await updateBufferToStorage(
+        req.supabase,
+        CONFIG.EXCEL_BUCKET,
+        key,
+        outBuffer,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      if (uploadError) {
+        await discardVersion(key, versionId);
+        return res.status(500).json({ error: uploadError.message });
+      }
+
+      const etag = workbookEtag(outBuffer);
+      const sheetsTouched = [...new Set([...applied.map((a) => a.sheet), ...(layout ? [sheet] : [])])];
+
+      await req.supabase.from('excel_audit').insert({
+        user_id: req.user.id,
+        email: req.userEmail,
+        action: 'patch_cells',
+        sheet_name: sheetsTouched[0] || null,
+        metadata: { cells: applied.length, flagged: flagged.length, layout: !!layout, role: req.userRole, plan: req.userPlan },
+        details: { key, version: versionId, sheets: sheetsTouched, changes: applied.slice(0, 100) },
+      });
+
+      broadcastSSE('excel:patch_cells', {
+        by: req.userEmail,
+        key,
+        sheets: sheetsTouched,
+        cells: applied.slice(0, 500).map(({ sheet: s, cell, after }) => ({ sheet: s, cell, value: after })),
+        etag,
+      });
+
+      res.json({ success: true, applied: applied.length, etag, flagged });
+    } finally {
+      release();
+    }
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Overwrite sheet (utility)
+------------------------------------------------------- */
+app.post('/excel/overwrite', requireAuth, attachUserPlanAndFile, async (req, res) => {
+  const { name } = req.body;
+  if (!name) return res.status(400).json({ error: 'Sheet name required' });
+
+  try {
+    const key = req.fileKey;
+    const { entry, error } = await getStoredWorkbook(baseSupabase, key);
+    const buffer = entry?.buffer;
+    if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
+
+    const workbook = await loadWorkbook(buffer);
+    const ws = workbook.getWorksheet(name);
+    if (ws) {
+      removeWorksheet(workbook, ws);
+    }
+    const newWs = workbook.addWorksheet(name);
+    newWs.getCell('A1').value = 'Overwritten sheet';
+
+    const outBuffer = await writeWorkbook(workbook);
+    const { versionId, error: saveError, conflict } = await replaceStoredWorkbook(baseSupabase, key, buffer, outBuffer);
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'overwrite_sheet',
+      sheet_name: name,
+      details: { overwritten: true, key, version: versionId }
+    });
+
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Preview full sheet (no ads gate, faster load, robust dims)
+------------------------------------------------------- */
+app.get(
+  '/excel/preview',
+  requireAuth,
+  attachUserContext,
+  attachUserPlanAndFile,
+  async (req, res) => {
+    const { sheet } = req.query;
+    if (!sheet) return res.status(400).json({ error: 'Sheet is required' });
+
+    try {
+      // Determine storage key
+      const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
+      if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+      if (!req.supabase || !req.supabase.storage) {
+        return res.status(500).json({ error: 'Supabase client not initialized' });
+      }
+
+      // Read using authenticated client
+      const { result, etag, error } = await readSheetGrid(req.supabase, key, sheet);
+      if (error) return res.status(404).json({ error: 'Workbook not found' });
+      if (!result) return res.status(400).json({ error: `Sheet "${sheet}" not found` });
+
+      // Layout is null for large (streamed) sheets
+      const { grid: preview, cells, rows, cols, layout = null } = result;
+      res.setHeader('ETag', `"${etag}"`);
+      res.json({ sheet, preview, cells, rows, cols, layout, etag });
+    } catch (e) {
+      res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+    }
+  }
+);
+
+/* -------------------------------------------------------
+   Range read: one window of a sheet (A1 range or row offset/limit)
+   Same access rules as preview; large sheets are paged by the editor
+------------------------------------------------------- */
+app.get('/excel/range', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { sheet, range } = req.query;
+  if (!sheet) return res.status(400).json({ error: 'Sheet is required' });
+
+  let requested = null;
+  if (range) {
+    requested = parseRangeRef(range);
+    if (!requested) return res.status(400).json({ error: 'range must look like A1 or A1:Z200' });
+  }
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  const limit = req.query.limit === undefined ? CONFIG.RANGE_DEFAULT_ROWS : Number(req.query.limit);
+  if (!requested && (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: 'offset must be >= 0 and limit >= 1' });
+  }
+
+  try {
+    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    // Row windows span every used column; the cell cap is checked once the width is known
+    const bounds = requested || { top: offset + 1, left: 1, bottom: offset + limit, right: null };
+    if (requested && (bounds.bottom - bounds.top + 1) * (bounds.right - bounds.left + 1) > CONFIG.MAX_CELLS_PER_RANGE) {
+      return res.status(413).json({ error: `Range too large: max ${CONFIG.MAX_CELLS_PER_RANGE} cells per request` });
+    }
+
+    const { result, etag, error } = await readSheetGrid(req.supabase, key, sheet, bounds);
+    if (error) return res.status(404).json({ error: 'Workbook not found' });
+    if (!result) return res.status(400).json({ error: `Sheet "${sheet}" not found` });
+
+    const { grid, cells, rows, cols, bounds: window, layout = null } = result;
+    if (grid.length * (grid[0]?.length || 0) > CONFIG.MAX_CELLS_PER_RANGE) {
+      return res.status(413).json({ error: `Range too large: max ${CONFIG.MAX_CELLS_PER_RANGE} cells per request` });
+    }
+
+    res.setHeader('ETag', `"${etag}"`);
+    res.json({
+      sheet,
+      range: window ? `${columnLetter(window.left)}${window.top}:${columnLetter(window.right)}${window.bottom}` : null,
+      offset: bounds.top - 1,
+      column: bounds.left - 1,
+      grid,
+      cells,
+      rows,
+      cols,
+      layout,
+      etag,
+    });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Version history: list snapshots with the action that replaced them
+------------------------------------------------------- */
+app.get('/excel/versions', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { scope } = req.query;
+  try {
+    const key = req.userRole === 'superadmin' && scope === 'master' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { versions, error } = await listVersions(key);
+    if (error) return res.status(500).json({ error: error.message });
+
+    // Each snapshot is referenced by the audit row of the write that replaced it
+    const ids = versions.map((v) => v.id);
+    const replacedBy = new Map();
+    if (ids.length > 0) {
+      const { data: auditRows, error: auditErr } = await req.supabase
+        .from('excel_audit')
+        .select('created_at, email, action, sheet_name, details')
+        .in('details->>version', ids);
+      if (!auditErr && Array.isArray(auditRows)) {
+        for (const row of auditRows) {
+          replacedBy.set(row.details?.version, {
+            action: row.action,
+            email: row.email || null,
+            sheet: row.sheet_name || null,
+            at: row.created_at,
+          });
+        }
+      }
+    }
+
+    res.json({
+      key,
+      versions: versions.map((v) => ({ ...v, replaced_by: replacedBy.get(v.id) || null })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Version history: preview a sheet as it was at a version
+------------------------------------------------------- */
+app.get('/excel/versions/preview', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { version, sheet, scope } = req.query;
+  if (!version || !VERSION_ID_RE.test(version)) return res.status(400).json({ error: 'Valid version is required' });
+
+  try {
+    const key = req.userRole === 'superadmin' && scope === 'master' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { buffer, error } = await getBufferFromStorage(supabase, CONFIG.EXCEL_BUCKET, versionObjectKey(key, version));
+    if (error || !buffer) return res.status(404).json({ error: 'Version not found' });
+
+    const workbook = await loadWorkbook(buffer);
+    const sheets = workbook.worksheets.map((w) => w.name);
+    const ws = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+    if (!ws) return res.status(400).json({ error: `Sheet "${sheet}" not found in this version` });
+
+    const { grid: preview, cells, rows, cols } = worksheetToGrid(ws);
+    res.json({ version, sheet: ws.name, sheets, preview, cells, rows, cols, layout: worksheetLayout(ws) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Version history: restore a version as the current workbook
+   - The replaced workbook is snapshotted too, so restores are undoable
+------------------------------------------------------- */
+app.post('/excel/versions/restore', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { version, scope } = req.body;
+  if (!version || !VERSION_ID_RE.test(version)) return res.status(400).json({ error: 'Valid version is required' });
+
+  try {
+    // Free plan limit: restores count as edits
+    if (await exceedsFreeEditLimit(req)) {
+      return res.status(403).json({ error: 'Free plan limit: max 3 edits/saves per day' });
+    }
+
+    const key = req.userRole === 'superadmin' && scope === 'master' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const { buffer: versionBuffer, error: versionReadErr } = await getBufferFromStorage(
+      supabase,
+      CONFIG.EXCEL_BUCKET,
+      versionObjectKey(key, version)
+    );
+    if (versionReadErr || !versionBuffer) return res.status(404).json({ error: 'Version not found' });
+
+    // Reject corrupt snapshots before they replace a working file
+    const restored = await loadWorkbook(versionBuffer);
+
+    const { entry: current } = await getStoredWorkbook(req.supabase, key);
+    const { versionId, error: saveError, conflict } = await replaceStoredWorkbook(
+      req.supabase,
+      key,
+      current?.buffer || null,
+      versionBuffer
+    );
+    if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+    const sheets = restored.worksheets.map((w) => w.name);
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'restore_version',
+      sheet_name: sheets[0] || null,
+      metadata: { role: req.userRole, plan: req.userPlan },
+      details: { key, restored: version, version: versionId },
+    });
+
+    broadcastSSE('excel:restore_version', { by: req.userEmail, key, restored: version });
+
+    res.json({ success: true, restored: version, version: versionId, sheets });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Metadata
+------------------------------------------------------- */
+app.get('/excel/meta', attachUserPlanAndFile, async (req, res) => {
+  try {
+    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
+    const dir = key.includes('/') ? key.split('/').slice(0, -1).join('/') : '';
+    const { data, error } = await baseSupabase.storage.from(CONFIG.EXCEL_BUCKET).list(dir, { limit: 100 });
+    if (error) return res.status(404).json({ error: error.message });
+    const file = data.find((f) => f.name === key.split('/').pop());
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    res.json({ name: file.name, size: file.size, last_modified: file.updated_at });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* =======================================================
+   WORKSPACE FILES: list, open, rename, duplicate, delete
+   - Every /excel/* route also accepts ?file= for one request
+======================================================= */
+app.get('/excel/files', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  try {
+    const { files, error } = await listUserFiles(req.supabase, req.user.id);
+    if (error) return res.status(500).json({ error: error.message });
+
+    const dir = userFilesDir(req.user.id);
+    res.json({
+      active: req.fileKey,
+      files: files.map((f) => ({
+        name: f.name,
+        key: `${dir}/${f.name}`,
+        size: f.metadata?.size ?? null,
+        type: f.name.includes('.') ? f.name.split('.').pop().toLowerCase() : null,
+        created_at: f.created_at || null,
+        updated_at: f.updated_at || null,
+        active: `${dir}/${f.name}` === req.fileKey,
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* Make a file the active workbook (persists on the profile) */
+app.post('/excel/files/open', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { file } = req.body;
+  const key = resolveUserFileKey(req.user.id, file);
+  if (!key) return res.status(400).json({ error: 'Valid file name required' });
+
+  try {
+    const { files, error } = await listUserFiles(req.supabase, req.user.id);
+    if (error) return res.status(500).json({ error: error.message });
+    const name = key.split('/').pop();
+    if (!files.some((f) => f.name === name)) return res.status(404).json({ error: 'File not found' });
+
+    const { error: updateErr } = await req.supabase
+      .from('profiles')
+      .update({ user_file_key: key })
+      .eq('id', req.user.id);
+    if (updateErr) return res.status(500).json({ error: updateErr.message });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'open_file',
+      details: { key },
+    });
+
+    res.json({ success: true, fileKey: key, fileName: name });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* Rename a file (version history moves with it) */
+app.post('/excel/files/rename', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { file, name } = req.body;
+  const fromKey = resolveUserFileKey(req.user.id, file);
+  const toKey = resolveUserFileKey(req.user.id, name);
+  if (!fromKey || !toKey) return res.status(400).json({ error: 'file and a valid new name are required' });
+  if (fromKey === toKey) return res.json({ success: true, fileKey: toKey, fileName: toKey.split('/').pop() });
+
+  try {
+    const { files, error } = await listUserFiles(req.supabase, req.user.id);
+    if (error) return res.status(500).json({ error: error.message });
+    const names = new Set(files.map((f) => f.name));
+    if (!names.has(fromKey.split('/').pop())) return res.status(404).json({ error: 'File not found' });
+    if (names.has(toKey.split('/').pop())) return res.status(409).json({ error: 'A file with that name already exists' });
+
+    const { error: moveErr } = await req.supabase.storage.from(CONFIG.EXCEL_BUCKET).move(fromKey, toKey);
+    if (moveErr) return res.status(500).json({ error: moveErr.message });
+    workbookCache.invalidate(storageId(CONFIG.EXCEL_BUCKET, fromKey));
+
+    try {
+      await moveVersions(fromKey, toKey);
+    } catch (e) {
+      // history stays under the old key; the rename itself succeeded
+    }
+
+    const { data: profile } = await req.supabase
+      .from('profiles')
+      .select('user_file_key')
+      .eq('id', req.user.id)
+      .single();
+    if (profile?.user_file_key === fromKey) {
+      await req.supabase.from('profiles').update({ user_file_key: toKey }).eq('id', req.user.id);
+    }
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'rename_file',
+      details: { from: fromKey, key: toKey },
+    });
+
+    broadcastSSE('excel:file_rename', { by: req.userEmail, from: fromKey, fileKey: toKey });
+    res.json({ success: true, fileKey: toKey, fileName: toKey.split('/').pop() });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* Duplicate a file ("save as"); premium-only like additional uploads */
+app.post('/excel/files/duplicate', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { file, name } = req.body;
+  const fromKey = resolveUserFileKey(req.user.id, file);
+  if (!fromKey) return res.status(400).json({ error: 'Valid file name required' });
+  if (name && !resolveUserFileKey(req.user.id, name)) return res.status(400).json({ error: 'Invalid new file name' });
+
+  try {
+    if (req.userPlan === 'free' && req.userRole !== 'superadmin' && req.userEmail !== CONFIG.OWNER_EMAIL) {
+      return res.status(403).json({ error: 'Free plan allows only one Excel file' });
+    }
+
+    const { files, error } = await listUserFiles(req.supabase, req.user.id);
+    if (error) return res.status(500).json({ error: error.message });
+    const names = new Set(files.map((f) => f.name));
+    const sourceName = fromKey.split('/').pop();
+    if (!names.has(sourceName)) return res.status(404).json({ error: 'File not found' });
+
+    const wanted = name || sourceName.replace(/(\.[^/.]+)?$/, ' copy$1');
+    const toKey = `${userFilesDir(req.user.id)}/${uniqueFileName(names, wanted)}`;
+
+    const { error: copyErr } = await req.supabase.storage.from(CONFIG.EXCEL_BUCKET).copy(fromKey, toKey);
+    if (copyErr) return res.status(500).json({ error: copyErr.message });
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'duplicate_file',
+      details: { from: fromKey, key: toKey },
+    });
+
+    broadcastSSE('excel:file_duplicate', { by: req.userEmail, from: fromKey, fileKey: toKey });
+    res.json({ success: true, fileKey: toKey, fileName: toKey.split('/').pop() });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* Delete a file and its version history; repoint the profile if it was active */
+app.post('/excel/files/delete', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { file } = req.body;
+  const key = resolveUserFileKey(req.user.id, file);
+  if (!key) return res.status(400).json({ error: 'Valid file name required' });
+
+  try {
+    const { files, error } = await listUserFiles(req.supabase, req.user.id);
+    if (error) return res.status(500).json({ error: error.message });
+    const name = key.split('/').pop();
+    if (!files.some((f) => f.name === name)) return res.status(404).json({ error: 'File not found' });
+
+    const { error: rmErr } = await removeFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
+    if (rmErr) return res.status(500).json({ error: rmErr.message });
+
+    try {
+      await removeVersions(key);
+    } catch (e) {
+      // orphaned snapshots are harmless; the file itself is gone
+    }
+
+    let active = null;
+    const { data: profile } = await req.supabase
+      .from('profiles')
+      .select('user_file_key')
+      .eq('id', req.user.id)
+      .single();
+    if (profile?.user_file_key === key) {
+      // Most recently updated remaining file becomes active
+      const next = files.find((f) => f.name !== name);
+      active = next ? `${userFilesDir(req.user.id)}/${next.name}` : null;
+      await req.supabase.from('profiles').update({ user_file_key: active }).eq('id', req.user.id);
+    }
+
+    await req.supabase.from('excel_audit').insert({
+      user_id: req.user.id,
+      email: req.userEmail,
+      action: 'delete_file',
+      details: { key },
+    });
+
+    broadcastSSE('excel:file_delete', { by: req.userEmail, fileKey: key });
+    res.json({ success: true, deleted: key, active });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
+
+/* -------------------------------------------------------
+   Exports: rendering shared by the /excel/export/* routes and export jobs
+------------------------------------------------------- */
+// "<sheet>.<ext>", or "<sheet> - <query>.<ext>" for a saved query
+const exportFileName = (sheet, query, ext) => `${query ? `${sheet} - ${query}` : sheet}.${ext}`;
+
+const setExportHeaders = (res, type, fileName) => {
+  res.setHeader('Content-Type', type);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+};
+
+// Exports are premium-only: answers 403 and returns false on the free plan
+const allowExport = (req, res, label) => {
+  if (req.userPlan !== 'free') return true;
+  res.status(403).json({ error: `${label} export is available only on premium plans` });
+  return false;
+};
+
+// `user`: { id, email }; `entry`: { action, sheet, details } from renderExport
+const auditExport = (supabaseClient, user, entry) =>
+  supabaseClient.from('excel_audit').insert({
+    user_id: user.id,
+    email: user.email,
+    action: entry.action,
+    sheet_name: entry.sheet,
+    details: entry.details
+  });
+
+/**
+ * Export options from a query string or JSON body: format plus `sheet` or
+ * `sheets` (array or comma-separated), `query` (saved query name), `charts`
+ * and the PDF layout options. Without sheets or a query, every sheet is
+ * exported if `allSheets`, else it is an error. Returns { spec } or { status, error }.
+ */
+const exportSpec = (format, input, { allSheets = false } = {}) => {
+  if (!EXPORT_FORMATS[format]) return { status: 404, error: `Unsupported export format "${format}"` };
+
+  let sheets = null;
+  if (Array.isArray(input.sheets)) sheets = input.sheets;
+  else if (typeof input.sheets === 'string') sheets = input.sheets.split(',');
+  else if (input.sheet) sheets = [input.sheet];
+  sheets = sheets ? sheets.map((s) => String(s).trim()).filter(Boolean) : null;
+  if (sheets && sheets.length === 0) sheets = null;
+
+  const query = input.query ? String(input.query) : null;
+  if (!sheets && !query && !allSheets) return { status: 400, error: 'Sheet is required' };
+
+  let layout = null;
+  if (format === 'pdf') {
+    const checked = validatePdfLayout(input);
+    if (checked.error) return { status: 400, error: checked.error };
+    layout = checked.layout;
+  }
+  const charts = input.charts === true || input.charts === 'true';
+  return { spec: { format, sheets, query, layout, charts } };
+};
+
+// Values of each row of `sheet`: from the cached model (formulas evaluated)
+// when there is one, else streamed from `file`. Resolves false if the sheet is missing.
+const forEachExportRow = async ({ entry, file }, sheet, onValues) => {
+  if (!entry) return forEachSheetValues(file.path, sheet, onValues, (cell) => cellOutputValue(cell));
+
+  const ws = (await entry.workbook()).getWorksheet(sheet);
+  if (!ws) return false;
+  const evaluation = await entry.evaluation();
+  const { rows, cols } = worksheetDimensions(ws);
+  for (let r = 1; r <= rows; r++) {
+    const values = [];
+    for (let c = 1; c <= cols; c++) values.push(worksheetOutputValue(ws, r, c, evaluation));
+    await onValues(values);
+  }
+  return true;
+};
+
+// In-memory writable for the files bundled into a zip
+const bufferSink = () => {
+  const chunks = [];
+  return {
+    write: (chunk) => chunks.push(Buffer.from(chunk)) > 0,
+    buffer: () => Buffer.concat(chunks),
+  };
+};
+
+// Sheets in a text format: one streamed file, or a zip of one file per sheet
+const renderTableExport = async (key, { format, sheets }, out, start) => {
+  const { ext, type } = EXPORT_FORMATS[format];
+  const { entry, error } = await getStoredWorkbook(baseSupabase, key, { streamLarge: true });
+  if (error) return { status: 404, error: 'Workbook not found' };
+  let file = null;
+  if (!entry) {
+    const opened = await openStoredWorkbook(baseSupabase, key);
+    if (opened.error || !opened.file) return { status: 404, error: 'Workbook not found' };
+    file = opened.file;
+  }
+
+  try {
+    const names = sheets || ((await readStoredSheetNames(baseSupabase, key)) || []).map((s) => s.name);
+    if (names.length === 1) {
+      // Rows are written as they are read, so a large sheet never sits in memory.
+      // Nothing is written before the sheet is found, so an error can still be sent.
+      const writer = createTableWriter(format, out, { title: names[0] });
+      let started = false;
+      const begin = () => {
+        if (!started) start(type, exportFileName(names[0], null, ext));
+        started = true;
+      };
+      const found = await forEachExportRow({ entry, file }, names[0], (values) => {
+        begin();
+        return writer.row(values);
+      });
+      if (!found) return { status: 400, error: 'Sheet not found' };
+      begin();
+      await writer.end();
+      out.end();
+      return { action: `export_${format}`, sheet: names[0], details: { sheet: names[0] } };
+    }
+
+    const zip = new JSZip();
+    for (const name of names) {
+      const sink = bufferSink();
+      const writer = createTableWriter(format, sink, { title: name });
+      if (!(await forEachExportRow({ entry, file }, name, (values) => writer.row(values)))) {
+        return { status: 400, error: `Sheet "${name}" not found` };
+      }
+      await writer.end();
+      zip.file(exportFileName(name, null, ext), sink.buffer());
+    }
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    start('application/zip', `workbook-${format}.zip`);
+    out.end(buffer);
+    return { action: `export_${format}`, sheet: null, details: { sheets: names } };
+  } finally {
+    await file?.cleanup();
+  }
+};
+
+// The given sheets as a workbook of their own: a private copy of the stored
+// file with the other sheets removed. Formulas (and names) that read removed
+// sheets keep their computed value; schemas, queries and charts of removed
+// sheets go too. Resolves { workbook } or { missing } (a sheet name).
+const exportWorkbook = async (entry, sheets) => {
+  const workbook = await loadWorkbook(entry.buffer);
+  const kept = [];
+  for (const name of sheets) {
+    const ws = workbook.getWorksheet(name);
+    if (!ws) return { missing: name };
+    kept.push(ws);
+  }
+
+  const evaluation = await entry.evaluation();
+  const others = workbook.worksheets.filter((w) => !kept.includes(w)).map((w) => w.name.toLowerCase());
+  const readsOthers = (text) => {
+    const lower = text.toLowerCase();
+    return others.some((n) => lower.includes(`${n}!`) || lower.includes(`'${n.replace(/'/g, "''")}'!`));
+  };
+
+  for (const ws of kept) {
+    // Read every formula before rewriting any: shared-formula clones are
+    // translated from their master, which may itself become a value
+    const formulas = [];
+    ws.eachRow({ includeEmpty: false }, (row) => {
+      row.eachCell({ includeEmpty: false }, (cell) => {
+        if (cell.type === ExcelJS.ValueType.Formula) {
+          formulas.push({ cell, formula: cell.formula, result: cell.result, value: cellOutputValue(cell, evaluation) });
+        }
+      });
+    });
+    for (const { cell, formula, result, value } of formulas) {
+      cell.value = readsOthers(formula) ? value : { formula, result };
+    }
+  }
+
+  const names = getDefinedNames(workbook);
+  if (names) setDefinedNames(workbook, names.filter((n) => !readsOthers(n.refersTo)));
+  for (const other of workbook.worksheets.filter((w) => !kept.includes(w))) workbook.removeWorksheet(other.id);
+  if (!kept.some((ws) => !ws.state || ws.state === 'visible')) kept[0].state = 'visible';
+  return { workbook };
+};
+
+// Sheets as xlsx or ods: named after the sheet, or "workbook" for several
+const renderWorkbookExport = async (key, { format, sheets }, out, start) => {
+  const { ext, type } = EXPORT_FORMATS[format];
+  const { entry, error } = await getStoredWorkbook(baseSupabase, key);
+  if (error) return { status: 404, error: 'Workbook not found' };
+  const names = sheets || (await entry.workbook()).worksheets.map((ws) => ws.name);
+  const { workbook, missing } = await exportWorkbook(entry, names);
+  if (missing) return { status: 400, error: names.length === 1 ? 'Sheet not found' : `Sheet "${missing}" not found` };
+
+  const buffer = await writeWorkbook(workbook);
+  start(type, names.length === 1 ? exportFileName(names[0], null, ext) : `workbook.${ext}`);
+  out.end(format === 'ods' ? xlsxToOds(buffer) : buffer);
+  return names.length === 1
+    ? { action: `export_${format}`, sheet: names[0], details: { sheet: names[0] } }
+    : { action: `export_${format}`, sheet: null, details: { sheets: names } };
+};
+
+// A saved query's rows under its column names, in a text or workbook format
+const renderQueryExport = async (key, { format, query }, out, start) => {
+  const { ext, type } = EXPORT_FORMATS[format];
+  const result = await queryStoredSheet(baseSupabase, key, { name: query });
+  if (result.error) return { status: result.status, error: result.error };
+
+  const header = result.columns.map((c) => c.name);
+  const rows = result.rows.map((row) => row.values);
+  start(type, exportFileName(result.sheet, query, ext));
+  if (TABLE_FORMATS.includes(format)) {
+    const writer = createTableWriter(format, out, { title: `${result.sheet} - ${query}` });
+    for (const values of [header, ...rows]) await writer.row(values);
+    await writer.end();
+    out.end();
+  } else {
+    const buffer = await tableWorkbook(query, header, rows).xlsx.writeBuffer();
+    out.end(format === 'ods' ? xlsxToOds(buffer) : Buffer.from(buffer));
+  }
+  return { action: `export_${format}`, sheet: result.sheet, details: { sheet: result.sheet, query, rows: result.total } };
+};
+
+// Sheets (or a saved query) as one PDF; each sheet starts on a new page.
+// `multi` (the pdf-multi route) skips missing sheets and names the file "workbook.pdf".
+const renderPdfExport = async (key, { sheets, query, layout, charts, multi = false }, out, start) => {
+  const { entry, error } = await getStoredWorkbook(baseSupabase, key);
+  if (error) return { status: 404, error: 'Workbook not found' };
+
+  // Shared cached model: read only
+  const workbook = await entry.workbook();
+  const evaluation = await entry.evaluation();
+
+  // { ws, title, table }: table is null for a whole sheet, else the rows and columns to print
+  const parts = [];
+  if (query) {
+    const saved = getSavedQuery(workbook, query);
+    if (!saved) return { status: 404, error: `Saved query "${query}" not found` };
+    const ws = workbook.getWorksheet(saved.sheet);
+    if (!ws) return { status: 400, error: 'Sheet not found' };
+    const result = queryWorksheet(ws, saved.query, { evaluation });
+    if (result.error) return { status: 400, error: result.error };
+    parts.push({
+      ws,
+      title: `Sheet: ${ws.name} (${query})`,
+      table: {
+        rowNumbers: result.rows.map((r) => r.row),
+        columns: pdfColumns(ws, result.columns.map((c) => ({ label: c.name, index: c.index })), layout),
+      },
+    });
+  } else {
+    for (const name of sheets || workbook.worksheets.map((ws) => ws.name)) {
+      const ws = workbook.getWorksheet(name);
+      if (ws) parts.push({ ws, title: `Sheet: ${name}`, table: null });
+      else if (!multi) return { status: 400, error: sheets.length === 1 ? 'Sheet not found' : `Sheet "${name}" not found` };
+    }
+  }
+
+  const single = !multi && parts.length === 1;
+  const sheet = parts[0]?.ws.name;
+  const PDFDocument = (await import('pdfkit')).default;
+  const doc = createPdfDocument(PDFDocument, layout);
+  start('application/pdf', single ? exportFileName(sheet, query, 'pdf') : 'workbook.pdf');
+  doc.pipe(out);
+
+  // Sheet printed on each page, for {sheet}
+  const pageSheets = [];
+  for (const { ws, title, table } of parts) {
+    if (pageSheets.length > 0) doc.addPage();
+    const valueAt = (r, c) => worksheetOutputValue(ws, r, c, evaluation);
+    const formats = conditionalFormatStyles(workbook, ws, evaluation);
+    drawPdfTable(doc, layout, {
+      title,
+      ...(table || pdfSheetArea(ws, layout, worksheetDimensions(ws), valueAt)),
+      valueAt,
+      formatAt: (r, c) => formats.get(`${columnLetter(c)}${r}`),
+    });
+    if (charts) drawChartPages(doc, workbook, ws, evaluation);
+    while (pageSheets.length <= currentPageIndex(doc)) pageSheets.push(ws.name);
+  }
+  drawPageText(doc, layout, (i) => pageSheets[i]);
+  doc.end();
+
+  const extra = { ...(charts ? { charts: true } : {}), layout };
+  return single
+    ? { action: 'export_pdf_single', sheet, details: { sheet, ...(query ? { query } : {}), ...extra } }
+    : { action: 'export_pdf_multi', sheet: null, details: { sheets: sheets || parts.map((p) => p.ws.name), ...extra } };
+};
+
+/**
+ * Render an export (a spec from exportSpec) of the stored workbook `key` to
+ * the writable `out`, which it ends. `start(type, fileName)` runs once, just
+ * before anything is written. Resolves { action, sheet, details } for the
+ * audit row, or { status, error } with nothing written.
+ */
+const renderExport = (key, spec, out, start) => {
+  if (spec.format === 'pdf') return renderPdfExport(key, spec, out, start);
+  if (spec.query) return renderQueryExport(key, spec, out, start);
+  if (WORKBOOK_FORMATS.includes(spec.format)) return renderWorkbookExport(key, spec, out, start);
+  return renderTableExport(key, spec, out, start);
+};
+
+// Synchronous export: rendered straight into the response
+const sendExport = async (req, res, spec, label) => {
+  try {
+    if (!allowExport(req, res, label)) return;
+
+    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
+    const result = await renderExport(key, spec, res, (type, fileName) => setExportHeaders(res, type, fileName));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    await auditExport(req.supabase, { id: req.user.id, email: req.userEmail }, result);
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+};
+
+/* -------------------------------------------------------
+   PDF layout options (lib/pdf-layout.js):
+   - orientation=portrait|landscape, paper=A4|A3|A5|Letter|Legal|Tabloid
+   - fit=width scales the table to the page width; widths=sheet uses the
+     workbook's column widths instead of a fixed 100pt
+   - headerRow=true prints the first row as the header on every page (column
+     letters otherwise); printArea=true limits the sheet to its print area
+   - gridlines=false; header= / footer= text with {page}, {pages}, {sheet}
+     and {date} (footer defaults to "Page {page} of {pages}")
+------------------------------------------------------- */
+
+/* -------------------------------------------------------
+   Export PDF multi (premium-only)
+   - ?sheets=A,B (default: every sheet); each sheet starts on a new page
+   - ?charts=true adds each sheet's charts after its table
+------------------------------------------------------- */
+app.get('/excel/export/pdf-multi', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { spec, status, error } = exportSpec('pdf', req.query, { allSheets: true });
+  if (error) return res.status(status).json({ error });
+  await sendExport(req, res, { ...spec, multi: true }, 'Multi-sheet PDF');
+});
+
+/* -------------------------------------------------------
+   Export jobs (premium-only)
+   - POST /excel/export/jobs { format, sheet | sheets, query, charts, PDF
+     layout options } queues an export of the current file (every sheet if
+     none is named) and answers 202 with the job
+   - GET /excel/export/jobs lists the caller's jobs; GET /excel/export/jobs/:id
+     is one job, with a short-lived signed `url` once it is done
+   - GET /excel/export/jobs/:id/events streams `job` events until it finishes
+   - Each user may have EXPORT_JOB_LIMITS[plan] unfinished jobs; results are
+     kept for EXPORT_JOB_TTL_MIN, then swept from storage
+------------------------------------------------------- */
+const exportJobsDir = (userId) => `${CONFIG.EXPORTS_PREFIX}/${userId}`;
+
+// Open an SSE response and register it in `listeners` (key -> Set(res)) until it closes
+const streamExportEvents = (res, listeners, key) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders?.();
+
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(res);
+  const ping = setInterval(() => {
+    res.write(`event: ping\ndata: ${JSON.stringify({ ts: Date.now() })}\n\n`);
+  }, CONFIG.REALTIME_PING_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(ping);
+    listeners.get(key)?.delete(res);
+    if (listeners.get(key)?.size === 0) listeners.delete(key);
+  });
+};
+
+// Per-job SSE listeners: job id -> Set(res)
+const exportJobListeners = new Map();
+
+// What clients see of a job
+const publicExportJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  format: job.spec.format,
+  sheets: job.spec.sheets,
+  query: job.spec.query,
+  fileName: job.fileName || null,
+  size: job.size ?? null,
+  error: job.error || null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null,
+  expiresAt: job.expiresAt || null,
+});
+
+/**
+ * Render an export in the background ({ id, owner, email, key, spec }) to a
+ * temp file, then store it as <dir>/<file name>. The audit row gets `details`
+ * on top of the export's own. Resolves { artifact, fileName, size }; throws on failure.
+ */
+const storeExport = async ({ id, owner, email, key, spec }, dir, details) => {
+  const tmpPath = `${CONFIG.TMP_DIR}/export-${id}`;
+  const out = fs.createWriteStream(tmpPath);
+  try {
+    let meta = null;
+    const result = await renderExport(key, spec, out, (type, fileName) => {
+      meta = { type, fileName };
+    });
+    if (result.error) throw new Error(result.error);
+    await finished(out);
+
+    const artifact = `${dir}/${meta.fileName}`;
+    const { size } = await fs.promises.stat(tmpPath);
+    const { error } = await putBufferToStorage(supabase, CONFIG.EXCEL_BUCKET, artifact, fs.createReadStream(tmpPath), meta.type);
+    if (error) throw new Error(`Storage upload failed: ${error.message}`);
+
+    await auditExport(supabase, { id: owner, email }, { ...result, details: { ...result.details, ...details } });
+    return { artifact, fileName: meta.fileName, size };
+  } finally {
+    out.destroy();
+    await fs.promises.unlink(tmpPath).catch(() => {});
+  }
+};
+
+// Stored under <EXPORTS_PREFIX>/<user>/<job id>/<file name>
+const runExportJob = (job) => storeExport(job, `${exportJobsDir(job.owner)}/${job.id}`, { job: job.id });
+
+const exportJobs = createJobQueue({
+  run: runExportJob,
+  maxRunning: CONFIG.EXPORT_JOBS_MAX_RUNNING,
+  ttlMs: CONFIG.EXPORT_JOB_TTL_MIN * 60 * 1000,
+  onChange: (job) => {
+    const view = publicExportJob(job);
+    for (const res of exportJobListeners.get(job.id) || []) {
+      res.write(`event: job\ndata: ${JSON.stringify(view)}\n\n`);
+      if (job.status === 'done' || job.status === 'failed') res.end();
+    }
+    if (job.status === 'done' || job.status === 'failed') {
+      broadcastSSE('excel:export_job', { by: job.email, id: job.id, status: job.status, fileName: view.fileName });
+    }
+  },
+  onExpire: async (job) => {
+    if (job.artifact) await removeFromStorage(supabase, CONFIG.EXCEL_BUCKET, job.artifact);
+  },
+});
+
+// Artifacts whose job is no longer known (e.g. from before a restart) and
+// older than the TTL; job ids start with their creation time
+const sweepStoredExports = async () => {
+  const cutoff = Date.now() - CONFIG.EXPORT_JOB_TTL_MIN * 60 * 1000;
+  const { data: users } = await supabase.storage.from(CONFIG.EXCEL_BUCKET).list(CONFIG.EXPORTS_PREFIX, { limit: 1000 });
+  for (const user of users || []) {
+    const { data: dirs } = await supabase.storage.from(CONFIG.EXCEL_BUCKET).list(exportJobsDir(user.name), { limit: 1000 });
+    for (const dir of dirs || []) {
+      const created = Date.parse(dir.name.split('_')[0].replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, 'T$1:$2:$3.$4Z'));
+      if (exportJobs.get(dir.name) || !(created < cutoff)) continue;
+      const prefix = `${exportJobsDir(user.name)}/${dir.name}`;
+      const { data: files } = await supabase.storage.from(CONFIG.EXCEL_BUCKET).list(prefix, { limit: 100 });
+      const keys = (files || []).map((f) => `${prefix}/${f.name}`);
+      if (keys.length > 0) await supabase.storage.from(CONFIG.EXCEL_BUCKET).remove(keys);
+    }
+  }
+};
+
+setInterval(async () => {
+  try {
+    await exportJobs.sweep();
+    await sweepStoredExports();
+  } catch (e) {
+    // Retried on the next tick
+  }
+}, CONFIG.EXPORT_SWEEP_INTERVAL_MS).unref();
+
+const findExportJob = (req) => {
+  const job = exportJobs.get(req.params.id);
+  return job && job.owner === req.user.id ? job : null;
+};
 
-    res.json({ success: true });
+app.post('/excel/export/jobs', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  try {
+    const input = req.body || {};
+    const { spec, status, error } = exportSpec(String(input.format || ''), input, { allSheets: true });
+    if (error) return res.status(status).json({ error });
+    if (!allowExport(req, res, EXPORT_FORMATS[spec.format].label)) return;
+
+    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
+    if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+
+    const limit = CONFIG.EXPORT_JOB_LIMITS[req.userPlan] ?? CONFIG.EXPORT_JOB_LIMITS.paid;
+    const submitted = exportJobs.submit({ id: newVersionId(), owner: req.user.id, email: req.userEmail, key, spec }, { limit });
+    if (submitted.error) return res.status(429).json({ error: submitted.error });
+
+    res.status(202).json({ success: true, job: publicExportJob(submitted.job) });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
 });
 
-/* -------------------------------------------------------
-   Overwrite sheet (utility)
-------------------------------------------------------- */
-app.post('/excel/overwrite', requireAuth, attachUserPlanAndFile, async (req, res) => {
-  const { name } = req.body;
-  if (!name) return res.status(400).json({ error: 'Sheet name required' });
+app.get('/excel/export/jobs', requireAuth, attachUserContext, attachUserPlanAndFile, (req, res) => {
+  res.json({ jobs: exportJobs.list(req.user.id).map(publicExportJob) });
+});
 
+app.get('/excel/export/jobs/:id', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
   try {
-    const key = req.fileKey;
-    const { buffer, error } = await getBufferFromStorage(baseSupabase, CONFIG.EXCEL_BUCKET, key);
-    if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
+    const job = findExportJob(req);
+    if (!job) return res.status(404).json({ error: 'Export job not found' });
+    if (job.status !== 'done') return res.json({ job: publicExportJob(job) });
 
-    const workbook = await loadWorkbook(buffer);
-    const ws = workbook.getWorksheet(name);
-    if (ws) {
-      workbook.removeWorksheet(ws.id);
+    const { data, error } = await supabase.storage
+      .from(CONFIG.EXCEL_BUCKET)
+      .createSignedUrl(job.artifact, CONFIG.EXPORT_URL_TTL_SEC, { download: job.fileName });
+    if (error || !data?.signedUrl) {
+      return res.status(500).json({ error: `Could not sign the download: ${error?.message || 'no URL'}` });
     }
-    const newWs = workbook.addWorksheet(name);
-    newWs.getCell('A1').value = 'Overwritten sheet';
-
-    const outBuffer = await workbook.xlsx.writeBuffer();
-    const { error: uploadError } = await updateBufferToStorage(
-      baseSupabase,
-      CONFIG.EXCEL_BUCKET,
-      key,
-      outBuffer,
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    );
-    if (uploadError) return res.status(500).json({ error: uploadError.message });
-
-    await req.supabase.from('excel_audit').insert({
-      user_id: req.user.id,
-      email: req.userEmail,
-      action: 'overwrite_sheet',
-      sheet_name: name,
-      details: { overwritten: true }
+    res.json({
+      job: publicExportJob(job),
+      url: data.signedUrl,
+      urlExpiresAt: new Date(Date.now() + CONFIG.EXPORT_URL_TTL_SEC * 1000).toISOString(),
     });
-
-    res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
 });
 
+app.get('/excel/export/jobs/:id/events', requireAuth, attachUserContext, attachUserPlanAndFile, (req, res) => {
+  const job = findExportJob(req);
+  if (!job) return res.status(404).json({ error: 'Export job not found' });
+
+  streamExportEvents(res, exportJobListeners, job.id);
+  res.write(`event: job\ndata: ${JSON.stringify(publicExportJob(job))}\n\n`);
+  if (job.status === 'done' || job.status === 'failed') res.end();
+});
+
 /* -------------------------------------------------------
-   Preview full sheet (no ads gate, faster load, robust dims)
+   Export schedules (premium-only)
+   - POST /excel/export/schedules/save { id?, name, cron, timezone, enabled,
+     format, sheet | sheets, query, charts, PDF layout options } schedules a
+     recurring export of the current file (every sheet if none is named), or
+     replaces the schedule `id`; POST /excel/export/schedules/delete { id }
+   - GET /excel/export/schedules lists them with their next run
+   - GET /excel/export/schedules/runs[?schedule=id] is the run history, newest
+     first; GET /excel/export/schedules/runs/:id adds a signed download `url`
+   - GET /excel/export/schedules/events streams the caller's `schedule_run`
+     events as runs finish or fail
+   - Schedules and history are kept in <SCHEDULES_PREFIX>/<user id>.json;
+     results go to the user's folder under exports/<schedule id>/<run id>/
 ------------------------------------------------------- */
-app.get(
-  '/excel/preview',
-  requireAuth,
-  attachUserContext,
-  attachUserPlanAndFile,
-  async (req, res) => {
-    const { sheet } = req.query;
-    if (!sheet) return res.status(400).json({ error: 'Sheet is required' });
+// User id -> { email, schedules, runs }, loaded from storage once
+const exportSchedules = new Map();
+let exportSchedulesLoaded = null;
+// Users whose stored document could not be read or parsed: their schedules
+// cannot be edited, so the document is never overwritten with an empty one
+const unreadableExportSchedules = new Set();
+const UNREADABLE_SCHEDULES_ERROR = 'Your saved schedules could not be read; they cannot be changed right now';
+
+const scheduleDocKey = (userId) => `${CONFIG.SCHEDULES_PREFIX}/${userId}.json`;
+
+// Every user's schedules; a failed read is retried by the next caller
+const loadExportSchedules = () => {
+  if (!exportSchedulesLoaded) {
+    exportSchedulesLoaded = (async () => {
+      const pageSize = 1000;
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await supabase.storage
+          .from(CONFIG.EXCEL_BUCKET)
+          .list(CONFIG.SCHEDULES_PREFIX, { limit: pageSize, offset });
+        if (error) throw new Error(error.message);
+        for (const f of (data || []).filter((f) => f.id && f.name.endsWith('.json'))) {
+          const userId = f.name.slice(0, -'.json'.length);
+          try {
+            const { buffer, error: readError } = await getBufferFromStorage(supabase, CONFIG.EXCEL_BUCKET, scheduleDocKey(userId));
+            if (readError) throw new Error(readError.message);
+            const doc = JSON.parse(buffer.toString('utf8'));
+            // Runs cut short by a restart
+            for (const run of doc.runs.filter((r) => r.status === 'queued' || r.status === 'running')) {
+              Object.assign(run, { status: 'failed', error: 'Interrupted by a server restart' });
+            }
+            exportSchedules.set(userId, doc);
+          } catch (e) {
+            // Skipped: the user's schedule routes answer 503 until a restart reads it
+            unreadableExportSchedules.add(userId);
+          }
+        }
+        if (!data || data.length < pageSize) break;
+      }
+    })().catch((e) => {
+      exportSchedulesLoaded = null;
+      throw e;
+    });
+  }
+  return exportSchedulesLoaded;
+};
 
-    try {
-      // Determine storage key
-      const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
-      if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+const userExportSchedules = (userId) => {
+  if (!exportSchedules.has(userId)) exportSchedules.set(userId, { email: '', schedules: [], runs: [] });
+  return exportSchedules.get(userId);
+};
 
-      if (!req.supabase || !req.supabase.storage) {
-        return res.status(500).json({ error: 'Supabase client not initialized' });
-      }
+// Writes of one user's document, one at a time: user id -> last write
+const scheduleWrites = new Map();
+const saveExportSchedules = (userId) => {
+  const write = (scheduleWrites.get(userId) || Promise.resolve()).then(async () => {
+    const doc = Buffer.from(JSON.stringify(exportSchedules.get(userId)));
+    const { error } = await putBufferToStorage(supabase, CONFIG.EXCEL_BUCKET, scheduleDocKey(userId), doc, 'application/json');
+    if (error) throw new Error(`Could not save schedules: ${error.message}`);
+  });
+  scheduleWrites.set(userId, write.catch(() => {}));
+  return write;
+};
 
-      // Load buffer using authenticated client
-      const { buffer, error } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
-      if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
+const nextScheduleRun = (schedule, after) =>
+  nextCronTime(parseCron(schedule.cron), schedule.timezone, after)?.toISOString() || null;
+
+const publicExportSchedule = (schedule) => ({
+  id: schedule.id,
+  name: schedule.name,
+  cron: schedule.cron,
+  timezone: schedule.timezone,
+  enabled: schedule.enabled,
+  file: schedule.fileKey.split('/').pop(),
+  format: schedule.spec.format,
+  sheets: schedule.spec.sheets,
+  query: schedule.spec.query,
+  nextRunAt: schedule.enabled ? schedule.nextRunAt : null,
+  lastRunAt: schedule.lastRunAt || null,
+  lastStatus: schedule.lastStatus || null,
+  createdAt: schedule.createdAt,
+  updatedAt: schedule.updatedAt,
+});
 
-      const workbook = await loadWorkbook(buffer);
-      const ws = workbook.getWorksheet(sheet);
-      if (!ws) return res.status(400).json({ error: `Sheet "${sheet}" not found` });
+const publicScheduleRun = ({ artifact, ...run }) => run;
 
-      const preview = [];
-      const maxRow = ws.actualRowCount || ws.rowCount || 0;
-      const maxCol = ws.actualColumnCount || (ws.columns ? ws.columns.length : 0);
+// Per-user SSE listeners for finished runs: user id -> Set(res)
+const scheduleRunListeners = new Map();
 
-      // Always return at least a 1x1 grid
-      const safeRowCount = Math.max(maxRow, 1);
-      const safeColCount = Math.max(maxCol, 1);
+// Runs of a schedule are exports like any other, stored in the user's folder.
+// The plan is checked again: a schedule outlives a premium subscription.
+const runScheduledExport = async (run) => {
+  const { data: profile } = await supabase.from('profiles').select('plan').eq('id', run.owner).single();
+  if ((profile?.plan || 'free') === 'free') throw new Error('Scheduled exports require a premium plan');
+  return storeExport(run, `${userFilesDir(run.owner)}/exports/${run.scheduleId}/${run.id}`, { schedule: run.scheduleId });
+};
 
-      for (let r = 1; r <= safeRowCount; r++) {
-        const row = [];
-        for (let c = 1; c <= safeColCount; c++) {
-          row.push(ws.getRow(r).getCell(c).value ?? null);
-        }
-        preview.push(row);
+// The run's entry in the user's history, newest first; entries past
+// MAX_SCHEDULE_RUNS are dropped along with their files
+const recordScheduleRun = (run) => {
+  const doc = userExportSchedules(run.owner);
+  const entry = {
+    id: run.id,
+    scheduleId: run.scheduleId,
+    scheduleName: run.scheduleName,
+    status: run.status,
+    scheduledFor: run.scheduledFor,
+    createdAt: run.createdAt,
+    startedAt: run.startedAt || null,
+    finishedAt: run.finishedAt || null,
+    fileName: run.fileName || null,
+    size: run.size ?? null,
+    artifact: run.artifact || null,
+    error: run.error || null,
+  };
+  const index = doc.runs.findIndex((r) => r.id === run.id);
+  if (index >= 0) doc.runs[index] = entry;
+  else doc.runs.unshift(entry);
+
+  for (const dropped of doc.runs.splice(CONFIG.MAX_SCHEDULE_RUNS)) {
+    if (dropped.artifact) removeFromStorage(supabase, CONFIG.EXCEL_BUCKET, dropped.artifact).catch(() => {});
+  }
+  return entry;
+};
+
+const scheduledExports = createJobQueue({
+  run: runScheduledExport,
+  maxRunning: CONFIG.EXPORT_SCHEDULES_MAX_RUNNING,
+  // Run state is kept in the user's history; the queue only needs it while running
+  ttlMs: 0,
+  onChange: (run) => {
+    const entry = recordScheduleRun(run);
+    if (run.status === 'done' || run.status === 'failed') {
+      const schedule = userExportSchedules(run.owner).schedules.find((s) => s.id === run.scheduleId);
+      if (schedule) Object.assign(schedule, { lastRunAt: run.finishedAt, lastStatus: run.status });
+
+      const view = publicScheduleRun(entry);
+      for (const res of scheduleRunListeners.get(run.owner) || []) {
+        res.write(`event: schedule_run\ndata: ${JSON.stringify(view)}\n\n`);
       }
+      broadcastSSE('excel:export_schedule', {
+        by: run.email,
+        schedule: run.scheduleId,
+        id: run.id,
+        status: run.status,
+        fileName: view.fileName,
+      });
+    }
+    saveExportSchedules(run.owner).catch(() => {});
+  },
+});
 
-      res.json({ sheet, preview, rows: maxRow, cols: maxCol });
-    } catch (e) {
-      res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+// Submit the runs that are due. A run missed while the server was down is
+// made up once; a schedule whose last run is still going skips this one.
+const runDueSchedules = async (now = new Date()) => {
+  await loadExportSchedules();
+  for (const [userId, doc] of exportSchedules) {
+    let changed = false;
+    for (const schedule of doc.schedules) {
+      if (!schedule.enabled || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now.getTime()) continue;
+
+      const scheduledFor = schedule.nextRunAt;
+      schedule.nextRunAt = nextScheduleRun(schedule, now);
+      changed = true;
+      const busy = doc.runs.some(
+        (r) => r.scheduleId === schedule.id && (r.status === 'queued' || r.status === 'running')
+      );
+      if (busy) continue;
+
+      scheduledExports.submit({
+        id: newVersionId(),
+        owner: userId,
+        email: doc.email,
+        key: schedule.fileKey,
+        spec: schedule.spec,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        scheduledFor,
+      });
     }
+    if (changed) saveExportSchedules(userId).catch(() => {});
   }
-);
+};
 
-/* -------------------------------------------------------
-   Metadata
-------------------------------------------------------- */
-app.get('/excel/meta', attachUserPlanAndFile, async (req, res) => {
+setInterval(async () => {
   try {
-    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
-    const dir = key.includes('/') ? key.split('/').slice(0, -1).join('/') : '';
-    const { data, error } = await baseSupabase.storage.from(CONFIG.EXCEL_BUCKET).list(dir, { limit: 100 });
-    if (error) return res.status(404).json({ error: error.message });
-    const file = data.find((f) => f.name === key.split('/').pop());
-    if (!file) return res.status(404).json({ error: 'File not found' });
-    res.json({ name: file.name, size: file.size, last_modified: file.updated_at });
+    await scheduledExports.sweep();
+    await runDueSchedules();
   } catch (e) {
-    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+    // Retried on the next tick
   }
-});
-
-/* -------------------------------------------------------
-   Export CSV (premium-only)
-------------------------------------------------------- */
-app.get('/excel/export/csv', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
-  const { sheet } = req.query;
-  if (!sheet) return res.status(400).json({ error: 'Sheet is required' });
+}, CONFIG.SCHEDULE_TICK_MS).unref();
 
+// Body: { id?, name, cron, timezone, enabled, format, sheet | sheets, query, charts, PDF layout options }
+app.post('/excel/export/schedules/save', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
   try {
-    // Block free plan entirely
-    if (req.userPlan === 'free') {
-      return res.status(403).json({ error: 'CSV export is available only on premium plans' });
-    }
-
-    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
-    const { buffer, error } = await getBufferFromStorage(baseSupabase, CONFIG.EXCEL_BUCKET, key);
-    if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
-
-    const workbook = await loadWorkbook(buffer);
-    const ws = workbook.getWorksheet(sheet);
-    if (!ws) return res.status(400).json({ error: 'Sheet not found' });
-
-    const maxRow = ws.actualRowCount || ws.rowCount;
-    const maxCol = ws.actualColumnCount || (ws.columns ? ws.columns.length : 0);
-
-    const escapeCSV = (v) => {
-      if (v === null || v === undefined) return '';
-      const s = String(v);
-      if (s.includes('"') || s.includes(',') || s.includes('\n') || s.includes('\r')) {
-        return `"${s.replace(/"/g, '""')}"`;
-      }
-      return s;
-    };
-
-    let csv = '';
-    for (let r = 1; r <= maxRow; r++) {
-      const rowVals = [];
-      for (let c = 1; c <= maxCol; c++) {
-        const cellVal = ws.getRow(r).getCell(c).value;
-        rowVals.push(escapeCSV(cellVal));
+    if (!allowExport(req, res, 'Scheduled')) return;
+
+    const input = req.body || {};
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 100) return res.status(400).json({ error: 'Schedule name is required (at most 100 characters)' });
+    const timing = validateCronSchedule({ cron: input.cron, timezone: input.timezone || undefined });
+    if (timing.error) return res.status(400).json({ error: timing.error });
+    const { spec, status, error } = exportSpec(String(input.format || ''), input, { allSheets: true });
+    if (error) return res.status(status).json({ error });
+
+    await loadExportSchedules();
+    if (unreadableExportSchedules.has(req.user.id)) return res.status(503).json({ error: UNREADABLE_SCHEDULES_ERROR });
+    const doc = userExportSchedules(req.user.id);
+    let schedule = null;
+    if (input.id) {
+      schedule = doc.schedules.find((s) => s.id === input.id);
+      if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    } else {
+      if (doc.schedules.length >= CONFIG.MAX_EXPORT_SCHEDULES) {
+        return res.status(400).json({ error: `At most ${CONFIG.MAX_EXPORT_SCHEDULES} export schedules per user` });
       }
-      csv += rowVals.join(',') + '\n';
+      schedule = { id: newVersionId(), createdAt: new Date().toISOString() };
+      doc.schedules.push(schedule);
     }
 
+    doc.email = req.userEmail;
+    Object.assign(schedule, {
+      name,
+      cron: timing.cron,
+      timezone: timing.timezone,
+      enabled: input.enabled !== false && input.enabled !== 'false',
+      fileKey: req.fileKey,
+      spec,
+      nextRunAt: timing.next.toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    await saveExportSchedules(req.user.id);
+
     await req.supabase.from('excel_audit').insert({
       user_id: req.user.id,
       email: req.userEmail,
-      action: 'export_csv',
-      sheet_name: sheet,
-      details: { sheet }
+      action: 'save_export_schedule',
+      details: { id: schedule.id, name, cron: schedule.cron, timezone: schedule.timezone, format: spec.format, key: req.fileKey }
     });
 
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="${sheet}.csv"`);
-    res.send(csv);
+    res.json({ success: true, schedule: publicExportSchedule(schedule) });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
 });
 
-/* -------------------------------------------------------
-   Export PDF single (premium-only)
-------------------------------------------------------- */
-app.get('/excel/export/pdf', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
-  const { sheet } = req.query;
-  if (!sheet) return res.status(400).json({ error: 'Sheet is required' });
-
+// Body: { id }; the schedule's past runs and their files stay in the history
+app.post('/excel/export/schedules/delete', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
   try {
-    // Block free plan entirely
-    if (req.userPlan === 'free') {
-      return res.status(403).json({ error: 'PDF export is available only on premium plans' });
-    }
-
-    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
-    const { buffer, error } = await getBufferFromStorage(baseSupabase, CONFIG.EXCEL_BUCKET, key);
-    if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
-
-    const workbook = await loadWorkbook(buffer);
-    const ws = workbook.getWorksheet(sheet);
-    if (!ws) return res.status(400).json({ error: 'Sheet not found' });
-
-    const PDFDocument = (await import('pdfkit')).default;
-    const doc = new PDFDocument({ size: 'A4', margin: 36 });
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${sheet}.pdf"`);
-    doc.pipe(res);
-
-    const cellPaddingX = 6;
-    const cellPaddingY = 4;
-    const rowHeight = 18;
-    const colWidth = 100;
-    const maxRow = ws.actualRowCount || ws.rowCount;
-    const maxCol = ws.actualColumnCount || (ws.columns ? ws.columns.length : 0);
-
-    const startX = doc.page.margins.left;
-    let cursorY = doc.page.margins.top;
-
-    doc.fontSize(16).fillColor('#111111').text(`Sheet: ${sheet}`, { align: 'left' });
-    doc.moveDown(0.5);
-
-    doc.save();
-    doc.rect(startX, cursorY, colWidth * maxCol, rowHeight).fill('#f3f4f6');
-    doc.restore();
-
-    doc.fontSize(10).fillColor('#111827');
-    for (let c = 0; c < maxCol; c++) {
-      const x = startX + c * colWidth;
-      doc.text(`Col ${c + 1}`, x + cellPaddingX, cursorY + cellPaddingY, {
-        width: colWidth - cellPaddingX * 2,
-        height: rowHeight - cellPaddingY * 2,
-        ellipsis: true,
-      });
-      doc.rect(x, cursorY, colWidth, rowHeight).stroke('#d1d5db');
-    }
-    cursorY += rowHeight;
+    await loadExportSchedules();
+    if (unreadableExportSchedules.has(req.user.id)) return res.status(503).json({ error: UNREADABLE_SCHEDULES_ERROR });
+    const doc = userExportSchedules(req.user.id);
+    const schedule = doc.schedules.find((s) => s.id === req.body?.id);
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
 
-    doc.fontSize(10).fillColor('#111111');
-    for (let r = 1; r <= maxRow; r++) {
-      if (cursorY + rowHeight > doc.page.height - doc.page.margins.bottom) {
-        doc.addPage();
-        cursorY = doc.page.margins.top;
-      }
-      for (let c = 1; c <= maxCol; c++) {
-        const x = startX + (c - 1) * colWidth;
-        const val = ws.getRow(r).getCell(c).value;
-        const text = val === null || val === undefined ? '' : String(val);
-        doc.text(text, x + cellPaddingX, cursorY + cellPaddingY, {
-          width: colWidth - cellPaddingX * 2,
-          height: rowHeight - cellPaddingY * 2,
-          ellipsis: true,
-        });
-        doc.rect(x, cursorY, colWidth, rowHeight).stroke('#e5e7eb');
-      }
-      cursorY += rowHeight;
-    }
+    doc.schedules = doc.schedules.filter((s) => s !== schedule);
+    await saveExportSchedules(req.user.id);
 
     await req.supabase.from('excel_audit').insert({
       user_id: req.user.id,
       email: req.userEmail,
-      action: 'export_pdf_single',
-      sheet_name: sheet,
-      details: { sheet }
+      action: 'delete_export_schedule',
+      details: { id: schedule.id, name: schedule.name }
     });
 
-    doc.end();
+    res.json({ success: true, schedules: doc.schedules.map(publicExportSchedule) });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
 });
 
-/* -------------------------------------------------------
-   Export PDF multi (premium-only)
-------------------------------------------------------- */
-app.get('/excel/export/pdf-multi', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
-  const { sheets } = req.query;
+app.get('/excel/export/schedules', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
   try {
-    // Block free plan entirely
-    if (req.userPlan === 'free') {
-      return res.status(403).json({ error: 'Multi-sheet PDF export is available only on premium plans' });
-    }
-
-    const key = req.user ? req.fileKey : CONFIG.EXCEL_FILE_KEY;
-    const { buffer, error } = await getBufferFromStorage(baseSupabase, CONFIG.EXCEL_BUCKET, key);
-    if (error || !buffer) return res.status(404).json({ error: 'Workbook not found' });
+    await loadExportSchedules();
+    res.json({ schedules: userExportSchedules(req.user.id).schedules.map(publicExportSchedule) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
 
-    const workbook = await loadWorkbook(buffer);
-    let sheetList = sheets
-      ? sheets.split(',').map(s => s.trim()).filter(Boolean)
-      : workbook.worksheets.map(ws => ws.name);
-
-    const PDFDocument = (await import('pdfkit')).default;
-    const doc = new PDFDocument({ size: 'A4', margin: 36 });
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename="workbook.pdf"');
-    doc.pipe(res);
-
-    const drawTable = (ws, title) => {
-      doc.fontSize(16).fillColor('#111111').text(`Sheet: ${title}`, { align: 'left' });
-      doc.moveDown(0.5);
-      const cellPaddingX = 6;
-      const cellPaddingY = 4;
-      const rowHeight = 18;
-      const colWidth = 100;
-      const maxRow = ws.actualRowCount || ws.rowCount;
-      const maxCol = ws.actualColumnCount || (ws.columns ? ws.columns.length : 0);
-      const startX = doc.page.margins.left;
-      let cursorY = doc.page.margins.top;
-
-      doc.save();
-      doc.rect(startX, cursorY, colWidth * maxCol, rowHeight).fill('#f3f4f6');
-      doc.restore();
-
-      doc.fontSize(10).fillColor('#111827');
-      for (let c = 0; c < maxCol; c++) {
-        const x = startX + c * colWidth;
-        doc.text(`Col ${c + 1}`, x + cellPaddingX, cursorY + cellPaddingY, {
-          width: colWidth - cellPaddingX * 2,
-          height: rowHeight - cellPaddingY * 2,
-          ellipsis: true,
-        });
-        doc.rect(x, cursorY, colWidth, rowHeight).stroke('#d1d5db');
-      }
-      cursorY += rowHeight;
+app.get('/excel/export/schedules/runs', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  try {
+    await loadExportSchedules();
+    const { schedule } = req.query;
+    const runs = userExportSchedules(req.user.id).runs.filter((r) => !schedule || r.scheduleId === schedule);
+    res.json({ runs: runs.map(publicScheduleRun) });
+  } catch (e) {
+    res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+  }
+});
 
-      doc.fontSize(10).fillColor('#111111');
-      for (let r = 1; r <= maxRow; r++) {
-        if (cursorY + rowHeight > doc.page.height - doc.page.margins.bottom) {
-          doc.addPage();
-          cursorY = doc.page.margins.top;
-        }
-        for (let c = 1; c <= maxCol; c++) {
-          const x = startX + (c - 1) * colWidth;
-          const val = ws.getRow(r).getCell(c).value;
-          const text = val === null || val === undefined ? '' : String(val);
-          doc.text(text, x + cellPaddingX, cursorY + cellPaddingY, {
-            width: colWidth - cellPaddingX * 2,
-            height: rowHeight - cellPaddingY * 2,
-            ellipsis: true,
-          });
-          doc.rect(x, cursorY, colWidth, rowHeight).stroke('#e5e7eb');
-        }
-        cursorY += rowHeight;
-      }
-    };
+app.get('/excel/export/schedules/events', requireAuth, attachUserContext, attachUserPlanAndFile, (req, res) => {
+  streamExportEvents(res, scheduleRunListeners, req.user.id);
+  res.write(`event: connected\ndata: ${JSON.stringify({ ts: Date.now() })}\n\n`);
+});
 
-    sheetList.forEach((name, idx) => {
-      const ws = workbook.getWorksheet(name);
-      if (!ws) return;
-      if (idx > 0) doc.addPage();
-      drawTable(ws, name);
-    });
+app.get('/excel/export/schedules/runs/:id', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  try {
+    await loadExportSchedules();
+    const run = userExportSchedules(req.user.id).runs.find((r) => r.id === req.params.id);
+    if (!run) return res.status(404).json({ error: 'Schedule run not found' });
+    if (!run.artifact) return res.json({ run: publicScheduleRun(run) });
 
-    await req.supabase.from('excel_audit').insert({
-      user_id: req.user.id,
-      email: req.userEmail,
-      action: 'export_pdf_multi',
-      details: { sheets: sheetList }
+    const { data, error } = await supabase.storage
+      .from(CONFIG.EXCEL_BUCKET)
+      .createSignedUrl(run.artifact, CONFIG.EXPORT_URL_TTL_SEC, { download: run.fileName });
+    if (error || !data?.signedUrl) {
+      return res.status(500).json({ error: `Could not sign the download: ${error?.message || 'no URL'}` });
+    }
+    res.json({
+      run: publicScheduleRun(run),
+      url: data.signedUrl,
+      urlExpiresAt: new Date(Date.now() + CONFIG.EXPORT_URL_TTL_SEC * 1000).toISOString(),
     });
-
-    doc.end();
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
   }
 });
 
+/* -------------------------------------------------------
+   Export a sheet (premium-only)
+   - /excel/export/:format with format csv, json, tsv, html, markdown, ods,
+     xlsx or pdf
+   - json: array of row objects keyed by the header (first row of the sheet);
+     csv, tsv, html and markdown: the sheet as a table under the same header
+   - xlsx: the sheet alone as its own workbook, with styles and layout; ods:
+     the same, values, formulas and number formats only
+   - pdf: see the layout options above; ?charts=true adds a page per chart
+   - ?sheets=A,B exports several sheets: one workbook (xlsx, ods), one PDF,
+     or a zip of one file per sheet (text formats)
+   - ?query=name exports the rows of a saved query under its column names
+------------------------------------------------------- */
+app.get('/excel/export/:format', requireAuth, attachUserContext, attachUserPlanAndFile, async (req, res) => {
+  const { spec, status, error } = exportSpec(req.params.format, req.query);
+  if (error) return res.status(status).json({ error });
+  await sendExport(req, res, spec, EXPORT_FORMATS[spec.format].label);
+});
+
 /* -------------------------------------------------------
    Audit retrieval for Dashboard (premium-only)
 ------------------------------------------------------- */
@@ -1629,6 +4738,7 @@ app.post('/admin/users/permadelete', requireAuth, attachUserPlanAndFile, require
       const keys = list.map((f) => `${prefix}/${f.name}`);
       const { error: rmErr } = await baseSupabase.storage.from(CONFIG.EXCEL_BUCKET).remove(keys);
       if (rmErr) {}
+      keys.forEach((k) => workbookCache.invalidate(storageId(CONFIG.EXCEL_BUCKET, k)));
     }
 
     const { error: delErr } = await baseSupabase.from('profiles').delete().eq('id', user_id);
@@ -1752,6 +4862,14 @@ app.post('/support/tickets/respond', requireAuth, attachUserPlanAndFile, async (
   }
 });
 
+/* Workbook cache counters — superadmin or owner */
+app.get('/admin/cache/stats', requireAuth, attachUserPlanAndFile, (req, res) => {
+  if (req.userRole !== 'superadmin' && req.userEmail !== CONFIG.OWNER_EMAIL) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  res.json(workbookCache.stats());
+});
+
 /* Subscription analytics — owner only */
 app.get('/admin/subscriptions/metrics', requireAuth, attachUserPlanAndFile, requireOwner, async (req, res) => {
   try {
@@ -1922,10 +5040,36 @@ app.post('/legal/privacy', requireAuth, attachUserPlanAndFile, requireOwner, asy
 /* =======================================================
    FILE UPLOAD / CONVERT (plan-aware, no ads gate)
 ======================================================= */
-const upload = multer({ storage: multer.memoryStorage() });
+// Uploads land on disk (not in memory) and are removed once the request is done
+const upload = multer({ storage: multer.diskStorage({ destination: CONFIG.TMP_DIR }) });
+
+// Data and document formats are premium; spreadsheets count against the free one-file limit
+const PREMIUM_UPLOAD_FORMATS = ['csv', 'tsv', 'json', 'ndjson', 'jsonl', 'pdf'];
+const SPREADSHEET_UPLOAD_FORMATS = ['xlsx', 'ods', 'xls'];
+
+// Column schemas carried by an incoming xlsx on disk (e.g. a re-uploaded
+// download) are enforced before it is stored. Returns the 422 body, or null.
+const checkIncomingSchemas = async (filePath) => {
+  const schemas = parseWorksheetSchemas(await readCustomXmlPartsFromFile(filePath));
+  const invalid = [];
+  let total = 0;
+  for (const [sheetName, schema] of Object.entries(schemas)) {
+    const checker = createSchemaChecker(schema);
+    if (!(await forEachSheetRow(filePath, sheetName, (row) => checker.row(row)))) continue;
+    const result = checker.finish();
+    invalid.push(...result.errors.map((e) => ({ sheet: sheetName, ...e })));
+    total += result.total;
+  }
+  return total > 0 ? { error: `${total} cell(s) do not match the column schema`, invalid, total } : null;
+};
 
 /* -------------------------------------------------------
-   Upload Excel/CSV/PDF (premium rules enforced)
+   Upload Excel/CSV/PDF and other formats (premium rules enforced)
+   - ods, xls, tsv, json, ndjson/jsonl are converted to xlsx (lib/importers.js):
+     one sheet per source sheet or JSON top-level array
+   - PDFs: tables are extracted into an xlsx; without a `tables` field
+     (comma-separated ids or "all") nothing is stored and the response lists
+     the detected tables to pick from
 ------------------------------------------------------- */
 app.post(
   '/excel/upload',
@@ -1933,9 +5077,11 @@ app.post(
   attachUserContext,
   upload.single('file'),
   async (req, res) => {
+    // Temp files to remove when the request ends (the multer upload plus any conversion output)
+    const tempFiles = req.file ? [req.file.path] : [];
     try {
       if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-      let buffer = req.file.buffer;
+      let uploadPath = req.file.path;
       const filename = req.file.originalname;
 
       const isFree = req.userPlan === 'free';
@@ -1944,12 +5090,12 @@ app.post(
 
       // Plan enforcement
       const ext = filename.toLowerCase().split('.').pop();
-      if (['csv', 'pdf'].includes(ext)) {
+      if (PREMIUM_UPLOAD_FORMATS.includes(ext)) {
         if (isFree) {
-          return res.status(403).json({ error: 'CSV and PDF uploads require a premium plan' });
+          return res.status(403).json({ error: 'CSV, JSON and PDF uploads require a premium plan' });
         }
       }
-      if (ext === 'xlsx') {
+      if (SPREADSHEET_UPLOAD_FORMATS.includes(ext)) {
         if (isFree && alreadyHasFile) {
           return res.status(403).json({ error: 'Free plan allows only one Excel file upload' });
         }
@@ -1957,50 +5103,79 @@ app.post(
 
       let preview = [];
       let sheetNames = [];
+      let storedName = filename;
+      let pdfTables = null;
 
       try {
         if (ext === 'xlsx') {
-          const workbook = new ExcelJS.Workbook();
-          await workbook.xlsx.load(buffer);
-          sheetNames = workbook.worksheets.map((ws) => ws.name);
+          sheetNames = (await streamSheetNames(uploadPath)).map((s) => s.name);
 
           if (sheetNames.length === 0) {
+            const workbook = new ExcelJS.Workbook();
             const defaultSheet = workbook.addWorksheet('Sheet1');
             defaultSheet.getCell('A1').value = 'New sheet created';
             sheetNames.push('Sheet1');
-            buffer = await workbook.xlsx.writeBuffer();
+            uploadPath = `${req.file.path}.xlsx`;
+            tempFiles.push(uploadPath);
+            await workbook.xlsx.writeFile(uploadPath);
           }
 
-          const ws = workbook.worksheets[0];
-          if (ws) {
-            const maxRow = ws.actualRowCount || ws.rowCount;
-            const maxCol = ws.actualColumnCount || (ws.columns ? ws.columns.length : 0);
-            for (let r = 1; r <= maxRow; r++) {
-              const row = [];
-              for (let c = 1; c <= maxCol; c++) {
-                row.push(ws.getRow(r).getCell(c).value);
-              }
-              preview.push(row);
-            }
-          }
-        } else if (ext === 'csv') {
-          const rows = csvParse(buffer.toString(), { columns: false });
-          preview = rows.slice(0, 20);
-          const workbook = new ExcelJS.Workbook();
-          const ws = workbook.addWorksheet('Sheet1');
-          rows.forEach((row, rIndex) => {
-            row.forEach((val, cIndex) => {
-              ws.getRow(rIndex + 1).getCell(cIndex + 1).value = val;
-            });
+          const schemaRejection = await checkIncomingSchemas(uploadPath);
+          if (schemaRejection) return res.status(422).json(schemaRejection);
+
+          // First page only; the editor pages through the rest via /excel/range
+          const first = await fileSheetGrid({ path: uploadPath, size: req.file.size }, sheetNames[0], {
+            top: 1,
+            left: 1,
+            bottom: CONFIG.RANGE_DEFAULT_ROWS,
+            right: null,
           });
+          preview = first?.grid || [];
+        } else if (ext === 'csv') {
+          uploadPath = `${req.file.path}.xlsx`;
+          tempFiles.push(uploadPath);
+          ({ preview } = await csvFileToXlsxFile(req.file.path, uploadPath, 'Sheet1'));
           sheetNames = ['Sheet1'];
-          buffer = await workbook.xlsx.writeBuffer();
+        } else if (IMPORT_FORMATS.includes(ext)) {
+          uploadPath = `${req.file.path}.xlsx`;
+          tempFiles.push(uploadPath);
+          const converted = await convertToXlsxFile(req.file.path, ext, uploadPath, {
+            name: filename.replace(/\.[^/.]+$/, ''),
+          });
+          if (converted.error) return res.status(400).json({ error: 'File parse failed: ' + converted.error });
+          sheetNames = converted.sheetNames;
+
+          const { size } = await fs.promises.stat(uploadPath);
+          const first = await fileSheetGrid({ path: uploadPath, size }, sheetNames[0], {
+            top: 1,
+            left: 1,
+            bottom: CONFIG.RANGE_DEFAULT_ROWS,
+            right: null,
+          });
+          preview = first?.grid || [];
+          storedName = filename.replace(/\.[^/.]+$/, '.xlsx');
         } else if (ext === 'pdf') {
-          // Use pdf-parse safely
-          const pdfData = await require('pdf-parse')(buffer);
-          preview = pdfData.text.split('\n').slice(0, 20);
-          sheetNames = [filename.replace(/\.[^/.]+$/, '')];
-          // Store raw PDF buffer directly (no conversion to Excel)
+          const { pages, total } = await readPdfTextItems(await fs.promises.readFile(uploadPath));
+          const tables = extractPdfTables(pages);
+          if (tables.length === 0) {
+            return res.status(422).json({ error: 'No tables found in the PDF (scanned pages have no text to read)' });
+          }
+          if (!req.body.tables) {
+            return res.json({ preview: true, fileName: filename, pages: total, tables: pdfTablesPreview(tables) });
+          }
+
+          const ids = new Set(String(req.body.tables).split(',').map((id) => id.trim()));
+          const picked = ids.has('all') ? tables : tables.filter((t) => ids.has(t.id));
+          if (picked.length === 0) return res.status(400).json({ error: 'None of the chosen tables were found' });
+
+          uploadPath = `${req.file.path}.xlsx`;
+          tempFiles.push(uploadPath);
+          const workbook = pdfTablesWorkbook(picked);
+          await workbook.xlsx.writeFile(uploadPath);
+          sheetNames = workbook.worksheets.map((ws) => ws.name);
+          preview = picked[0].rows.slice(0, 20);
+          storedName = filename.replace(/\.pdf$/i, '.xlsx');
+          pdfTables = picked.map((t) => t.id);
         } else {
           return res.status(400).json({ error: 'Unsupported file type' });
         }
@@ -2009,34 +5184,25 @@ app.post(
       }
 
       // Ensure unique filename in storage
-      let key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${filename}`;
+      let key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${storedName}`;
       const { data: existingList, error: listErr } = await req.supabase.storage
         .from(CONFIG.EXCEL_BUCKET)
         .list(`${CONFIG.USER_FILES_PREFIX}/${req.user.id}`, { limit: 100 });
       if (!listErr && Array.isArray(existingList)) {
         const names = new Set(existingList.map((f) => f.name));
-        if (names.has(filename)) {
-          const base = filename.replace(/\.[^/.]+$/, '');
-          const extn = filename.split('.').pop();
-          let i = 1;
-          let candidate = `${base} ${i}.${extn}`;
-          while (names.has(candidate)) {
-            i++;
-            candidate = `${base} ${i}.${extn}`;
-          }
-          key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${candidate}`;
-        }
+        key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${uniqueFileName(names, storedName)}`;
       }
 
-      const { error: uploadError } = await putBufferToStorage(
+      // Keys are de-duplicated above, but snapshot anything that is still in the way
+      const { buffer: prevBuffer } = await getBufferFromStorage(req.supabase, CONFIG.EXCEL_BUCKET, key);
+      const { versionId, error: uploadError, conflict } = await replaceStoredWorkbook(
         req.supabase,
-        CONFIG.EXCEL_BUCKET,
         key,
-        buffer,
-        req.file.mimetype
+        prevBuffer || null,
+        fs.createReadStream(uploadPath)
       );
       if (uploadError) {
-        return res.status(500).json({ error: 'Storage upload failed: ' + uploadError.message });
+        return res.status(conflict ? 409 : 500).json({ error: 'Storage upload failed: ' + uploadError.message, conflict });
       }
 
       const { error: updateErr } = await req.supabase
@@ -2052,7 +5218,7 @@ app.post(
         email: req.userEmail,
         action: 'upload_file',
         sheet_name: sheetNames[0] || null,
-        details: { fileName: filename, type: ext }
+        details: { fileName: filename, type: ext, key, version: versionId, ...(pdfTables ? { tables: pdfTables } : {}) }
       });
 
       broadcastSSE('excel:upload', {
@@ -2070,6 +5236,142 @@ app.post(
       });
     } catch (e) {
       return res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+    } finally {
+      await Promise.all(tempFiles.map((f) => fs.promises.unlink(f).catch(() => {})));
+    }
+  }
+);
+
+/* -------------------------------------------------------
+   Import CSV into a sheet of the current workbook (premium)
+   - multipart: file, sheet, mode (append|replace|upsert), keyColumn (upsert),
+     headerRow, and encoding/delimiter/quote/header to override detection
+   - nothing is saved unless commit=true; otherwise the response is the preview
+------------------------------------------------------- */
+const csvUpload = multer({
+  storage: multer.diskStorage({ destination: CONFIG.TMP_DIR }),
+  limits: { fileSize: CONFIG.MAX_IMPORT_BYTES },
+});
+// Stop reading an oversized CSV at the limit (multer removes the partial file) and answer 413
+const csvImportFile = (req, res, next) =>
+  csvUpload.single('file')(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `CSV imports are limited to ${Math.round(CONFIG.MAX_IMPORT_BYTES / 1024 / 1024)} MB` });
+    }
+    next(err);
+  });
+
+app.post(
+  '/excel/import/csv',
+  requireAuth,
+  attachUserContext,
+  csvImportFile,
+  attachUserPlanAndFile,
+  async (req, res) => {
+    const tempFiles = req.file ? [req.file.path] : [];
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+      const { sheet, mode = 'append', keyColumn } = req.body;
+      const commit = req.body.commit === 'true';
+      if (!sheet) return res.status(400).json({ error: 'Sheet required' });
+      if (!CSV_IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${CSV_IMPORT_MODES.join(', ')}` });
+      }
+      const headerRow = req.body.headerRow ? Number(req.body.headerRow) : 1;
+      if (!Number.isInteger(headerRow) || headerRow < 1) {
+        return res.status(400).json({ error: 'headerRow must be a positive integer' });
+      }
+      const { options, error: invalidOptions } = validateCsvOptions(req.body);
+      if (invalidOptions) return res.status(400).json({ error: invalidOptions });
+
+      if (req.userPlan === 'free') {
+        return res.status(403).json({ error: 'CSV imports require a premium plan' });
+      }
+
+      const csv = readCsv(await fs.promises.readFile(req.file.path), options);
+      if (csv.error) return res.status(400).json({ error: csv.error });
+      const planOptions = { mode, key: keyColumn, headerRow };
+
+      if (!commit) {
+        const key = req.userRole === 'superadmin' ? CONFIG.EXCEL_FILE_KEY : req.fileKey;
+        if (!key) return res.status(404).json({ error: 'Workbook key not found' });
+        const { entry, error } = await getStoredWorkbook(req.supabase, key);
+        if (error) return res.status(404).json({ error: 'Workbook not found' });
+
+        const ws = findWorksheet(await entry.workbook(), sheet);
+        if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+        const plan = planCsvImport(ws, csv, { ...planOptions, evaluation: await entry.evaluation() });
+        if (plan.error) return res.status(400).json({ error: plan.error });
+
+        return res.json({
+          preview: true,
+          sheet: ws.name,
+          mode,
+          dialect: csv.dialect,
+          header: csv.header,
+          rows: csv.rows.length,
+          columns: plan.columns,
+          unmatched: plan.unmatched,
+          counts: plan.counts,
+          sample: csvImportPreview(plan),
+        });
+      }
+
+      const ctx = await loadWorkbookForEdit(req, res);
+      if (!ctx) return;
+      const { key, buffer, workbook } = ctx;
+
+      const ws = findWorksheet(workbook, sheet);
+      if (!ws) return res.status(404).json({ error: 'Sheet not found' });
+      const plan = planCsvImport(ws, csv, { ...planOptions, evaluation: evaluateWorkbook(workbook) });
+      if (plan.error) return res.status(400).json({ error: plan.error });
+
+      const written = applyCsvImport(ws, plan);
+      const { rejected, flagged } = checkEditedCells(
+        workbook,
+        written.map((cell) => ({ sheet: ws.name, cell }))
+      );
+      if (rejected) return res.status(422).json(rejected);
+
+      // Formulas elsewhere may read the imported range
+      recalculateWorkbook(workbook);
+
+      const { versionId, error: saveError, conflict } = await saveWorkbook(req.supabase, key, workbook, buffer);
+      if (saveError) return res.status(conflict ? 409 : 500).json({ error: saveError.message, conflict });
+
+      await req.supabase.from('excel_audit').insert({
+        user_id: req.user.id,
+        email: req.userEmail,
+        action: 'import_csv',
+        sheet_name: ws.name,
+        metadata: { cells: written.length, flagged: flagged.length, role: req.userRole, plan: req.userPlan },
+        details: {
+          fileName: req.file.originalname,
+          mode,
+          keyColumn: keyColumn || null,
+          dialect: csv.dialect,
+          counts: plan.counts,
+          unmatched: plan.unmatched,
+          key,
+          version: versionId,
+        },
+      });
+
+      broadcastSSE('excel:import', { by: req.userEmail, sheet: ws.name, mode, counts: plan.counts, key });
+
+      res.json({
+        success: true,
+        sheet: ws.name,
+        mode,
+        dialect: csv.dialect,
+        counts: plan.counts,
+        unmatched: plan.unmatched,
+        flagged,
+      });
+    } catch (e) {
+      return res.status(500).json({ error: `Unexpected server error: ${e.message}` });
+    } finally {
+      await Promise.all(tempFiles.map((f) => fs.promises.unlink(f).catch(() => {})));
     }
   }
 );
@@ -2095,17 +5397,29 @@ app.post('/excel/convert', requireAuth, attachUserContext, async (req, res) => {
     const isFree = req.userPlan === 'free';
     const alreadyHasFile = !!req.fileKey && req.fileKey.startsWith(`${CONFIG.USER_FILES_PREFIX}/${req.user.id}/`);
     const safeFileName = fileName || 'uploaded.xlsx';
+    const ext = safeFileName.toLowerCase().split('.').pop();
 
-    // Enforce plan rules
-    if (safeFileName.toLowerCase().endsWith('.csv') || safeFileName.toLowerCase().endsWith('.pdf')) {
-      if (isFree) return res.status(403).json({ error: 'CSV and PDF conversion requires a premium plan' });
+    // Enforce plan rules (same as /excel/upload)
+    if (PREMIUM_UPLOAD_FORMATS.includes(ext)) {
+      if (isFree) return res.status(403).json({ error: 'CSV, JSON and PDF conversion requires a premium plan' });
     }
-    if (safeFileName.toLowerCase().endsWith('.xlsx')) {
+    if (SPREADSHEET_UPLOAD_FORMATS.includes(ext)) {
       if (isFree && alreadyHasFile) {
         return res.status(403).json({ error: 'Free plan allows only one Excel file conversion' });
       }
     }
 
+    // Other formats become xlsx first and are stored under the .xlsx name
+    let storedName = safeFileName;
+    if (IMPORT_FORMATS.includes(ext)) {
+      const converted = await convertBufferToXlsx(buffer, ext, CONFIG.TMP_DIR, {
+        name: safeFileName.replace(/\.[^/.]+$/, ''),
+      });
+      if (converted.error) return res.status(400).json({ error: 'File parse failed: ' + converted.error });
+      buffer = converted.buffer;
+      storedName = safeFileName.replace(/\.[^/.]+$/, '.xlsx');
+    }
+
     let workbook;
     try {
       workbook = new ExcelJS.Workbook();
@@ -2119,24 +5433,24 @@ app.post('/excel/convert', requireAuth, attachUserContext, async (req, res) => {
       return res.status(400).json({ error: 'Invalid Excel file' });
     }
 
+    const checkPath = `${CONFIG.TMP_DIR}/convert-${crypto.randomBytes(8).toString('hex')}.xlsx`;
+    let schemaRejection;
+    try {
+      await fs.promises.writeFile(checkPath, buffer);
+      schemaRejection = await checkIncomingSchemas(checkPath);
+    } finally {
+      await fs.promises.unlink(checkPath).catch(() => {});
+    }
+    if (schemaRejection) return res.status(422).json(schemaRejection);
+
     // Ensure unique filename
-    let key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${safeFileName}`;
+    let key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${storedName}`;
     const { data: existingList, error: listErr } = await req.supabase.storage
       .from(CONFIG.EXCEL_BUCKET)
       .list(`${CONFIG.USER_FILES_PREFIX}/${req.user.id}`, { limit: 100 });
     if (!listErr && Array.isArray(existingList)) {
       const names = new Set(existingList.map((f) => f.name));
-      if (names.has(safeFileName)) {
-        const base = safeFileName.replace(/\.[^/.]+$/, '');
-        const ext = safeFileName.split('.').pop();
-        let i = 1;
-        let candidate = `${base} ${i}.${ext}`;
-        while (names.has(candidate)) {
-          i++;
-          candidate = `${base} ${i}.${ext}`;
-        }
-        key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${candidate}`;
-      }
+      key = `${CONFIG.USER_FILES_PREFIX}/${req.user.id}/${uniqueFileName(names, storedName)}`;
     }
 
     const { error: uploadError } = await putBufferToStorage(
@@ -2160,16 +5474,20 @@ app.post('/excel/convert', requireAuth, attachUserContext, async (req, res) => {
       email: req.userEmail,
       action: 'convert_file',
       sheet_name: workbook.worksheets[0]?.name || null,
-      details: { fileName: safeFileName }
+      details: { fileName: safeFileName, type: ext }
     });
 
     broadcastSSE('excel:convert', { by: req.userEmail, fileKey: key, fileName: key.split('/').pop() });
+    const sheetNames = workbook.worksheets.map(ws => ws.name);
     res.json({
       success: true,
       fileKey: key,
       appUrl: `/app/${req.user.id}`,
       fileName: key.split('/').pop(),
-      sheetNames: workbook.worksheets.map(ws => ws.name),
+      sheetNames,
+      preview:
+        modelSheetGrid(workbook, sheetNames[0], { top: 1, left: 1, bottom: CONFIG.RANGE_DEFAULT_ROWS, right: null })
+          ?.grid || [],
     });
   } catch (e) {
     res.status(500).json({ error: `Unexpected server error: ${e.message}` });
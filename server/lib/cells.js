@@ -0,0 +1,194 @@
+// server/lib/cells.js
+// Lossless cell mapping between ExcelJS and the Handsontable grid.
+// The grid carries plain display values ("=SUM(A1:A3)" for formulas, text for
+// rich text/hyperlinks); everything else Excel authored travels in a sparse
+// per-address metadata map and is left untouched unless the client changes it.
+
+import ExcelJS from 'exceljs';
+
+const { ValueType } = ExcelJS;
+
+// Slave cells of a merge mirror the master's value; only the master owns it
+const isMergeSlave = (cell) => cell.isMerged && cell.master && cell.master.address !== cell.address;
+
+// Workbook default (Calibri 11, theme text color) is not worth shipping per cell
+const isDefaultFont = (font) =>
+  !font.bold &&
+  !font.italic &&
+  !font.underline &&
+  !font.strike &&
+  !font.color?.argb &&
+  (font.size === undefined || font.size === 11) &&
+  (font.name === undefined || font.name === 'Calibri');
+
+const richTextToString = (richText) => (richText || []).map((run) => run.text || '').join('');
+
+const noteToString = (note) => {
+  if (!note) return null;
+  if (typeof note === 'string') return note;
+  if (Array.isArray(note.texts)) return richTextToString(note.texts);
+  return null;
+};
+
+/**
+ * Value shown in the grid for a cell. Never returns an object.
+ */
+export const cellDisplayValue = (cell) => {
+  if (isMergeSlave(cell)) return null;
+  const v = cell.value;
+  if (v === null || v === undefined) return null;
+
+  switch (cell.type) {
+    case ValueType.Formula:
+      return `=${cell.formula}`;
+    case ValueType.RichText:
+      return richTextToString(v.richText);
+    case ValueType.Hyperlink:
+      return typeof v.text === 'object' ? richTextToString(v.text?.richText) : v.text ?? v.hyperlink ?? null;
+    case ValueType.Error:
+      return v.error ?? null;
+    case ValueType.Date:
+      return v instanceof Date && !Number.isNaN(v.getTime()) ? v.toISOString() : null;
+    default:
+      return typeof v === 'object' ? cell.text ?? null : v;
+  }
+};
+
+/**
+ * Sparse metadata for a cell, or null when there is nothing beyond the value.
+ */
+export const serializeCellMeta = (cell) => {
+  if (isMergeSlave(cell)) return null;
+  const meta = {};
+  const v = cell.value;
+
+  switch (cell.type) {
+    case ValueType.Formula: {
+      meta.formula = cell.formula;
+      const result = cell.result;
+      meta.result = result && typeof result === 'object' && 'error' in result ? result.error : result ?? null;
+      break;
+    }
+    case ValueType.RichText:
+      meta.richText = v.richText;
+      break;
+    case ValueType.Hyperlink:
+      meta.hyperlink = v.hyperlink;
+      if (v.tooltip) meta.tooltip = v.tooltip;
+      break;
+    case ValueType.Date:
+      meta.type = 'date';
+      break;
+    case ValueType.Error:
+      meta.type = 'error';
+      break;
+    default:
+      break;
+  }
+
+  if (cell.numFmt && cell.numFmt !== 'General') meta.numFmt = cell.numFmt;
+  if (cell.font && !isDefaultFont(cell.font)) meta.font = cell.font;
+  if (cell.fill && cell.fill.type === 'pattern' && cell.fill.pattern !== 'none') meta.fill = cell.fill;
+  if (cell.alignment && Object.keys(cell.alignment).length > 0) meta.alignment = cell.alignment;
+
+  const note = noteToString(cell.note);
+  if (note) meta.note = note;
+
+  return Object.keys(meta).length > 0 ? meta : null;
+};
+
+const NUMERIC_RE = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Write a grid value into a cell, keeping whatever the grid cannot express.
+ * Returns true when the cell value changed.
+ */
+export const applyGridValue = (cell, newVal) => {
+  if (isMergeSlave(cell)) return false;
+  const next = newVal === '' || newVal === undefined ? null : newVal;
+  if (cellDisplayValue(cell) === next) return false;
+
+  if (next === null) {
+    cell.value = null;
+    return true;
+  }
+
+  if (typeof next === 'string' && next.startsWith('=') && next.length > 1) {
+    cell.value = { formula: next.slice(1) };
+    return true;
+  }
+
+  switch (cell.type) {
+    case ValueType.Hyperlink:
+      // New text, same target
+      cell.value = { ...cell.value, text: String(next) };
+      return true;
+    case ValueType.Number:
+      cell.value = typeof next === 'string' && NUMERIC_RE.test(next.trim()) ? Number(next) : next;
+      return true;
+    case ValueType.Date: {
+      const d = typeof next === 'string' ? new Date(next) : null;
+      cell.value = d && !Number.isNaN(d.getTime()) ? d : next;
+      return true;
+    }
+    default:
+      cell.value = next;
+      return true;
+  }
+};
+
+/**
+ * Apply client-authored metadata (formatting, links, notes) to a cell. Notes
+ * are added or replaced only: ExcelJS has no public way to remove one.
+ */
+export const applyCellMeta = (cell, meta) => {
+  if (!meta || typeof meta !== 'object' || isMergeSlave(cell)) return;
+  if (meta.numFmt !== undefined) cell.numFmt = meta.numFmt || undefined;
+  if (meta.font && typeof meta.font === 'object') cell.font = meta.font;
+  if (meta.fill && typeof meta.fill === 'object') cell.fill = meta.fill;
+  if (meta.alignment && typeof meta.alignment === 'object') cell.alignment = meta.alignment;
+  if (meta.note) cell.note = String(meta.note);
+  if (meta.hyperlink) {
+    cell.value = {
+      text: String(cellDisplayValue(cell) ?? meta.hyperlink),
+      hyperlink: meta.hyperlink,
+      ...(meta.tooltip ? { tooltip: meta.tooltip } : {}),
+    };
+  }
+};
+
+/* -------------------------------------------------------
+   A1 references
+------------------------------------------------------- */
+
+// "A" -> 1, "AA" -> 27
+export const columnNumber = (letters) =>
+  letters.toUpperCase().split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+
+// 1 -> "A", 27 -> "AA"
+export const columnLetter = (n) => {
+  let out = '';
+  for (let x = n; x > 0; x = Math.floor((x - 1) / 26)) {
+    out = String.fromCharCode(65 + ((x - 1) % 26)) + out;
+  }
+  return out;
+};
+
+/**
+ * Parse "B2", "A1:Z200" or "$A$1:$C$9" into 1-based bounds.
+ * Returns null for anything else (whole-column/row refs included).
+ */
+export const parseRangeRef = (ref) => {
+  const m = /^\$?([A-Z]{1,3})\$?([1-9]\d*)(?::\$?([A-Z]{1,3})\$?([1-9]\d*))?$/i.exec(String(ref || '').trim());
+  if (!m) return null;
+  const c1 = columnNumber(m[1]);
+  const r1 = Number(m[2]);
+  const c2 = m[3] ? columnNumber(m[3]) : c1;
+  const r2 = m[4] ? Number(m[4]) : r1;
+  return {
+    top: Math.min(r1, r2),
+    left: Math.min(c1, c2),
+    bottom: Math.max(r1, r2),
+    right: Math.max(c1, c2),
+  };
+};
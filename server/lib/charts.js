@@ -0,0 +1,463 @@
+// server/lib/charts.js
+// Charts drawn from a sheet range: bar, line, pie and scatter. A chart is laid
+// out once as a scene (rects, paths, text in chart pixels) that is written out
+// as SVG, drawn into a PDFKit document, or rasterized to PNG (resvg, no browser).
+// Definitions are stored per sheet in the xlsx as a custom XML part.
+
+import crypto from 'crypto';
+import { parseRangeRef, columnLetter } from './cells.js';
+import { cellOutputValue } from './formulas.js';
+import { readCustomXmlParts } from './custom-xml.js';
+
+export const CHART_TYPES = ['bar', 'line', 'pie', 'scatter'];
+
+const MAX_CHARTS_PER_SHEET = 20;
+const MAX_CHART_CELLS = 20000;
+const MAX_SERIES = 20;
+const MAX_TITLE = 120;
+const DEFAULT_SIZE = { width: 640, height: 400 };
+const MIN_SIZE = 200;
+const MAX_SIZE = 2000;
+
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const FONT = 'sans-serif';
+const AXIS = '#6b7280';
+const GRID = '#e5e7eb';
+const INK = '#111827';
+
+/* -------------------------------------------------------
+   Definitions
+------------------------------------------------------- */
+const isSize = (n) => n === undefined || (Number.isInteger(n) && n >= MIN_SIZE && n <= MAX_SIZE);
+
+/**
+ * Check and normalize a chart definition:
+ * { id?, type, range: "A1:C13", title?, width?, height? }. The first row of the
+ * range names the series, the first column holds the categories (x values for
+ * scatter), the other columns are series. Pie charts draw the first series.
+ */
+export const validateChart = (input) => {
+  if (!input || typeof input !== 'object') return { error: 'Chart must be an object' };
+  if (!CHART_TYPES.includes(input.type)) return { error: `type must be one of ${CHART_TYPES.join(', ')}` };
+
+  const bounds = parseRangeRef(input.range);
+  if (!bounds) return { error: 'range must be an A1 range such as A1:C12' };
+  const rows = bounds.bottom - bounds.top + 1;
+  const cols = bounds.right - bounds.left + 1;
+  if (rows < 2 || cols < 2) return { error: 'range needs a header row, a category column and at least one series' };
+  if (cols - 1 > MAX_SERIES) return { error: `A chart draws at most ${MAX_SERIES} series` };
+  if (rows * cols > MAX_CHART_CELLS) return { error: `A chart range is limited to ${MAX_CHART_CELLS} cells` };
+
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (title.length > MAX_TITLE) return { error: `Titles are limited to ${MAX_TITLE} characters` };
+  if (!isSize(input.width) || !isSize(input.height)) {
+    return { error: `width and height must be between ${MIN_SIZE} and ${MAX_SIZE}` };
+  }
+
+  const chart = {
+    id: typeof input.id === 'string' && /^[\w-]{1,40}$/.test(input.id) ? input.id : crypto.randomUUID().slice(0, 8),
+    type: input.type,
+    range: `${columnLetter(bounds.left)}${bounds.top}:${columnLetter(bounds.right)}${bounds.bottom}`,
+  };
+  if (title) chart.title = title;
+  if (input.width) chart.width = input.width;
+  if (input.height) chart.height = input.height;
+  return { chart };
+};
+
+/* -------------------------------------------------------
+   Storage: { [sheetName]: [chart] } in a custom XML part
+------------------------------------------------------- */
+const CHARTS_NS = 'urn:vsbil:charts';
+
+// workbook -> { [sheetName]: [chart] } read at load time (and edited since)
+const attached = new WeakMap();
+
+export const parseWorksheetCharts = (parts) => {
+  const charts = {};
+  for (const [sheet, list] of Object.entries(parts[CHARTS_NS] || {})) {
+    if (!Array.isArray(list)) continue;
+    const valid = list.map((c) => validateChart(c).chart).filter(Boolean);
+    if (valid.length > 0) charts[sheet] = valid;
+  }
+  return charts;
+};
+
+export const readWorksheetCharts = async (buffer) => parseWorksheetCharts(await readCustomXmlParts(buffer));
+
+export const attachWorksheetCharts = (workbook, charts) => {
+  attached.set(workbook, { ...charts });
+};
+
+const sheetKey = (charts, sheetName) =>
+  Object.keys(charts).find((k) => k.toLowerCase() === String(sheetName).toLowerCase());
+
+export const getWorksheetCharts = (workbook, sheetName) => {
+  const charts = attached.get(workbook) || {};
+  const key = sheetKey(charts, sheetName);
+  return key === undefined ? [] : charts[key];
+};
+
+const setCharts = (workbook, sheetName, list) => {
+  const charts = { ...(attached.get(workbook) || {}) };
+  const key = sheetKey(charts, sheetName);
+  if (key !== undefined) delete charts[key];
+  if (list.length > 0) charts[sheetName] = list;
+  attached.set(workbook, charts);
+};
+
+// Adds the chart, or replaces the one with its id. Returns an error message or null.
+export const saveWorksheetChart = (workbook, sheetName, chart) => {
+  const list = getWorksheetCharts(workbook, sheetName);
+  const index = list.findIndex((c) => c.id === chart.id);
+  if (index === -1 && list.length >= MAX_CHARTS_PER_SHEET) return `A sheet holds at most ${MAX_CHARTS_PER_SHEET} charts`;
+  setCharts(workbook, sheetName, index === -1 ? [...list, chart] : list.map((c, i) => (i === index ? chart : c)));
+  return null;
+};
+
+export const deleteWorksheetChart = (workbook, sheetName, id) => {
+  const list = getWorksheetCharts(workbook, sheetName);
+  const rest = list.filter((c) => c.id !== id);
+  setCharts(workbook, sheetName, rest);
+  return rest.length !== list.length;
+};
+
+export const renameWorksheetCharts = (workbook, fromName, toName) => {
+  const list = getWorksheetCharts(workbook, fromName);
+  if (list.length === 0) return;
+  setCharts(workbook, fromName, []);
+  setCharts(workbook, toName, list);
+};
+
+export const deleteWorksheetCharts = (workbook, sheetName) => setCharts(workbook, sheetName, []);
+
+export const copyWorksheetCharts = (workbook, fromName, toName) => {
+  const list = getWorksheetCharts(workbook, fromName);
+  if (list.length > 0) setCharts(workbook, toName, list.map((c) => ({ ...c, id: crypto.randomUUID().slice(0, 8) })));
+};
+
+/**
+ * The custom XML part to embed for the attached charts, or null. Charts of
+ * sheets that no longer exist are left out.
+ */
+export const worksheetChartsPart = (workbook) => {
+  const charts = Object.fromEntries(
+    Object.entries(attached.get(workbook) || {}).filter(([sheet]) => workbook.getWorksheet(sheet))
+  );
+  return Object.keys(charts).length > 0 ? { ns: CHARTS_NS, tag: 'worksheetCharts', data: charts } : null;
+};
+
+/* -------------------------------------------------------
+   Data
+------------------------------------------------------- */
+const toNumber = (v) => {
+  if (typeof v === 'number' && Number.isFinite(v)) return v;
+  if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v);
+  return null;
+};
+
+const label = (v) => (v === null || v === undefined ? '' : String(v));
+
+/**
+ * Categories and series of a chart's range on a loaded worksheet:
+ * { categories: [text], x: [number|null], series: [{ name, values: [number|null] }] }.
+ */
+export const chartData = (ws, chart, evaluation = null) => {
+  const { top, left, bottom, right } = parseRangeRef(chart.range);
+  const value = (r, c) => {
+    const cell = ws.findRow(r)?.findCell(c);
+    return cell ? cellOutputValue(cell, evaluation) : null;
+  };
+
+  const categories = [];
+  const x = [];
+  for (let r = top + 1; r <= bottom; r++) {
+    const v = value(r, left);
+    categories.push(label(v));
+    x.push(toNumber(v));
+  }
+  const series = [];
+  for (let c = left + 1; c <= right; c++) {
+    const values = [];
+    for (let r = top + 1; r <= bottom; r++) values.push(toNumber(value(r, c)));
+    series.push({ name: label(value(top, c)) || columnLetter(c), values });
+  }
+  return { categories, x, series };
+};
+
+/* -------------------------------------------------------
+   Layout
+------------------------------------------------------- */
+// Rough Helvetica advance; good enough to keep labels from overlapping
+const textWidth = (text, size) => String(text).length * size * 0.55;
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const formatNumber = (n) => {
+  if (!Number.isFinite(n)) return '';
+  const abs = Math.abs(n);
+  if (abs >= 1e9) return `${+(n / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+  if (abs >= 1e4) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(+n.toFixed(abs < 1 ? 3 : 2));
+};
+
+// Axis from min to max in 1/2/5 steps
+const niceScale = (min, max, ticks = 5) => {
+  if (min === max) {
+    min = min === 0 ? 0 : Math.min(0, min);
+    max = max === 0 ? 1 : Math.max(0, max);
+  }
+  const raw = (max - min) / ticks;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step;
+  const values = [];
+  for (let v = lo; v <= hi + step / 2; v += step) values.push(+v.toFixed(10));
+  return { min: lo, max: hi, values };
+};
+
+const extent = (values) => {
+  const nums = values.filter((v) => v !== null);
+  return nums.length === 0 ? [0, 1] : [Math.min(...nums), Math.max(...nums)];
+};
+
+const text = (x, y, value, { size = 11, anchor = 'start', color = INK, bold = false } = {}) => ({
+  kind: 'text',
+  x,
+  y,
+  text: value,
+  size,
+  anchor,
+  color,
+  bold,
+});
+
+const wedgePath = (cx, cy, r, start, end) => {
+  const point = (a) => [cx + r * Math.sin(a), cy - r * Math.cos(a)];
+  const [x1, y1] = point(start);
+  const [x2, y2] = point(end);
+  const large = end - start > Math.PI ? 1 : 0;
+  return `M ${cx} ${cy} L ${x1} ${y1} A ${r} ${r} 0 ${large} 1 ${x2} ${y2} Z`;
+};
+
+const legend = (items, x, y) =>
+  items.flatMap((item, i) => [
+    { kind: 'rect', x, y: y + i * 18, w: 10, h: 10, fill: item.color },
+    text(x + 16, y + i * 18 + 9, clip(item.name, 24), { size: 10 }),
+  ]);
+
+const axes = (plot, yScale, xLabels) => {
+  const items = [];
+  const yOf = (v) => plot.y + plot.h - ((v - yScale.min) / (yScale.max - yScale.min)) * plot.h;
+  for (const v of yScale.values) {
+    const y = yOf(v);
+    items.push({ kind: 'line', points: [[plot.x, y], [plot.x + plot.w, y]], stroke: GRID, width: 1 });
+    items.push(text(plot.x - 6, y + 4, formatNumber(v), { size: 10, anchor: 'end', color: AXIS }));
+  }
+  items.push({ kind: 'line', points: [[plot.x, plot.y + plot.h], [plot.x + plot.w, plot.y + plot.h]], stroke: AXIS, width: 1 });
+  for (const { x, value } of xLabels) {
+    items.push(text(x, plot.y + plot.h + 16, value, { size: 10, anchor: 'middle', color: AXIS }));
+  }
+  return { items, yOf };
+};
+
+// Every k-th category label so they do not collide
+const categoryLabels = (categories, band, centerOf) => {
+  const width = Math.max(...categories.map((c) => textWidth(clip(c, 14), 10)), 1);
+  const every = Math.max(1, Math.ceil((width + 8) / band));
+  return categories
+    .map((c, i) => ({ x: centerOf(i), value: clip(c, 14) }))
+    .filter((_l, i) => i % every === 0);
+};
+
+/**
+ * Lay out a chart: { width, height, items } with items of kind rect, line
+ * (polyline), circle, path (SVG path data) and text (baseline y).
+ */
+export const chartScene = (chart, data) => {
+  const width = chart.width || DEFAULT_SIZE.width;
+  const height = chart.height || DEFAULT_SIZE.height;
+  const items = [{ kind: 'rect', x: 0, y: 0, w: width, h: height, fill: '#ffffff' }];
+  const top = chart.title ? 40 : 16;
+  if (chart.title) items.push(text(width / 2, 24, clip(chart.title, 80), { size: 15, anchor: 'middle', bold: true }));
+
+  const series = data.series.map((s, i) => ({ ...s, color: PALETTE[i % PALETTE.length] }));
+  const n = data.categories.length;
+
+  if (chart.type === 'pie') {
+    const values = series[0].values.map((v) => (v !== null && v > 0 ? v : 0));
+    const sum = values.reduce((a, b) => a + b, 0);
+    const slices = values
+      .map((v, i) => ({ name: data.categories[i] || `#${i + 1}`, value: v, color: PALETTE[i % PALETTE.length] }))
+      .filter((s) => s.value > 0);
+    const legendWidth = 170;
+    const r = Math.max(Math.min((width - legendWidth - 32) / 2, (height - top - 16) / 2), 10);
+    const cx = 16 + r;
+    const cy = top + (height - top) / 2;
+    if (sum === 0) {
+      items.push(text(cx, cy, 'No positive values', { anchor: 'middle', color: AXIS }));
+      return { width, height, items };
+    }
+    let angle = 0;
+    for (const s of slices) {
+      const sweep = (s.value / sum) * Math.PI * 2;
+      items.push(
+        slices.length === 1
+          ? { kind: 'circle', cx, cy, r, fill: s.color }
+          : { kind: 'path', d: wedgePath(cx, cy, r, angle, angle + sweep), fill: s.color, stroke: '#ffffff' }
+      );
+      angle += sweep;
+    }
+    items.push(
+      ...legend(
+        slices.slice(0, Math.floor((height - top) / 18)).map((s) => ({
+          ...s,
+          name: `${s.name} (${Math.round((s.value / sum) * 100)}%)`,
+        })),
+        width - legendWidth,
+        top
+      )
+    );
+    return { width, height, items };
+  }
+
+  const showLegend = series.length > 1;
+  const plot = { x: 56, y: top, w: width - 56 - (showLegend ? 150 : 20), h: height - top - 36 };
+  if (showLegend) items.push(...legend(series, plot.x + plot.w + 16, top));
+
+  const [lo, hi] = extent(series.flatMap((s) => s.values));
+  // Bars grow from zero, so zero is always on the axis
+  const yScale = chart.type === 'bar' ? niceScale(Math.min(lo, 0), Math.max(hi, 0)) : niceScale(lo, hi);
+
+  if (chart.type === 'scatter') {
+    const xScale = niceScale(...extent(data.x));
+    const xOf = (v) => plot.x + ((v - xScale.min) / (xScale.max - xScale.min)) * plot.w;
+    const { items: axisItems, yOf } = axes(
+      plot,
+      yScale,
+      xScale.values.map((v) => ({ x: xOf(v), value: formatNumber(v) }))
+    );
+    items.push(...axisItems);
+    for (const s of series) {
+      s.values.forEach((v, i) => {
+        if (v === null || data.x[i] === null) return;
+        items.push({ kind: 'circle', cx: xOf(data.x[i]), cy: yOf(v), r: 3.5, fill: s.color });
+      });
+    }
+    return { width, height, items };
+  }
+
+  const band = plot.w / Math.max(n, 1);
+  const centerOf = (i) => plot.x + band * (i + 0.5);
+  const { items: axisItems, yOf } = axes(plot, yScale, categoryLabels(data.categories, band, centerOf));
+  items.push(...axisItems);
+
+  if (chart.type === 'bar') {
+    const barWidth = (band * 0.8) / series.length;
+    series.forEach((s, k) => {
+      s.values.forEach((v, i) => {
+        if (v === null) return;
+        const [y0, y1] = [yOf(0), yOf(v)];
+        items.push({
+          kind: 'rect',
+          x: plot.x + band * i + band * 0.1 + barWidth * k,
+          y: Math.min(y0, y1),
+          w: Math.max(barWidth - 1, 1),
+          h: Math.abs(y0 - y1),
+          fill: s.color,
+        });
+      });
+    });
+    return { width, height, items };
+  }
+
+  // Line: blanks break the line
+  for (const s of series) {
+    let run = [];
+    const flush = () => {
+      if (run.length > 1) items.push({ kind: 'line', points: run, stroke: s.color, width: 2 });
+      run = [];
+    };
+    s.values.forEach((v, i) => {
+      if (v === null) return flush();
+      run.push([centerOf(i), yOf(v)]);
+      if (n <= 60) items.push({ kind: 'circle', cx: centerOf(i), cy: yOf(v), r: 2.5, fill: s.color });
+    });
+    flush();
+  }
+  return { width, height, items };
+};
+
+/* -------------------------------------------------------
+   Output
+------------------------------------------------------- */
+const encodeXml = (s) =>
+  String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const num = (n) => +n.toFixed(2);
+const SVG_ANCHORS = { start: 'start', middle: 'middle', end: 'end' };
+
+export const sceneToSvg = (scene) => {
+  const body = scene.items.map((it) => {
+    switch (it.kind) {
+      case 'rect':
+        return `<rect x="${num(it.x)}" y="${num(it.y)}" width="${num(it.w)}" height="${num(it.h)}" fill="${it.fill}"/>`;
+      case 'line':
+        return `<polyline points="${it.points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ')}" fill="none" stroke="${it.stroke}" stroke-width="${it.width}"/>`;
+      case 'circle':
+        return `<circle cx="${num(it.cx)}" cy="${num(it.cy)}" r="${it.r}" fill="${it.fill}"/>`;
+      case 'path':
+        return `<path d="${it.d}" fill="${it.fill}"${it.stroke ? ` stroke="${it.stroke}"` : ''}/>`;
+      default:
+        return `<text x="${num(it.x)}" y="${num(it.y)}" font-size="${it.size}" fill="${it.color}" text-anchor="${SVG_ANCHORS[it.anchor]}"${it.bold ? ' font-weight="bold"' : ''}>${encodeXml(it.text)}</text>`;
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" font-family="${FONT}">${body.join('')}</svg>`;
+};
+
+// resvg is a native module; load it only when a PNG is asked for. It reads one
+// font family only, so the generic sans-serif is mapped to an installed font.
+export const svgToPng = async (svg, { fontFamily = 'DejaVu Sans' } = {}) => {
+  const { Resvg } = await import('@resvg/resvg-js');
+  const resvg = new Resvg(svg, { font: { loadSystemFonts: true, sansSerifFamily: fontFamily, defaultFontFamily: fontFamily } });
+  return resvg.render().asPng();
+};
+
+/**
+ * Draw a scene into a PDFKit document with its top-left corner at (x, y),
+ * scaled by `scale`. Vector output; text uses the built-in Helvetica.
+ */
+export const drawSceneToPdf = (doc, scene, x, y, scale = 1) => {
+  doc.save();
+  doc.translate(x, y).scale(scale);
+  for (const it of scene.items) {
+    switch (it.kind) {
+      case 'rect':
+        doc.rect(it.x, it.y, it.w, it.h).fill(it.fill);
+        break;
+      case 'line':
+        doc.moveTo(...it.points[0]);
+        it.points.slice(1).forEach((p) => doc.lineTo(...p));
+        doc.lineWidth(it.width).strokeColor(it.stroke).stroke();
+        break;
+      case 'circle':
+        doc.circle(it.cx, it.cy, it.r).fill(it.fill);
+        break;
+      case 'path':
+        doc.path(it.d);
+        if (it.stroke) doc.lineWidth(1).fillAndStroke(it.fill, it.stroke);
+        else doc.fill(it.fill);
+        break;
+      default: {
+        doc.font(it.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(it.size).fillColor(it.color);
+        const w = doc.widthOfString(it.text);
+        const left = it.anchor === 'middle' ? it.x - w / 2 : it.anchor === 'end' ? it.x - w : it.x;
+        // PDFKit places text by its top; scene text is placed by baseline
+        doc.text(it.text, left, it.y - it.size * 0.8, { lineBreak: false });
+      }
+    }
+  }
+  doc.restore();
+  doc.font('Helvetica').fillColor('#111111').lineWidth(1);
+};
@@ -0,0 +1,464 @@
+// server/lib/conditional-formats.js
+// Conditional formatting on top of ExcelJS' `ws.conditionalFormattings`
+// ([{ ref, rules: [{ type, priority, ... }] }]). The API speaks in flat rules
+// ({ priority, range, type, ... }) with CSS colors; priority identifies a rule
+// within its sheet, as in Excel. Evaluation covers cell-value comparisons,
+// formula rules, color scales and data bars; other types Excel writes
+// (icon sets, top 10, ...) are listed and kept but not rendered.
+
+import ExcelJS from 'exceljs';
+import { parseRangeRef, columnLetter } from './cells.js';
+import { cellOutputValue, createFormulaEngine, isValidFormula, toSerial } from './formulas.js';
+import { shiftFormula } from './validation.js';
+
+const { ValueType } = ExcelJS;
+
+export const CONDITIONAL_TYPES = ['cellIs', 'expression', 'colorScale', 'dataBar'];
+export const CELL_IS_OPERATORS = [
+  'between',
+  'notBetween',
+  'equal',
+  'notEqual',
+  'greaterThan',
+  'lessThan',
+  'greaterThanOrEqual',
+  'lessThanOrEqual',
+];
+const CFVO_TYPES = ['min', 'max', 'num', 'percent', 'percentile'];
+
+const NUMERIC_RE = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const HEX_COLOR_RE = /^#?([0-9a-f]{6})$/i;
+
+// "#RRGGBB" <-> ExcelJS { argb: "FFRRGGBB" }
+const toArgb = (css) => {
+  const m = HEX_COLOR_RE.exec(String(css || ''));
+  return m ? { argb: `FF${m[1].toUpperCase()}` } : null;
+};
+const toCss = (color) =>
+  typeof color?.argb === 'string' && color.argb.length >= 6 ? `#${color.argb.slice(-6).toLowerCase()}` : null;
+
+// Space-separated sqref ("A1:A5 C1:C5") -> bounds, or null if any part is invalid
+const parseSqref = (ref) => {
+  const parts = String(ref || '').trim().split(/\s+/).filter(Boolean);
+  const bounds = parts.map((p) => parseRangeRef(p));
+  return bounds.length > 0 && bounds.every(Boolean) ? bounds : null;
+};
+
+/* -------------------------------------------------------
+   API rule <-> ExcelJS rule
+------------------------------------------------------- */
+
+// cellIs bounds are formulas: numbers stay numbers, "=..." is a formula,
+// anything else is a text literal
+const boundToFormula = (v) => {
+  if (typeof v === 'number' && Number.isFinite(v)) return String(v);
+  if (typeof v !== 'string' || v === '') return null;
+  if (NUMERIC_RE.test(v.trim())) return v.trim();
+  if (v.startsWith('=')) return isValidFormula(v) ? v.slice(1) : null;
+  return `"${v.replace(/"/g, '""')}"`;
+};
+
+const formulaToBound = (f) => {
+  const text = String(f ?? '');
+  if (NUMERIC_RE.test(text)) return Number(text);
+  if (/^"(?:[^"]|"")*"$/.test(text)) return text.slice(1, -1).replace(/""/g, '"');
+  return `=${text}`;
+};
+
+const styleToDxf = (style) => {
+  if (!style || typeof style !== 'object') return null;
+  const dxf = {};
+  const fill = toArgb(style.fill);
+  // Differential fills keep a solid fill's color in bgColor
+  if (fill) dxf.fill = { type: 'pattern', pattern: 'solid', bgColor: fill, fgColor: fill };
+  const font = {};
+  const color = toArgb(style.color);
+  if (color) font.color = color;
+  if (style.bold) font.bold = true;
+  if (style.italic) font.italic = true;
+  if (Object.keys(font).length > 0) dxf.font = font;
+  return Object.keys(dxf).length > 0 ? dxf : null;
+};
+
+const dxfToStyle = (dxf) => {
+  if (!dxf) return null;
+  const style = {};
+  const fill = toCss(dxf.fill?.bgColor) || toCss(dxf.fill?.fgColor);
+  if (fill) style.fill = fill;
+  const color = toCss(dxf.font?.color);
+  if (color) style.color = color;
+  if (dxf.font?.bold) style.bold = true;
+  if (dxf.font?.italic) style.italic = true;
+  return style;
+};
+
+const parseCfvo = (point, fallback) => {
+  const p = point && typeof point === 'object' ? point : fallback;
+  if (!CFVO_TYPES.includes(p.type)) return null;
+  if (p.type === 'min' || p.type === 'max') return { type: p.type };
+  const value = Number(p.value);
+  if (!Number.isFinite(value)) return null;
+  if ((p.type === 'percent' || p.type === 'percentile') && (value < 0 || value > 100)) return null;
+  return { type: p.type, value };
+};
+
+/**
+ * Validate a client rule and convert it to an ExcelJS rule (without priority).
+ * Returns { ref, rule } or { error }.
+ */
+export const toExcelRule = (input) => {
+  if (!input || typeof input !== 'object') return { error: 'Rule is required' };
+  const bounds = parseSqref(input.range);
+  if (!bounds) return { error: 'Invalid range (expected e.g. "B2:B100")' };
+  if (!CONDITIONAL_TYPES.includes(input.type)) {
+    return { error: `type must be one of: ${CONDITIONAL_TYPES.join(', ')}` };
+  }
+  const ref = String(input.range).trim().toUpperCase().replace(/\$/g, '').split(/\s+/).join(' ');
+  const rule = { type: input.type };
+  if (input.stopIfTrue) rule.stopIfTrue = true;
+
+  switch (input.type) {
+    case 'cellIs': {
+      const operator = input.operator || 'greaterThan';
+      if (!CELL_IS_OPERATORS.includes(operator)) {
+        return { error: `operator must be one of: ${CELL_IS_OPERATORS.join(', ')}` };
+      }
+      const values = operator === 'between' || operator === 'notBetween' ? [input.min, input.max] : [input.value];
+      const formulae = values.map(boundToFormula);
+      if (formulae.some((f) => f === null)) {
+        return { error: operator.endsWith('etween') ? `${operator} needs min and max` : `${operator} needs a value` };
+      }
+      rule.operator = operator;
+      rule.formulae = formulae;
+      break;
+    }
+    case 'expression': {
+      const formula = typeof input.formula === 'string' ? input.formula.trim().replace(/^=/, '') : '';
+      if (!formula || !isValidFormula(formula)) return { error: 'Formula rules need a valid formula' };
+      rule.formulae = [formula];
+      break;
+    }
+    case 'colorScale': {
+      const colors = Array.isArray(input.colors) ? input.colors.map(toArgb) : [];
+      if ((colors.length !== 2 && colors.length !== 3) || colors.some((c) => !c)) {
+        return { error: 'Color scales need 2 or 3 colors as #RRGGBB' };
+      }
+      const defaults =
+        colors.length === 2
+          ? [{ type: 'min' }, { type: 'max' }]
+          : [{ type: 'min' }, { type: 'percentile', value: 50 }, { type: 'max' }];
+      const points = defaults.map((d, i) => parseCfvo(input.points?.[i], d));
+      if (points.some((p) => !p)) return { error: `points must be ${CFVO_TYPES.join(', ')} with numeric values` };
+      rule.cfvo = points;
+      rule.color = colors;
+      return { ref, rule };
+    }
+    case 'dataBar': {
+      const color = toArgb(input.color || '#638ec6');
+      if (!color) return { error: 'Data bars need a color as #RRGGBB' };
+      const min = parseCfvo(input.min, { type: 'min' });
+      const max = parseCfvo(input.max, { type: 'max' });
+      if (!min || !max) return { error: `min/max must be ${CFVO_TYPES.join(', ')} with numeric values` };
+      rule.cfvo = [min, max];
+      rule.color = color;
+      rule.gradient = input.gradient !== false;
+      return { ref, rule };
+    }
+    default:
+      break;
+  }
+
+  const style = styleToDxf(input.style);
+  if (!style) return { error: 'style needs a fill, color, bold or italic' };
+  rule.style = style;
+  return { ref, rule };
+};
+
+/**
+ * API shape of an ExcelJS rule applied to `ref`.
+ */
+export const fromExcelRule = (ref, rule) => {
+  const out = { priority: rule.priority, range: ref, type: rule.type };
+  if (rule.stopIfTrue) out.stopIfTrue = true;
+  switch (rule.type) {
+    case 'cellIs': {
+      out.operator = rule.operator;
+      const [f1, f2] = rule.formulae || [];
+      if (rule.operator === 'between' || rule.operator === 'notBetween') {
+        out.min = formulaToBound(f1);
+        out.max = formulaToBound(f2);
+      } else {
+        out.value = formulaToBound(f1);
+      }
+      break;
+    }
+    case 'expression':
+      out.formula = rule.formulae?.[0] ?? '';
+      break;
+    case 'colorScale':
+      out.colors = (rule.color || []).map(toCss);
+      out.points = (rule.cfvo || []).map((p) => (p.value === undefined ? { type: p.type } : { type: p.type, value: p.value }));
+      return out;
+    case 'dataBar': {
+      const [min, max] = rule.cfvo || [];
+      out.color = toCss(rule.color);
+      out.min = min ? { type: min.type, value: min.value } : { type: 'min' };
+      out.max = max ? { type: max.type, value: max.value } : { type: 'max' };
+      return out;
+    }
+    default:
+      break;
+  }
+  const style = dxfToStyle(rule.style);
+  if (style) out.style = style;
+  return out;
+};
+
+/* -------------------------------------------------------
+   Worksheet rules
+------------------------------------------------------- */
+
+/**
+ * Every rule on `ws` as { ref, rule }, highest precedence (lowest priority) first.
+ */
+export const worksheetConditionalRules = (ws) =>
+  (ws.conditionalFormattings || [])
+    .flatMap((cf) => (cf.rules || []).map((rule) => ({ ref: cf.ref, rule })))
+    .sort((a, b) => (a.rule.priority ?? Infinity) - (b.rule.priority ?? Infinity));
+
+/**
+ * Add `rule` to `ref` on top of the existing ones (priority 1), as Excel does
+ * for new rules. Returns the stored rule.
+ */
+export const addConditionalRule = (ws, ref, rule) => {
+  for (const { rule: r } of worksheetConditionalRules(ws)) r.priority = (r.priority ?? 0) + 1;
+  const stored = { ...rule, priority: 1 };
+  ws.addConditionalFormatting({ ref, rules: [stored] });
+  return stored;
+};
+
+/**
+ * Remove the rule with `priority`; blocks left empty are dropped and the
+ * remaining priorities renumbered 1..n. Returns the removed { ref, rule } or null.
+ */
+export const removeConditionalRule = (ws, priority) => {
+  const match = worksheetConditionalRules(ws).find(({ rule }) => rule.priority === priority);
+  if (!match) return null;
+  ws.conditionalFormattings = (ws.conditionalFormattings || [])
+    .map((cf) => ({ ...cf, rules: (cf.rules || []).filter((r) => r !== match.rule) }))
+    .filter((cf) => cf.rules.length > 0);
+  worksheetConditionalRules(ws).forEach(({ rule }, i) => {
+    rule.priority = i + 1;
+  });
+  return match;
+};
+
+/* -------------------------------------------------------
+   Evaluation
+------------------------------------------------------- */
+
+// Excel's ordering for comparisons: numbers < text < booleans
+const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+const compareValues = (a, b) => {
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (typeof a === 'string') return a.toLowerCase().localeCompare(b.toLowerCase());
+  return Number(a) - Number(b);
+};
+
+const cellIsMatch = (operator, x, [a, b]) => {
+  switch (operator) {
+    case 'between':
+      return compareValues(x, a) * compareValues(x, b) <= 0;
+    case 'notBetween':
+      return compareValues(x, a) * compareValues(x, b) > 0;
+    case 'equal':
+      return compareValues(x, a) === 0;
+    case 'notEqual':
+      return compareValues(x, a) !== 0;
+    case 'greaterThan':
+      return compareValues(x, a) > 0;
+    case 'lessThan':
+      return compareValues(x, a) < 0;
+    case 'greaterThanOrEqual':
+      return compareValues(x, a) >= 0;
+    case 'lessThanOrEqual':
+      return compareValues(x, a) <= 0;
+    default:
+      return false;
+  }
+};
+
+const truthy = (v) => v === true || (typeof v === 'number' && v !== 0);
+
+// Inclusive percentile with linear interpolation (PERCENTILE.INC)
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return NaN;
+  const idx = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+const cfvoValue = (point, sorted) => {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  switch (point.type) {
+    case 'min':
+      return min;
+    case 'max':
+      return max;
+    case 'num':
+      return Number(point.value);
+    case 'percent':
+      return min + ((max - min) * Number(point.value)) / 100;
+    case 'percentile':
+      return percentile(sorted, Number(point.value));
+    default:
+      return NaN;
+  }
+};
+
+const mixColors = (from, to, t) => {
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  return `#${[0, 1, 2]
+    .map((i) => Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t))
+    .map((n) => n.toString(16).padStart(2, '0'))
+    .join('')}`;
+};
+
+const scaleColor = (x, stops) => {
+  if (x <= stops[0].at) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    if (x <= stops[i].at) {
+      const span = stops[i].at - stops[i - 1].at;
+      return mixColors(stops[i - 1].color, stops[i].color, span > 0 ? (x - stops[i - 1].at) / span : 1);
+    }
+  }
+  return stops[stops.length - 1].color;
+};
+
+/**
+ * Styles that `ws`'s conditional formatting gives each cell, as a Map of
+ * A1 address -> { fill, color, bold, italic, bar: { color, ratio } } (CSS
+ * colors, ratio 0..1). Only the used area is evaluated. `evaluation` (from
+ * evaluateWorkbook) supplies formula results; the model is only read.
+ */
+export const conditionalFormatStyles = (workbook, ws, evaluation = null) => {
+  const styles = new Map();
+  const rules = worksheetConditionalRules(ws).filter(({ rule }) => CONDITIONAL_TYPES.includes(rule.type));
+  if (rules.length === 0) return styles;
+
+  let lastRow = 0;
+  let lastCol = 0;
+  ws.eachRow({ includeEmpty: false }, (row, r) => {
+    row.eachCell({ includeEmpty: false }, (_cell, c) => {
+      lastRow = r;
+      if (c > lastCol) lastCol = c;
+    });
+  });
+
+  let engine = null;
+  const calculate = (formula) => {
+    engine = engine || createFormulaEngine(workbook);
+    const value = engine.calculate(formula, ws.name);
+    return Array.isArray(value) ? value[0]?.[0] ?? null : value;
+  };
+  const valueAt = (r, c) => {
+    const cell = ws.findRow(r)?.findCell(c);
+    if (!cell) return null;
+    if (cell.type === ValueType.Date) return cell.value instanceof Date ? toSerial(cell.value) : null;
+    const v = cellOutputValue(cell, evaluation);
+    return v === '' ? null : v;
+  };
+  const eachCell = (boundsList, fn) => {
+    for (const b of boundsList) {
+      for (let r = b.top; r <= Math.min(b.bottom, lastRow); r++) {
+        for (let c = b.left; c <= Math.min(b.right, lastCol); c++) fn(r, c, b);
+      }
+    }
+  };
+  const styleOf = (address) => {
+    if (!styles.has(address)) styles.set(address, {});
+    return styles.get(address);
+  };
+  // First (highest precedence) rule to set a property wins
+  const stopped = new Set();
+  const apply = (address, props) => {
+    const style = styleOf(address);
+    for (const [k, v] of Object.entries(props)) {
+      if (v !== undefined && v !== null && style[k] === undefined) style[k] = v;
+    }
+  };
+
+  try {
+    for (const { ref, rule } of rules) {
+      const boundsList = parseSqref(ref);
+      if (!boundsList) continue;
+      const origin = boundsList[0];
+
+      if (rule.type === 'colorScale' || rule.type === 'dataBar') {
+        const cells = [];
+        eachCell(boundsList, (r, c) => {
+          const v = valueAt(r, c);
+          if (typeof v === 'number' && Number.isFinite(v)) cells.push({ address: `${columnLetter(c)}${r}`, v });
+        });
+        if (cells.length === 0) continue;
+        const sorted = cells.map((x) => x.v).sort((a, b) => a - b);
+        const points = (rule.cfvo || []).map((p) => cfvoValue(p, sorted));
+        if (points.length < 2 || points.some((p) => !Number.isFinite(p))) continue;
+
+        if (rule.type === 'colorScale') {
+          const colors = (rule.color || []).map(toCss);
+          if (colors.length !== points.length || colors.some((x) => !x)) continue;
+          const stops = points.map((at, i) => ({ at, color: colors[i] }));
+          for (const { address, v } of cells) {
+            if (!stopped.has(address)) apply(address, { fill: scaleColor(v, stops) });
+          }
+        } else {
+          const [lo, hi] = points;
+          const color = toCss(rule.color) || '#638ec6';
+          for (const { address, v } of cells) {
+            if (stopped.has(address)) continue;
+            const ratio = hi > lo ? Math.min(Math.max((v - lo) / (hi - lo), 0), 1) : 1;
+            apply(address, { bar: { color, ratio } });
+          }
+        }
+        continue;
+      }
+
+      const dxf = dxfToStyle(rule.style) || {};
+      eachCell(boundsList, (r, c) => {
+        const address = `${columnLetter(c)}${r}`;
+        if (stopped.has(address)) return;
+        const dr = r - origin.top;
+        const dc = c - origin.left;
+        let match = false;
+        if (rule.type === 'expression') {
+          match = truthy(calculate(shiftFormula(rule.formulae?.[0] ?? 'FALSE', dr, dc)));
+        } else {
+          const bounds = (rule.formulae || []).map((f) => {
+            const text = String(f);
+            if (NUMERIC_RE.test(text)) return Number(text);
+            if (/^"(?:[^"]|"")*"$/.test(text)) return text.slice(1, -1).replace(/""/g, '"');
+            return calculate(shiftFormula(text, dr, dc));
+          });
+          if (bounds.some((b) => b === null || typeof b === 'object')) return;
+          // Blank cells compare as 0 (or "" against text), as in Excel
+          const raw = valueAt(r, c);
+          const x = raw === null ? (typeof bounds[0] === 'string' ? '' : 0) : raw;
+          match = cellIsMatch(rule.operator, x, bounds);
+        }
+        if (!match) return;
+        apply(address, dxf);
+        if (rule.stopIfTrue) stopped.add(address);
+      });
+    }
+  } finally {
+    engine?.destroy();
+  }
+
+  for (const [address, style] of styles) {
+    if (Object.keys(style).length === 0) styles.delete(address);
+  }
+  return styles;
+};
@@ -0,0 +1,187 @@
+// server/lib/cron.js
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in an IANA time zone. Fields take *, numbers, ranges (1-5), steps
+// (*/15, 1-30/2), lists (1,15) and month/day names (JAN, MON); day-of-week 7
+// is Sunday too, and @hourly, @daily, @weekly, @monthly and @yearly are
+// accepted. As in Vixie cron, when both day fields are restricted a day that
+// matches either runs. Local times skipped by a DST change never match;
+// times repeated when clocks go back run once.
+
+const MINUTE = 60 * 1000;
+// An expression that does not match within this many years never will (e.g. 30 2 = Feb 30)
+const SEARCH_YEARS = 5;
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Set of allowed values, or { error }
+const parseField = (text, { name, min, max, names }) => {
+  const value = (s) => {
+    const index = names ? names.indexOf(s.toUpperCase()) : -1;
+    if (index >= 0) return index + (name === 'month' ? 1 : 0);
+    return /^\d+$/.test(s) ? Number(s) : NaN;
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) return { error: `Invalid step in ${name} "${part}"` };
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = min;
+      to = max;
+    } else {
+      const [a, b, more] = range.split('-');
+      from = value(a);
+      to = b === undefined ? (stepText === undefined ? from : max) : value(b);
+      if (more !== undefined || Number.isNaN(from) || Number.isNaN(to)) return { error: `Invalid ${name} "${part}"` };
+    }
+    if (from < min || to > max || from > to) return { error: `The ${name} "${part}" is outside ${min}-${max}` };
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return { values, any: text === '*' };
+};
+
+/**
+ * Parse an expression into { minute, hour, dayOfMonth, month, dayOfWeek }
+ * (Sets, with `anyDayOfMonth` / `anyDayOfWeek`) or { error }.
+ */
+export const parseCron = (expression) => {
+  const text = String(expression ?? '').trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) return { error: 'A cron expression has five fields: minute hour day-of-month month day-of-week' };
+
+  const parsed = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const field = parseField(fields[i], FIELDS[i]);
+    if (field.error) return { error: field.error };
+    parsed.push(field);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parsed;
+  if (dayOfWeek.values.delete(7)) dayOfWeek.values.add(0);
+  return {
+    minute: minute.values,
+    hour: hour.values,
+    dayOfMonth: dayOfMonth.values,
+    month: month.values,
+    dayOfWeek: dayOfWeek.values,
+    anyDayOfMonth: dayOfMonth.any,
+    anyDayOfWeek: dayOfWeek.any,
+  };
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+// Wall-clock fields of an instant in `timeZone`
+const zonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short',
+      })
+    );
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) parts[type] = value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+};
+
+const wallClock = (p) => (((p.year * 100 + p.month) * 100 + p.day) * 100 + p.hour) * 100 + p.minute;
+
+const dayMatches = (cron, p) => {
+  if (!cron.month.has(p.month)) return false;
+  const dom = cron.dayOfMonth.has(p.day);
+  const dow = cron.dayOfWeek.has(p.weekday);
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+};
+
+/**
+ * First minute after `after` that matches `cron` (from parseCron) in
+ * `timeZone`, as a Date; null if there is none within SEARCH_YEARS.
+ */
+export const nextCronTime = (cron, timeZone, after = new Date()) => {
+  const last = wallClock(zonedParts(after, timeZone));
+  let t = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+  const limit = t + SEARCH_YEARS * 366 * 24 * 60 * MINUTE;
+
+  while (t < limit) {
+    const p = zonedParts(new Date(t), timeZone);
+    if (!dayMatches(cron, p) || !cron.hour.has(p.hour)) {
+      // On to the next local hour
+      t += (60 - p.minute) * MINUTE;
+      continue;
+    }
+    // A wall-clock time not later than `after` is a repeat after clocks went back
+    if (cron.minute.has(p.minute) && wallClock(p) > last) return new Date(t);
+    t += MINUTE;
+  }
+  return null;
+};
+
+// Longest month lengths, Feb 29 included
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Whether some date fits the day fields. Only a day of month alone can rule
+// every date out (e.g. 31 2); any weekday comes round in every month.
+const canMatch = (cron) =>
+  !cron.anyDayOfWeek || [...cron.month].some((m) => [...cron.dayOfMonth].some((d) => d <= MONTH_DAYS[m - 1]));
+
+/**
+ * Check a schedule's `cron` and `timezone` (default UTC). Returns
+ * { cron, timezone, next } with the first run after `now`, or { error }.
+ */
+export const validateCronSchedule = ({ cron, timezone = 'UTC' } = {}, now = new Date()) => {
+  const parsed = parseCron(cron);
+  if (parsed.error) return { error: parsed.error };
+  if (!isValidTimeZone(timezone)) return { error: `Unknown time zone "${timezone}"` };
+  if (!canMatch(parsed)) return { error: 'The cron expression never matches a date' };
+  const next = nextCronTime(parsed, timezone, now);
+  if (!next) return { error: 'The cron expression never matches a date' };
+  return { cron: String(cron).trim(), timezone, next };
+};
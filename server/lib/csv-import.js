@@ -0,0 +1,357 @@
+// server/lib/csv-import.js
+// CSV import into an existing worksheet. The file is sniffed (encoding,
+// delimiter, quote character, header row), parsed, then planned against the
+// sheet as append, replace or upsert-by-key; the plan doubles as the preview
+// and is only written to the sheet once the caller commits it.
+
+import { parse as csvParseSync } from 'csv-parse/sync';
+import { columnLetter } from './cells.js';
+import { cellOutputValue } from './formulas.js';
+
+export const CSV_IMPORT_MODES = ['append', 'replace', 'upsert'];
+export const CSV_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_LINES = 20;
+const PREVIEW_ROWS = 20;
+
+// No leading zeros: "007" stays text, as a spreadsheet would keep an id
+const NUMERIC_RE = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+// Excel keeps 15 significant digits; longer numbers (ids, card numbers) stay text
+const MAX_SIGNIFICANT_DIGITS = 15;
+
+/* -------------------------------------------------------
+   Sniffing
+------------------------------------------------------- */
+
+/**
+ * Encoding of a CSV buffer: a BOM wins, then UTF-16 is recognised by its zero
+ * bytes, then strict UTF-8; anything else is taken as Windows-1252.
+ * Returns { encoding, bom } with the BOM length in bytes.
+ */
+export const detectEncoding = (buffer) => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf-8', bom: 3 };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf-16le', bom: 2 };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf-16be', bom: 2 };
+
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) i % 2 === 0 ? evenZeros++ : oddZeros++;
+  }
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.3 && evenZeros < oddZeros / 10) return { encoding: 'utf-16le', bom: 0 };
+  if (evenZeros > half * 0.3 && oddZeros < evenZeros / 10) return { encoding: 'utf-16be', bom: 0 };
+
+  try {
+    // A cut-off multi-byte sequence at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < buffer.length });
+    return { encoding: 'utf-8', bom: 0 };
+  } catch (_e) {
+    return { encoding: 'windows-1252', bom: 0 };
+  }
+};
+
+// Count `ch` outside double-quoted runs
+const countOutsideQuotes = (line, ch) => {
+  let n = 0;
+  let quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ch && !quoted) n++;
+  }
+  return n;
+};
+
+/**
+ * Delimiter and quote character of CSV text. The delimiter is the candidate
+ * that splits the first lines into the same, non-zero number of fields most
+ * consistently; the quote is whichever of " and ' encloses more whole fields
+ * (so '90s is not a quote), " on a tie.
+ */
+export const detectDialect = (text) => {
+  const lines = text.slice(0, SNIFF_BYTES).split(/\r\n|\n|\r/).filter((l) => l.trim() !== '').slice(0, SNIFF_LINES);
+
+  let best = { delimiter: ',', score: 0, fields: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map((l) => countOutsideQuotes(l, delimiter));
+    const tally = new Map();
+    counts.forEach((c) => c > 0 && tally.set(c, (tally.get(c) || 0) + 1));
+    for (const [fields, times] of tally) {
+      const score = times / lines.length;
+      if (score > best.score || (score === best.score && fields > best.fields)) best = { delimiter, score, fields };
+    }
+  }
+
+  const d = best.delimiter === '|' ? '\\|' : best.delimiter;
+  const enclosed = (q) => {
+    const field = new RegExp(`(?:^|${d})${q}(?:[^${q}]|${q}${q})*${q}(?=${d}|$)`, 'g');
+    return lines.reduce((n, line) => n + (line.match(field) || []).length, 0);
+  };
+  const quote = enclosed("'") > enclosed('"') ? "'" : '"';
+  return { delimiter: best.delimiter, quote };
+};
+
+const isNumeric = (v) => NUMERIC_RE.test(String(v).trim());
+
+/**
+ * Whether the first record is a header. Each column votes: a column of
+ * numbers (or of same-length codes) under a cell that does not fit it votes
+ * yes, one that fits votes no. Without votes, a first row of distinct,
+ * non-numeric text is taken as a header.
+ */
+export const detectHeader = (records) => {
+  const [first, ...rest] = records;
+  if (!first) return false;
+  const sample = rest.slice(0, SNIFF_LINES);
+  let votes = 0;
+  first.forEach((head, col) => {
+    const values = sample.map((r) => r[col]).filter((v) => v !== undefined && v !== '');
+    if (values.length === 0) return;
+    if (values.every(isNumeric)) {
+      votes += isNumeric(head) ? -1 : 1;
+    } else if (values.every((v) => v.length === values[0].length)) {
+      votes += head.length === values[0].length ? -1 : 1;
+    }
+  });
+  if (votes !== 0) return votes > 0;
+
+  const names = first.map((v) => v.trim().toLowerCase());
+  return names.every((v) => v !== '' && !isNumeric(v)) && new Set(names).size === names.length;
+};
+
+/* -------------------------------------------------------
+   Parsing
+------------------------------------------------------- */
+
+const DELIMITER_NAMES = { tab: '\t', comma: ',', semicolon: ';', pipe: '|' };
+
+/**
+ * Check the optional overrides of the sniffed dialect:
+ * { encoding, delimiter (one character or tab/comma/semicolon/pipe), quote, header: 'auto'|true|false }.
+ */
+export const validateCsvOptions = (input = {}) => {
+  const options = {};
+  if (input.encoding) {
+    const encoding = String(input.encoding).toLowerCase().replace(/^utf8$/, 'utf-8').replace(/^cp1252$/, 'windows-1252');
+    if (!CSV_ENCODINGS.includes(encoding)) return { error: `encoding must be one of ${CSV_ENCODINGS.join(', ')}` };
+    options.encoding = encoding;
+  }
+  if (input.delimiter) {
+    const delimiter = DELIMITER_NAMES[String(input.delimiter).toLowerCase()] || String(input.delimiter);
+    if (delimiter.length !== 1 || /[\r\n"']/.test(delimiter)) return { error: 'delimiter must be a single character' };
+    options.delimiter = delimiter;
+  }
+  if (input.quote) {
+    if (!QUOTES.includes(input.quote)) return { error: `quote must be " or '` };
+    options.quote = input.quote;
+  }
+  const header = input.header === undefined || input.header === '' ? 'auto' : String(input.header);
+  if (!['auto', 'true', 'false'].includes(header)) return { error: 'header must be auto, true or false' };
+  if (header !== 'auto') options.header = header === 'true';
+  return { options };
+};
+
+// Whether `text` (numeric) survives conversion to a Number unchanged
+const isExactNumber = (text) => {
+  const digits = text
+    .trim()
+    .replace(/^-/, '')
+    .replace(/[eE].*$/, '')
+    .replace('.', '')
+    .replace(/^0+|0+$/g, '');
+  return digits.length <= MAX_SIGNIFICANT_DIGITS && Math.abs(Number(text)) <= Number.MAX_SAFE_INTEGER;
+};
+
+const cellValue = (text) => {
+  if (text === undefined || text === '') return null;
+  return isNumeric(text) && isExactNumber(text) ? Number(text) : text;
+};
+
+/**
+ * Decode and parse a CSV buffer. Sniffed settings are replaced by any given in
+ * `options` (see validateCsvOptions). Returns
+ * { dialect: { encoding, delimiter, quote, header }, header: [names]|null, rows: [[value]] }
+ * with numbers converted and blanks as null, or { error }.
+ */
+export const readCsv = (buffer, options = {}) => {
+  const sniffed = detectEncoding(buffer);
+  const encoding = options.encoding || sniffed.encoding;
+  const bom = encoding === sniffed.encoding ? sniffed.bom : 0;
+  const text = new TextDecoder(encoding).decode(buffer.subarray(bom));
+  const dialect = { encoding, ...detectDialect(text), ...options };
+
+  let records;
+  try {
+    records = csvParseSync(text, {
+      delimiter: dialect.delimiter,
+      quote: dialect.quote,
+      relax_column_count: true,
+      relax_quotes: true,
+      skip_empty_lines: true,
+    });
+  } catch (e) {
+    return { error: `CSV parse failed: ${e.message}` };
+  }
+  if (records.length === 0) return { error: 'The CSV file has no rows' };
+
+  dialect.header = options.header ?? detectHeader(records);
+  const header = dialect.header ? records[0].map((v) => v.trim()) : null;
+  const rows = (dialect.header ? records.slice(1) : records).map((r) => r.map(cellValue));
+  return { dialect: { encoding: dialect.encoding, delimiter: dialect.delimiter, quote: dialect.quote, header: dialect.header }, header, rows };
+};
+
+/* -------------------------------------------------------
+   Planning and writing
+------------------------------------------------------- */
+
+const headerValues = (ws, headerRow, evaluation) => {
+  const row = ws.findRow(headerRow);
+  if (!row || !row.hasValues) return null;
+  const names = [];
+  row.eachCell({ includeEmpty: false }, (cell, col) => {
+    const v = cellOutputValue(cell, evaluation);
+    if (v !== null && v !== '') names[col - 1] = String(v).trim();
+  });
+  return names;
+};
+
+const lastUsedRow = (ws) => {
+  let last = 0;
+  ws.eachRow({ includeEmpty: false }, (_row, n) => {
+    last = n;
+  });
+  return last;
+};
+
+const keyText = (v) => (v === null || v === undefined ? '' : String(v).trim());
+
+/**
+ * Plan importing `csv` (from readCsv) into `ws`:
+ * - append: rows go below the last used row; CSV columns are matched to the
+ *   sheet header by name when both have one, otherwise by position
+ * - replace: the sheet's values are cleared and the CSV (header included) is written from A1
+ * - upsert: rows whose `key` column matches a sheet row update that row, the rest are appended
+ * Returns { columns, unmatched, writes: [{ row, values: [[col, value]] }], clear,
+ * counts: { appended, updated, skipped } } or { error }.
+ */
+export const planCsvImport = (ws, csv, { mode, key, headerRow = 1, evaluation = null }) => {
+  if (!CSV_IMPORT_MODES.includes(mode)) return { error: `mode must be one of ${CSV_IMPORT_MODES.join(', ')}` };
+  const width = csv.rows.reduce((m, r) => Math.max(m, r.length), csv.header?.length || 0);
+  const csvNames = csv.header || Array.from({ length: width }, (_v, i) => `Column ${i + 1}`);
+  const counts = { appended: 0, updated: 0, skipped: 0 };
+  const writes = [];
+  const rowValues = (record, targets) =>
+    targets.map((col, i) => (col ? [col, record[i] ?? null] : null)).filter(Boolean);
+
+  if (mode === 'replace') {
+    const positional = csvNames.map((_n, i) => i + 1);
+    if (csv.header) writes.push({ row: 1, values: rowValues(csv.header, positional) });
+    csv.rows.forEach((record, i) => writes.push({ row: i + 1 + (csv.header ? 1 : 0), values: rowValues(record, positional) }));
+    counts.appended = csv.rows.length;
+    return {
+      columns: csvNames.map((name, i) => ({ name, column: columnLetter(i + 1) })),
+      unmatched: [],
+      writes,
+      clear: true,
+      counts,
+    };
+  }
+
+  const sheetHeader = headerValues(ws, headerRow, evaluation);
+  let targets;
+  if (csv.header && sheetHeader) {
+    const index = new Map();
+    sheetHeader.forEach((name, i) => name && !index.has(name.toLowerCase()) && index.set(name.toLowerCase(), i + 1));
+    targets = csv.header.map((name) => index.get(name.toLowerCase()) || null);
+    if (targets.every((t) => t === null)) {
+      return { error: `None of the CSV columns match the sheet header (row ${headerRow})` };
+    }
+  } else {
+    targets = csvNames.map((_n, i) => i + 1);
+  }
+  const columns = csvNames.map((name, i) => ({ name, column: targets[i] ? columnLetter(targets[i]) : null }));
+  const unmatched = columns.filter((c) => !c.column).map((c) => c.name);
+
+  // An empty sheet takes the CSV header as its own
+  let next = Math.max(lastUsedRow(ws), headerRow - 1) + 1;
+  if (csv.header && !sheetHeader) {
+    writes.push({ row: headerRow, values: rowValues(csv.header, targets) });
+    next = Math.max(next, headerRow + 1);
+  }
+
+  if (mode === 'append') {
+    for (const record of csv.rows) writes.push({ row: next++, values: rowValues(record, targets) });
+    counts.appended = csv.rows.length;
+    return { columns, unmatched, writes, clear: false, counts };
+  }
+
+  // upsert
+  if (!key) return { error: 'Upsert needs a key column' };
+  if (!csv.header || !sheetHeader) return { error: 'Upsert needs a header row in both the CSV and the sheet' };
+  const csvKey = csv.header.findIndex((name) => name.toLowerCase() === String(key).trim().toLowerCase());
+  if (csvKey === -1 || !targets[csvKey]) return { error: `Key column "${key}" must be in both the CSV and the sheet header` };
+
+  const keyCol = targets[csvKey];
+  const existing = new Map();
+  ws.eachRow({ includeEmpty: false }, (row, n) => {
+    if (n <= headerRow) return;
+    const k = keyText(cellOutputValue(row.getCell(keyCol), evaluation));
+    if (k && !existing.has(k)) existing.set(k, n);
+  });
+
+  // A key repeated in the CSV updates the same row again; the last one wins
+  for (const record of csv.rows) {
+    const k = keyText(record[csvKey]);
+    if (!k) {
+      counts.skipped++;
+      continue;
+    }
+    const target = existing.get(k);
+    if (target) {
+      writes.push({ row: target, values: rowValues(record, targets) });
+      counts.updated++;
+    } else {
+      existing.set(k, next);
+      writes.push({ row: next++, values: rowValues(record, targets) });
+      counts.appended++;
+    }
+  }
+  return { columns, unmatched, writes, clear: false, counts };
+};
+
+/**
+ * First rows of a plan as they will land in the sheet: [{ row, cells: { A: value } }].
+ */
+export const csvImportPreview = (plan, limit = PREVIEW_ROWS) =>
+  plan.writes.slice(0, limit).map((w) => ({
+    row: w.row,
+    cells: Object.fromEntries(w.values.map(([col, value]) => [columnLetter(col), value])),
+  }));
+
+/**
+ * Write a plan to the worksheet. Returns the written addresses ([A1]) for the
+ * schema and validation checks.
+ */
+export const applyCsvImport = (ws, plan) => {
+  if (plan.clear) {
+    ws.eachRow({ includeEmpty: false }, (row) => {
+      row.eachCell({ includeEmpty: false }, (cell) => {
+        cell.value = null;
+      });
+    });
+  }
+  const written = [];
+  for (const { row, values } of plan.writes) {
+    const target = ws.getRow(row);
+    for (const [col, value] of values) {
+      const cell = target.getCell(col);
+      cell.value = value;
+      written.push(cell.address);
+    }
+  }
+  return written;
+};
@@ -0,0 +1,164 @@
+// server/lib/custom-xml.js
+// App data kept inside the xlsx as custom XML parts: customXml/itemN.xml with
+// a JSON payload under a namespaced root element, plus its properties part.
+// ExcelJS neither reads nor writes these parts, so they are read from the
+// buffer on load and added back after every write. Excel keeps them as-is.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+
+const CONTENT_TYPES_XML = '[Content_Types].xml';
+const WORKBOOK_RELS_XML = 'xl/_rels/workbook.xml.rels';
+const CUSTOM_XML_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/customXml';
+const CUSTOM_XML_PROPS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/customXmlProps';
+const CUSTOM_XML_PROPS_TYPE = 'application/vnd.openxmlformats-officedocument.customXmlProperties+xml';
+
+const ROOT_RE = /<([\w:]+)\s[^>]*xmlns="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/;
+const ITEM_RE = /^customXml\/item\d+\.xml$/;
+
+// Zip records read when going through the central directory of a file
+const EOCD_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const CENTRAL_SIGNATURE = 0x02014b50;
+const EOCD_SIZE = 22;
+const LOCAL_HEADER_SIZE = 30;
+// A custom XML part inflating past this is not one of ours
+const MAX_PART_BYTES = 16 * 1024 * 1024;
+
+const encodeXml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const decodeXml = (s) =>
+  s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_m, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_m, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+
+// Payloads of custom XML part texts by namespace; the first part of a namespace wins
+const partsFromXml = (xmlTexts) => {
+  const parts = {};
+  for (const xml of xmlTexts) {
+    const m = ROOT_RE.exec(xml);
+    if (!m || m[2] in parts) continue;
+    try {
+      parts[m[2]] = JSON.parse(decodeXml(m[3]));
+    } catch (_e) {
+      // Someone else's custom XML (or a hand-edited one): not ours to read
+    }
+  }
+  return parts;
+};
+
+/**
+ * JSON payloads of the custom XML parts in an xlsx buffer, keyed by the
+ * namespace of their root element. Parts that are not JSON are skipped.
+ */
+export const readCustomXmlParts = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const names = Object.keys(zip.files).filter((name) => ITEM_RE.test(name));
+  return partsFromXml(await Promise.all(names.map((name) => zip.file(name).async('string'))));
+};
+
+/**
+ * readCustomXmlParts for an xlsx on disk. Only the zip's central directory
+ * and the custom XML entries are read, so a large upload is not loaded whole.
+ */
+export const readCustomXmlPartsFromFile = async (filePath) => {
+  const file = await fs.promises.open(filePath, 'r');
+  const readAt = async (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await file.read(buffer, 0, length, position);
+    if (bytesRead !== length) throw new Error('Truncated zip file');
+    return buffer;
+  };
+
+  try {
+    // The end of central directory record closes the file, after a comment of up to 64 KiB
+    const { size } = await file.stat();
+    const tailLength = Math.min(size, EOCD_SIZE + 0xffff);
+    const tail = await readAt(size - tailLength, tailLength);
+    const eocd = tail.lastIndexOf(EOCD_SIGNATURE);
+    if (eocd < 0 || eocd + EOCD_SIZE > tail.length) throw new Error('Not a zip file');
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const directory = await readAt(tail.readUInt32LE(eocd + 16), tail.readUInt32LE(eocd + 12));
+
+    const texts = [];
+    for (let p = 0, i = 0; i < entryCount; i++) {
+      if (directory.readUInt32LE(p) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip directory');
+      const method = directory.readUInt16LE(p + 10);
+      const compressedSize = directory.readUInt32LE(p + 20);
+      const nameLength = directory.readUInt16LE(p + 28);
+      const localOffset = directory.readUInt32LE(p + 42);
+      const name = directory.toString('utf8', p + 46, p + 46 + nameLength);
+      p += 46 + nameLength + directory.readUInt16LE(p + 30) + directory.readUInt16LE(p + 32);
+      // Stored or deflated, as every xlsx writer does
+      if (!ITEM_RE.test(name) || (method !== 0 && method !== 8) || compressedSize > MAX_PART_BYTES) continue;
+
+      const local = await readAt(localOffset, LOCAL_HEADER_SIZE);
+      const data = await readAt(
+        localOffset + LOCAL_HEADER_SIZE + local.readUInt16LE(26) + local.readUInt16LE(28),
+        compressedSize
+      );
+      try {
+        texts.push((method === 8 ? zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES }) : data).toString('utf8'));
+      } catch (_e) {
+        // Damaged or oversized: skipped like a part that is not JSON
+      }
+    }
+    return partsFromXml(texts);
+  } finally {
+    await file.close();
+  }
+};
+
+/**
+ * Add custom XML parts ([{ ns, tag, data }], falsy entries ignored) to an
+ * xlsx buffer written by ExcelJS. Returns the buffer untouched when there are none.
+ */
+export const embedCustomXmlParts = async (buffer, parts) => {
+  const list = parts.filter(Boolean);
+  if (list.length === 0) return buffer;
+
+  const zip = await JSZip.loadAsync(buffer);
+  let types = await zip.file(CONTENT_TYPES_XML).async('string');
+  let rels = await zip.file(WORKBOOK_RELS_XML).async('string');
+  let n = 1;
+  let relNumber = Math.max(0, ...[...rels.matchAll(/Id="rId(\d+)"/g)].map((m) => Number(m[1])));
+
+  for (const { ns, tag, data } of list) {
+    while (zip.file(`customXml/item${n}.xml`)) n++;
+    const itemId = `{${crypto.randomUUID().toUpperCase()}}`;
+
+    zip.file(
+      `customXml/item${n}.xml`,
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<${tag} xmlns="${ns}">${encodeXml(JSON.stringify(data))}</${tag}>`
+    );
+    zip.file(
+      `customXml/itemProps${n}.xml`,
+      `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n<ds:datastoreItem ds:itemID="${itemId}" xmlns:ds="http://schemas.openxmlformats.org/officeDocument/2006/customXml"><ds:schemaRefs><ds:schemaRef ds:uri="${ns}"/></ds:schemaRefs></ds:datastoreItem>`
+    );
+    zip.file(
+      `customXml/_rels/item${n}.xml.rels`,
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${CUSTOM_XML_PROPS_REL}" Target="itemProps${n}.xml"/></Relationships>`
+    );
+
+    const item = n;
+    types = types.replace(
+      '</Types>',
+      () => `<Override PartName="/customXml/itemProps${item}.xml" ContentType="${CUSTOM_XML_PROPS_TYPE}"/></Types>`
+    );
+    relNumber++;
+    rels = rels.replace(
+      '</Relationships>',
+      () => `<Relationship Id="rId${relNumber}" Type="${CUSTOM_XML_REL}" Target="../customXml/item${item}.xml"/></Relationships>`
+    );
+  }
+
+  zip.file(CONTENT_TYPES_XML, types);
+  zip.file(WORKBOOK_RELS_XML, rels);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
@@ -0,0 +1,97 @@
+// server/lib/export-jobs.js
+// In-process queue for export jobs. Jobs run in submission order, at most
+// `maxRunning` at a time across all users; each user may have a limited
+// number of unfinished jobs (the limit comes from their plan). Finished jobs
+// are kept, with their artifact, until they expire and a sweep removes both.
+// State lives in memory only: after a restart, queued jobs are gone and
+// leftover artifacts are for the caller's storage-side sweep.
+
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+/**
+ * Create a queue. `run(job)` does the work and resolves to fields merged into
+ * the job (e.g. { artifact, fileName, size }) or throws; `onChange(job)` sees
+ * every status change; `onExpire(job)` removes what a finished job left
+ * behind. Finished jobs expire `ttlMs` after they finish.
+ */
+export const createJobQueue = ({ run, maxRunning = 1, ttlMs, onChange = () => {}, onExpire = async () => {} }) => {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  const update = (job, changes) => {
+    Object.assign(job, changes);
+    onChange(job);
+  };
+
+  const finish = (job, changes) => {
+    const finishedAt = new Date();
+    update(job, {
+      ...changes,
+      finishedAt: finishedAt.toISOString(),
+      expiresAt: new Date(finishedAt.getTime() + ttlMs).toISOString(),
+    });
+  };
+
+  const pump = () => {
+    while (running < maxRunning && waiting.length > 0) {
+      const job = waiting.shift();
+      running++;
+      update(job, { status: 'running', startedAt: new Date().toISOString() });
+      Promise.resolve()
+        .then(() => run(job))
+        .then(
+          (result) => finish(job, { ...result, status: 'done' }),
+          (e) => finish(job, { status: 'failed', error: e?.message || String(e) })
+        )
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queue `job` ({ id, owner, ... }) unless its owner already has `limit`
+     * unfinished jobs. Returns { job } or { error }.
+     */
+    submit(job, { limit = Infinity } = {}) {
+      const active = [...jobs.values()].filter((j) => j.owner === job.owner && isActive(j)).length;
+      if (active >= limit) {
+        return { error: `At most ${limit} export job${limit === 1 ? '' : 's'} can be in progress at once` };
+      }
+      Object.assign(job, { status: 'queued', createdAt: new Date().toISOString() });
+      jobs.set(job.id, job);
+      waiting.push(job);
+      onChange(job);
+      pump();
+      return { job };
+    },
+
+    get: (id) => jobs.get(id) || null,
+
+    // Jobs of `owner`, newest first
+    list: (owner) =>
+      [...jobs.values()].filter((j) => j.owner === owner).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+
+    /**
+     * Forget finished jobs past their expiry, calling onExpire for each.
+     * Returns how many were removed.
+     */
+    async sweep(now = Date.now()) {
+      const expired = [...jobs.values()].filter((j) => !isActive(j) && Date.parse(j.expiresAt) <= now);
+      for (const job of expired) {
+        jobs.delete(job.id);
+        try {
+          await onExpire(job);
+        } catch (e) {
+          // A failed cleanup leaves an orphan for the next storage sweep
+        }
+      }
+      return expired.length;
+    },
+  };
+};
@@ -0,0 +1,153 @@
+// server/lib/exporters.js
+// Export formats. Text formats (csv, json, tsv, html, markdown) are written
+// row by row to a writable, so streamed sheets never sit in memory; the first
+// row is the header. ods and xlsx are whole workbooks; PDFs are drawn by the
+// routes with lib/pdf-layout.js.
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import * as XLSX from 'xlsx';
+import { safeSheetName } from './importers.js';
+import { csvLine } from './workbook-stream.js';
+
+export const EXPORT_FORMATS = {
+  csv: { ext: 'csv', label: 'CSV', type: 'text/csv; charset=utf-8' },
+  json: { ext: 'json', label: 'JSON', type: 'application/json; charset=utf-8' },
+  tsv: { ext: 'tsv', label: 'TSV', type: 'text/tab-separated-values; charset=utf-8' },
+  html: { ext: 'html', label: 'HTML', type: 'text/html; charset=utf-8' },
+  markdown: { ext: 'md', label: 'Markdown', type: 'text/markdown; charset=utf-8' },
+  ods: { ext: 'ods', label: 'ODS', type: 'application/vnd.oasis.opendocument.spreadsheet' },
+  xlsx: { ext: 'xlsx', label: 'XLSX', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { ext: 'pdf', label: 'PDF', type: 'application/pdf' },
+};
+
+export const TABLE_FORMATS = ['csv', 'json', 'tsv', 'html', 'markdown'];
+export const WORKBOOK_FORMATS = ['xlsx', 'ods'];
+
+const text = (v) => {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return v.toISOString();
+  return String(v);
+};
+
+const escapeHtml = (s) =>
+  s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Header cells as object keys: blanks become "Column N", repeats "Name (2)"
+const jsonKeys = (header) => {
+  const seen = new Set();
+  return header.map((v, i) => {
+    const base = text(v).trim() || `Column ${i + 1}`;
+    let key = base;
+    for (let n = 2; seen.has(key); n++) key = `${base} (${n})`;
+    seen.add(key);
+    return key;
+  });
+};
+
+const jsonValue = (v) => (v === undefined ? null : v);
+
+// Per format: head(header) → text, row(values, index) → text, tail(rowCount) → text
+const WRITERS = {
+  csv: () => {
+    const line = (values) => (values.length === 0 ? '' : `${csvLine(values)}\n`);
+    return { head: line, row: line, tail: () => '' };
+  },
+  json: (header) => {
+    const keys = jsonKeys(header);
+    return {
+      head: () => '[',
+      row: (values, i) =>
+        `${i === 0 ? '' : ','}\n  ${JSON.stringify(Object.fromEntries(keys.map((k, c) => [k, jsonValue(values[c])])))}`,
+      tail: (count) => (count === 0 ? ']\n' : '\n]\n'),
+    };
+  },
+  tsv: () => {
+    // Tabs and line breaks cannot be quoted in TSV
+    const line = (values) =>
+      values.length === 0 ? '' : `${values.map((v) => text(v).replace(/[\t\r\n]+/g, ' ')).join('\t')}\n`;
+    return { head: line, row: line, tail: () => '' };
+  },
+  markdown: (header) => {
+    const cell = (v) => text(v).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>') || ' ';
+    const line = (values) => `| ${header.map((_h, c) => cell(values[c])).join(' | ')} |\n`;
+    return {
+      head: () => (header.length === 0 ? '' : `${line(header)}| ${header.map(() => '---').join(' | ')} |\n`),
+      row: (values) => (header.length === 0 ? '' : line(values)),
+      tail: () => '',
+    };
+  },
+  html: (header, { title }) => {
+    const cells = (values, tag) =>
+      values
+        .map((v) => {
+          const attr = tag === 'td' && typeof v === 'number' ? ' class="n"' : '';
+          return `<${tag}${attr}>${escapeHtml(text(v))}</${tag}>`;
+        })
+        .join('');
+    return {
+      head: () =>
+        '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+        `<title>${escapeHtml(title)}</title>\n` +
+        '<style>table{border-collapse:collapse;font-family:sans-serif;font-size:14px}' +
+        'th,td{border:1px solid #d1d5db;padding:4px 8px;text-align:left}th{background:#f3f4f6}td.n{text-align:right}</style>\n' +
+        `</head>\n<body>\n<table>\n<thead>\n<tr>${cells(header, 'th')}</tr>\n</thead>\n<tbody>\n`,
+      row: (values) => `<tr>${cells(values, 'td')}</tr>\n`,
+      tail: () => '</tbody>\n</table>\n</body>\n</html>\n',
+    };
+  },
+};
+
+/**
+ * Writer for one table in a text format (one of TABLE_FORMATS) to `out`.
+ * The first row passed to `row` is the header. Both methods wait for the
+ * writable to drain; `end` does not close it.
+ */
+export const createTableWriter = (format, out, { title = '' } = {}) => {
+  let writer = null;
+  let count = 0;
+  const write = async (chunk) => {
+    if (chunk && !out.write(chunk)) await once(out, 'drain');
+  };
+
+  return {
+    row: async (values) => {
+      if (!writer) {
+        writer = WRITERS[format](values, { title });
+        return write(writer.head(values));
+      }
+      await write(writer.row(values, count));
+      count++;
+    },
+    end: async () => {
+      // An empty sheet still gives a well-formed document
+      if (!writer) {
+        writer = WRITERS[format]([], { title });
+        await write(writer.head([]));
+      }
+      await write(writer.tail(count));
+    },
+  };
+};
+
+/**
+ * Workbook with one sheet holding `header` (bold, frozen) and `rows`, for
+ * exports of query results.
+ */
+export const tableWorkbook = (name, header, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet(safeSheetName(name));
+  ws.addRow(header).font = { bold: true };
+  rows.forEach((values) => ws.addRow(values));
+  ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 1, topLeftCell: 'A2' }];
+  return workbook;
+};
+
+/**
+ * OpenDocument spreadsheet with the sheets, values, formulas and number
+ * formats of an xlsx buffer (styles are not carried over).
+ */
+export const xlsxToOds = (buffer) => {
+  const book = XLSX.read(buffer, { type: 'buffer', cellFormula: true, cellNF: true, cellDates: true });
+  return XLSX.write(book, { type: 'buffer', bookType: 'ods', compression: true });
+};
@@ -0,0 +1,246 @@
+// server/lib/formulas.js
+// Server-side formula evaluation with HyperFormula, the engine the grid uses.
+// A loaded ExcelJS workbook is copied into a throwaway engine, every formula
+// cell is computed once, and the results are handed back in ExcelJS' `result`
+// shape (numbers, strings, booleans, { error: '#DIV/0!' }).
+
+import ExcelJS from 'exceljs';
+import { HyperFormula, DetailedCellError, ErrorType } from 'hyperformula';
+import { cellDisplayValue } from './cells.js';
+import { getDefinedNames, sameScope } from './names.js';
+
+const { ValueType } = ExcelJS;
+
+const HF_CONFIG = { licenseKey: 'gpl-v3' };
+
+// Excel's 1900 date system, which is also HyperFormula's default
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+// Date -> Excel serial day number
+export const toSerial = (date) => (date.getTime() - EXCEL_EPOCH) / MS_PER_DAY;
+
+// Excel stores functions newer than 2007 with a prefix (_xlfn.XLOOKUP,
+// _xlfn._xlws.SORT); HyperFormula knows them by their plain name. String
+// literals are left alone.
+const XL_PREFIXES = /("(?:[^"]|"")*")|_xl(?:fn|ws)\./gi;
+const engineFormula = (formula) => formula.replace(XL_PREFIXES, (match, text) => text ?? '');
+
+const isMergeSlave = (cell) => cell.isMerged && cell.master && cell.master.address !== cell.address;
+
+// What HyperFormula should see for one ExcelJS cell
+const engineContent = (cell) => {
+  if (isMergeSlave(cell)) return null;
+  const v = cell.value;
+  if (v === null || v === undefined) return null;
+
+  switch (cell.type) {
+    case ValueType.Formula:
+      return `=${engineFormula(cell.formula)}`;
+    case ValueType.Date:
+      return v instanceof Date && !Number.isNaN(v.getTime()) ? toSerial(v) : null;
+    case ValueType.Error:
+      return v.error ?? null;
+    case ValueType.String:
+      // A leading apostrophe keeps text such as "=not a formula" literal
+      return v.startsWith('=') ? `'${v}` : v;
+    default: {
+      const display = cellDisplayValue(cell);
+      return typeof display === 'string' && display.startsWith('=') ? `'${display}` : display;
+    }
+  }
+};
+
+const worksheetContents = (ws) => {
+  const rows = [];
+  ws.eachRow({ includeEmpty: false }, (row, r) => {
+    const out = [];
+    row.eachCell({ includeEmpty: false }, (cell, c) => {
+      out[c - 1] = engineContent(cell);
+    });
+    rows[r - 1] = Array.from(out, (v) => v ?? null);
+  });
+  return Array.from(rows, (r) => r ?? []);
+};
+
+// Defined names become named expressions (sheet-scoped ones on their sheet);
+// ones the engine cannot parse are skipped rather than failing the evaluation.
+// Prefers the lossless list from lib/names.js over ExcelJS' own model.
+const workbookNames = (workbook) =>
+  getDefinedNames(workbook) ??
+  (workbook.definedNames?.model || [])
+    .filter((dn) => dn.name && (dn.ranges || []).length === 1)
+    .map((dn) => ({ name: dn.name, scope: null, refersTo: dn.ranges[0] }));
+
+const addDefinedNames = (hf, names) => {
+  const added = [];
+  for (const n of names) {
+    if (n.name.startsWith('_xlnm.')) continue;
+    const scope = n.scope ? hf.getSheetId(n.scope) : undefined;
+    if (n.scope && scope === undefined) continue;
+    try {
+      hf.addNamedExpression(n.name, `=${engineFormula(n.refersTo)}`, scope);
+      added.push({ ...n, sheetId: scope });
+    } catch (_e) {
+      // unsupported reference (e.g. multi-area or external)
+    }
+  }
+  return added;
+};
+
+const toResult = (value) => {
+  if (value instanceof DetailedCellError) return { error: value.value };
+  return value ?? null;
+};
+
+const resultKey = (sheetName, address) => `${sheetName}!${address}`;
+
+// Name values: a scalar, or rows of scalars for ranges
+const toNameResult = (value) => (Array.isArray(value) ? value.map((row) => row.map(toResult)) : toResult(value));
+
+// Engine over a copy of `workbook` with its defined names registered.
+// Callers must destroy `hf`.
+const buildEngine = (workbook) => {
+  const sheets = {};
+  workbook.eachSheet((ws) => {
+    sheets[ws.name] = worksheetContents(ws);
+  });
+  const hf = HyperFormula.buildFromSheets(sheets, HF_CONFIG);
+  try {
+    return { hf, names: addDefinedNames(hf, workbookNames(workbook)) };
+  } catch (e) {
+    hf.destroy();
+    throw e;
+  }
+};
+
+/**
+ * Compute every formula and defined name in `workbook` without touching it.
+ * Returns { get(sheetName, address), name(name, sheet), size }: `get` yields
+ * the computed result in ExcelJS shape, or undefined for cells that hold no
+ * formula; `name` resolves like a formula on `sheet` would (sheet scope first).
+ */
+export const evaluateWorkbook = (workbook) => {
+  const results = new Map();
+  const nameValues = [];
+  const { hf, names: added } = buildEngine(workbook);
+  try {
+    // Workbook-level names are evaluated on a sheet that does not shadow them
+    const hostSheet = (n) => {
+      if (n.sheetId !== undefined) return n.sheetId;
+      const shadowed = new Set(
+        added
+          .filter((o) => o.sheetId !== undefined && o.name.toLowerCase() === n.name.toLowerCase())
+          .map((o) => o.sheetId)
+      );
+      return hf
+        .getSheetNames()
+        .map((s) => hf.getSheetId(s))
+        .find((id) => !shadowed.has(id)) ?? 0;
+    };
+    for (const n of added) {
+      const value = hf.calculateFormula(`=${n.name}`, hostSheet(n));
+      nameValues.push({ name: n.name, scope: n.scope, value: toNameResult(value) });
+    }
+    workbook.eachSheet((ws) => {
+      const sheet = hf.getSheetId(ws.name);
+      ws.eachRow({ includeEmpty: false }, (row) => {
+        row.eachCell({ includeEmpty: false }, (cell) => {
+          if (cell.type !== ValueType.Formula || isMergeSlave(cell)) return;
+          const value = hf.getCellValue({ sheet, row: cell.row - 1, col: cell.col - 1 });
+          // Functions HyperFormula lacks or cannot parse: keep whatever Excel last computed
+          if (
+            value instanceof DetailedCellError &&
+            (value.type === ErrorType.NAME || value.type === ErrorType.ERROR) &&
+            cell.result !== undefined
+          ) {
+            results.set(resultKey(ws.name, cell.address), cell.result);
+            return;
+          }
+          results.set(resultKey(ws.name, cell.address), toResult(value));
+        });
+      });
+    });
+  } finally {
+    hf.destroy();
+  }
+
+  const findName = (name, scope) =>
+    nameValues.find((n) => n.name.toLowerCase() === String(name).toLowerCase() && sameScope(n.scope, scope));
+
+  return {
+    get: (sheetName, address) => results.get(resultKey(sheetName, address)),
+    name: (name, sheet = null) => (sheet && findName(name, sheet)) || findName(name, null) || null,
+    size: results.size,
+  };
+};
+
+/**
+ * Long-lived engine for ad-hoc formulas against `workbook` (e.g. validation
+ * rules). `calculate(formula, sheetName)` returns an ExcelJS-shaped result, or
+ * rows of them for ranges. Call `destroy()` when done.
+ */
+export const createFormulaEngine = (workbook) => {
+  const { hf } = buildEngine(workbook);
+  return {
+    calculate: (formula, sheetName) => {
+      const sheet = hf.getSheetId(sheetName) ?? 0;
+      const text = engineFormula(formula.startsWith('=') ? formula : `=${formula}`);
+      return toNameResult(hf.calculateFormula(text, sheet));
+    },
+    destroy: () => hf.destroy(),
+  };
+};
+
+const sameResult = (a, b) => {
+  if (a && typeof a === 'object' && b && typeof b === 'object') return a.error === b.error;
+  return a === b;
+};
+
+/**
+ * Recompute formulas and store the results on the cells so the saved file
+ * carries current values. Returns the number of results that changed.
+ */
+export const recalculateWorkbook = (workbook) => {
+  const evaluation = evaluateWorkbook(workbook);
+  let changed = 0;
+  workbook.eachSheet((ws) => {
+    ws.eachRow({ includeEmpty: false }, (row) => {
+      row.eachCell({ includeEmpty: false }, (cell) => {
+        const result = evaluation.get(ws.name, cell.address);
+        if (result === undefined || sameResult(result, cell.result)) return;
+        cell.value = { ...cell.value, result };
+        changed++;
+      });
+    });
+  });
+  return changed;
+};
+
+/**
+ * Plain value to print for a cell: the computed result for formulas (falling
+ * back to the cached one, e.g. for streamed cells), error codes as text,
+ * rich text and hyperlinks as their text.
+ */
+export const cellOutputValue = (cell, evaluation = null) => {
+  if (cell.type !== ValueType.Formula) return cellDisplayValue(cell);
+  if (isMergeSlave(cell)) return null;
+  const computed = evaluation?.get(cell.worksheet.name, cell.address);
+  const result = computed === undefined ? cell.result : computed;
+  if (result && typeof result === 'object' && 'error' in result) return result.error;
+  // The streaming reader loses cached error codes and yields NaN instead
+  if (typeof result === 'number' && Number.isNaN(result)) return null;
+  return result ?? null;
+};
+
+/**
+ * Whether HyperFormula can parse `formula` (with or without the leading "=").
+ */
+export const isValidFormula = (formula) => {
+  const hf = HyperFormula.buildEmpty(HF_CONFIG);
+  try {
+    return hf.validateFormula(engineFormula(formula.startsWith('=') ? formula : `=${formula}`));
+  } finally {
+    hf.destroy();
+  }
+};
@@ -0,0 +1,224 @@
+// server/lib/importers.js
+// Converters from other spreadsheet and data formats to an xlsx file on disk,
+// so uploads and conversions of any supported format end up as a real workbook:
+// - ods / xls: every sheet, read with SheetJS and rewritten as xlsx
+// - csv / tsv: one sheet, streamed
+// - json: one sheet per top-level array (the document itself, or each array
+//   property of a top-level object); ndjson / jsonl: one sheet, one row per line
+// Objects become rows under the union of their keys; nested values are kept as JSON text.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import ExcelJS from 'exceljs';
+import * as XLSX from 'xlsx';
+import { csvFileToXlsxFile } from './workbook-stream.js';
+
+export const IMPORT_FORMATS = ['csv', 'tsv', 'ods', 'xls', 'json', 'ndjson', 'jsonl'];
+
+// Formats that carry several sheets of their own
+const SPREADSHEET_FORMATS = ['ods', 'xls'];
+const MAX_COLUMNS = 16384;
+
+/**
+ * Valid, distinct sheet name for `raw`: forbidden characters become "_",
+ * at most 31 characters, "(2)" and so on for repeats.
+ */
+export const safeSheetName = (raw, taken = new Set()) => {
+  const base = String(raw ?? '')
+    .replace(/[*?:/\\[\]]/g, '_')
+    .replace(/^'+|'+$/g, '')
+    .trim()
+    .slice(0, 31) || 'Sheet1';
+  let name = base === 'History' ? 'History_' : base;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+};
+
+const jsonCell = (v) => {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'object') return JSON.stringify(v);
+  return v;
+};
+
+const isRecord = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Header and rows of one JSON array: objects by key, arrays by position, scalars as one column
+const jsonTable = (items) => {
+  if (items.some(isRecord)) {
+    const keys = [];
+    const seen = new Set();
+    for (const item of items) {
+      if (!isRecord(item)) continue;
+      for (const k of Object.keys(item)) {
+        if (!seen.has(k)) {
+          seen.add(k);
+          keys.push(k);
+        }
+      }
+    }
+    if (keys.length > MAX_COLUMNS) return { error: `More than ${MAX_COLUMNS} distinct keys` };
+    return {
+      header: keys,
+      rows: items.map((item) => (isRecord(item) ? keys.map((k) => jsonCell(item[k])) : [jsonCell(item)])),
+    };
+  }
+  return {
+    header: null,
+    rows: items.map((item) => (Array.isArray(item) ? item.map(jsonCell) : [jsonCell(item)])),
+  };
+};
+
+// Header row frozen; streamed worksheets take their views when added
+const FROZEN_HEADER = { views: [{ state: 'frozen', xSplit: 0, ySplit: 1, topLeftCell: 'A2' }] };
+
+const writeTableSheet = (writer, name, { header, rows }) => {
+  const ws = writer.addWorksheet(name, header ? FROZEN_HEADER : {});
+  if (header) {
+    const row = ws.addRow(header);
+    row.font = { bold: true };
+    row.commit();
+  }
+  for (const values of rows) ws.addRow(values).commit();
+  ws.commit();
+};
+
+const createWriter = (xlsxPath) =>
+  new ExcelJS.stream.xlsx.WorkbookWriter({ filename: xlsxPath, useStyles: true, useSharedStrings: false });
+
+const jsonFileToXlsxFile = async (srcPath, xlsxPath, name) => {
+  let doc;
+  try {
+    doc = JSON.parse((await fs.promises.readFile(srcPath, 'utf8')).replace(/^\uFEFF/, ''));
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+
+  let tables;
+  if (Array.isArray(doc)) tables = [[name, doc]];
+  else if (isRecord(doc)) tables = Object.entries(doc).filter(([, v]) => Array.isArray(v));
+  else tables = [];
+  if (tables.length === 0) return { error: 'The JSON has no top-level array to import' };
+
+  const taken = new Set();
+  const sheets = [];
+  for (const [key, items] of tables) {
+    const table = jsonTable(items);
+    if (table.error) return { error: `"${key}": ${table.error}` };
+    sheets.push({ name: safeSheetName(key, taken), table });
+  }
+
+  const writer = createWriter(xlsxPath);
+  sheets.forEach((sheet) => writeTableSheet(writer, sheet.name, sheet.table));
+  await writer.commit();
+  return { sheetNames: sheets.map((sheet) => sheet.name) };
+};
+
+// Two passes over the lines: keys first, so every row lines up under one header
+const ndjsonFileToXlsxFile = async (srcPath, xlsxPath, name) => {
+  const eachLine = async (fn) => {
+    const lines = readline.createInterface({ input: fs.createReadStream(srcPath, 'utf8'), crlfDelay: Infinity });
+    let n = 0;
+    for await (const line of lines) {
+      n++;
+      if (!line.trim()) continue;
+      let value;
+      try {
+        value = JSON.parse(n === 1 ? line.replace(/^\uFEFF/, '') : line);
+      } catch (e) {
+        lines.close();
+        return `Line ${n}: ${e.message}`;
+      }
+      fn(value);
+    }
+    return null;
+  };
+
+  const keys = [];
+  const seen = new Set();
+  let records = 0;
+  const lineError = await eachLine((value) => {
+    if (!isRecord(value)) return;
+    records++;
+    for (const k of Object.keys(value)) {
+      if (!seen.has(k)) {
+        seen.add(k);
+        keys.push(k);
+      }
+    }
+  });
+  if (lineError) return { error: lineError };
+  if (keys.length > MAX_COLUMNS) return { error: `More than ${MAX_COLUMNS} distinct keys` };
+
+  const sheetName = safeSheetName(name);
+  const writer = createWriter(xlsxPath);
+  const ws = writer.addWorksheet(sheetName, records > 0 ? FROZEN_HEADER : {});
+  if (records > 0) {
+    const header = ws.addRow(keys);
+    header.font = { bold: true };
+    header.commit();
+  }
+  // Every line parsed in the first pass
+  await eachLine((value) => {
+    const values = isRecord(value)
+      ? keys.map((k) => jsonCell(value[k]))
+      : Array.isArray(value)
+        ? value.map(jsonCell)
+        : [jsonCell(value)];
+    ws.addRow(values).commit();
+  });
+  ws.commit();
+  await writer.commit();
+  return { sheetNames: [sheetName] };
+};
+
+// SheetJS keeps values, formulas, number formats, merges and column widths; not styles
+const spreadsheetFileToXlsxFile = async (srcPath, xlsxPath) => {
+  let book;
+  try {
+    book = XLSX.read(await fs.promises.readFile(srcPath), { type: 'buffer', cellFormula: true, cellNF: true, cellDates: true });
+  } catch (e) {
+    return { error: `Unreadable spreadsheet: ${e.message}` };
+  }
+  if (book.SheetNames.length === 0) return { error: 'The file has no sheets' };
+  await fs.promises.writeFile(xlsxPath, XLSX.write(book, { type: 'buffer', bookType: 'xlsx', compression: true }));
+  return { sheetNames: book.SheetNames };
+};
+
+/**
+ * Convert `srcPath` (in `format`, one of IMPORT_FORMATS) to an xlsx at
+ * `xlsxPath`. `name` names the sheet of single-table formats. Returns
+ * { sheetNames } or { error } for content that cannot be imported.
+ */
+export const convertToXlsxFile = async (srcPath, format, xlsxPath, { name = 'Sheet1' } = {}) => {
+  if (SPREADSHEET_FORMATS.includes(format)) return spreadsheetFileToXlsxFile(srcPath, xlsxPath);
+  if (format === 'json') return jsonFileToXlsxFile(srcPath, xlsxPath, name);
+  if (format === 'ndjson' || format === 'jsonl') return ndjsonFileToXlsxFile(srcPath, xlsxPath, name);
+
+  const sheetName = safeSheetName(name);
+  await csvFileToXlsxFile(srcPath, xlsxPath, sheetName, { delimiter: format === 'tsv' ? '\t' : ',' });
+  return { sheetNames: [sheetName] };
+};
+
+/**
+ * convertToXlsxFile for a file held in memory: { buffer, sheetNames } or
+ * { error }. Source and output pass through temp files in `dir`.
+ */
+export const convertBufferToXlsx = async (buffer, format, dir, options = {}) => {
+  const base = path.join(dir, `excel-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+  const srcPath = `${base}.${format}`;
+  const xlsxPath = `${base}.xlsx`;
+  try {
+    await fs.promises.writeFile(srcPath, buffer);
+    const result = await convertToXlsxFile(srcPath, format, xlsxPath, options);
+    if (result.error) return result;
+    return { buffer: await fs.promises.readFile(xlsxPath), sheetNames: result.sheetNames };
+  } finally {
+    await Promise.all([srcPath, xlsxPath].map((f) => fs.promises.unlink(f).catch(() => {})));
+  }
+};
@@ -0,0 +1,152 @@
+// server/lib/layout.js
+// Sheet layout (merged ranges, column widths, row heights, hidden rows and
+// columns, frozen panes) between ExcelJS and the grid. Units stay Excel's:
+// column widths in characters, row heights in points, indexes 1-based.
+// Sheets read with the streaming reader have no layout (it skips merges,
+// hidden flags and views), so callers get null there and never write one back.
+
+import { parseRangeRef, columnLetter } from './cells.js';
+
+const MAX_COLUMN = 16384;
+const MAX_ROW = 1048576;
+const MAX_COLUMN_WIDTH = 255;
+const MAX_ROW_HEIGHT = 409;
+
+const boundsRef = ({ top, left, bottom, right }) =>
+  `${columnLetter(left)}${top}:${columnLetter(right)}${bottom}`;
+
+const frozenPane = (ws) => {
+  const view = (ws.views || []).find((v) => v.state === 'frozen');
+  return { rows: view?.ySplit || 0, cols: view?.xSplit || 0 };
+};
+
+/**
+ * Layout of a fully loaded worksheet:
+ * { merges: ["A1:C1"], columns: [{ index, width?, hidden? }],
+ *   rows: [{ index, height?, hidden? }], frozen: { rows, cols } }.
+ * Columns and rows are sparse: only those with a custom width/height or hidden.
+ */
+export const worksheetLayout = (ws) => {
+  // Merges keyed by master address; the public `model` getter would serialize every row
+  const merges = Object.values(ws._merges || {})
+    .map((m) => m?.range)
+    .filter(Boolean);
+
+  const columns = [];
+  (ws.columns || []).forEach((col, i) => {
+    const entry = { index: i + 1 };
+    if (col.width) entry.width = col.width;
+    if (col.hidden) entry.hidden = true;
+    if (entry.width !== undefined || entry.hidden) columns.push(entry);
+  });
+
+  const rows = [];
+  ws.eachRow({ includeEmpty: true }, (row, r) => {
+    const entry = { index: r };
+    if (row.height) entry.height = row.height;
+    if (row.hidden) entry.hidden = true;
+    if (entry.height !== undefined || entry.hidden) rows.push(entry);
+  });
+
+  return { merges, columns, rows, frozen: frozenPane(ws) };
+};
+
+const isIndex = (n, max) => Number.isInteger(n) && n >= 1 && n <= max;
+const isSize = (n, max) => n === undefined || n === null || (typeof n === 'number' && n >= 0 && n <= max);
+
+/**
+ * Check a client layout. Every part is optional; a part that is present
+ * replaces that aspect of the sheet. Returns an error message or null.
+ */
+export const validateLayout = (layout) => {
+  if (!layout || typeof layout !== 'object') return 'layout must be an object';
+  const { merges, columns, rows, frozen } = layout;
+
+  if (merges !== undefined) {
+    if (!Array.isArray(merges)) return 'layout.merges must be a list of ranges';
+    const bounds = [];
+    for (const ref of merges) {
+      const b = parseRangeRef(ref);
+      if (!b || (b.top === b.bottom && b.left === b.right)) return `Invalid merge range "${ref}"`;
+      if (bounds.some((o) => o.top <= b.bottom && b.top <= o.bottom && o.left <= b.right && b.left <= o.right)) {
+        return `Merge range "${ref}" overlaps another merge`;
+      }
+      bounds.push(b);
+    }
+  }
+  if (columns !== undefined) {
+    if (!Array.isArray(columns)) return 'layout.columns must be a list';
+    for (const c of columns) {
+      if (!c || !isIndex(c.index, MAX_COLUMN)) return 'Column index must be between 1 and 16384';
+      if (!isSize(c.width, MAX_COLUMN_WIDTH)) return `Column width must be between 0 and ${MAX_COLUMN_WIDTH}`;
+    }
+  }
+  if (rows !== undefined) {
+    if (!Array.isArray(rows)) return 'layout.rows must be a list';
+    for (const r of rows) {
+      if (!r || !isIndex(r.index, MAX_ROW)) return 'Row index must be between 1 and 1048576';
+      if (!isSize(r.height, MAX_ROW_HEIGHT)) return `Row height must be between 0 and ${MAX_ROW_HEIGHT}`;
+    }
+  }
+  if (frozen !== undefined) {
+    const ok = (n) => n === undefined || (Number.isInteger(n) && n >= 0);
+    if (!frozen || typeof frozen !== 'object' || !ok(frozen.rows) || !ok(frozen.cols)) {
+      return 'layout.frozen needs non-negative rows/cols';
+    }
+  }
+  return null;
+};
+
+/**
+ * Apply a validated layout to `ws`. Parts that are present replace what the
+ * sheet had (e.g. merges not listed are unmerged); absent parts are kept.
+ */
+export const applyWorksheetLayout = (ws, layout) => {
+  if (layout.merges !== undefined) {
+    for (const range of worksheetLayout(ws).merges) ws.unMergeCells(range);
+    for (const ref of layout.merges) ws.mergeCells(boundsRef(parseRangeRef(ref)));
+  }
+
+  if (layout.columns !== undefined) {
+    (ws.columns || []).forEach((col) => {
+      col.width = undefined;
+      col.hidden = false;
+    });
+    for (const c of layout.columns) {
+      const col = ws.getColumn(c.index);
+      if (c.width !== undefined && c.width !== null) col.width = c.width;
+      col.hidden = !!c.hidden;
+    }
+  }
+
+  if (layout.rows !== undefined) {
+    ws.eachRow({ includeEmpty: true }, (row) => {
+      row.height = undefined;
+      row.hidden = false;
+    });
+    for (const r of layout.rows) {
+      const row = ws.getRow(r.index);
+      if (r.height !== undefined && r.height !== null) row.height = r.height;
+      row.hidden = !!r.hidden;
+      // ExcelJS only writes rows that have cells or a height
+      if (row.hidden && !row.height && !row.hasValues) row.height = ws.properties.defaultRowHeight || 15;
+    }
+  }
+
+  if (layout.frozen !== undefined) {
+    const rows = layout.frozen.rows || 0;
+    const cols = layout.frozen.cols || 0;
+    // Keep any other view settings (zoom, gridlines) of the first view
+    const base = { ...(ws.views?.[0] || {}) };
+    delete base.xSplit;
+    delete base.ySplit;
+    delete base.topLeftCell;
+    if (rows === 0 && cols === 0) {
+      ws.views = [{ ...base, state: 'normal' }];
+    } else {
+      ws.views = [
+        { ...base, state: 'frozen', xSplit: cols, ySplit: rows, topLeftCell: `${columnLetter(cols + 1)}${rows + 1}` },
+      ];
+    }
+  }
+};
@@ -0,0 +1,153 @@
+// server/lib/names.js
+// Lossless defined names (named ranges). ExcelJS keeps names as per-cell
+// matrices, which drops sheet scope, constants/formulas and whole-column
+// references. Here the raw <definedNames> of xl/workbook.xml are read into
+// plain objects ({ name, scope, refersTo, comment, hidden }), edited as such,
+// and written back over whatever ExcelJS produced.
+
+import JSZip from 'jszip';
+
+const WORKBOOK_XML = 'xl/workbook.xml';
+
+// ExcelJS regenerates these from each worksheet's pageSetup
+const EXCELJS_BUILTINS = new Set(['_xlnm.Print_Area', '_xlnm.Print_Titles']);
+
+// workbook -> defined names read at load time (and edited since)
+const attached = new WeakMap();
+
+const decodeXml = (s) =>
+  s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_m, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_m, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+
+const encodeXml = (s) =>
+  String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const parseAttributes = (s) => {
+  const attrs = {};
+  for (const m of s.matchAll(/([\w:]+)="([^"]*)"/g)) attrs[m[1]] = decodeXml(m[2]);
+  return attrs;
+};
+
+// Sheet names in <sheets> order, which is what localSheetId indexes
+const sheetOrder = (xml) =>
+  [...xml.matchAll(/<sheet\s([^>]*?)\/?>/g)].map((m) => parseAttributes(m[1]).name);
+
+const parseDefinedNames = (xml) => {
+  const sheets = sheetOrder(xml);
+  const out = [];
+  for (const m of xml.matchAll(/<definedName\s([^>]*)>([\s\S]*?)<\/definedName>/g)) {
+    const attrs = parseAttributes(m[1]);
+    const localId = attrs.localSheetId === undefined ? null : Number(attrs.localSheetId);
+    const entry = {
+      name: attrs.name,
+      scope: localId === null ? null : sheets[localId] ?? null,
+      refersTo: decodeXml(m[2]),
+    };
+    // A scope that points at no sheet is corrupt; drop rather than widen it
+    if (localId !== null && entry.scope === null) continue;
+    if (attrs.comment) entry.comment = attrs.comment;
+    if (attrs.hidden === '1' || attrs.hidden === 'true') entry.hidden = true;
+    out.push(entry);
+  }
+  return out;
+};
+
+/**
+ * Defined names stored in an xlsx buffer, in file order.
+ */
+export const readDefinedNames = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const file = zip.file(WORKBOOK_XML);
+  if (!file) return [];
+  return parseDefinedNames(await file.async('string'));
+};
+
+export const attachDefinedNames = (workbook, names) => {
+  attached.set(workbook, names);
+};
+
+// Names attached to a loaded workbook, or null if it was not loaded from a file
+export const getDefinedNames = (workbook) => attached.get(workbook) ?? null;
+
+export const setDefinedNames = (workbook, names) => {
+  attached.set(workbook, names);
+};
+
+// Excel's rules: letter/underscore/backslash first, no spaces, and nothing
+// that could be read as a cell reference (A1, R1C1) or the R / C shorthands
+export const validateDefinedName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+  if (name.length > 255) return 'Name must be 255 characters or fewer';
+  if (!/^[A-Za-z_\\][A-Za-z0-9_.\\?]*$/.test(name)) {
+    return 'Name must start with a letter or underscore and contain only letters, digits, _ and .';
+  }
+  if (/^[A-Za-z]{1,3}\d+$/.test(name) || /^[Rr]\d*[Cc]\d*$/.test(name) || /^[RrCc]$/.test(name)) {
+    return 'Name cannot look like a cell reference';
+  }
+  if (name.startsWith('_xlnm.')) return 'Built-in names cannot be edited';
+  return null;
+};
+
+// Scopes are sheet names (case-insensitive) or null for workbook level
+export const sameScope = (a, b) => (!a && !b) || (!!a && !!b && a.toLowerCase() === b.toLowerCase());
+
+export const findDefinedName = (names, name, scope = null) =>
+  names.find((n) => n.name.toLowerCase() === String(name).toLowerCase() && sameScope(n.scope, scope));
+
+/**
+ * Resolve a name the way a formula on `sheet` would: the sheet's own name
+ * first, then the workbook-level one.
+ */
+export const resolveDefinedName = (names, name, sheet = null) =>
+  (sheet && findDefinedName(names, name, sheet)) || findDefinedName(names, name, null) || null;
+
+const renderDefinedName = (n, localSheetId) => {
+  let attrs = ` name="${encodeXml(n.name)}"`;
+  if (n.comment) attrs += ` comment="${encodeXml(n.comment)}"`;
+  if (localSheetId !== null) attrs += ` localSheetId="${localSheetId}"`;
+  if (n.hidden) attrs += ' hidden="1"';
+  return `<definedName${attrs}>${encodeXml(n.refersTo)}</definedName>`;
+};
+
+/**
+ * Serialize `workbook` with ExcelJS, then replace its <definedNames> with the
+ * attached list. Names scoped to a sheet that no longer exists are dropped.
+ * Workbooks without attached names are written as ExcelJS produces them.
+ */
+export const writeWorkbookBuffer = async (workbook) => {
+  const names = attached.get(workbook);
+  if (!names) return workbook.xlsx.writeBuffer();
+
+  // ExcelJS' own (lossy) copy would be written too; the attached list wins
+  workbook.definedNames.model = [];
+  const buffer = await workbook.xlsx.writeBuffer();
+  if (names.length === 0) return buffer;
+
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file(WORKBOOK_XML).async('string');
+  const sheets = sheetOrder(xml).map((s) => s.toLowerCase());
+
+  const builtins = parseDefinedNames(xml).filter((n) => EXCELJS_BUILTINS.has(n.name));
+  const rendered = [...builtins, ...names.filter((n) => !EXCELJS_BUILTINS.has(n.name))]
+    .map((n) => {
+      if (!n.scope) return renderDefinedName(n, null);
+      const index = sheets.indexOf(n.scope.toLowerCase());
+      return index === -1 ? null : renderDefinedName(n, index);
+    })
+    .filter(Boolean);
+
+  const block = `<definedNames>${rendered.join('')}</definedNames>`;
+  // Function replacers: references are full of "$" patterns
+  const next = /<definedNames>[\s\S]*?<\/definedNames>/.test(xml)
+    ? xml.replace(/<definedNames>[\s\S]*?<\/definedNames>/, () => block)
+    : xml.replace('</sheets>', () => `</sheets>${block}`);
+
+  zip.file(WORKBOOK_XML, next);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
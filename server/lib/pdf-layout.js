@@ -0,0 +1,303 @@
+// server/lib/pdf-layout.js
+// Page layout for the PDF exports: paper size and orientation, fixed or
+// workbook column widths, fit-to-width scaling, a header row repeated on every
+// page, the xlsx print area, gridlines, and header/footer text. Documents
+// buffer their pages so "page X of Y" can be written once everything is laid
+// out. Columns that still do not fit continue on further pages, as in Excel.
+
+import { columnLetter, parseRangeRef } from './cells.js';
+
+export const PDF_PAPER_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'];
+export const PDF_ORIENTATIONS = ['portrait', 'landscape'];
+
+const MARGIN = 36;
+const FIXED_COLUMN_WIDTH = 100;
+const ROW_HEIGHT = 18;
+const FONT_SIZE = 10;
+const PADDING_X = 6;
+const PADDING_Y = 4;
+// Fit-to-width never shrinks text below this; wider tables continue on more pages
+const MIN_SCALE = 0.3;
+const PAGE_TEXT_SIZE = 8;
+const MAX_PAGE_TEXT = 200;
+// Excel's default column width, in characters
+const DEFAULT_CHAR_WIDTH = 8.43;
+
+const DEFAULT_LAYOUT = {
+  orientation: 'portrait',
+  paper: 'A4',
+  fitToWidth: false,
+  columnWidths: 'fixed',
+  headerRow: false,
+  printArea: false,
+  gridlines: true,
+  header: '',
+  footer: 'Page {page} of {pages}',
+};
+
+const flag = (v, fallback) => {
+  if (v === undefined || v === null || v === '') return fallback;
+  if (v === true || v === 'true' || v === '1') return true;
+  if (v === false || v === 'false' || v === '0') return false;
+  return null;
+};
+
+/**
+ * Check and normalize layout options; query-string values are accepted:
+ * { orientation, paper, fit: 'width', widths: 'fixed'|'sheet', headerRow,
+ *   printArea, gridlines, header, footer }. Header and footer text may use
+ * {page}, {pages}, {sheet} and {date}. Returns { layout } or { error }.
+ */
+export const validatePdfLayout = (input = {}) => {
+  const layout = { ...DEFAULT_LAYOUT };
+
+  if (input.orientation !== undefined) {
+    if (!PDF_ORIENTATIONS.includes(input.orientation)) {
+      return { error: `orientation must be one of ${PDF_ORIENTATIONS.join(', ')}` };
+    }
+    layout.orientation = input.orientation;
+  }
+  if (input.paper !== undefined) {
+    const paper = PDF_PAPER_SIZES.find((p) => p.toLowerCase() === String(input.paper).toLowerCase());
+    if (!paper) return { error: `paper must be one of ${PDF_PAPER_SIZES.join(', ')}` };
+    layout.paper = paper;
+  }
+  if (input.fit !== undefined && input.fit !== '') {
+    if (input.fit !== 'width') return { error: 'fit must be "width"' };
+    layout.fitToWidth = true;
+  }
+  if (input.widths !== undefined && input.widths !== '') {
+    if (!['fixed', 'sheet'].includes(input.widths)) return { error: 'widths must be "fixed" or "sheet"' };
+    layout.columnWidths = input.widths;
+  }
+  for (const name of ['headerRow', 'printArea', 'gridlines']) {
+    const value = flag(input[name], layout[name]);
+    if (value === null) return { error: `${name} must be true or false` };
+    layout[name] = value;
+  }
+  for (const name of ['header', 'footer']) {
+    if (input[name] === undefined) continue;
+    if (typeof input[name] !== 'string') return { error: `${name} must be text` };
+    if (input[name].length > MAX_PAGE_TEXT) return { error: `${name} is longer than ${MAX_PAGE_TEXT} characters` };
+    layout[name] = input[name];
+  }
+  return { layout };
+};
+
+export const createPdfDocument = (PDFDocument, layout) =>
+  new PDFDocument({ size: layout.paper, layout: layout.orientation, margin: MARGIN, bufferPages: true });
+
+// Column width in points: Excel widths are characters of ~7px plus 5px padding
+const sheetColumnWidth = (ws, index) => {
+  const col = (ws.columns || [])[index - 1];
+  const chars = col?.width ?? ws.properties?.defaultColWidth ?? DEFAULT_CHAR_WIDTH;
+  return (chars * 7 + 5) * 0.75;
+};
+
+/**
+ * `columns` ([{ label, index }], index 1-based in `ws`) with the width each is
+ * printed at.
+ */
+export const pdfColumns = (ws, columns, layout) =>
+  columns.map((c) => ({
+    ...c,
+    width: layout.columnWidths === 'sheet' ? sheetColumnWidth(ws, c.index) : FIXED_COLUMN_WIDTH,
+  }));
+
+/**
+ * Columns and row numbers to print for a whole sheet of `rows` x `cols`:
+ * hidden rows and columns are left out, the print area (all of its ranges)
+ * limits both with `printArea`, and with `headerRow` the first printed row
+ * labels the columns instead of their letters.
+ */
+export const pdfSheetArea = (ws, layout, { rows, cols }, valueAt) => {
+  let area = { top: 1, left: 1, bottom: rows, right: cols };
+  if (layout.printArea) {
+    const ranges = String(ws.pageSetup?.printArea || '')
+      .split('&&')
+      .map(parseRangeRef)
+      .filter(Boolean);
+    if (ranges.length > 0) {
+      area = {
+        top: Math.min(...ranges.map((r) => r.top)),
+        left: Math.min(...ranges.map((r) => r.left)),
+        bottom: Math.max(...ranges.map((r) => r.bottom)),
+        right: Math.max(...ranges.map((r) => r.right)),
+      };
+    }
+  }
+
+  const indexes = [];
+  for (let c = area.left; c <= area.right; c++) {
+    if (!(ws.columns || [])[c - 1]?.hidden) indexes.push(c);
+  }
+  const rowNumbers = [];
+  for (let r = area.top; r <= area.bottom; r++) {
+    if (!ws.findRow(r)?.hidden) rowNumbers.push(r);
+  }
+
+  const labelRow = layout.headerRow ? rowNumbers.shift() : undefined;
+  const columns = indexes.map((index) => {
+    const label = labelRow === undefined ? null : valueAt(labelRow, index);
+    return { index, label: label === null || label === undefined ? columnLetter(index) : String(label) };
+  });
+  return { columns: pdfColumns(ws, columns, layout), rowNumbers };
+};
+
+// Paint a table cell's conditional fill / data bar and pick its font;
+// call before drawing the text, then resetPdfCellFormat
+const PDF_FONTS = ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'];
+const applyPdfCellFormat = (doc, format, x, y, width, height) => {
+  if (!format) return;
+  if (format.fill) doc.save().rect(x, y, width, height).fill(format.fill).restore();
+  if (format.bar && format.bar.ratio > 0) {
+    doc
+      .save()
+      .fillOpacity(0.6)
+      .rect(x + 1, y + 2, (width - 2) * format.bar.ratio, height - 4)
+      .fill(format.bar.color)
+      .restore();
+  }
+  doc.font(PDF_FONTS[(format.bold ? 1 : 0) + (format.italic ? 2 : 0)]);
+  if (format.color) doc.fillColor(format.color);
+};
+
+const resetPdfCellFormat = (doc, format) => {
+  if (format) doc.font('Helvetica').fillColor('#111111');
+};
+
+// Runs of columns that fit across one page at `scale`; a column wider than the page gets one to itself
+const columnGroups = (columns, available, scale) => {
+  const groups = [];
+  let group = [];
+  let used = 0;
+  for (const col of columns) {
+    const width = col.width * scale;
+    if (group.length > 0 && used + width > available) {
+      groups.push(group);
+      group = [];
+      used = 0;
+    }
+    group.push({ ...col, width: Math.min(width, available) });
+    used += width;
+  }
+  if (group.length > 0) groups.push(group);
+  return groups;
+};
+
+/**
+ * Draw a table from the current position: `title`, then the header labels and
+ * `rowNumbers`, breaking pages as needed with the header repeated on each.
+ * `columns` come from pdfColumns / pdfSheetArea; `valueAt(r, c)` gives a
+ * cell's printed value and `formatAt(r, c)` its conditional format. With
+ * fitToWidth the table is scaled to the page width; columns that still do
+ * not fit are printed on further pages, all rows first.
+ */
+export const drawPdfTable = (doc, layout, { title, columns, rowNumbers, valueAt, formatAt = () => null }) => {
+  const { left, right, bottom } = doc.page.margins;
+  const available = doc.page.width - left - right;
+  const total = columns.reduce((sum, c) => sum + c.width, 0);
+  const scale = layout.fitToWidth && total > available ? Math.max(available / total, MIN_SCALE) : 1;
+  const rowHeight = ROW_HEIGHT * scale;
+  const fontSize = FONT_SIZE * scale;
+  const padX = PADDING_X * scale;
+  const padY = PADDING_Y * scale;
+
+  const drawCell = (text, x, y, width, { align = 'left', border = '#e5e7eb' } = {}) => {
+    doc.text(text, x + padX, y + padY, {
+      width: Math.max(width - padX * 2, 1),
+      height: rowHeight - padY * 2,
+      ellipsis: true,
+      align,
+    });
+    if (layout.gridlines) doc.rect(x, y, width, rowHeight).stroke(border);
+  };
+
+  const drawHeader = (group, y) => {
+    const width = group.reduce((sum, c) => sum + c.width, 0);
+    doc.save().rect(left, y, width, rowHeight).fill('#f3f4f6').restore();
+    doc.font('Helvetica-Bold').fontSize(fontSize).fillColor('#111827');
+    let x = left;
+    for (const col of group) {
+      drawCell(col.label, x, y, col.width, { border: '#d1d5db' });
+      x += col.width;
+    }
+    doc.font('Helvetica').fillColor('#111111');
+    return y + rowHeight;
+  };
+
+  doc.font('Helvetica').fontSize(16).fillColor('#111111').text(title, left, doc.y, { align: 'left' });
+  doc.moveDown(0.5);
+
+  let y = doc.y;
+  columnGroups(columns, available, scale).forEach((group, g) => {
+    if (g > 0) doc.addPage();
+    y = drawHeader(group, g > 0 ? doc.page.margins.top : y);
+    for (const r of rowNumbers) {
+      if (y + rowHeight > doc.page.height - bottom) {
+        doc.addPage();
+        y = drawHeader(group, doc.page.margins.top);
+      }
+      let x = left;
+      for (const col of group) {
+        const value = valueAt(r, col.index);
+        const format = formatAt(r, col.index);
+        applyPdfCellFormat(doc, format, x, y, col.width, rowHeight);
+        doc.fontSize(fontSize);
+        drawCell(value === null || value === undefined ? '' : String(value), x, y, col.width, {
+          align: typeof value === 'number' ? 'right' : 'left',
+        });
+        resetPdfCellFormat(doc, format);
+        x += col.width;
+      }
+      y += rowHeight;
+    }
+  });
+  // Leave the cursor below the table for whatever comes next on this page
+  doc.x = left;
+  doc.y = y;
+};
+
+/**
+ * Index of the page being drawn, for telling pageSheets which sheet a page belongs to.
+ */
+export const currentPageIndex = (doc) => {
+  const { start, count } = doc.bufferedPageRange();
+  return start + count - 1;
+};
+
+/**
+ * Write the layout's header and footer on every buffered page; call before
+ * doc.end(). `sheetOfPage(i)` names the sheet for {sheet}.
+ */
+export const drawPageText = (doc, layout, sheetOfPage = () => '') => {
+  if (!layout.header && !layout.footer) return;
+  const { start, count } = doc.bufferedPageRange();
+  const date = new Date().toISOString().slice(0, 10);
+
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const fill = (text) =>
+      text
+        .replace(/\{page\}/g, String(i - start + 1))
+        .replace(/\{pages\}/g, String(count))
+        .replace(/\{sheet\}/g, sheetOfPage(i) || '')
+        .replace(/\{date\}/g, date);
+    const { left, right, bottom } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    // Text in the margins would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(PAGE_TEXT_SIZE).fillColor('#6b7280');
+    if (layout.header) {
+      doc.text(fill(layout.header), left, (MARGIN - PAGE_TEXT_SIZE) / 2, { width, align: 'center', lineBreak: false });
+    }
+    if (layout.footer) {
+      doc.text(fill(layout.footer), left, doc.page.height - (MARGIN + PAGE_TEXT_SIZE) / 2, {
+        width,
+        align: 'center',
+        lineBreak: false,
+      });
+    }
+    doc.page.margins.bottom = bottom;
+  }
+};
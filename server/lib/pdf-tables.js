@@ -0,0 +1,195 @@
+// server/lib/pdf-tables.js
+// Table extraction from text-based PDFs. Positioned text comes from pdf.js;
+// items on the same baseline form lines, wide horizontal gaps split lines into
+// segments, and runs of lines with two or more segments become tables whose
+// columns are the x-intervals the segments share. Works without ruling lines;
+// scanned PDFs (no text layer) yield nothing.
+
+import ExcelJS from 'exceljs';
+import { detectHeader } from './csv-import.js';
+
+const MAX_PAGES = 200;
+const MAX_TABLE_COLUMNS = 50;
+// Gaps wider than this many font heights separate cells; smaller ones are spaces
+const CELL_GAP = 1.0;
+const WORD_GAP = 0.15;
+// Lines further apart than this many line heights end a table
+const MAX_ROW_GAP = 2.5;
+const SAMPLE_ROWS = 5;
+
+const NUMERIC_RE = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+// 1,234,567.89 as printed in reports
+const GROUPED_RE = /^-?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+/**
+ * Positioned text of each page: [{ number, items: [{ text, x, y, w, h }] }]
+ * with y measured from the top of the page.
+ */
+export const readPdfTextItems = async (buffer, { maxPages = MAX_PAGES } = {}) => {
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    useSystemFonts: false,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let n = 1; n <= Math.min(doc.numPages, maxPages); n++) {
+      const page = await doc.getPage(n);
+      const { height } = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+      const items = content.items
+        .filter((it) => typeof it.str === 'string' && it.str.trim() !== '')
+        .map((it) => {
+          const size = Math.hypot(it.transform[2], it.transform[3]) || it.height || 10;
+          return { text: it.str, x: it.transform[4], y: height - it.transform[5], w: it.width, h: size };
+        });
+      pages.push({ number: n, items });
+      page.cleanup();
+    }
+    return { pages, total: doc.numPages };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+// Items sharing a baseline, left to right, joined into cell segments
+const pageLines = (items) => {
+  const lines = [];
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  for (const it of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - it.y) <= Math.max(line.h, it.h) * 0.4) line.items.push(it);
+    else lines.push({ y: it.y, h: it.h, items: [it] });
+  }
+
+  return lines.map((line) => {
+    const segments = [];
+    for (const it of line.items.sort((a, b) => a.x - b.x)) {
+      const last = segments[segments.length - 1];
+      const gap = last ? it.x - last.x1 : Infinity;
+      if (last && gap <= it.h * CELL_GAP) {
+        last.text += gap > it.h * WORD_GAP && !last.text.endsWith(' ') && !it.text.startsWith(' ') ? ` ${it.text}` : it.text;
+        last.x1 = Math.max(last.x1, it.x + it.w);
+      } else {
+        segments.push({ text: it.text, x0: it.x, x1: it.x + it.w });
+      }
+    }
+    segments.forEach((s) => {
+      s.text = s.text.trim();
+    });
+    return { y: line.y, h: line.h, segments };
+  });
+};
+
+// Column bands: union of overlapping segment intervals, left to right
+const columnBands = (lines) => {
+  const intervals = lines.flatMap((l) => l.segments.map((s) => [s.x0, s.x1])).sort((a, b) => a[0] - b[0]);
+  const bands = [];
+  for (const [x0, x1] of intervals) {
+    const last = bands[bands.length - 1];
+    if (last && x0 <= last[1] + 1) last[1] = Math.max(last[1], x1);
+    else bands.push([x0, x1]);
+  }
+  return bands;
+};
+
+const toRows = (lines, bands) =>
+  lines.map((line) => {
+    const row = bands.map(() => '');
+    for (const s of line.segments) {
+      const center = (s.x0 + s.x1) / 2;
+      let col = bands.findIndex(([x0, x1]) => center >= x0 && center <= x1);
+      if (col === -1) col = bands.findIndex(([x0]) => x0 > center) - 1;
+      if (col < 0) col = bands.length - 1;
+      row[col] = row[col] ? `${row[col]} ${s.text}` : s.text;
+    }
+    return row;
+  });
+
+/**
+ * Tables found on the pages from readPdfTextItems:
+ * [{ id: 'p1-t1', page, rows: [[text]], columns }]. A table is at least two
+ * consecutive lines of two or more cells that line up in two or more columns.
+ */
+export const extractPdfTables = (pages) => {
+  const tables = [];
+  for (const page of pages) {
+    const lines = pageLines(page.items);
+    const lineHeight = median(lines.map((l) => l.h)) || 10;
+
+    const blocks = [];
+    let block = null;
+    for (const line of lines) {
+      const tabular = line.segments.length >= 2;
+      const near = block && line.y - block[block.length - 1].y <= lineHeight * MAX_ROW_GAP;
+      if (tabular && near) block.push(line);
+      else if (tabular) blocks.push((block = [line]));
+      else block = null;
+    }
+
+    let n = 0;
+    for (const candidate of blocks) {
+      if (candidate.length < 2) continue;
+      const bands = columnBands(candidate);
+      if (bands.length < 2 || bands.length > MAX_TABLE_COLUMNS) continue;
+      const rows = toRows(candidate, bands);
+      // Prose that happens to have a wide gap fills few of its bands
+      const filled = rows.reduce((sum, r) => sum + r.filter(Boolean).length, 0) / (rows.length * bands.length);
+      if (filled < 0.5) continue;
+      n++;
+      tables.push({ id: `p${page.number}-t${n}`, page: page.number, rows, columns: bands.length });
+    }
+  }
+  return tables;
+};
+
+/**
+ * Listing for the preview step: [{ id, page, rows, columns, header, sample }].
+ */
+export const pdfTablesPreview = (tables) =>
+  tables.map((t) => ({
+    id: t.id,
+    page: t.page,
+    rows: t.rows.length,
+    columns: t.columns,
+    header: detectHeader(t.rows),
+    sample: t.rows.slice(0, SAMPLE_ROWS),
+  }));
+
+const cellValue = (text) => {
+  if (text === '') return null;
+  if (NUMERIC_RE.test(text)) return Number(text);
+  if (GROUPED_RE.test(text)) return Number(text.replace(/,/g, ''));
+  return text;
+};
+
+/**
+ * Workbook with one sheet per table ("Page 2 Table 1"). A detected header row
+ * is bold and frozen; numbers (including 1,234.50) are stored as numbers.
+ */
+export const pdfTablesWorkbook = (tables) => {
+  const workbook = new ExcelJS.Workbook();
+  for (const table of tables) {
+    const ws = workbook.addWorksheet(`Page ${table.page} Table ${table.id.split('-t')[1]}`);
+    const header = detectHeader(table.rows);
+    table.rows.forEach((row, i) => ws.addRow(header && i === 0 ? row : row.map(cellValue)));
+    if (header) {
+      ws.getRow(1).font = { bold: true };
+      ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 1, topLeftCell: 'A2' }];
+    }
+    for (let c = 1; c <= table.columns; c++) {
+      const longest = table.rows.reduce((m, r) => Math.max(m, (r[c - 1] || '').length), 0);
+      ws.getColumn(c).width = Math.min(Math.max(longest + 2, 8), 60);
+    }
+  }
+  return workbook;
+};
@@ -0,0 +1,221 @@
+// server/lib/pivot.js
+// Group-by / pivot summaries over a sheet table. The source rows come from
+// the query runner (lib/query.js), so header binding, filters and streaming of
+// large sheets work as for /excel/query; this module only groups and aggregates.
+
+import { columnLetter } from './cells.js';
+import { validateQuery, compareValues } from './query.js';
+
+export const PIVOT_AGGREGATIONS = ['sum', 'count', 'avg', 'min', 'max', 'distinctCount'];
+
+const MAX_ROW_FIELDS = 10;
+const MAX_VALUES = 20;
+// Distinct values of the column-group column; each becomes a block of columns
+const MAX_COLUMN_KEYS = 200;
+const MAX_ROW_GROUPS = 50000;
+
+const AGG_LABELS = {
+  sum: 'Sum',
+  count: 'Count',
+  avg: 'Average',
+  min: 'Min',
+  max: 'Max',
+  distinctCount: 'Distinct count',
+};
+
+const BLANK_LABEL = '(blank)';
+// Date cells reach the summary as ISO text (cellOutputValue); they are written back as dates
+const CELL_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+const fieldName = (v) => (typeof v === 'string' ? v.trim() : '');
+const isBlank = (v) => v === null || v === undefined || v === '';
+
+/**
+ * Check and normalize a pivot spec:
+ * { headerRow?: 1, rows: [names], columns?: name, values: [{ column, agg, label? }],
+ *   filters?: [...] } with filters as in /excel/query. Returns { pivot, query }
+ * (the query that reads the source rows) or { error }.
+ */
+export const validatePivot = (input) => {
+  if (!input || typeof input !== 'object') return { error: 'Pivot must be an object' };
+
+  const rowsIn = input.rows;
+  if (!Array.isArray(rowsIn) || rowsIn.length === 0) return { error: 'rows must list at least one column to group by' };
+  if (rowsIn.length > MAX_ROW_FIELDS) return { error: `At most ${MAX_ROW_FIELDS} row groups` };
+  const rows = rowsIn.map(fieldName);
+  if (rows.some((r) => !r)) return { error: 'Row group names must be text' };
+
+  let columns = null;
+  if (input.columns !== undefined && input.columns !== null && input.columns !== '') {
+    columns = fieldName(input.columns);
+    if (!columns) return { error: 'columns must be a column name' };
+  }
+
+  if (!Array.isArray(input.values) || input.values.length === 0) return { error: 'Pivot needs at least one value' };
+  if (input.values.length > MAX_VALUES) return { error: `At most ${MAX_VALUES} values` };
+  const values = [];
+  for (const v of input.values) {
+    const column = fieldName(v?.column);
+    if (!column) return { error: 'Each value needs a column' };
+    if (!PIVOT_AGGREGATIONS.includes(v.agg)) {
+      return { error: `Value "${column}": agg must be one of ${PIVOT_AGGREGATIONS.join(', ')}` };
+    }
+    const label = typeof v.label === 'string' && v.label.trim() ? v.label.trim() : `${AGG_LABELS[v.agg]} of ${column}`;
+    values.push({ column, agg: v.agg, label });
+  }
+
+  // Only the columns the pivot reads are pulled from the sheet
+  const needed = [...new Set([...rows, ...(columns ? [columns] : []), ...values.map((v) => v.column)])];
+  const { query, error } = validateQuery({ headerRow: input.headerRow, filters: input.filters, columns: needed });
+  if (error) return { error };
+
+  return { pivot: { headerRow: query.headerRow, rows, columns, values, filters: query.filters }, query };
+};
+
+const createAccumulator = (agg) => {
+  let sum = 0;
+  let numbers = 0;
+  let count = 0;
+  let extreme;
+  const distinct = new Set();
+  return {
+    add(v) {
+      if (isBlank(v)) return;
+      count++;
+      if (typeof v === 'number') {
+        sum += v;
+        numbers++;
+      }
+      if (agg === 'min' && (extreme === undefined || compareValues(v, extreme) < 0)) extreme = v;
+      if (agg === 'max' && (extreme === undefined || compareValues(v, extreme) > 0)) extreme = v;
+      if (agg === 'distinctCount') distinct.add(String(v).toLowerCase());
+    },
+    result() {
+      switch (agg) {
+        case 'sum':
+          return sum;
+        case 'count':
+          return count;
+        case 'avg':
+          return numbers > 0 ? sum / numbers : null;
+        case 'distinctCount':
+          return distinct.size;
+        default:
+          return extreme ?? null;
+      }
+    },
+  };
+};
+
+// Group keys: case-insensitive text, blanks grouped together
+const groupKey = (v) => (isBlank(v) ? '' : String(v).toLowerCase());
+
+const compareGroups = (a, b) => {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) === isBlank(b) ? 0 : isBlank(a) ? 1 : -1;
+  return compareValues(a, b);
+};
+
+/**
+ * Summarize query rows ({ columns: [{ name }], rows: [{ values }] } from the
+ * query runner, projected to the pivot's columns). Returns
+ * { header, rows, totals, columnKeys } or { error }. `header` and each entry
+ * of `rows` are flat: row-group values, then one aggregate per value for each
+ * column key, then per-value totals across column keys (when `columns` is set).
+ */
+export const computePivot = (pivot, result) => {
+  const index = new Map(result.columns.map((c, i) => [c.name.toLowerCase(), i]));
+  const at = (values, name) => values[index.get(name.toLowerCase())];
+  const accumulators = () => pivot.values.map((v) => createAccumulator(v.agg));
+
+  // rowKey -> { keys, cells: Map(colKey -> accumulators), total: accumulators }
+  const groups = new Map();
+  const columnKeys = new Map();
+  const grand = { cells: new Map(), total: accumulators() };
+
+  for (const { values } of result.rows) {
+    const keys = pivot.rows.map((name) => at(values, name) ?? null);
+    const rowKey = JSON.stringify(keys.map(groupKey));
+    let group = groups.get(rowKey);
+    if (!group) {
+      if (groups.size >= MAX_ROW_GROUPS) return { error: `The summary would have more than ${MAX_ROW_GROUPS} rows` };
+      group = { keys, cells: new Map(), total: accumulators() };
+      groups.set(rowKey, group);
+    }
+
+    const targets = [group.total, grand.total];
+    if (pivot.columns) {
+      const colValue = at(values, pivot.columns) ?? null;
+      const colKey = groupKey(colValue);
+      if (!columnKeys.has(colKey)) {
+        if (columnKeys.size >= MAX_COLUMN_KEYS) {
+          return { error: `"${pivot.columns}" has more than ${MAX_COLUMN_KEYS} distinct values` };
+        }
+        columnKeys.set(colKey, colValue);
+      }
+      if (!group.cells.has(colKey)) group.cells.set(colKey, accumulators());
+      if (!grand.cells.has(colKey)) grand.cells.set(colKey, accumulators());
+      targets.push(group.cells.get(colKey), grand.cells.get(colKey));
+    }
+    pivot.values.forEach((v, i) => {
+      const value = at(values, v.column);
+      for (const accs of targets) accs[i].add(value);
+    });
+  }
+
+  const sortedColumns = [...columnKeys.entries()].sort((a, b) => compareGroups(a[1], b[1]));
+  const emptyCells = pivot.values.map(() => null);
+  const line = (entry) => {
+    const cells = [];
+    for (const [colKey] of sortedColumns) {
+      const accs = entry.cells.get(colKey);
+      cells.push(...(accs ? accs.map((a) => a.result()) : emptyCells));
+    }
+    return [...cells, ...entry.total.map((a) => a.result())];
+  };
+
+  const single = pivot.values.length === 1;
+  const columnLabel = (value) => (isBlank(value) ? BLANK_LABEL : String(value));
+  const header = [
+    ...pivot.rows.map((name) => result.columns[index.get(name.toLowerCase())].name),
+    ...sortedColumns.flatMap(([, value]) =>
+      pivot.values.map((v) => (single ? columnLabel(value) : `${columnLabel(value)} - ${v.label}`))
+    ),
+    ...pivot.values.map((v) => (pivot.columns ? (single ? 'Total' : `Total ${v.label}`) : v.label)),
+  ];
+
+  const rows = [...groups.values()]
+    .sort((a, b) => {
+      for (let i = 0; i < a.keys.length; i++) {
+        const c = compareGroups(a.keys[i], b.keys[i]);
+        if (c !== 0) return c;
+      }
+      return 0;
+    })
+    .map((g) => [...g.keys.map((k) => (isBlank(k) ? BLANK_LABEL : k)), ...line(g)]);
+
+  const totals = [...pivot.rows.map((_r, i) => (i === 0 ? 'Total' : null)), ...line(grand)];
+  return { header, rows, totals, columnKeys: sortedColumns.map(([, value]) => value) };
+};
+
+/**
+ * Write a computed summary to an empty worksheet: bold header and total row,
+ * header frozen. Returns the written range, e.g. "A1:F12".
+ */
+export const writePivotSheet = (ws, summary) => {
+  const addRow = (values) => {
+    const row = ws.addRow(values.map((v) => (typeof v === 'string' && CELL_DATE_RE.test(v) ? new Date(v) : v)));
+    row.eachCell((cell) => {
+      if (cell.value instanceof Date) cell.numFmt = 'yyyy-mm-dd';
+    });
+    return row;
+  };
+  ws.addRow(summary.header).font = { bold: true };
+  summary.rows.forEach(addRow);
+  addRow(summary.totals).font = { bold: true };
+
+  summary.header.forEach((label, i) => {
+    ws.getColumn(i + 1).width = Math.min(Math.max(String(label).length + 2, 10), 40);
+  });
+  ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 1, topLeftCell: 'A2' }];
+  return `A1:${columnLetter(summary.header.length)}${summary.rows.length + 2}`;
+};
@@ -0,0 +1,345 @@
+// server/lib/query.js
+// Queries over a sheet used as a table: the header row names the columns,
+// rows below it are filtered, sorted, projected and paged. Rows are fed one at
+// a time so the same runner serves a loaded worksheet and a streamed one.
+// Saved queries are stored in the xlsx as a custom XML part, like schemas.
+
+import { cellOutputValue } from './formulas.js';
+import { readCustomXmlParts, readCustomXmlPartsFromFile } from './custom-xml.js';
+
+export const QUERY_OPS = [
+  'eq',
+  'ne',
+  'contains',
+  'notContains',
+  'startsWith',
+  'endsWith',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'between',
+  'in',
+  'notIn',
+  'empty',
+  'notEmpty',
+];
+
+const MAX_FILTERS = 50;
+const MAX_SORT_KEYS = 10;
+const MAX_COLUMNS = 200;
+const MAX_LIST_VALUES = 1000;
+const MAX_SAVED_QUERIES = 100;
+const MAX_QUERY_NAME = 64;
+
+const NUMERIC_RE = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/* -------------------------------------------------------
+   Query shape
+------------------------------------------------------- */
+const isScalar = (v) => typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean';
+const columnName = (v) => (typeof v === 'string' ? v.trim() : '');
+
+const validateFilter = (f) => {
+  if (!f || typeof f !== 'object') return { error: 'Each filter must be an object' };
+  const column = columnName(f.column);
+  if (!column) return { error: 'Each filter needs a column' };
+  if (!QUERY_OPS.includes(f.op)) return { error: `Filter on "${column}": op must be one of ${QUERY_OPS.join(', ')}` };
+
+  switch (f.op) {
+    case 'empty':
+    case 'notEmpty':
+      return { filter: { column, op: f.op } };
+    case 'between':
+      if (!isScalar(f.min) || !isScalar(f.max)) return { error: `Filter on "${column}": between needs min and max` };
+      return { filter: { column, op: f.op, min: f.min, max: f.max } };
+    case 'in':
+    case 'notIn':
+      if (!Array.isArray(f.values) || f.values.length === 0 || !f.values.every(isScalar)) {
+        return { error: `Filter on "${column}": ${f.op} needs a list of values` };
+      }
+      if (f.values.length > MAX_LIST_VALUES) return { error: `Filter on "${column}": at most ${MAX_LIST_VALUES} values` };
+      return { filter: { column, op: f.op, values: f.values } };
+    default:
+      if (!isScalar(f.value)) return { error: `Filter on "${column}": ${f.op} needs a value` };
+      return { filter: { column, op: f.op, value: f.value } };
+  }
+};
+
+/**
+ * Check and normalize a client query:
+ * { headerRow?: 1, filters?: [{ column, op, value | min/max | values }],
+ *   sort?: [{ column, direction: 'asc' | 'desc' }], columns?: [names] }.
+ * Filters are ANDed; `columns` picks and orders the returned columns (all by
+ * default). Columns are header names, matched case-insensitively. Returns { query } or { error }.
+ */
+export const validateQuery = (input) => {
+  if (!input || typeof input !== 'object') return { error: 'Query must be an object' };
+  const headerRow = input.headerRow ?? 1;
+  if (!Number.isInteger(headerRow) || headerRow < 1) return { error: 'headerRow must be a positive row number' };
+
+  const filtersIn = input.filters ?? [];
+  if (!Array.isArray(filtersIn)) return { error: 'filters must be a list' };
+  if (filtersIn.length > MAX_FILTERS) return { error: `At most ${MAX_FILTERS} filters` };
+  const filters = [];
+  for (const f of filtersIn) {
+    const { filter, error } = validateFilter(f);
+    if (error) return { error };
+    filters.push(filter);
+  }
+
+  const sortIn = input.sort ?? [];
+  if (!Array.isArray(sortIn)) return { error: 'sort must be a list' };
+  if (sortIn.length > MAX_SORT_KEYS) return { error: `At most ${MAX_SORT_KEYS} sort columns` };
+  const sort = [];
+  for (const s of sortIn) {
+    const column = columnName(s?.column);
+    if (!column) return { error: 'Each sort entry needs a column' };
+    const direction = s.direction ?? 'asc';
+    if (direction !== 'asc' && direction !== 'desc') return { error: `Sort on "${column}": direction must be asc or desc` };
+    sort.push({ column, direction });
+  }
+
+  let columns = null;
+  if (input.columns !== undefined && input.columns !== null) {
+    if (!Array.isArray(input.columns) || input.columns.length === 0) return { error: 'columns must be a non-empty list' };
+    if (input.columns.length > MAX_COLUMNS) return { error: `At most ${MAX_COLUMNS} columns` };
+    columns = input.columns.map(columnName);
+    if (columns.some((c) => !c)) return { error: 'Column names must be text' };
+  }
+
+  return { query: { headerRow, filters, sort, columns } };
+};
+
+/* -------------------------------------------------------
+   Comparing values
+------------------------------------------------------- */
+const isBlank = (v) => v === null || v === undefined || v === '';
+const text = (v) => String(v).toLowerCase();
+
+const toNumber = (v) => {
+  if (typeof v === 'number') return v;
+  return typeof v === 'string' && NUMERIC_RE.test(v.trim()) ? Number(v) : null;
+};
+
+// Dates come out of cells as ISO text; "2024-01-31" compares as that day's midnight UTC
+const toTime = (v) => (typeof v === 'string' && ISO_DATE_RE.test(v) ? Date.parse(v) : null);
+
+// Numbers and dates compare by value, everything else as case-insensitive text
+export const compareValues = (a, b) => {
+  const [na, nb] = [toNumber(a), toNumber(b)];
+  if (na !== null && nb !== null) return Math.sign(na - nb);
+  const [ta, tb] = [toTime(a), toTime(b)];
+  if (ta !== null && tb !== null) return Math.sign(ta - tb);
+  const [xa, xb] = [text(a), text(b)];
+  return xa < xb ? -1 : xa > xb ? 1 : 0;
+};
+
+const FILTERS = {
+  eq: (v, f) => !isBlank(v) && compareValues(v, f.value) === 0,
+  ne: (v, f) => isBlank(v) || compareValues(v, f.value) !== 0,
+  contains: (v, f) => !isBlank(v) && text(v).includes(text(f.value)),
+  notContains: (v, f) => isBlank(v) || !text(v).includes(text(f.value)),
+  startsWith: (v, f) => !isBlank(v) && text(v).startsWith(text(f.value)),
+  endsWith: (v, f) => !isBlank(v) && text(v).endsWith(text(f.value)),
+  gt: (v, f) => !isBlank(v) && compareValues(v, f.value) > 0,
+  gte: (v, f) => !isBlank(v) && compareValues(v, f.value) >= 0,
+  lt: (v, f) => !isBlank(v) && compareValues(v, f.value) < 0,
+  lte: (v, f) => !isBlank(v) && compareValues(v, f.value) <= 0,
+  between: (v, f) => !isBlank(v) && compareValues(v, f.min) >= 0 && compareValues(v, f.max) <= 0,
+  in: (v, f) => !isBlank(v) && f.values.some((x) => compareValues(v, x) === 0),
+  notIn: (v, f) => isBlank(v) || !f.values.some((x) => compareValues(v, x) === 0),
+  empty: (v) => isBlank(v),
+  notEmpty: (v) => !isBlank(v),
+};
+
+// Blanks sort last in both directions; ties keep sheet order
+const compareKeys = (sort) => (a, b) => {
+  for (let i = 0; i < sort.length; i++) {
+    const [x, y] = [a.keys[i], b.keys[i]];
+    if (isBlank(x) || isBlank(y)) {
+      if (isBlank(x) !== isBlank(y)) return isBlank(x) ? 1 : -1;
+      continue;
+    }
+    const c = compareValues(x, y);
+    if (c !== 0) return sort[i].direction === 'desc' ? -c : c;
+  }
+  return a.row - b.row;
+};
+
+/* -------------------------------------------------------
+   Running a query
+------------------------------------------------------- */
+
+/**
+ * Output values of a row (computed results for formulas), index 0 = column A.
+ */
+export const rowOutputValues = (row, evaluation = null) => {
+  const values = [];
+  row.eachCell({ includeEmpty: false }, (cell, col) => {
+    values[col - 1] = cellOutputValue(cell, evaluation);
+  });
+  return values;
+};
+
+/**
+ * Runner for a validated query. Feed rows in sheet order with
+ * row(rowNumber, values) (it returns false once reading can stop), then
+ * finish() -> { columns: [{ name, index }], rows: [{ row, values }], total } or
+ * { error } when a column is not in the header row. `index` is 1-based.
+ */
+export const createQueryRunner = (query, { offset = 0, limit = Infinity } = {}) => {
+  let bound = null;
+  let error = null;
+  let total = 0;
+  const matches = [];
+
+  const bind = (values) => {
+    const headers = new Map();
+    values.forEach((v, i) => {
+      const name = isBlank(v) ? '' : String(v).trim();
+      if (name && !headers.has(name.toLowerCase())) headers.set(name.toLowerCase(), { name, index: i + 1 });
+    });
+    const find = (name) => headers.get(name.toLowerCase());
+    const referenced = [...query.filters.map((f) => f.column), ...query.sort.map((s) => s.column), ...(query.columns || [])];
+    const missing = referenced.find((name) => !find(name));
+    if (missing !== undefined) {
+      error = `Column "${missing}" not found in header row ${query.headerRow}`;
+      return;
+    }
+    bound = {
+      all: [...headers.values()],
+      filters: query.filters.map((f) => ({ index: find(f.column).index, test: FILTERS[f.op], filter: f })),
+      sort: query.sort.map((s) => find(s.column).index),
+      columns: query.columns ? query.columns.map(find) : [...headers.values()],
+    };
+  };
+
+  // Without a sort only the requested page is kept; with one every match is
+  const keepAll = query.sort.length > 0;
+
+  return {
+    row(rowNumber, values) {
+      if (error) return false;
+      if (rowNumber < query.headerRow) return true;
+      if (rowNumber === query.headerRow) {
+        bind(values);
+        return !error;
+      }
+      // An empty header row is skipped by the readers
+      if (!bound) bind([]);
+      if (error) return false;
+
+      const at = (index) => values[index - 1];
+      if (bound.all.every((c) => isBlank(at(c.index)))) return true;
+      if (!bound.filters.every(({ index, test, filter }) => test(at(index), filter))) return true;
+
+      total++;
+      if (keepAll || (total > offset && total <= offset + limit)) {
+        matches.push({
+          row: rowNumber,
+          values: bound.columns.map((c) => at(c.index) ?? null),
+          keys: bound.sort.map((index) => at(index)),
+        });
+      }
+      return true;
+    },
+
+    finish() {
+      if (!bound && !error) bind([]);
+      if (error) return { error };
+      let rows = matches;
+      if (keepAll) rows = matches.sort(compareKeys(query.sort)).slice(offset, offset + limit);
+      return { columns: bound.columns, rows: rows.map(({ row, values }) => ({ row, values })), total };
+    },
+  };
+};
+
+/**
+ * Run a validated query over a loaded worksheet.
+ */
+export const queryWorksheet = (ws, query, { evaluation = null, offset = 0, limit = Infinity } = {}) => {
+  const runner = createQueryRunner(query, { offset, limit });
+  let stopped = false;
+  ws.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (!stopped && runner.row(rowNumber, rowOutputValues(row, evaluation)) === false) stopped = true;
+  });
+  return runner.finish();
+};
+
+/* -------------------------------------------------------
+   Saved queries: [{ name, sheet, query }] per workbook
+------------------------------------------------------- */
+const QUERIES_NS = 'urn:vsbil:saved-queries';
+
+// workbook -> saved queries read at load time (and edited since)
+const attached = new WeakMap();
+
+/**
+ * Check a saved query { name, sheet, query }. Returns { saved } or { error }.
+ */
+export const validateSavedQuery = (input) => {
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: 'Query name is required' };
+  if (name.length > MAX_QUERY_NAME) return { error: `Query names are limited to ${MAX_QUERY_NAME} characters` };
+  if (typeof input.sheet !== 'string' || !input.sheet) return { error: 'Sheet required' };
+  const { query, error } = validateQuery(input.query);
+  if (error) return { error };
+  return { saved: { name, sheet: input.sheet, query } };
+};
+
+export const parseSavedQueries = (parts) => {
+  const list = Array.isArray(parts[QUERIES_NS]) ? parts[QUERIES_NS] : [];
+  return list.map((q) => validateSavedQuery(q).saved).filter(Boolean);
+};
+
+export const readSavedQueries = async (buffer) => parseSavedQueries(await readCustomXmlParts(buffer));
+
+// For an xlsx on disk too large to load: only the custom XML parts are read
+export const readSavedQueriesFromFile = async (filePath) => parseSavedQueries(await readCustomXmlPartsFromFile(filePath));
+
+export const attachSavedQueries = (workbook, list) => {
+  attached.set(workbook, [...list]);
+};
+
+export const getSavedQueries = (workbook) => attached.get(workbook) || [];
+
+const sameName = (a, b) => a.toLowerCase() === String(b).toLowerCase();
+
+export const getSavedQuery = (workbook, name) => getSavedQueries(workbook).find((q) => sameName(q.name, name)) || null;
+
+// Replaces a saved query of the same name. Returns an error message or null.
+export const setSavedQuery = (workbook, saved) => {
+  const others = getSavedQueries(workbook).filter((q) => !sameName(q.name, saved.name));
+  if (others.length >= MAX_SAVED_QUERIES) return `A workbook keeps at most ${MAX_SAVED_QUERIES} saved queries`;
+  attached.set(workbook, [...others, saved]);
+  return null;
+};
+
+export const deleteSavedQuery = (workbook, name) => {
+  const list = getSavedQueries(workbook);
+  const rest = list.filter((q) => !sameName(q.name, name));
+  attached.set(workbook, rest);
+  return rest.length !== list.length;
+};
+
+export const renameSavedQueriesSheet = (workbook, fromName, toName) => {
+  attached.set(
+    workbook,
+    getSavedQueries(workbook).map((q) => (sameName(q.sheet, fromName) ? { ...q, sheet: toName } : q))
+  );
+};
+
+export const deleteSavedQueriesOfSheet = (workbook, sheetName) => {
+  attached.set(workbook, getSavedQueries(workbook).filter((q) => !sameName(q.sheet, sheetName)));
+};
+
+/**
+ * The custom XML part to embed for the saved queries, or null. Queries of
+ * sheets that no longer exist are left out.
+ */
+export const savedQueriesPart = (workbook) => {
+  const list = getSavedQueries(workbook).filter((q) => workbook.getWorksheet(q.sheet));
+  return list.length > 0 ? { ns: QUERIES_NS, tag: 'savedQueries', data: list } : null;
+};
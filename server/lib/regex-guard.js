@@ -0,0 +1,85 @@
+// server/lib/regex-guard.js
+// User-supplied regular expressions run on the server against every cell of a
+// range, so patterns that can backtrack exponentially are refused up front:
+// over-long patterns, backreferences, and repeated groups that themselves
+// contain a quantifier or alternatives, e.g. (a+)+ or (a|ab)*.
+
+export const MAX_PATTERN_LENGTH = 256;
+
+// Quantifier at source[i]: { end, repeats } (repeats: can match more than once), or null
+const quantifierAt = (source, i) => {
+  const c = source[i];
+  let end;
+  let repeats;
+  if (c === '*' || c === '+') {
+    end = i + 1;
+    repeats = true;
+  } else if (c === '?') {
+    end = i + 1;
+    repeats = false;
+  } else if (c === '{') {
+    const m = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (!m) return null;
+    end = i + m[0].length;
+    repeats = m[2] !== undefined ? m[3] === '' || Number(m[3]) > 1 : Number(m[1]) > 1;
+    // An exact count such as \d{4} is a fixed-length run, not a choice
+    if (m[2] === undefined) return { end, repeats, exact: true };
+  } else {
+    return null;
+  }
+  if (source[end] === '?') end += 1; // lazy
+  return { end, repeats, exact: false };
+};
+
+/**
+ * Error message if `source` is too long or may backtrack catastrophically,
+ * else null. Syntax is not checked here; compile the pattern for that.
+ */
+export const checkPatternSafety = (source) => {
+  if (typeof source !== 'string') return 'A pattern is required';
+  if (source.length > MAX_PATTERN_LENGTH) return `Patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+
+  // One frame per open group: does its body hold a quantifier or a "|"?
+  const stack = [{ ambiguous: false }];
+  let i = 0;
+  while (i < source.length) {
+    const c = source[i];
+    const frame = stack[stack.length - 1];
+    let atomEnd = i + 1;
+    let closed = null;
+
+    if (c === '\\') {
+      if (/[1-9]/.test(source[i + 1] || '') || source.startsWith('k<', i + 1)) {
+        return 'Backreferences are not supported in patterns';
+      }
+      atomEnd = i + 2;
+    } else if (c === '[') {
+      let j = i + 1;
+      if (source[j] === '^') j += 1;
+      if (source[j] === ']') j += 1;
+      while (j < source.length && source[j] !== ']') j += source[j] === '\\' ? 2 : 1;
+      atomEnd = j + 1;
+    } else if (c === '(') {
+      stack.push({ ambiguous: false });
+      const m = /^\(\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(source.slice(i));
+      i += m ? m[0].length : 1;
+      continue;
+    } else if (c === ')') {
+      if (stack.length > 1) closed = stack.pop();
+    } else if (c === '|') {
+      frame.ambiguous = true;
+      i += 1;
+      continue;
+    }
+
+    const q = quantifierAt(source, atomEnd);
+    const parent = stack[stack.length - 1];
+    if (closed) {
+      if (q && q.repeats && closed.ambiguous) return 'Repeated groups may not contain quantifiers or alternatives';
+      if (closed.ambiguous) parent.ambiguous = true;
+    }
+    if (q && !q.exact) parent.ambiguous = true;
+    i = q ? q.end : atomEnd;
+  }
+  return null;
+};
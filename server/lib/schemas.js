@@ -0,0 +1,365 @@
+// server/lib/schemas.js
+// Typed column schemas per sheet: a sheet used as a table declares the
+// columns of its header row ({ name, type, required, unique, ... }). Schemas
+// are stored in the xlsx itself as a custom XML part, so they travel with
+// versions, downloads and re-uploads and survive a round-trip through Excel.
+// Columns bind to header cells by name (case-insensitive), not by letter.
+
+import ExcelJS from 'exceljs';
+import { cellDisplayValue, columnLetter } from './cells.js';
+import { readCustomXmlParts } from './custom-xml.js';
+
+const { ValueType } = ExcelJS;
+
+export const SCHEMA_TYPES = ['text', 'number', 'integer', 'currency', 'date', 'email', 'boolean', 'enum'];
+
+const MAX_SCHEMA_COLUMNS = 200;
+const MAX_ENUM_VALUES = 500;
+// Responses list this many problems at most; `total` has the full count
+const MAX_SCHEMA_ERRORS = 500;
+
+// Number formats given to converted cells when the column sets none
+const DEFAULT_FORMATS = { currency: '#,##0.00', date: 'yyyy-mm-dd' };
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMERIC_RE = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/* -------------------------------------------------------
+   Schema shape
+------------------------------------------------------- */
+
+/**
+ * Check and normalize a client schema:
+ * { headerRow?: 1, columns: [{ name, type, required?, unique?, values?, format? }] }.
+ * `values` lists the options of an `enum` column; `format` is the Excel
+ * number format given to converted cells. Returns { schema } or { error }.
+ */
+export const validateSchema = (input) => {
+  if (!input || typeof input !== 'object') return { error: 'Schema must be an object' };
+  const headerRow = input.headerRow ?? 1;
+  if (!Number.isInteger(headerRow) || headerRow < 1) return { error: 'headerRow must be a positive row number' };
+  if (!Array.isArray(input.columns) || input.columns.length === 0) return { error: 'Schema needs at least one column' };
+  if (input.columns.length > MAX_SCHEMA_COLUMNS) return { error: `Schema allows at most ${MAX_SCHEMA_COLUMNS} columns` };
+
+  const names = new Set();
+  const columns = [];
+  for (const c of input.columns) {
+    const name = typeof c?.name === 'string' ? c.name.trim() : '';
+    if (!name) return { error: 'Every column needs a name' };
+    if (names.has(name.toLowerCase())) return { error: `Column "${name}" is listed twice` };
+    names.add(name.toLowerCase());
+    if (!SCHEMA_TYPES.includes(c.type)) {
+      return { error: `Column "${name}": type must be one of ${SCHEMA_TYPES.join(', ')}` };
+    }
+
+    const column = { name, type: c.type };
+    if (c.required) column.required = true;
+    if (c.unique) column.unique = true;
+    if (c.type === 'enum') {
+      const values = Array.isArray(c.values) ? [...new Set(c.values.map((v) => String(v).trim()).filter(Boolean))] : [];
+      if (values.length === 0) return { error: `Column "${name}": an enum needs its values` };
+      if (values.length > MAX_ENUM_VALUES) return { error: `Column "${name}": at most ${MAX_ENUM_VALUES} values` };
+      column.values = values;
+    }
+    if (c.format !== undefined && c.format !== null && c.format !== '') {
+      if (typeof c.format !== 'string' || c.format.length > 255) return { error: `Column "${name}": invalid format` };
+      column.format = c.format;
+    }
+    columns.push(column);
+  }
+  return { schema: { headerRow, columns } };
+};
+
+/* -------------------------------------------------------
+   Storage: a custom XML part (lib/custom-xml.js)
+------------------------------------------------------- */
+const SCHEMA_NS = 'urn:vsbil:column-schemas';
+
+// workbook -> { [sheetName]: schema } read at load time (and edited since)
+const attached = new WeakMap();
+
+/**
+ * Column schemas from the custom XML parts of a workbook (readCustomXmlParts),
+ * keyed by sheet name ({} if none).
+ */
+export const parseWorksheetSchemas = (parts) => {
+  const schemas = {};
+  for (const [sheet, input] of Object.entries(parts[SCHEMA_NS] || {})) {
+    // A schema edited into something invalid outside the app is dropped, not fatal
+    const { schema } = validateSchema(input);
+    if (schema) schemas[sheet] = schema;
+  }
+  return schemas;
+};
+
+export const readWorksheetSchemas = async (buffer) => parseWorksheetSchemas(await readCustomXmlParts(buffer));
+
+export const attachWorksheetSchemas = (workbook, schemas) => {
+  attached.set(workbook, { ...schemas });
+};
+
+const schemaKey = (schemas, sheetName) =>
+  Object.keys(schemas).find((k) => k.toLowerCase() === String(sheetName).toLowerCase());
+
+export const getWorksheetSchema = (workbook, sheetName) => {
+  const schemas = attached.get(workbook) || {};
+  const key = schemaKey(schemas, sheetName);
+  return key === undefined ? null : schemas[key];
+};
+
+// `schema` null removes the sheet's schema
+export const setWorksheetSchema = (workbook, sheetName, schema) => {
+  const schemas = { ...(attached.get(workbook) || {}) };
+  const key = schemaKey(schemas, sheetName);
+  if (key !== undefined) delete schemas[key];
+  if (schema) schemas[sheetName] = schema;
+  attached.set(workbook, schemas);
+};
+
+export const renameWorksheetSchema = (workbook, fromName, toName) => {
+  const schema = getWorksheetSchema(workbook, fromName);
+  if (!schema) return;
+  setWorksheetSchema(workbook, fromName, null);
+  setWorksheetSchema(workbook, toName, schema);
+};
+
+/**
+ * The custom XML part to embed for the attached schemas (embedCustomXmlParts),
+ * or null. Schemas of sheets that no longer exist are left out.
+ */
+export const worksheetSchemasPart = (workbook) => {
+  const schemas = Object.fromEntries(
+    Object.entries(attached.get(workbook) || {}).filter(([sheet]) => workbook.getWorksheet(sheet))
+  );
+  if (Object.keys(schemas).length === 0) return null;
+  return { ns: SCHEMA_NS, tag: 'columnSchemas', data: schemas };
+};
+
+/* -------------------------------------------------------
+   Checking and converting cells
+------------------------------------------------------- */
+const FORMULA = Symbol('formula');
+
+// What a cell holds for checking: null (blank), FORMULA (not checked: the
+// result is not known before recalculation), a number/boolean/Date, text, or
+// { error } for error values
+const cellContent = (cell) => {
+  if (!cell) return null;
+  switch (cell.type) {
+    case ValueType.Null:
+    case ValueType.Merge:
+      return null;
+    case ValueType.Formula:
+      return FORMULA;
+    case ValueType.Number:
+    case ValueType.Boolean:
+      return cell.value;
+    case ValueType.Date:
+      return cell.value instanceof Date && !Number.isNaN(cell.value.getTime()) ? cell.value : null;
+    case ValueType.Error:
+      return { error: cell.value?.error ?? '#VALUE!' };
+    default: {
+      const text = cellDisplayValue(cell);
+      return text === null || String(text).trim() === '' ? null : String(text);
+    }
+  }
+};
+
+const TYPE_CHECKS = {
+  text: (v) => typeof v !== 'object' || v instanceof Date,
+  number: (v) => typeof v === 'number',
+  currency: (v) => typeof v === 'number',
+  integer: (v) => Number.isInteger(v),
+  date: (v) => v instanceof Date,
+  boolean: (v) => typeof v === 'boolean',
+  email: (v) => typeof v === 'string' && EMAIL_RE.test(v.trim()),
+  enum: (v, column) => column.values.includes(String(v)),
+};
+
+const typeMessage = (column) => {
+  switch (column.type) {
+    case 'integer':
+      return 'Value must be a whole number';
+    case 'currency':
+      return 'Value must be an amount';
+    case 'boolean':
+      return 'Value must be TRUE or FALSE';
+    case 'email':
+      return 'Value must be an email address';
+    case 'enum':
+      return `Value must be one of: ${column.values.join(', ')}`;
+    default:
+      return `Value must be a ${column.type}`;
+  }
+};
+
+// Uniqueness is case-insensitive for text, like Excel's duplicate highlighting
+const uniqueKey = (v) => {
+  if (v instanceof Date) return `d:${v.getTime()}`;
+  if (typeof v === 'string') return `s:${v.trim().toLowerCase()}`;
+  return `${typeof v}:${v}`;
+};
+
+// [{ column, col }] for the schema columns found in the header row cells
+const bindColumns = (schema, headerRow) => {
+  const byName = new Map();
+  headerRow?.eachCell({ includeEmpty: false }, (cell, col) => {
+    const text = cellDisplayValue(cell);
+    const key = String(text ?? '').trim().toLowerCase();
+    if (key && !byName.has(key)) byName.set(key, col);
+  });
+  return schema.columns.map((column) => ({ column, col: byName.get(column.name.toLowerCase()) ?? null }));
+};
+
+/**
+ * Row-by-row checker, usable over a loaded worksheet or a streamed one.
+ * Feed it every row in order with `row(excelRow)`; `finish()` returns
+ * { errors: [{ cell, column, message }], total }. A required column missing
+ * from the header row yields one error with `cell: null`. With `only` (a set
+ * of A1 addresses) just the problems of those cells are reported.
+ */
+export const createSchemaChecker = (schema, { only = null } = {}) => {
+  const headerRow = schema.headerRow || 1;
+  const errors = [];
+  let total = 0;
+  let bound = null;
+  const seen = new Map();
+
+  const report = (error) => {
+    if (only && (!error.cell || !only.has(error.cell))) return;
+    total++;
+    if (errors.length < MAX_SCHEMA_ERRORS) errors.push(error);
+  };
+
+  const bind = (excelRow) => {
+    bound = bindColumns(schema, excelRow);
+    for (const { column, col } of bound) {
+      if (col === null && column.required) {
+        report({ cell: null, column: column.name, message: `Column "${column.name}" is missing from header row ${headerRow}` });
+      }
+      if (column.unique) seen.set(column.name, new Map());
+    }
+  };
+
+  const row = (excelRow) => {
+    const r = excelRow.number;
+    if (r < headerRow) return;
+    if (r === headerRow) {
+      bind(excelRow);
+      return;
+    }
+    if (!bound) bind(null);
+    // Blank rows are not records; `required` only applies to rows with data
+    if (!excelRow.hasValues) return;
+
+    for (const { column, col } of bound) {
+      if (col === null) continue;
+      const cell = `${columnLetter(col)}${r}`;
+      const value = cellContent(excelRow.findCell(col));
+      if (value === null) {
+        if (column.required) report({ cell, column: column.name, message: 'A value is required' });
+        continue;
+      }
+      if (value === FORMULA) continue;
+      if (typeof value === 'object' && !(value instanceof Date)) {
+        report({ cell, column: column.name, message: `Cell holds the error ${value.error}` });
+        continue;
+      }
+      if (!TYPE_CHECKS[column.type](value, column)) {
+        report({ cell, column: column.name, message: typeMessage(column) });
+        continue;
+      }
+      if (column.unique) {
+        const key = uniqueKey(value);
+        const cells = seen.get(column.name);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(cell);
+      }
+    }
+  };
+
+  const finish = () => {
+    if (!bound) bind(null);
+    for (const [name, values] of seen) {
+      for (const cells of values.values()) {
+        if (cells.length < 2) continue;
+        // Every repeat is reported against the first; a patched first cell is reported too
+        cells.forEach((cell, i) => {
+          if (i > 0 || only) {
+            report({ cell, column: name, message: `Duplicate value (also in ${cells[i === 0 ? 1 : 0]})` });
+          }
+        });
+      }
+    }
+    return { errors, total };
+  };
+
+  return { row, finish };
+};
+
+/**
+ * Check a loaded worksheet against its schema (see createSchemaChecker).
+ */
+export const checkWorksheetSchema = (ws, schema, addresses = null) => {
+  const checker = createSchemaChecker(schema, { only: addresses ? new Set(addresses) : null });
+  ws.eachRow({ includeEmpty: false }, (row) => checker.row(row));
+  return checker.finish();
+};
+
+const parseTyped = (text, column) => {
+  const s = text.trim();
+  switch (column.type) {
+    case 'number':
+    case 'integer':
+    case 'currency': {
+      // Thousands separators and a currency symbol are what people type
+      const plain = s.replace(/[,\s]/g, '').replace(/^([+-]?)[$€£¥]/, '$1');
+      if (!NUMERIC_RE.test(plain)) return undefined;
+      const n = Number(plain);
+      return column.type === 'integer' && !Number.isInteger(n) ? undefined : n;
+    }
+    case 'date': {
+      if (!ISO_DATE_RE.test(s)) return undefined;
+      const d = new Date(s);
+      return Number.isNaN(d.getTime()) ? undefined : d;
+    }
+    case 'boolean':
+      return /^true$/i.test(s) ? true : /^false$/i.test(s) ? false : undefined;
+    case 'enum':
+      return column.values.find((v) => v.toLowerCase() === s.toLowerCase());
+    case 'email':
+      return s === text ? undefined : s;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Convert text typed into schema columns to the column's type ("1,200" ->
+ * 1200, "2024-01-05" -> date, "true" -> TRUE, enum values to their declared
+ * spelling), formatting converted cells that have no number format yet.
+ * Text that does not convert is left for the check to report. With
+ * `addresses`, only those cells are touched. Returns the number converted.
+ */
+export const coerceWorksheetSchema = (ws, schema, addresses = null) => {
+  const only = addresses ? new Set(addresses) : null;
+  const headerRow = schema.headerRow || 1;
+  const bound = bindColumns(schema, ws.findRow(headerRow)).filter((b) => b.col !== null && b.column.type !== 'text');
+  let converted = 0;
+  ws.eachRow({ includeEmpty: false }, (row, r) => {
+    if (r <= headerRow) return;
+    for (const { column, col } of bound) {
+      const cell = row.findCell(col);
+      if (!cell || (only && !only.has(cell.address))) continue;
+      if (cell.type !== ValueType.String) continue;
+      const value = parseTyped(cell.value, column);
+      if (value === undefined || value === cell.value) continue;
+      cell.value = value;
+      const format = column.format || DEFAULT_FORMATS[column.type];
+      if (format && (!cell.numFmt || cell.numFmt === 'General')) cell.numFmt = format;
+      converted++;
+    }
+  });
+  return converted;
+};
@@ -0,0 +1,161 @@
+// server/lib/search.js
+// Find and replace over a loaded workbook. Values are matched as the grid
+// shows them (computed results for formulas, ISO text for dates); formula
+// text is matched too when asked. Replace only rewrites what a user typed:
+// text, numbers, rich text runs, link text, and formulas when `formulas` is set.
+
+import ExcelJS from 'exceljs';
+import { cellOutputValue, isValidFormula } from './formulas.js';
+import { checkPatternSafety } from './regex-guard.js';
+
+const { ValueType } = ExcelJS;
+
+// Plain text is escaped and cannot backtrack; this only bounds the request
+const MAX_QUERY_LENGTH = 256;
+const NUMERIC_RE = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Matcher for { query, matchCase, wholeCell, regex }. Returns { test(text),
+ * replace(text, replacement) } or { error }. In regex mode the replacement
+ * may use $1-style groups; otherwise it is inserted literally.
+ */
+export const createMatcher = ({ query, matchCase = false, wholeCell = false, regex = false }) => {
+  if (typeof query !== 'string' || query === '') return { error: 'Search text is required' };
+  if (query.length > MAX_QUERY_LENGTH) return { error: `Search text is limited to ${MAX_QUERY_LENGTH} characters` };
+  const unsafe = regex ? checkPatternSafety(query) : null;
+  if (unsafe) return { error: unsafe };
+
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeCell) source = `^(?:${source})$`;
+  let re;
+  try {
+    re = new RegExp(source, matchCase ? 'g' : 'gi');
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  return {
+    test: (text) => {
+      re.lastIndex = 0;
+      return re.test(text);
+    },
+    replace: (text, replacement) => text.replace(re, regex ? replacement : () => replacement),
+  };
+};
+
+const isMergeSlave = (cell) => cell.isMerged && cell.master && cell.master.address !== cell.address;
+
+const valueText = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? value : String(value);
+};
+
+/**
+ * Cells of `sheets` (worksheets) matching `matcher`, in sheet/row/column order:
+ * [{ sheet, cell, value, formula?, in: 'value' | 'formula' }]. Stops collecting
+ * after `limit` matches but keeps counting; returns { matches, total }.
+ */
+export const findInWorksheets = (sheets, matcher, { formulas = false, evaluation = null, limit = Infinity } = {}) => {
+  const matches = [];
+  let total = 0;
+  for (const ws of sheets) {
+    ws.eachRow({ includeEmpty: false }, (row) => {
+      row.eachCell({ includeEmpty: false }, (cell) => {
+        if (isMergeSlave(cell)) return;
+        const value = cellOutputValue(cell, evaluation);
+        const text = valueText(value);
+        const formula = cell.type === ValueType.Formula ? `=${cell.formula}` : null;
+        let where = null;
+        if (text !== null && matcher.test(text)) where = 'value';
+        else if (formulas && formula && matcher.test(formula)) where = 'formula';
+        if (!where) return;
+
+        total++;
+        if (matches.length < limit) {
+          matches.push({ sheet: ws.name, cell: cell.address, value: value ?? null, ...(formula ? { formula } : {}), in: where });
+        }
+      });
+    });
+  }
+  return { matches, total };
+};
+
+// New value for one cell, or undefined to leave it. Throws for results that cannot be stored.
+const replacedValue = (cell, matcher, replacement, formulas) => {
+  const v = cell.value;
+  switch (cell.type) {
+    case ValueType.String: {
+      if (!matcher.test(v)) return undefined;
+      const next = matcher.replace(v, replacement);
+      return next === v ? undefined : next === '' ? null : next;
+    }
+    case ValueType.Number: {
+      const text = String(v);
+      if (!matcher.test(text)) return undefined;
+      const next = matcher.replace(text, replacement);
+      if (next === text) return undefined;
+      return NUMERIC_RE.test(next) ? Number(next) : next === '' ? null : next;
+    }
+    case ValueType.RichText: {
+      // Run by run, so formatting stays; a match spanning two runs is not replaced
+      let changed = false;
+      const richText = v.richText.map((run) => {
+        if (!run.text || !matcher.test(run.text)) return run;
+        const text = matcher.replace(run.text, replacement);
+        if (text !== run.text) changed = true;
+        return { ...run, text };
+      });
+      return changed ? { richText } : undefined;
+    }
+    case ValueType.Hyperlink: {
+      const text = typeof v.text === 'string' ? v.text : null;
+      if (text === null || !matcher.test(text)) return undefined;
+      const next = matcher.replace(text, replacement);
+      return next === text ? undefined : { ...v, text: next };
+    }
+    case ValueType.Formula: {
+      if (!formulas) return undefined;
+      const text = `=${cell.formula}`;
+      if (!matcher.test(text)) return undefined;
+      const next = matcher.replace(text, replacement);
+      if (next === text) return undefined;
+      if (!next.startsWith('=') || next.length < 2 || !isValidFormula(next)) {
+        throw new Error(`${next} is not a valid formula`);
+      }
+      // The cached result belongs to the old formula
+      return { formula: next.slice(1) };
+    }
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Replace matches in the given worksheets in place. Returns
+ * { replaced: [{ sheet, cell, before, after }], skipped: [{ sheet, cell, reason }] }.
+ */
+export const replaceInWorksheets = (sheets, matcher, replacement, { formulas = false } = {}) => {
+  const replaced = [];
+  const skipped = [];
+  for (const ws of sheets) {
+    ws.eachRow({ includeEmpty: false }, (row) => {
+      row.eachCell({ includeEmpty: false }, (cell) => {
+        if (isMergeSlave(cell)) return;
+        let next;
+        try {
+          next = replacedValue(cell, matcher, replacement, formulas);
+        } catch (e) {
+          skipped.push({ sheet: ws.name, cell: cell.address, reason: e.message });
+          return;
+        }
+        if (next === undefined) return;
+        const before = cell.value ?? null;
+        cell.value = next;
+        replaced.push({ sheet: ws.name, cell: cell.address, before, after: cell.value ?? null });
+      });
+    });
+  }
+  return { replaced, skipped };
+};
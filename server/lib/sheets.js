@@ -0,0 +1,151 @@
+// server/lib/sheets.js
+// Worksheet-level operations on a loaded ExcelJS workbook:
+// rename (with formula/defined-name reference rewrite), move, duplicate, remove, visibility.
+
+import { getDefinedNames, setDefinedNames, sameScope } from './names.js';
+import { getWorksheetSchema, setWorksheetSchema, renameWorksheetSchema } from './schemas.js';
+import { renameSavedQueriesSheet, deleteSavedQueriesOfSheet } from './query.js';
+import { renameWorksheetCharts, copyWorksheetCharts, deleteWorksheetCharts } from './charts.js';
+
+export const SHEET_STATES = ['visible', 'hidden', 'veryHidden'];
+
+// Same rules Excel (and the ExcelJS name setter) enforce
+export const validateSheetName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Sheet name is required';
+  if (name.length > 31) return 'Sheet name must be 31 characters or fewer';
+  if (/[*?:/\\[\]]/.test(name)) return 'Sheet name cannot contain * ? : \\ / [ ]';
+  if (/(^')|('$)/.test(name)) return 'Sheet name cannot start or end with an apostrophe';
+  if (name === 'History') return '"History" is a reserved sheet name';
+  return null;
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Formula-ready sheet prefix: Sheet1 stays bare, "My Sheet" becomes 'My Sheet'
+export const quoteSheetName = (name) =>
+  /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) && !/^[A-Za-z]{1,3}\d+$/.test(name)
+    ? name
+    : `'${name.replace(/'/g, "''")}'`;
+
+/**
+ * Rewrite references to `oldName` in a formula (or defined-name range) so they
+ * point at `newName`. String literals are left alone.
+ */
+export const renameSheetReferences = (formula, oldName, newName) => {
+  if (!formula || typeof formula !== 'string') return formula;
+  const quotedOld = new RegExp(`'${escapeRegExp(oldName.replace(/'/g, "''"))}'!`, 'gi');
+  const bareOld = new RegExp(`(^|[^A-Za-z0-9_.'])${escapeRegExp(oldName)}!`, 'gi');
+  const replacement = `${quoteSheetName(newName)}!`;
+
+  return formula
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, i) => {
+      if (i % 2 === 1) return part; // string literal
+      return part.replace(quotedOld, replacement).replace(bareOld, (_m, lead) => `${lead}${replacement}`);
+    })
+    .join('');
+};
+
+/**
+ * Rename a worksheet and every formula / defined name that points at it.
+ * Returns the number of formulas rewritten.
+ */
+export const renameWorksheet = (workbook, ws, newName) => {
+  const oldName = ws.name;
+  ws.name = newName;
+
+  let rewritten = 0;
+  workbook.eachSheet((sheet) => {
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      row.eachCell({ includeEmpty: false }, (cell) => {
+        const v = cell.value;
+        if (!v || typeof v !== 'object' || typeof v.formula !== 'string') return;
+        const next = renameSheetReferences(v.formula, oldName, newName);
+        if (next !== v.formula) {
+          cell.value = { ...v, formula: next };
+          rewritten++;
+        }
+      });
+    });
+  });
+
+  const names = workbook.definedNames.model;
+  if (Array.isArray(names) && names.length > 0) {
+    workbook.definedNames.model = names.map((dn) => ({
+      ...dn,
+      ranges: (dn.ranges || []).map((r) => renameSheetReferences(r, oldName, newName)),
+    }));
+  }
+
+  // Lossless names (lib/names.js): sheet-scoped ones move with the sheet
+  const attached = getDefinedNames(workbook);
+  if (attached) {
+    setDefinedNames(
+      workbook,
+      attached.map((n) => ({
+        ...n,
+        scope: sameScope(n.scope, oldName) ? newName : n.scope,
+        refersTo: renameSheetReferences(n.refersTo, oldName, newName),
+      }))
+    );
+  }
+  renameWorksheetSchema(workbook, oldName, newName);
+  renameSavedQueriesSheet(workbook, oldName, newName);
+  renameWorksheetCharts(workbook, oldName, newName);
+
+  return rewritten;
+};
+
+/**
+ * Move a worksheet to `index` (0-based) in the persisted tab order.
+ * Returns the new order of sheet names.
+ */
+export const moveWorksheet = (workbook, ws, index) => {
+  const order = workbook.worksheets.filter((w) => w !== ws);
+  const target = Math.max(0, Math.min(index, order.length));
+  order.splice(target, 0, ws);
+  order.forEach((w, i) => {
+    w.orderNo = i;
+  });
+  return order.map((w) => w.name);
+};
+
+/**
+ * Copy a worksheet (values, styles, merges, column widths, views, validations,
+ * sheet-scoped names, column schema, charts) into a new sheet placed right after the source.
+ */
+export const duplicateWorksheet = (workbook, source, newName) => {
+  const copy = workbook.addWorksheet(newName);
+  const model = source.model;
+  copy.model = { ...model, id: copy.id, name: newName, mergeCells: model.merges };
+  copy.state = 'visible';
+  moveWorksheet(workbook, copy, workbook.worksheets.indexOf(source) + 1);
+
+  // As in Excel, names scoped to the source get a copy scoped to the new sheet
+  const names = getDefinedNames(workbook);
+  if (names) {
+    const local = names
+      .filter((n) => n.scope && sameScope(n.scope, source.name))
+      .map((n) => ({ ...n, scope: newName, refersTo: renameSheetReferences(n.refersTo, source.name, newName) }));
+    if (local.length > 0) setDefinedNames(workbook, [...names, ...local]);
+  }
+  const schema = getWorksheetSchema(workbook, source.name);
+  if (schema) setWorksheetSchema(workbook, newName, schema);
+  copyWorksheetCharts(workbook, source.name, newName);
+  return copy;
+};
+
+/**
+ * Remove a worksheet with what is kept by its name: column schema, charts,
+ * saved queries and sheet-scoped names. A sheet added later under the same
+ * name (an overwrite) starts clean.
+ */
+export const removeWorksheet = (workbook, ws) => {
+  const { name } = ws;
+  workbook.removeWorksheet(ws.id);
+  setWorksheetSchema(workbook, name, null);
+  deleteWorksheetCharts(workbook, name);
+  deleteSavedQueriesOfSheet(workbook, name);
+  const names = getDefinedNames(workbook);
+  if (names) setDefinedNames(workbook, names.filter((n) => !(n.scope && sameScope(n.scope, name))));
+};
@@ -0,0 +1,542 @@
+// server/lib/validation.js
+// Data validation rules on top of ExcelJS' per-address `ws.dataValidations`.
+// The API speaks in ranges ({ range, type, ... }); ExcelJS writes range keys
+// as-is but expands what it reads into one entry per cell, so rules read from
+// a file are regrouped into rectangles by entry identity. Regex rules are
+// custom rules over Excel 365's REGEXTEST, which the server checks itself
+// (patterns that could backtrack catastrophically are refused, see regex-guard.js).
+
+import ExcelJS from 'exceljs';
+import { parseRangeRef, columnLetter, columnNumber } from './cells.js';
+import { cellOutputValue, createFormulaEngine, isValidFormula } from './formulas.js';
+import { checkPatternSafety } from './regex-guard.js';
+
+const { ValueType } = ExcelJS;
+
+export const VALIDATION_TYPES = ['list', 'whole', 'decimal', 'date', 'textLength', 'custom', 'pattern'];
+export const VALIDATION_OPERATORS = [
+  'between',
+  'notBetween',
+  'equal',
+  'notEqual',
+  'greaterThan',
+  'lessThan',
+  'greaterThanOrEqual',
+  'lessThanOrEqual',
+];
+export const ERROR_STYLES = ['stop', 'warning', 'information'];
+
+// Excel caps an inline list (quotes and commas included) at 255 characters
+const MAX_LIST_LENGTH = 255;
+
+const NUMERIC_RE = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// REGEXTEST(<cell>, "<pattern>"[, 1]) as written for `pattern` rules; newer
+// functions carry the _xlfn. prefix in the file
+const PATTERN_FORMULA_RE = /^(?:_xlfn\.)?REGEXTEST\(\s*\$?[A-Z]{1,3}\$?\d+\s*,\s*"((?:[^"]|"")*)"\s*(?:,\s*([01])\s*)?\)$/i;
+
+const parsePatternFormula = (formula) => {
+  const m = typeof formula === 'string' ? PATTERN_FORMULA_RE.exec(formula.trim()) : null;
+  return m ? { pattern: m[1].replace(/""/g, '"'), ignoreCase: m[2] === '1' } : null;
+};
+
+const boundsRef = ({ top, left, bottom, right }) => {
+  const start = `${columnLetter(left)}${top}`;
+  return top === bottom && left === right ? start : `${start}:${columnLetter(right)}${bottom}`;
+};
+
+const contains = (b, row, col) => row >= b.top && row <= b.bottom && col >= b.left && col <= b.right;
+
+const intersects = (a, b) => a.top <= b.bottom && b.top <= a.bottom && a.left <= b.right && b.left <= a.right;
+
+/* -------------------------------------------------------
+   API rule <-> ExcelJS validation
+------------------------------------------------------- */
+
+const toNumber = (v) => {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string' && NUMERIC_RE.test(v.trim())) return Number(v);
+  return NaN;
+};
+
+const toDate = (v) => {
+  const d = v instanceof Date ? v : typeof v === 'string' || typeof v === 'number' ? new Date(v) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : null;
+};
+
+// Bound for numeric/date/length rules. Only literals: ExcelJS parses bounds
+// back with parseInt/parseFloat, so a reference such as B1 would not survive a save
+const parseBound = (type, v) => {
+  if (type === 'date') return toDate(v) ?? undefined;
+  const n = toNumber(v);
+  if (!Number.isFinite(n)) return undefined;
+  if ((type === 'whole' || type === 'textLength') && !Number.isInteger(n)) return undefined;
+  return n;
+};
+
+/**
+ * Validate a client rule and convert it to an ExcelJS data validation.
+ * Returns { bounds, validation } or { error }.
+ */
+export const ruleToValidation = (rule) => {
+  if (!rule || typeof rule !== 'object') return { error: 'Rule is required' };
+  const bounds = parseRangeRef(rule.range);
+  if (!bounds) return { error: 'Invalid range (expected e.g. "B2:B100")' };
+  if (!VALIDATION_TYPES.includes(rule.type)) {
+    return { error: `type must be one of: ${VALIDATION_TYPES.join(', ')}` };
+  }
+  const errorStyle = rule.errorStyle || 'stop';
+  if (!ERROR_STYLES.includes(errorStyle)) return { error: `errorStyle must be one of: ${ERROR_STYLES.join(', ')}` };
+
+  const validation = {
+    type: rule.type,
+    allowBlank: rule.allowBlank !== false,
+    showErrorMessage: true,
+    errorStyle,
+  };
+  if (rule.error) validation.error = String(rule.error);
+  if (rule.errorTitle) validation.errorTitle = String(rule.errorTitle);
+  if (rule.prompt) {
+    validation.showInputMessage = true;
+    validation.prompt = String(rule.prompt);
+    if (rule.promptTitle) validation.promptTitle = String(rule.promptTitle);
+  }
+
+  switch (rule.type) {
+    case 'list': {
+      if (Array.isArray(rule.values) && rule.values.length > 0) {
+        const values = rule.values.map((v) => String(v));
+        if (values.some((v) => v.includes(',') || v.includes('"'))) {
+          return { error: 'List values cannot contain commas or quotes; use a source range instead' };
+        }
+        const formula = `"${values.join(',')}"`;
+        if (formula.length > MAX_LIST_LENGTH) {
+          return { error: 'List is too long for an inline list; use a source range instead' };
+        }
+        validation.formulae = [formula];
+      } else if (typeof rule.source === 'string' && rule.source.trim()) {
+        const source = rule.source.trim().replace(/^=/, '');
+        if (!isValidFormula(source)) return { error: 'source must be a range reference or defined name' };
+        validation.formulae = [source];
+      } else {
+        return { error: 'A list needs either values or a source range' };
+      }
+      break;
+    }
+    case 'custom': {
+      const formula = typeof rule.formula === 'string' ? rule.formula.trim().replace(/^=/, '') : '';
+      if (!formula || !isValidFormula(formula)) return { error: 'custom rules need a valid formula' };
+      validation.formulae = [formula];
+      break;
+    }
+    case 'pattern': {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) return { error: 'pattern rules need a regular expression' };
+      const unsafe = checkPatternSafety(rule.pattern);
+      if (unsafe) return { error: `Invalid pattern: ${unsafe}` };
+      try {
+        new RegExp(rule.pattern);
+      } catch (e) {
+        return { error: `Invalid pattern: ${e.message}` };
+      }
+      const topLeft = `${columnLetter(bounds.left)}${bounds.top}`;
+      const text = rule.pattern.replace(/"/g, '""');
+      validation.type = 'custom';
+      validation.formulae = [`_xlfn.REGEXTEST(${topLeft},"${text}"${rule.ignoreCase ? ',1' : ''})`];
+      break;
+    }
+    default: {
+      const operator = rule.operator || 'between';
+      if (!VALIDATION_OPERATORS.includes(operator)) {
+        return { error: `operator must be one of: ${VALIDATION_OPERATORS.join(', ')}` };
+      }
+      validation.operator = operator;
+      if (operator === 'between' || operator === 'notBetween') {
+        const min = parseBound(rule.type, rule.min);
+        const max = parseBound(rule.type, rule.max);
+        if (min === undefined || max === undefined) return { error: `${operator} needs valid min and max` };
+        validation.formulae = [min, max];
+      } else {
+        const value = parseBound(rule.type, rule.value);
+        if (value === undefined) return { error: `${operator} needs a valid value` };
+        validation.formulae = [value];
+      }
+    }
+  }
+  return { bounds, validation };
+};
+
+const isInlineList = (formula) => typeof formula === 'string' && /^".*"$/.test(formula);
+
+const boundToJson = (v) => (v instanceof Date ? v.toISOString() : Number.isFinite(v) ? v : null);
+
+/**
+ * API shape of an ExcelJS validation applied to `bounds`.
+ */
+export const validationToRule = (bounds, dv) => {
+  const rule = {
+    range: boundsRef(bounds),
+    type: dv.type,
+    allowBlank: dv.allowBlank !== false,
+    errorStyle: dv.errorStyle || 'stop',
+  };
+  if (dv.error) rule.error = dv.error;
+  if (dv.errorTitle) rule.errorTitle = dv.errorTitle;
+  if (dv.prompt) rule.prompt = dv.prompt;
+  if (dv.promptTitle) rule.promptTitle = dv.promptTitle;
+
+  const [f1, f2] = dv.formulae || [];
+  switch (dv.type) {
+    case 'list':
+      if (isInlineList(f1)) rule.values = f1.slice(1, -1).split(',');
+      else rule.source = f1;
+      break;
+    case 'custom': {
+      const pattern = parsePatternFormula(f1);
+      if (pattern) Object.assign(rule, { type: 'pattern', ...pattern });
+      else rule.formula = f1;
+      break;
+    }
+    case 'any':
+      break;
+    default:
+      rule.operator = dv.operator || 'between';
+      if (rule.operator === 'between' || rule.operator === 'notBetween') {
+        rule.min = boundToJson(f1);
+        rule.max = boundToJson(f2);
+      } else {
+        rule.value = boundToJson(f1);
+      }
+  }
+  return rule;
+};
+
+/* -------------------------------------------------------
+   Worksheet rules
+------------------------------------------------------- */
+
+// Smallest set of rectangles covering single-cell addresses: vertical runs per
+// column, then runs with identical rows merged across adjacent columns
+const compressAddresses = (addresses) => {
+  const byCol = new Map();
+  for (const address of addresses) {
+    const m = /^([A-Z]+)(\d+)$/.exec(address);
+    if (!m) continue;
+    const col = columnNumber(m[1]);
+    if (!byCol.has(col)) byCol.set(col, []);
+    byCol.get(col).push(Number(m[2]));
+  }
+
+  const runs = [];
+  for (const [col, rows] of [...byCol.entries()].sort((a, b) => a[0] - b[0])) {
+    rows.sort((a, b) => a - b);
+    let start = rows[0];
+    for (let i = 1; i <= rows.length; i++) {
+      if (i < rows.length && rows[i] === rows[i - 1] + 1) continue;
+      runs.push({ top: start, bottom: rows[i - 1], left: col, right: col });
+      start = rows[i];
+    }
+  }
+
+  const merged = [];
+  for (const run of runs) {
+    const prev = merged.find((m) => m.top === run.top && m.bottom === run.bottom && m.right === run.left - 1);
+    if (prev) prev.right = run.right;
+    else merged.push({ ...run });
+  }
+  return merged;
+};
+
+/**
+ * Every validation on `ws` as { bounds, validation } rectangles.
+ */
+export const worksheetValidations = (ws) => {
+  const out = [];
+  const groups = new Map();
+  for (const [key, dv] of Object.entries(ws.dataValidations?.model || {})) {
+    if (!dv) continue;
+    if (key.includes(':')) {
+      const bounds = parseRangeRef(key);
+      if (bounds) out.push({ bounds, validation: dv });
+      continue;
+    }
+    if (!groups.has(dv)) groups.set(dv, []);
+    groups.get(dv).push(key);
+  }
+  for (const [dv, addresses] of groups) {
+    for (const bounds of compressAddresses(addresses)) out.push({ bounds, validation: dv });
+  }
+  return out.sort((a, b) => a.bounds.top - b.bounds.top || a.bounds.left - b.bounds.left);
+};
+
+/**
+ * Remove validations inside `bounds`. Range entries that only partly overlap
+ * are cut down to the rectangles left outside it. Returns true if anything changed.
+ */
+export const clearValidations = (ws, bounds) => {
+  const model = ws.dataValidations.model;
+  let changed = false;
+  for (const [key, dv] of Object.entries(model)) {
+    const cell = parseRangeRef(key);
+    if (!cell || !intersects(cell, bounds)) continue;
+    delete model[key];
+    changed = true;
+    if (!dv || !key.includes(':')) continue;
+
+    const pieces = [
+      { top: cell.top, bottom: bounds.top - 1, left: cell.left, right: cell.right },
+      { top: bounds.bottom + 1, bottom: cell.bottom, left: cell.left, right: cell.right },
+      {
+        top: Math.max(cell.top, bounds.top),
+        bottom: Math.min(cell.bottom, bounds.bottom),
+        left: cell.left,
+        right: bounds.left - 1,
+      },
+      {
+        top: Math.max(cell.top, bounds.top),
+        bottom: Math.min(cell.bottom, bounds.bottom),
+        left: bounds.right + 1,
+        right: cell.right,
+      },
+    ];
+    for (const piece of pieces) {
+      if (piece.top <= piece.bottom && piece.left <= piece.right) model[boundsRef(piece)] = dv;
+    }
+  }
+  return changed;
+};
+
+export const setValidation = (ws, bounds, validation) => {
+  clearValidations(ws, bounds);
+  ws.dataValidations.add(boundsRef(bounds), validation);
+};
+
+/* -------------------------------------------------------
+   Checking values
+------------------------------------------------------- */
+
+// Move relative A1 references by (dr, dc), as Excel does when a rule written
+// for the top-left cell of its range is applied to another cell
+export const shiftFormula = (formula, dr, dc) =>
+  formula
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, i) => {
+      if (i % 2 === 1) return part;
+      return part.replace(
+        /(?<![A-Za-z0-9_.])(\$?)([A-Za-z]{1,3})(\$?)(\d+)(?![A-Za-z0-9_(])/g,
+        (_m, colAbs, col, rowAbs, row) => {
+          const c = colAbs ? col : columnLetter(columnNumber(col) + dc);
+          const r = rowAbs ? row : String(Number(row) + dr);
+          return `${colAbs}${c}${rowAbs}${r}`;
+        }
+      );
+    })
+    .join('');
+
+const flattenValues = (result) =>
+  (Array.isArray(result) ? result.flat() : [result]).filter(
+    (v) => v !== null && v !== undefined && v !== '' && !(typeof v === 'object' && 'error' in v)
+  );
+
+const truthy = (v) => v === true || (typeof v === 'number' && v !== 0);
+
+const compare = (operator, x, [a, b]) => {
+  switch (operator) {
+    case 'between':
+      return x >= Math.min(a, b) && x <= Math.max(a, b);
+    case 'notBetween':
+      return x < Math.min(a, b) || x > Math.max(a, b);
+    case 'equal':
+      return x === a;
+    case 'notEqual':
+      return x !== a;
+    case 'greaterThan':
+      return x > a;
+    case 'lessThan':
+      return x < a;
+    case 'greaterThanOrEqual':
+      return x >= a;
+    case 'lessThanOrEqual':
+      return x <= a;
+    default:
+      return true;
+  }
+};
+
+const OPERATOR_TEXT = {
+  between: (a, b) => `between ${a} and ${b}`,
+  notBetween: (a, b) => `not between ${a} and ${b}`,
+  equal: (a) => `equal to ${a}`,
+  notEqual: (a) => `not equal to ${a}`,
+  greaterThan: (a) => `greater than ${a}`,
+  lessThan: (a) => `less than ${a}`,
+  greaterThanOrEqual: (a) => `at least ${a}`,
+  lessThanOrEqual: (a) => `at most ${a}`,
+};
+
+/**
+ * Checker for the rules of one worksheet. `check(cell)` returns null when the
+ * cell is valid, else { cell, value, message, errorStyle, range }. Formula
+ * cells are not checked (Excel only validates typed input). Rules that need
+ * formulas share one engine; call `destroy()` when done.
+ */
+export const createValidationChecker = (workbook, ws) => {
+  const rules = worksheetValidations(ws);
+  let engine = null;
+  const calculate = (formula) => {
+    engine = engine || createFormulaEngine(workbook);
+    return engine.calculate(formula, ws.name);
+  };
+  const listCache = new Map();
+  const listValues = (formula) => {
+    if (!listCache.has(formula)) {
+      const values = isInlineList(formula) ? formula.slice(1, -1).split(',') : flattenValues(calculate(formula));
+      listCache.set(formula, new Set(values.map((v) => String(v).toLowerCase())));
+    }
+    return listCache.get(formula);
+  };
+  const patternCache = new Map();
+  // { re } for REGEXTEST rules (re null if JavaScript cannot compile it or
+  // it could backtrack for too long, e.g. from an uploaded file), else null
+  const patternOf = (formula) => {
+    if (!patternCache.has(formula)) {
+      const parsed = parsePatternFormula(formula);
+      let entry = null;
+      if (parsed && checkPatternSafety(parsed.pattern)) {
+        entry = { re: null };
+      } else if (parsed) {
+        try {
+          entry = { re: new RegExp(parsed.pattern, parsed.ignoreCase ? 'i' : '') };
+        } catch (_e) {
+          entry = { re: null };
+        }
+      }
+      patternCache.set(formula, entry);
+    }
+    return patternCache.get(formula);
+  };
+  const boundValue = (type, f) => (type === 'date' ? (f instanceof Date ? f.getTime() : NaN) : f);
+
+  const failure = (address, value, dv, bounds, fallback) => ({
+    cell: address,
+    value,
+    message: dv.error || fallback,
+    errorStyle: dv.errorStyle || 'stop',
+    range: boundsRef(bounds),
+  });
+
+  // `cell` may be null for a cell that does not exist (blank)
+  const check = (row, col, cell) => {
+    if (cell?.type === ValueType.Formula) return null;
+    const match = rules.find((r) => contains(r.bounds, row, col));
+    if (!match) return null;
+    const { bounds, validation: dv } = match;
+    const address = `${columnLetter(col)}${row}`;
+    const value = cell ? cellOutputValue(cell) : null;
+    const blank = value === null || value === undefined || value === '';
+    if (blank) return dv.allowBlank === false ? failure(address, value, dv, bounds, 'A value is required') : null;
+
+    const formulae = dv.formulae || [];
+    switch (dv.type) {
+      case 'list':
+        return listValues(formulae[0]).has(String(value).toLowerCase())
+          ? null
+          : failure(address, value, dv, bounds, 'Value must be one of the listed options');
+      case 'custom': {
+        const pattern = patternOf(formulae[0]);
+        if (pattern) {
+          if (!pattern.re || pattern.re.test(String(value))) return null;
+          return failure(address, value, dv, bounds, 'Value does not match the pattern');
+        }
+        const formula = shiftFormula(formulae[0], row - bounds.top, col - bounds.left);
+        return truthy(calculate(formula)) ? null : failure(address, value, dv, bounds, 'Value does not satisfy the rule');
+      }
+      case 'whole':
+      case 'decimal':
+      case 'textLength':
+      case 'date': {
+        let x;
+        if (dv.type === 'textLength') x = String(value).length;
+        else if (dv.type === 'date') {
+          const d = cell?.type === ValueType.Date ? cell.value : toDate(value);
+          x = d ? d.getTime() : NaN;
+        } else x = toNumber(value);
+
+        const kind = dv.type === 'date' ? 'date' : dv.type === 'textLength' ? 'text length' : 'number';
+        if (!Number.isFinite(x) || (dv.type === 'whole' && !Number.isInteger(x))) {
+          return failure(address, value, dv, bounds, `Value must be a ${dv.type === 'whole' ? 'whole number' : kind}`);
+        }
+        const bounds2 = formulae.map((f) => boundValue(dv.type, f));
+        // Bounds Excel stored as references read back as NaN; they cannot be enforced
+        if (bounds2.some((b) => !Number.isFinite(b))) return null;
+        const operator = dv.operator || 'between';
+        if (compare(operator, x, bounds2)) return null;
+        const shown = formulae.map((f) => (f instanceof Date ? f.toISOString().slice(0, 10) : f));
+        const label = `${kind[0].toUpperCase()}${kind.slice(1)}`;
+        return failure(address, value, dv, bounds, `${label} must be ${OPERATOR_TEXT[operator](...shown)}`);
+      }
+      default:
+        return null;
+    }
+  };
+
+  // Inline values or the current contents of a list's source, for dropdowns
+  const listOptions = (dv) => {
+    const formula = dv.formulae?.[0];
+    if (!formula) return [];
+    if (isInlineList(formula)) return formula.slice(1, -1).split(',');
+    return flattenValues(calculate(formula)).map(String);
+  };
+
+  return { rules, check, listOptions, destroy: () => engine?.destroy() };
+};
+
+/**
+ * Check every validated cell of `ws` inside its used area (blank cells past the
+ * last row/column holding data are not entries). Returns the failures in order.
+ */
+export const checkWorksheetValidations = (workbook, ws) => {
+  let lastRow = 0;
+  let lastCol = 0;
+  ws.eachRow({ includeEmpty: false }, (row, r) => {
+    row.eachCell({ includeEmpty: false }, (_cell, c) => {
+      lastRow = r;
+      if (c > lastCol) lastCol = c;
+    });
+  });
+
+  const checker = createValidationChecker(workbook, ws);
+  try {
+    const failures = [];
+    for (const { bounds } of checker.rules) {
+      for (let r = bounds.top; r <= Math.min(bounds.bottom, lastRow); r++) {
+        const row = ws.findRow(r);
+        for (let c = bounds.left; c <= Math.min(bounds.right, lastCol); c++) {
+          const failure = checker.check(r, c, row?.findCell(c) ?? null);
+          if (failure) failures.push(failure);
+        }
+      }
+    }
+    return failures;
+  } finally {
+    checker.destroy();
+  }
+};
+
+/**
+ * Check only the given A1 addresses of `ws` (e.g. the cells of a patch).
+ */
+export const checkWorksheetCells = (workbook, ws, addresses) => {
+  const checker = createValidationChecker(workbook, ws);
+  try {
+    if (checker.rules.length === 0) return [];
+    const failures = [];
+    for (const address of new Set(addresses)) {
+      const cell = ws.getCell(address);
+      const failure = checker.check(cell.row, cell.col, cell);
+      if (failure) failures.push(failure);
+    }
+    return failures;
+  } finally {
+    checker.destroy();
+  }
+};
@@ -0,0 +1,82 @@
+// server/lib/workbook-cache.js
+// In-process LRU for stored workbooks. Entries are keyed by storage id
+// ("bucket/key", optionally "bucket/key#kind") and tagged with the storage
+// object's version; a lookup with a different version is a miss and drops the
+// entry. Size is bounded by the callers' byte estimates, not by entry count.
+
+export const createWorkbookCache = ({ maxBytes }) => {
+  // Map iteration order is insertion order: first entry = least recently used
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, stale: 0, evictions: 0, invalidations: 0 };
+  let bytes = 0;
+
+  const drop = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    entries.delete(id);
+    bytes -= entry.weight;
+    return true;
+  };
+
+  const get = (id, version) => {
+    const entry = entries.get(id);
+    if (!entry || entry.version !== version) {
+      if (entry) {
+        drop(id);
+        counters.stale++;
+      }
+      counters.misses++;
+      return null;
+    }
+    // Refresh recency
+    entries.delete(id);
+    entries.set(id, entry);
+    counters.hits++;
+    return entry.value;
+  };
+
+  const set = (id, version, value, weight) => {
+    drop(id);
+    // Never let one workbook flush the whole cache
+    if (weight > maxBytes / 2) return false;
+    entries.set(id, { version, value, weight });
+    bytes += weight;
+    for (const oldest of entries.keys()) {
+      if (bytes <= maxBytes) break;
+      drop(oldest);
+      counters.evictions++;
+    }
+    return true;
+  };
+
+  // Drops the object and every derived "#kind" entry for it
+  const invalidate = (id) => {
+    let removed = 0;
+    for (const key of [...entries.keys()]) {
+      if ((key === id || key.startsWith(`${id}#`)) && drop(key)) removed++;
+    }
+    if (removed > 0) counters.invalidations++;
+    return removed;
+  };
+
+  // Drops `id` only while it still holds `value` (a newer version may have replaced it)
+  const remove = (id, value) => entries.get(id)?.value === value && drop(id);
+
+  const clear = () => {
+    entries.clear();
+    bytes = 0;
+  };
+
+  const stats = () => {
+    const lookups = counters.hits + counters.misses;
+    return {
+      ...counters,
+      hitRate: lookups ? Number((counters.hits / lookups).toFixed(4)) : null,
+      entries: entries.size,
+      bytes,
+      maxBytes,
+    };
+  };
+
+  return { get, set, invalidate, remove, clear, stats };
+};
@@ -0,0 +1,238 @@
+// server/lib/workbook-stream.js
+// Bounded-memory workbook I/O. Stored objects are spooled to temp files (hashed
+// on the way through) and parsed with ExcelJS's streaming reader; CSV uploads
+// are converted with the streaming writer. Nothing here holds a whole file.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import ExcelJS from 'exceljs';
+import { parse as csvParseStream } from 'csv-parse';
+import { cellDisplayValue, serializeCellMeta, parseRangeRef } from './cells.js';
+
+const tempPath = (dir, suffix = '') =>
+  path.join(dir, `excel-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${suffix}`);
+
+const removeFile = (filePath) => fs.promises.unlink(filePath).catch(() => {});
+
+/**
+ * Write a readable to a temp file, computing the same sha1 etag the in-memory
+ * helpers produce. Returns { path, size, etag, cleanup }.
+ */
+export const spoolToTempFile = async (readable, dir, suffix = '') => {
+  const filePath = tempPath(dir, suffix);
+  const hash = crypto.createHash('sha1');
+  let size = 0;
+  const tap = new Transform({
+    transform(chunk, _enc, cb) {
+      hash.update(chunk);
+      size += chunk.length;
+      cb(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(readable, tap, fs.createWriteStream(filePath));
+  } catch (e) {
+    await removeFile(filePath);
+    throw e;
+  }
+  return { path: filePath, size, etag: hash.digest('hex'), cleanup: () => removeFile(filePath) };
+};
+
+export const downloadToTempFile = async (supabaseClient, bucket, key, dir) => {
+  try {
+    const { data, error } = await supabaseClient.storage.from(bucket).download(key).asStream();
+    if (error) return { error };
+    const file = await spoolToTempFile(Readable.fromWeb(data), dir, '.xlsx');
+    return { file };
+  } catch (e) {
+    return { error: e };
+  }
+};
+
+// Styles are needed to tell dates from numbers; hyperlinks would replace values
+// with relationship stubs, so their display text is kept instead
+const openReader = (filePath, options = {}) =>
+  new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    ...options,
+  });
+
+// Breaking out of the iterator early leaves the file stream open
+const closeReader = (reader) => {
+  reader.stream?.destroy();
+};
+
+/**
+ * Visit every row of one sheet in order. Resolves false if the sheet is missing.
+ */
+export const forEachSheetRow = async (filePath, sheetName, onRow) => {
+  const reader = openReader(filePath);
+  try {
+    for await (const ws of reader) {
+      if (ws.name !== sheetName) continue;
+      for await (const row of ws) {
+        if ((await onRow(row)) === false) break;
+      }
+      return true;
+    }
+    return false;
+  } finally {
+    closeReader(reader);
+  }
+};
+
+/**
+ * Sheet names and visibility in tab order.
+ */
+export const streamSheetNames = async (filePath) => {
+  const reader = openReader(filePath, { worksheets: 'ignore', sharedStrings: 'ignore', styles: 'ignore' });
+  try {
+    for await (const _event of reader.parse()) {
+      // Drain: the workbook model is complete once every entry has been seen
+    }
+  } finally {
+    closeReader(reader);
+  }
+  return (reader.model?.sheets || []).map((s) => ({ name: s.name, state: s.state || 'visible' }));
+};
+
+/**
+ * Streaming counterpart of worksheetToGrid. `bounds` is 1-based and may leave
+ * `bottom`/`right` null for "to the end"; the returned `bounds` are clamped to
+ * the used area (null when the window is empty). Resolves null if the sheet is missing.
+ */
+export const streamSheetGrid = async (filePath, sheetName, bounds = null) => {
+  const top = bounds?.top || 1;
+  const left = bounds?.left || 1;
+  const bottom = bounds?.bottom ?? Infinity;
+  const right = bounds?.right ?? Infinity;
+
+  let rows = 0;
+  let cols = 0;
+  const windowRows = new Map();
+  const cells = {};
+
+  const found = await forEachSheetRow(filePath, sheetName, (row) => {
+    const inWindow = row.number >= top && row.number <= bottom;
+    const values = inWindow ? new Map() : null;
+    row.eachCell({ includeEmpty: false }, (cell, col) => {
+      rows = row.number;
+      if (col > cols) cols = col;
+      if (!inWindow || col < left || col > right) return;
+      values.set(col, cellDisplayValue(cell));
+      const meta = serializeCellMeta(cell);
+      if (meta) cells[cell.address] = meta;
+    });
+    if (values && values.size > 0) windowRows.set(row.number, values);
+  });
+  if (!found) return null;
+
+  const lastRow = Math.min(bottom, bounds ? rows : Math.max(rows, 1));
+  const lastCol = Math.min(right, bounds ? Math.max(cols, left) : Math.max(cols, 1));
+  if (lastRow < top) return { grid: [], cells: {}, rows, cols, bounds: null };
+
+  const grid = [];
+  for (let r = top; r <= lastRow; r++) {
+    const values = windowRows.get(r);
+    const out = [];
+    for (let c = left; c <= lastCol; c++) out.push(values?.get(c) ?? null);
+    grid.push(out);
+  }
+  return { grid, cells, rows, cols, bounds: { top, left, bottom: lastRow, right: lastCol } };
+};
+
+/**
+ * Raw ExcelJS value of one cell. Resolves { found: false } if the sheet is missing.
+ */
+export const streamCellValue = async (filePath, sheetName, address) => {
+  const ref = parseRangeRef(address);
+  if (!ref) return { found: true, value: null };
+
+  let value = null;
+  const found = await forEachSheetRow(filePath, sheetName, (row) => {
+    if (row.number < ref.top) return true;
+    if (row.number === ref.top) value = row.getCell(ref.left).value ?? null;
+    return false;
+  });
+  return { found, value };
+};
+
+/**
+ * Convert a CSV (or TSV, with `delimiter: '\t'`) file to a single-sheet xlsx
+ * file with the streaming writer.
+ * Returns { rows, preview } where preview holds the first `previewRows` records.
+ */
+export const csvFileToXlsxFile = async (
+  csvPath,
+  xlsxPath,
+  sheetName = 'Sheet1',
+  { previewRows = 20, delimiter = ',' } = {}
+) => {
+  const writer = new ExcelJS.stream.xlsx.WorkbookWriter({
+    filename: xlsxPath,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const ws = writer.addWorksheet(sheetName);
+  const preview = [];
+  let rows = 0;
+
+  const parser = fs.createReadStream(csvPath).pipe(csvParseStream({ columns: false, relax_column_count: true, delimiter }));
+  for await (const record of parser) {
+    ws.addRow(record).commit();
+    if (rows < previewRows) preview.push(record);
+    rows++;
+  }
+
+  ws.commit();
+  await writer.commit();
+  return { rows, preview };
+};
+
+const escapeCSV = (v) => {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  if (s.includes('"') || s.includes(',') || s.includes('\n') || s.includes('\r')) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+};
+
+export const csvLine = (values) => values.map(escapeCSV).join(',');
+
+/**
+ * Call `onValues` with the values of each row of one sheet, up to the last
+ * non-empty row: blank rows included, every row as wide as the widest. Two
+ * passes over the file, the first finds the used area. Nothing is called
+ * before the sheet is found; resolves false if it is missing.
+ */
+export const forEachSheetValues = async (filePath, sheetName, onValues, toValue = (cell) => cell.value) => {
+  let width = 0;
+  let height = 0;
+  const found = await forEachSheetRow(filePath, sheetName, (row) => {
+    row.eachCell({ includeEmpty: false }, (_cell, col) => {
+      if (col > width) width = col;
+      height = row.number;
+    });
+  });
+  if (!found) return false;
+
+  const blank = new Array(width).fill(null);
+  let next = 1;
+  await forEachSheetRow(filePath, sheetName, async (row) => {
+    if (row.number > height) return false;
+    for (; next < row.number; next++) await onValues(blank);
+    const vals = [];
+    for (let c = 1; c <= width; c++) vals.push(toValue(row.getCell(c)));
+    await onValues(vals);
+    next = row.number + 1;
+  });
+  return true;
+};
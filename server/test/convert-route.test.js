@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { embedCustomXmlParts } from '../lib/custom-xml.js';
+import { validateSchema, setWorksheetSchema, worksheetSchemasPart } from '../lib/schemas.js';
+import { startApp } from './helpers/api.js';
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+// An xlsx whose Data sheet declares an integer `id` column, with `ids` under it
+const typedWorkbook = async (ids) => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Data');
+  [['id'], ...ids.map((id) => [id])].forEach((r) => ws.addRow(r));
+  const { schema } = validateSchema({ headerRow: 1, columns: [{ name: 'id', type: 'integer' }] });
+  setWorksheetSchema(workbook, 'Data', schema);
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+  return embedCustomXmlParts(buffer, [worksheetSchemasPart(workbook)]);
+};
+
+const convert = async (buffer) =>
+  api.request('POST', '/excel/convert', { fileBase64: buffer.toString('base64'), fileName: 'typed.xlsx' });
+
+test('converting a file whose cells break its column schema stores nothing', async () => {
+  const [status, body] = await convert(await typedWorkbook([1, 'two']));
+  assert.equal(status, 422);
+  assert.equal(body.total, 1);
+  assert.deepEqual(body.invalid.map((e) => e.sheet), ['Data']);
+  assert.equal(api.store.size, 0);
+});
+
+test('converting a file that matches its column schema stores it', async () => {
+  const [status] = await convert(await typedWorkbook([1, 2]));
+  assert.equal(status, 200);
+  assert.deepEqual([...api.store.keys()], ['users/u1/typed.xlsx']);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime, validateCronSchedule } from '../lib/cron.js';
+
+const at = (iso) => new Date(iso);
+
+test('parses fields, names, steps and macros', () => {
+  const cron = parseCron('*/15 9-17 * JAN,jul MON-FRI');
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.month], [1, 7]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDayOfMonth, true);
+  assert.deepEqual([...parseCron('@weekly').dayOfWeek], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+});
+
+test('rejects malformed expressions', () => {
+  for (const expression of ['', '* * * *', '60 * * * *', '* * 0 * *', '*/0 * * * *', '1-2-3 * * * *', 'x * * * *']) {
+    assert.ok(parseCron(expression).error, expression);
+  }
+});
+
+test('finds the next run in a time zone', () => {
+  const next = nextCronTime(parseCron('30 9 * * *'), 'Europe/Berlin', at('2026-01-10T09:00:00Z'));
+  assert.equal(next.toISOString(), '2026-01-11T08:30:00.000Z');
+});
+
+test('either day field matches when both are restricted', () => {
+  // The 1st of the month or any Monday: Monday 2026-01-05 comes after Thursday the 1st
+  const next = nextCronTime(parseCron('0 0 1 * MON'), 'UTC', at('2026-01-01T12:00:00Z'));
+  assert.equal(next.toISOString(), '2026-01-05T00:00:00.000Z');
+});
+
+test('skips local times that do not exist and runs repeated ones once', () => {
+  // Clocks in New York go forward at 02:00 on 2026-03-08 and back at 02:00 on 2026-11-01
+  const skipped = nextCronTime(parseCron('30 2 * * *'), 'America/New_York', at('2026-03-07T08:00:00Z'));
+  assert.equal(skipped.toISOString(), '2026-03-09T06:30:00.000Z');
+  const first = nextCronTime(parseCron('30 1 * * *'), 'America/New_York', at('2026-11-01T04:00:00Z'));
+  assert.equal(first.toISOString(), '2026-11-01T05:30:00.000Z');
+  const after = nextCronTime(parseCron('30 1 * * *'), 'America/New_York', first);
+  assert.equal(after.toISOString(), '2026-11-02T06:30:00.000Z');
+});
+
+test('dates that never exist are rejected without searching', () => {
+  for (const cron of ['0 0 31 2 *', '0 0 30,31 2 *', '0 0 31 4,6,9,11 *']) {
+    const started = Date.now();
+    assert.equal(validateCronSchedule({ cron }).error, 'The cron expression never matches a date');
+    assert.ok(Date.now() - started < 50, cron);
+  }
+  const leap = validateCronSchedule({ cron: '0 0 29 2 *' }, at('2026-03-01T00:00:00Z'));
+  assert.equal(leap.next.toISOString(), '2028-02-29T00:00:00.000Z');
+  assert.ok(validateCronSchedule({ cron: '0 0 31 2 MON' }).next);
+});
+
+test('validates the time zone', () => {
+  assert.equal(validateCronSchedule({ cron: '@daily', timezone: 'Mars/Base' }).error, 'Unknown time zone "Mars/Base"');
+  assert.equal(validateCronSchedule({ cron: ' @daily ' }).cron, '@daily');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { detectDialect, detectEncoding, readCsv, planCsvImport, applyCsvImport } from '../lib/csv-import.js';
+
+test('apostrophes at the start of a field are not taken as quotes', () => {
+  const text = `id,decade,note\n1,'90s,"rock, pop"\n2,'80s,"synth, wave"\n3,'70s,disco`;
+  assert.deepEqual(detectDialect(text), { delimiter: ',', quote: '"' });
+
+  const csv = readCsv(Buffer.from(text));
+  assert.equal(csv.error, undefined);
+  assert.deepEqual(csv.header, ['id', 'decade', 'note']);
+  assert.deepEqual(csv.rows, [
+    [1, "'90s", 'rock, pop'],
+    [2, "'80s", 'synth, wave'],
+    [3, "'70s", 'disco'],
+  ]);
+});
+
+test('single quotes are detected when they enclose fields', () => {
+  assert.deepEqual(detectDialect("a;b\n'x;1';'y'\n'z';'w'"), { delimiter: ';', quote: "'" });
+  assert.equal(detectDialect("a,b\n'x','y'\n\"z\",\"w\"").quote, '"');
+});
+
+test('numbers that would lose precision stay text', () => {
+  const csv = readCsv(Buffer.from('a,b\n12345678901234567890,1.5\n9007199254740993,0.000123\n123456789012345,-2e3\n007,1234567890.1234567'));
+  assert.deepEqual(csv.rows, [
+    ['12345678901234567890', 1.5],
+    ['9007199254740993', 0.000123],
+    [123456789012345, -2000],
+    ['007', '1234567890.1234567'],
+  ]);
+});
+
+test('detects encodings by BOM and by content', () => {
+  assert.deepEqual(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), { encoding: 'utf-8', bom: 3 });
+  assert.deepEqual(detectEncoding(Buffer.from('a,b\n', 'utf16le')), { encoding: 'utf-16le', bom: 0 });
+  assert.deepEqual(detectEncoding(Buffer.from([0x63, 0x61, 0x66, 0xe9])), { encoding: 'windows-1252', bom: 0 });
+});
+
+test('upserts by key and appends the rest', () => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Sheet1');
+  ws.addRow(['id', 'name']);
+  ws.addRow([1, 'old']);
+
+  const csv = readCsv(Buffer.from('id,name\n1,new\n2,added\n,blank'));
+  const plan = planCsvImport(ws, csv, { mode: 'upsert', key: 'id' });
+  assert.deepEqual(plan.counts, { appended: 1, updated: 1, skipped: 1 });
+  applyCsvImport(ws, plan);
+  assert.equal(ws.getCell('B2').value, 'new');
+  assert.deepEqual([ws.getCell('A3').value, ws.getCell('B3').value], [2, 'added']);
+});
+
+test('plans imports with more rows than fit in a call stack', () => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Sheet1');
+  ws.addRow(['id', 'name']);
+
+  const rows = Array.from({ length: 300000 }, (_v, i) => [i + 1, `row ${i + 1}`]);
+  const plan = planCsvImport(ws, { header: ['id', 'name'], rows }, { mode: 'append' });
+  assert.equal(plan.error, undefined);
+  assert.equal(plan.counts.appended, rows.length);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { embedCustomXmlParts, readCustomXmlParts, readCustomXmlPartsFromFile } from '../lib/custom-xml.js';
+
+const xlsxBuffer = async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Sheet1').addRow([1, 'a']);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const withTempFile = async (buffer, fn) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'custom-xml-')), 'book.xlsx');
+  fs.writeFileSync(file, buffer);
+  try {
+    return await fn(file);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+};
+
+test('parts embedded in a buffer read back from the buffer and from a file', async () => {
+  const parts = [
+    { ns: 'urn:test:a', tag: 'a', data: { Sheet1: { text: '<&>"é' } } },
+    null,
+    { ns: 'urn:test:b', tag: 'b', data: [1, 2] },
+  ];
+  const buffer = await embedCustomXmlParts(await xlsxBuffer(), parts);
+  const expected = { 'urn:test:a': { Sheet1: { text: '<&>"é' } }, 'urn:test:b': [1, 2] };
+  assert.deepEqual(await readCustomXmlParts(buffer), expected);
+  assert.deepEqual(await withTempFile(buffer, readCustomXmlPartsFromFile), expected);
+});
+
+test('a workbook without parts has none, and a file that is not a zip is an error', async () => {
+  assert.deepEqual(await withTempFile(await xlsxBuffer(), readCustomXmlPartsFromFile), {});
+  await assert.rejects(withTempFile(Buffer.from('not a zip'), readCustomXmlPartsFromFile), /Not a zip file/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { evaluateWorkbook, recalculateWorkbook, cellOutputValue, isValidFormula } from '../lib/formulas.js';
+
+const workbookWith = (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Sheet1');
+  rows.forEach((values) => ws.addRow(values));
+  return { workbook, ws };
+};
+
+test('evaluates plain formulas', () => {
+  const { workbook, ws } = workbookWith([[2, 3, { formula: 'A1*B1', result: 0 }]]);
+  const evaluation = evaluateWorkbook(workbook);
+  assert.equal(evaluation.get('Sheet1', 'C1'), 6);
+  assert.equal(cellOutputValue(ws.getCell('C1'), evaluation), 6);
+});
+
+test('evaluates functions stored with the _xlfn. prefix', () => {
+  const { workbook } = workbookWith([
+    ['a', 'b', { formula: '_xlfn.TEXTJOIN("-",1,A1:B1)', result: 'stale' }],
+    [1, 'x', { formula: '_xlfn.XLOOKUP(1,A2,B2)', result: 'stale' }],
+  ]);
+  const evaluation = evaluateWorkbook(workbook);
+  assert.equal(evaluation.get('Sheet1', 'C1'), 'a-b');
+  assert.equal(evaluation.get('Sheet1', 'C2'), 'x');
+});
+
+test('leaves _xlfn. inside string literals alone', () => {
+  const { workbook } = workbookWith([[{ formula: '"_xlfn.x"&"y"', result: '_xlfn.xy' }]]);
+  assert.equal(evaluateWorkbook(workbook).get('Sheet1', 'A1'), '_xlfn.xy');
+});
+
+test('keeps the cached result of formulas the engine cannot parse or lacks', () => {
+  const { workbook, ws } = workbookWith([
+    [{ formula: '_xlfn.XLOOKUP(1,{1,2},{"x","y"},,,)(', result: 'x' }],
+    [{ formula: 'NOTAFUNCTION(1)', result: 42 }],
+  ]);
+  const evaluation = evaluateWorkbook(workbook);
+  assert.equal(evaluation.get('Sheet1', 'A1'), 'x');
+  assert.equal(evaluation.get('Sheet1', 'A2'), 42);
+
+  assert.equal(recalculateWorkbook(workbook), 0);
+  assert.equal(ws.getCell('A1').result, 'x');
+  assert.equal(ws.getCell('A2').result, 42);
+});
+
+test('writes errors that Excel would compute too', () => {
+  const { workbook, ws } = workbookWith([[1, 0, { formula: 'A1/B1', result: 5 }]]);
+  assert.equal(recalculateWorkbook(workbook), 1);
+  assert.deepEqual(ws.getCell('C1').result, { error: '#DIV/0!' });
+  assert.equal(cellOutputValue(ws.getCell('C1')), '#DIV/0!');
+});
+
+test('isValidFormula accepts prefixed functions and rejects broken input', () => {
+  assert.equal(isValidFormula('=_xlfn.TEXTJOIN(",",1,"a","b")'), true);
+  assert.equal(isValidFormula('SUM(A1:A3)'), true);
+  assert.equal(isValidFormula('=SUM(A1:'), false);
+});
@@ -0,0 +1,102 @@
+// Route-level test harness: the app against an in-process stand-in for the
+// Supabase endpoints it calls (auth, profiles, audit rows and storage).
+// Objects are kept in `store` as key -> { buffer, version }.
+
+import http from 'http';
+
+const json = (res, status, value) => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(value));
+};
+
+const fakeSupabase = (store, { plan, fileKey, audits }) =>
+  http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    let m;
+
+    if (path === '/auth/v1/user') return json(res, 200, { id: 'u1', email: 'user@example.com', aud: 'authenticated' });
+    if (path === '/rest/v1/profiles') {
+      return json(res, 200, { plan, user_file_key: fileKey, role: 'user', email: 'user@example.com' });
+    }
+    if (path === '/rest/v1/excel_audit') {
+      if (req.method === 'POST') audits.push(JSON.parse(body));
+      return json(res, req.method === 'POST' ? 201 : 200, []);
+    }
+    if ((m = path.match(/^\/storage\/v1\/object\/info\/excel\/(.+)$/))) {
+      const object = store.get(m[1]);
+      if (!object) return json(res, 404, { statusCode: '404', message: 'Object not found' });
+      return json(res, 200, { version: String(object.version), size: object.buffer.length });
+    }
+    if (path === '/storage/v1/object/list/excel') {
+      const { prefix } = JSON.parse(body);
+      const names = [...store.keys()]
+        .filter((k) => k.startsWith(`${prefix}/`) && !k.slice(prefix.length + 1).includes('/'))
+        .map((k) => ({ id: k, name: k.slice(prefix.length + 1) }));
+      return json(res, 200, names);
+    }
+    if (path === '/storage/v1/object/excel' && req.method === 'DELETE') {
+      for (const k of JSON.parse(body).prefixes) store.delete(k);
+      return json(res, 200, []);
+    }
+    if ((m = path.match(/^\/storage\/v1\/object\/excel\/(.+)$/))) {
+      if (req.method === 'POST' || req.method === 'PUT') {
+        store.set(m[1], { buffer: body, version: (store.get(m[1])?.version || 0) + 1 });
+        return json(res, 200, { Key: m[1] });
+      }
+      const object = store.get(m[1]);
+      if (!object) return json(res, 400, { statusCode: '404', message: 'Object not found' });
+      res.writeHead(200, { 'content-type': 'application/octet-stream' });
+      return res.end(object.buffer);
+    }
+    json(res, 404, { message: `Not faked: ${req.method} ${path}` });
+  });
+
+/**
+ * Start the app for one user owning `fileKey`. Resolves { request, store,
+ * audits, close }; request(method, path, body) resolves [status, json].
+ * The app is imported once per test file, after the environment is set.
+ */
+export const startApp = async ({ files = {}, plan = 'paid', fileKey = 'users/u1/book.xlsx' } = {}) => {
+  const store = new Map(Object.entries(files).map(([key, buffer]) => [key, { buffer, version: 1 }]));
+  const audits = [];
+  const supabase = fakeSupabase(store, { plan, fileKey, audits });
+  await new Promise((resolve) => supabase.listen(0, '127.0.0.1', resolve));
+
+  Object.assign(process.env, {
+    SUPABASE_URL: `http://127.0.0.1:${supabase.address().port}`,
+    SUPABASE_ANON_KEY: 'anon',
+    SUPABASE_SERVICE_ROLE_KEY: 'service',
+    PAYSTACK_SECRET_KEY: 'paystack',
+    OWNER_EMAIL: 'owner@example.com',
+  });
+  const { app } = await import('../../app.js');
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { authorization: 'Bearer token', 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    try {
+      return [res.status, JSON.parse(text)];
+    } catch (_e) {
+      return [res.status, text];
+    }
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    supabase.closeAllConnections();
+    await Promise.all([server, supabase].map((s) => new Promise((resolve) => s.close(resolve))));
+  };
+
+  return { request, store, audits, close };
+};
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { embedCustomXmlParts } from '../lib/custom-xml.js';
+import {
+  attachSavedQueries,
+  savedQueriesPart,
+  readSavedQueries,
+  readSavedQueriesFromFile,
+} from '../lib/query.js';
+
+test('saved queries read back from a buffer and from a file on disk', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Data').addRow(['id']);
+  const saved = { name: 'All', sheet: 'Data', query: { where: [{ column: 'id', op: 'gt', value: 0 }] } };
+  attachSavedQueries(workbook, [saved, { ...saved, name: 'Gone', sheet: 'Missing' }]);
+  const buffer = await embedCustomXmlParts(Buffer.from(await workbook.xlsx.writeBuffer()), [savedQueriesPart(workbook)]);
+
+  const fromBuffer = await readSavedQueries(buffer);
+  assert.deepEqual(
+    fromBuffer.map((q) => q.name),
+    ['All']
+  );
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'query-'));
+  try {
+    const file = path.join(dir, 'book.xlsx');
+    fs.writeFileSync(file, buffer);
+    assert.deepEqual(await readSavedQueriesFromFile(file), fromBuffer);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { createMatcher, findInWorksheets, replaceInWorksheets } from '../lib/search.js';
+
+const sheet = (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Sheet1');
+  rows.forEach((values) => ws.addRow(values));
+  return ws;
+};
+
+test('plain queries match literally and ignore case by default', () => {
+  const matcher = createMatcher({ query: 'a.b' });
+  assert.equal(matcher.test('xA.Bx'), true);
+  assert.equal(matcher.test('axb'), false);
+  assert.equal(createMatcher({ query: 'a.b', matchCase: true }).test('A.B'), false);
+  assert.equal(createMatcher({ query: 'ab', wholeCell: true }).test('abc'), false);
+});
+
+test('plain queries may contain regex metacharacters', () => {
+  const matcher = createMatcher({ query: '(a+)+$' });
+  assert.equal(matcher.error, undefined);
+  assert.equal(matcher.test('x(a+)+$'), true);
+});
+
+test('regex queries that could backtrack catastrophically are refused', () => {
+  for (const query of ['(a+)+$', '(\\w*)*x', '(a|aa)+', '(a)\\1']) {
+    assert.ok(createMatcher({ query, regex: true }).error, query);
+  }
+  assert.ok(createMatcher({ query: 'x'.repeat(257) }).error);
+  assert.ok(createMatcher({ query: '(', regex: true }).error);
+  assert.ok(createMatcher({ query: '' }).error);
+});
+
+test('finds and replaces values, with $1 groups in regex mode', () => {
+  const ws = sheet([['foo-1', 12], ['bar-2', 'foo']]);
+  const { matches, total } = findInWorksheets([ws], createMatcher({ query: 'foo' }));
+  assert.equal(total, 2);
+  assert.deepEqual(
+    matches.map((m) => m.cell),
+    ['A1', 'B2']
+  );
+
+  const { replaced } = replaceInWorksheets([ws], createMatcher({ query: '(\\w+)-(\\d)', regex: true }), '$2:$1');
+  assert.deepEqual(
+    replaced.map((r) => r.after),
+    ['1:foo', '2:bar']
+  );
+  const numbers = replaceInWorksheets([ws], createMatcher({ query: '12' }), '34');
+  assert.equal(numbers.replaced[0].after, 34);
+});
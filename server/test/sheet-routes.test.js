@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { startApp } from './helpers/api.js';
+
+let api;
+
+before(async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Main').addRow(['name', 'amount']);
+  workbook.addWorksheet('Data').addRow(['id', 'total']);
+  api = await startApp({ files: { 'users/u1/book.xlsx': Buffer.from(await workbook.xlsx.writeBuffer()) } });
+});
+
+after(() => api.close());
+
+// Delete `name` and add a fresh sheet under the same name
+const recreateSheet = async (name) => {
+  const [deleted] = await api.request('POST', '/excel/delete-sheet', { name });
+  assert.equal(deleted, 200);
+  const [added] = await api.request('POST', '/excel/add-sheet', { name });
+  assert.equal(added, 200);
+};
+
+test('a sheet added under a deleted sheet\'s name has no column schema', async () => {
+  const schema = { headerRow: 1, columns: [{ name: 'id', type: 'integer' }] };
+  const [status] = await api.request('POST', '/excel/schema/set', { sheet: 'Data', schema });
+  assert.equal(status, 200);
+
+  await recreateSheet('Data');
+  const [, body] = await api.request('GET', '/excel/schema?sheet=Data');
+  assert.equal(body.schema, null);
+});
+
+test('a sheet added under a deleted sheet\'s name has no charts', async () => {
+  const chart = { type: 'bar', range: 'A1:B3', title: 'Totals' };
+  const [status] = await api.request('POST', '/excel/charts/save', { sheet: 'Data', chart });
+  assert.equal(status, 200);
+  assert.equal((await api.request('GET', '/excel/charts?sheet=Data'))[1].charts.length, 1);
+
+  await recreateSheet('Data');
+  const [, body] = await api.request('GET', '/excel/charts?sheet=Data');
+  assert.deepEqual(body.charts, []);
+});
+
+test('saved queries of a deleted sheet do not run against its successor', async () => {
+  const query = { name: 'Big totals', sheet: 'Data', query: { where: [{ column: 'total', op: 'gt', value: 10 }] } };
+  const [status, saved] = await api.request('POST', '/excel/queries/save', query);
+  assert.equal(status, 200, JSON.stringify(saved));
+
+  await recreateSheet('Data');
+  const [, body] = await api.request('GET', '/excel/queries');
+  assert.deepEqual(body.queries, []);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { removeWorksheet, duplicateWorksheet } from '../lib/sheets.js';
+import { attachWorksheetSchemas, getWorksheetSchema } from '../lib/schemas.js';
+import { attachWorksheetCharts, getWorksheetCharts } from '../lib/charts.js';
+import { attachSavedQueries, getSavedQueries } from '../lib/query.js';
+import { attachDefinedNames, getDefinedNames } from '../lib/names.js';
+
+const schema = { headerRow: 1, columns: [{ name: 'id', type: 'integer' }] };
+
+test('a sheet added again under a removed name keeps none of its metadata', () => {
+  const workbook = new ExcelJS.Workbook();
+  const summary = workbook.addWorksheet('Summary');
+  workbook.addWorksheet('Data');
+  attachWorksheetSchemas(workbook, { Summary: schema, Data: schema });
+  attachWorksheetCharts(workbook, { Summary: [{ id: 'c1' }], Data: [{ id: 'c2' }] });
+  attachSavedQueries(workbook, [
+    { name: 'q1', sheet: 'summary', query: {} },
+    { name: 'q2', sheet: 'Data', query: {} },
+  ]);
+  attachDefinedNames(workbook, [
+    { name: 'Local', scope: 'Summary', refersTo: 'Summary!$A$1' },
+    { name: 'Global', scope: null, refersTo: 'Data!$A$1' },
+  ]);
+
+  removeWorksheet(workbook, summary);
+  workbook.addWorksheet('Summary');
+
+  assert.equal(getWorksheetSchema(workbook, 'Summary'), null);
+  assert.deepEqual(getWorksheetCharts(workbook, 'Summary'), []);
+  assert.deepEqual(
+    getSavedQueries(workbook).map((q) => q.name),
+    ['q2']
+  );
+  assert.deepEqual(
+    getDefinedNames(workbook).map((n) => n.name),
+    ['Global']
+  );
+  assert.deepEqual(getWorksheetSchema(workbook, 'Data'), schema);
+  assert.equal(getWorksheetCharts(workbook, 'Data').length, 1);
+});
+
+test('duplicates carry the schema and charts of their source', () => {
+  const workbook = new ExcelJS.Workbook();
+  const source = workbook.addWorksheet('Data');
+  source.addRow(['id']);
+  attachWorksheetSchemas(workbook, { Data: schema });
+  attachWorksheetCharts(workbook, { Data: [{ id: 'c1' }] });
+
+  const copy = duplicateWorksheet(workbook, source, 'Data (2)');
+  assert.equal(copy.getCell('A1').value, 'id');
+  assert.deepEqual(getWorksheetSchema(workbook, 'Data (2)'), schema);
+  assert.notEqual(getWorksheetCharts(workbook, 'Data (2)')[0].id, 'c1');
+});
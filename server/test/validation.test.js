@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { ruleToValidation, setValidation, checkWorksheetValidations } from '../lib/validation.js';
+import { checkPatternSafety, MAX_PATTERN_LENGTH } from '../lib/regex-guard.js';
+
+const sheetWithPattern = (formula, values) => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Sheet1');
+  values.forEach((v) => ws.addRow([v]));
+  setValidation(ws, { top: 1, left: 1, bottom: values.length, right: 1 }, {
+    type: 'custom',
+    allowBlank: true,
+    showErrorMessage: true,
+    formulae: [formula],
+  });
+  return { workbook, ws };
+};
+
+test('pattern rules become REGEXTEST custom rules', () => {
+  const { validation, error } = ruleToValidation({ range: 'B2:B10', type: 'pattern', pattern: '^[A-Z]{2}\\d+$' });
+  assert.equal(error, undefined);
+  assert.equal(validation.type, 'custom');
+  assert.deepEqual(validation.formulae, ['_xlfn.REGEXTEST(B2,"^[A-Z]{2}\\d+$")']);
+});
+
+test('pattern rules with nested quantifiers, backreferences or too much text are refused', () => {
+  for (const pattern of ['(a+)+$', '(x*)*y', '(a|ab)*c', '(?:\\w+\\.)+com', '(a)\\1', 'a'.repeat(MAX_PATTERN_LENGTH + 1)]) {
+    const result = ruleToValidation({ range: 'A1:A5', type: 'pattern', pattern });
+    assert.match(result.error, /^Invalid pattern: /, pattern);
+  }
+  assert.match(ruleToValidation({ range: 'A1', type: 'pattern', pattern: '(' }).error, /^Invalid pattern: /);
+});
+
+test('checkPatternSafety allows bounded and non-nested patterns', () => {
+  for (const pattern of ['^\\S+@\\S+\\.\\w{2,}$', '^(\\d{3}-)+\\d{4}$', '^(jpg|png)$', '(a+)?b', '[(+]+']) {
+    assert.equal(checkPatternSafety(pattern), null, pattern);
+  }
+});
+
+test('patterns are checked against cell values', () => {
+  const { workbook, ws } = sheetWithPattern('_xlfn.REGEXTEST(A1,"^[a-z]+$")', ['abc', 'ABC', 'x1']);
+  const failures = checkWorksheetValidations(workbook, ws);
+  assert.deepEqual(
+    failures.map((f) => f.cell),
+    ['A2', 'A3']
+  );
+});
+
+test('unsafe patterns read from a file are skipped rather than run', () => {
+  const { workbook, ws } = sheetWithPattern('_xlfn.REGEXTEST(A1,"^(a+)+$")', [`${'a'.repeat(40)}!`]);
+  const started = Date.now();
+  assert.deepEqual(checkWorksheetValidations(workbook, ws), []);
+  assert.ok(Date.now() - started < 1000);
+});
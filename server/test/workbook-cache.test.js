@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkbookCache } from '../lib/workbook-cache.js';
+
+test('entries are served for their version only', () => {
+  const cache = createWorkbookCache({ maxBytes: 100 });
+  cache.set('excel/a.xlsx', 'v1', 'A', 10);
+  assert.equal(cache.get('excel/a.xlsx', 'v1'), 'A');
+  assert.equal(cache.get('excel/a.xlsx', 'v2'), null);
+  assert.equal(cache.get('excel/a.xlsx', 'v1'), null);
+  assert.equal(cache.stats().stale, 1);
+});
+
+test('least recently used entries are evicted first', () => {
+  const cache = createWorkbookCache({ maxBytes: 100 });
+  cache.set('a', 1, 'A', 40);
+  cache.set('b', 1, 'B', 40);
+  cache.get('a', 1);
+  cache.set('c', 1, 'C', 40);
+  assert.equal(cache.get('b', 1), null);
+  assert.equal(cache.get('a', 1), 'A');
+  assert.equal(cache.set('huge', 1, 'H', 60), false);
+});
+
+test('invalidate drops derived entries; remove only drops the given value', () => {
+  const cache = createWorkbookCache({ maxBytes: 100 });
+  cache.set('a', 1, 'A', 10);
+  cache.set('a#sheets', 1, ['S'], 10);
+  assert.equal(cache.invalidate('a'), 2);
+
+  const stale = { name: 'old' };
+  cache.set('b', 1, stale, 10);
+  cache.set('b', 2, { name: 'new' }, 10);
+  assert.equal(cache.remove('b', stale), false);
+  assert.equal(cache.get('b', 2).name, 'new');
+  assert.equal(cache.remove('b', cache.get('b', 2)), true);
+  assert.equal(cache.stats().entries, 0);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import ExcelJS from 'exceljs';
+import { startApp } from './helpers/api.js';
+
+const KEY = 'users/u1/book.xlsx';
+let api;
+
+before(async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Main').addRow(['name', 'amount']);
+  api = await startApp({ files: { [KEY]: Buffer.from(await workbook.xlsx.writeBuffer()) } });
+});
+
+after(() => api.close());
+
+const storedSheets = async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(api.store.get(KEY).buffer);
+  return workbook.worksheets.map((ws) => ws.name);
+};
+
+test('save-all refuses a stale base version', async () => {
+  const before = api.store.get(KEY).version;
+  const [status, body] = await api.request('POST', '/excel/save-all', {
+    sheet: 'Main',
+    etag: 'stale',
+    data: [['name', 'amount'], ['a', 1]],
+  });
+  assert.equal(status, 409);
+  assert.equal(body.conflict, true);
+  assert.equal(api.store.get(KEY).version, before);
+
+  const etag = crypto.createHash('sha1').update(api.store.get(KEY).buffer).digest('hex');
+  const [saved] = await api.request('POST', '/excel/save-all', { sheet: 'Main', etag, data: [['name', 'amount']] });
+  assert.equal(saved, 200);
+});
+
+test('concurrent edits never silently drop one another', async () => {
+  const names = ['One', 'Two', 'Three'];
+  const results = await Promise.all(names.map((name) => api.request('POST', '/excel/add-sheet', { name })));
+
+  const sheets = await storedSheets();
+  for (const [i, [status, body]] of results.entries()) {
+    if (status === 200) assert.ok(sheets.includes(names[i]), `${names[i]} was saved but is missing`);
+    else assert.deepEqual([status, body.conflict], [409, true]);
+  }
+  assert.ok(results.some(([status]) => status === 200));
+});